@@ -0,0 +1,10 @@
+/* eslint-disable no-console */
+
+'use strict'
+
+const { runCli } = require('./src/backtest')
+
+runCli().catch((error) => {
+  console.error(`Backtest failed: ${error.message}`)
+  process.exit(1)
+})
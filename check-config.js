@@ -0,0 +1,9 @@
+/* eslint-disable no-console */
+
+'use strict'
+
+const { CONFIG_SETTINGS } = require('./src/config')
+
+// Every setting with its effective value and source; exits with 1 when the config has errors.
+console.log(CONFIG_SETTINGS.report({ all: true }).join('\n'))
+if (CONFIG_SETTINGS.problems().errors.length > 0) process.exitCode = 1
@@ -0,0 +1,10 @@
+/* eslint-disable no-console */
+
+'use strict'
+
+const { runControlCli } = require('./src/controlServer')
+
+runControlCli().catch((error) => {
+  console.error(`Control failed: ${error.message}`)
+  process.exit(1)
+})
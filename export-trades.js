@@ -0,0 +1,10 @@
+/* eslint-disable no-console */
+
+'use strict'
+
+const { runExportCli } = require('./src/tradeJournal')
+
+runExportCli().catch((error) => {
+  console.error(`Export failed: ${error.message}`)
+  process.exit(1)
+})
@@ -0,0 +1,46 @@
+/* eslint-disable no-console */
+
+'use strict'
+
+const { parseArgs } = require('util')
+
+const { MARKET_SYMBOLS } = require('./src/config')
+const { startMockBinance } = require('./src/mockBinance')
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', default: '9090' },
+      seed: { type: 'string', default: '42' },
+      'tick-ms': { type: 'string', default: '250' },
+      'api-secret': { type: 'string' },
+      'weight-limit': { type: 'string', default: '2400' },
+      // Comma-separated market symbols, e.g. for a UNIVERSE_ENABLE run; default: the COIN_LIST markets.
+      symbols: { type: 'string' },
+    },
+  })
+
+  const mock = await startMockBinance({
+    port: Number(values.port),
+    seed: Number(values.seed),
+    tickMs: Number(values['tick-ms']),
+    apiSecret: values['api-secret'] || null,
+    weightLimit: Number(values['weight-limit']),
+    symbols: values.symbols ? values.symbols.split(',').map((symbol) => symbol.trim().toUpperCase()).filter(Boolean) : Object.values(MARKET_SYMBOLS).map((symbol) => symbol.toUpperCase()),
+  })
+
+  console.log(`Mock Binance futures listening on ${mock.restBase}`)
+  console.log(`  BINANCE_FUTURES_REST_BASE=${mock.restBase}`)
+  console.log(`  BINANCE_FUTURES_WS_BASE=${mock.wsBase}`)
+
+  const shutdown = () => {
+    mock.close().finally(() => process.exit(0))
+  }
+  process.on('SIGINT', shutdown)
+  process.on('SIGTERM', shutdown)
+}
+
+main().catch((error) => {
+  console.error(`Mock Binance failed: ${error.message}`)
+  process.exit(1)
+})
@@ -0,0 +1,10 @@
+/* eslint-disable no-console */
+
+'use strict'
+
+const { runCli } = require('./src/optimizer')
+
+runCli().catch((error) => {
+  console.error(`Optimize failed: ${error.message}`)
+  process.exit(1)
+})
@@ -0,0 +1,28 @@
+/* eslint-disable no-console */
+
+'use strict'
+
+const { parseArgs } = require('util')
+
+const { startReplay } = require('./src/engine')
+const { listRecordingFiles, parseReplaySpeed } = require('./src/replay')
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      speed: { type: 'string', default: '1' },
+    },
+  })
+
+  const target = positionals[0] || process.env.RECORD_DIR || 'logs/recordings'
+  const files = listRecordingFiles(target)
+  if (files.length === 0) throw new Error(`No recordings found in ${target}`)
+
+  await startReplay({ files, speed: parseReplaySpeed(values.speed) })
+}
+
+main().catch((error) => {
+  console.error(`Replay failed: ${error.message}`)
+  process.exit(1)
+})
@@ -0,0 +1,335 @@
+'use strict'
+
+const http = require('http')
+const { WebSocketServer } = require('ws')
+const { filterTradeRows } = require('./tradeJournal')
+
+const DEFAULT_TRADES_LIMIT = 200
+// A dashboard that stops reading gets skipped until it catches up instead of growing our buffers.
+const WS_MAX_BUFFERED_BYTES = 1024 * 1024
+const WS_STATE_OPEN = 1
+
+function toNumber(value, fallback) {
+  const next = Number(value)
+  return Number.isFinite(next) ? next : fallback
+}
+
+function httpError(status, message) {
+  const error = new Error(message)
+  error.status = status
+  return error
+}
+
+function decodePathPart(value) {
+  try {
+    return decodeURIComponent(value)
+  } catch {
+    throw httpError(400, `Invalid escape in path: ${value}`)
+  }
+}
+
+function parseTime(value, fallback) {
+  if (value === null || value === '') return fallback
+  const ts = /^\d+$/.test(value) ? Number(value) : Date.parse(value)
+  if (!Number.isFinite(ts)) throw httpError(400, `Invalid time: ${value}`)
+  return ts
+}
+
+// The symbol state without its rolling buffers (candles, agg trades, depth, spread buckets); the
+// candles and depth are only served by /symbols/:symbol.
+function summarizeState(state) {
+  return {
+    marketSymbol: state.marketSymbol,
+    interval: state.interval,
+    markPrice: state.markPrice,
+    markTs: state.markTs,
+    tradePrice: state.tradePrice,
+    tradeQty: state.tradeQty,
+    tradeTs: state.tradeTs,
+    fundingRate: state.fundingRate,
+    nextFundingTime: state.nextFundingTime,
+    openInterest: state.openInterest,
+    book: state.book,
+    lastVolume: state.lastVolume,
+    nextCandleCloseTs: state.nextCandleCloseTs,
+    lastStreamAt: state.lastStreamAt,
+    error: state.error,
+  }
+}
+
+// One buildRows row as JSON: everything the console table is drawn from.
+function serializeRow(row) {
+  const { state, sim, ...rest } = row
+  return {
+    ...rest,
+    state: summarizeState(state),
+    sim: { activeTrade: sim.activeTrade, stats: sim.stats, lastClosed: sim.lastClosed },
+  }
+}
+
+// Read-only view of a running Engine for dashboards and bots. GET /health, /symbols, /symbols/:symbol,
+// /trades and /stats answer JSON; a websocket on /ws gets every tick's rows as
+// { type: 'rows', t, rows }. Everything is served from the rows of the last tick and the journal's
+// in-memory trades, so a request never makes the engine do extra work. Binds to localhost unless API_HOST says otherwise.
+class ApiServer {
+  constructor(options = {}) {
+    this.port = Math.max(0, Math.floor(toNumber(options.port, 0)))
+    this.host = options.host || '127.0.0.1'
+    this.engine = null
+    this.server = null
+    this.wss = null
+    this.clients = new Set()
+    this.lastRows = []
+    this.lastTickAt = null
+    this.startedAt = null
+    this.lastError = null
+  }
+
+  // Never rejects: a port that is taken shows up as lastError in the header instead of stopping the engine.
+  listen(engine) {
+    this.engine = engine
+    this.startedAt = engine.clock.now()
+    // Read the journal files now rather than on the first /trades request.
+    engine.journal?.tradeRows()
+    this.server = http.createServer((req, res) => this.handleHttp(req, res))
+    this.wss = new WebSocketServer({ noServer: true })
+    this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head))
+
+    return new Promise((resolve) => {
+      this.server.once('error', (error) => {
+        this.lastError = `API server failed: ${error.message}`
+        this.server = null
+        resolve(this)
+      })
+      this.server.listen(this.port, this.host, () => {
+        this.port = this.server.address().port
+        resolve(this)
+      })
+    })
+  }
+
+  publish(rows, now) {
+    this.lastRows = rows
+    this.lastTickAt = now
+    if (this.clients.size === 0) return
+
+    const payload = JSON.stringify({ type: 'rows', t: now, rows: rows.map(serializeRow) })
+    for (const ws of this.clients) {
+      if (ws.readyState === WS_STATE_OPEN && ws.bufferedAmount < WS_MAX_BUFFERED_BYTES) ws.send(payload)
+    }
+  }
+
+  rowFor(symbolArg) {
+    const wanted = String(symbolArg || '').toUpperCase()
+    const symbol = this.engine.symbols.find((candidate) => candidate === wanted || String(this.engine.marketSymbols[candidate]).toUpperCase() === wanted)
+    const row = symbol ? this.lastRows.find((candidate) => candidate.symbol === symbol) : null
+    if (!row) throw httpError(404, `Unknown symbol ${symbolArg}`)
+    return row
+  }
+
+  health() {
+    const engine = this.engine
+    const now = engine.clock.now()
+    const liveTrader = engine.liveTrader
+    const tickAgeMs = this.lastTickAt === null ? null : now - this.lastTickAt
+    return {
+      ok: engine.wsConnected && tickAgeMs !== null && tickAgeMs < engine.renderIntervalMs * 5,
+      t: now,
+      uptimeMs: now - this.startedAt,
+      lastTickAt: this.lastTickAt,
+      stream: {
+        connected: engine.wsConnected,
+        lastMessageAt: engine.wsLastMessageAt || null,
+        lastMessageAgeMs: engine.wsLastMessageAt > 0 ? now - engine.wsLastMessageAt : null,
+        reconnectAttempt: engine.reconnectAttempt,
+        lastError: engine.wsLastError,
+      },
+      live: { enabled: liveTrader.isEnabled(), ready: Boolean(liveTrader.ready), status: liveTrader.getStatus(), lastError: liveTrader.lastError },
+      rest: engine.restGovernor.statusText(now),
+      killSwitch: engine.riskManager.isKilled(now),
+      errors: {
+        journal: engine.journal?.lastError ?? null,
+        state: engine.stateStore?.lastError ?? null,
+        recorder: engine.recorder?.lastError ?? null,
+      },
+    }
+  }
+
+  symbolDetail(symbolArg) {
+    const row = this.rowFor(symbolArg)
+    const { state, sim } = row
+    return {
+      t: this.lastTickAt,
+      symbol: row.symbol,
+      state: summarizeState(state),
+      candles: state.candles,
+      higherTimeframes: Object.fromEntries(Object.values(state.htf).map((series) => [series.interval, series.candles])),
+      flow: row.flowMetrics,
+      book: row.bookMetrics,
+      depth: state.depth,
+      analysis: row.analysis,
+      decisionPlan: row.decisionPlan,
+      positions: {
+        sim: sim.activeTrade,
+        simMetrics: row.simOpenMetrics,
+        live: row.livePosition,
+        liveMetrics: row.liveOpenMetrics,
+      },
+      control: {
+        liveControl: row.liveControl,
+        liveEntryIntent: row.liveEntryIntent,
+        liveProtection: row.liveProtection,
+        liveLastAction: row.liveLastAction,
+        riskBlock: row.riskBlock,
+      },
+      liveIncome: row.liveIncome,
+      simHistory: sim.history,
+    }
+  }
+
+  // Closed trades from the journal (sim and live, newest last), or the in-memory sim history when the
+  // journal is off. Query: symbols=A,B  mode=sim|live  from / to (ms or ISO, entry time)  limit.
+  trades(query) {
+    const engine = this.engine
+    const mode = query.get('mode')
+    if (mode && mode !== 'sim' && mode !== 'live') throw httpError(400, `Unknown mode ${mode} (sim or live)`)
+    const symbols = query.get('symbols')
+      ? query
+          .get('symbols')
+          .split(',')
+          .map((symbol) => symbol.trim().toUpperCase())
+          .filter(Boolean)
+      : null
+    const limit = Math.max(1, Math.floor(toNumber(query.get('limit') ?? undefined, DEFAULT_TRADES_LIMIT)))
+
+    const rows = engine.journal
+      ? engine.journal.tradeRows()
+      : engine.symbols
+          .flatMap((symbol) => engine.ensureSimState(symbol).history.map((closed) => ({ ...closed, mode: 'sim', symbol })))
+          .sort((a, b) => a.entryTime - b.entryTime)
+    const selected = filterTradeRows(rows, {
+      from: parseTime(query.get('from'), -Infinity),
+      to: parseTime(query.get('to'), Infinity),
+      symbols,
+      mode,
+    })
+
+    const open = this.lastRows
+      .filter((row) => (symbols ? symbols.includes(row.symbol) : true))
+      .flatMap((row) => [
+        ...(row.sim.activeTrade && mode !== 'live' ? [{ mode: 'sim', symbol: row.symbol, ...row.sim.activeTrade, metrics: row.simOpenMetrics }] : []),
+        ...(row.livePosition && mode !== 'sim' ? [{ mode: 'live', symbol: row.symbol, ...row.livePosition, metrics: row.liveOpenMetrics }] : []),
+      ])
+
+    return {
+      t: this.lastTickAt,
+      source: engine.journal ? 'journal' : 'memory',
+      total: selected.length,
+      trades: selected.slice(-limit),
+      open,
+    }
+  }
+
+  stats() {
+    const engine = this.engine
+    const now = engine.clock.now()
+    const liveEnabled = engine.liveTrader.isEnabled()
+    const bySymbol = {}
+    const sim = { total: 0, wins: 0, losses: 0, realizedPnlUsd: 0, missedEntries: 0 }
+    const live = { trades: 0, wins: 0, losses: 0, realizedPnlUsd: 0, commissionUsd: 0, fundingUsd: 0, netUsd: 0 }
+
+    for (const row of this.lastRows) {
+      for (const key of Object.keys(sim)) sim[key] += toNumber(row.sim.stats[key], 0)
+      if (liveEnabled) for (const key of Object.keys(live)) live[key] += toNumber(row.liveIncome[key], 0)
+      bySymbol[row.symbol] = {
+        sim: row.sim.stats,
+        live: liveEnabled ? row.liveIncome : null,
+        shadow: engine.shadow?.bySymbol.get(row.symbol)?.stats ?? null,
+      }
+    }
+
+    const riskManager = engine.riskManager
+    const positions = engine.riskPositions()
+    return {
+      t: this.lastTickAt,
+      mode: liveEnabled ? 'live' : 'sim',
+      totals: { sim, live: liveEnabled ? live : null },
+      symbols: bySymbol,
+      risk: {
+        positions,
+        sim: riskManager.ledgerStatus('sim', now),
+        live: liveEnabled ? riskManager.ledgerStatus('live', now) : null,
+        killSwitch: riskManager.isKilled(now),
+        status: riskManager.statusText(positions, now, engine.riskModes()),
+      },
+    }
+  }
+
+  route(pathname, query) {
+    if (pathname === '/health') return this.health()
+    if (pathname === '/symbols') return { t: this.lastTickAt, symbols: this.lastRows.map(serializeRow) }
+    if (pathname.startsWith('/symbols/')) return this.symbolDetail(decodePathPart(pathname.slice('/symbols/'.length)))
+    if (pathname === '/trades') return this.trades(query)
+    if (pathname === '/stats') return this.stats()
+    throw httpError(404, `No route for ${pathname}`)
+  }
+
+  handleHttp(req, res) {
+    let status = 200
+    let payload
+    try {
+      if (req.method !== 'GET') throw httpError(405, `${req.method} not allowed`)
+      const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`)
+      payload = this.route(url.pathname.replace(/\/+$/, '') || '/', url.searchParams)
+      if (url.pathname === '/health' && !payload.ok) status = 503
+    } catch (error) {
+      status = error.status || 500
+      payload = { error: error.message }
+    }
+
+    res.writeHead(status, { 'Content-Type': 'application/json' })
+    res.end(JSON.stringify(payload))
+  }
+
+  handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`)
+    if (url.pathname !== '/ws') {
+      socket.destroy()
+      return
+    }
+
+    this.wss.handleUpgrade(req, socket, head, (ws) => {
+      this.clients.add(ws)
+      ws.on('close', () => this.clients.delete(ws))
+      ws.on('error', () => this.clients.delete(ws))
+      // The latest rows right away, so a client does not wait a whole tick for its first frame.
+      if (this.lastTickAt !== null) ws.send(JSON.stringify({ type: 'rows', t: this.lastTickAt, rows: this.lastRows.map(serializeRow) }))
+    })
+  }
+
+  statusText() {
+    if (this.lastError) return this.lastError
+    if (!this.server) return 'off'
+    return `http://${this.host}:${this.port} | ws /ws ${this.clients.size} client(s)`
+  }
+
+  close() {
+    for (const ws of this.clients) ws.terminate()
+    this.clients.clear()
+
+    return new Promise((resolve) => {
+      if (this.wss) this.wss.close()
+      if (!this.server) {
+        resolve()
+        return
+      }
+      this.server.close(() => resolve())
+      this.server.closeAllConnections()
+    })
+  }
+}
+
+module.exports = {
+  ApiServer,
+  serializeRow,
+}
@@ -0,0 +1,516 @@
+/* eslint-disable no-console */
+
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const { parseArgs } = require('util')
+
+const { ANALYSIS_MIN_CANDLES, HISTORY_CANDLES, LEVERAGE_BRACKETS_FILE, MARKET_SYMBOLS, SIM_CONFIG, SYMBOLS, decisionWindowMs, klineIntervalForSymbol } = require('./config')
+const { fetchKlineRange, normalizeStreamEvent, parseKlineRow, parseSocketPayload } = require('./binance')
+const { nextDecisionPlan } = require('./decisionPlan')
+const { LeverageBracketCache } = require('./leverageBrackets')
+const { listRecordingFiles, readRecords } = require('./replay')
+const { closeTrade, createSymbolSimState, maybeOpenTrade, updateOpenTrade } = require('./simulator')
+const { createStrategy, strategyNameForSymbol } = require('./strategies')
+const { aggregateCandles, formatNumber, formatPrice, intervalToMs, stdDev } = require('./utils')
+
+const DEFAULT_CACHE_DIR = path.join('data', 'cache')
+const DEFAULT_PATH_STEPS = 6
+const RECORDING_SUB_INTERVAL_MS = 60 * 1000
+
+const CSV_COLUMN_ALIASES = {
+  opentime: 'openTime',
+  open: 'open',
+  high: 'high',
+  low: 'low',
+  close: 'close',
+  volume: 'volume',
+  closetime: 'closeTime',
+}
+
+function parseCandleRecord(record) {
+  if (Array.isArray(record)) return parseKlineRow(record)
+
+  return {
+    openTime: Number(record?.openTime),
+    open: Number(record?.open),
+    high: Number(record?.high),
+    low: Number(record?.low),
+    close: Number(record?.close),
+    volume: Number(record?.volume),
+    closeTime: Number(record?.closeTime),
+  }
+}
+
+function isValidCandle(c) {
+  return [c.openTime, c.open, c.high, c.low, c.close, c.closeTime].every(Number.isFinite) && c.close > 0
+}
+
+function parseCsv(raw) {
+  const lines = raw.split(/\r?\n/).filter((line) => line.trim().length > 0)
+  if (lines.length === 0) return []
+
+  const firstCells = lines[0].split(',').map((s) => s.trim())
+  const hasHeader = !Number.isFinite(Number(firstCells[0]))
+  if (!hasHeader) return lines.map((line) => line.split(','))
+
+  const keys = firstCells.map((cell) => CSV_COLUMN_ALIASES[cell.toLowerCase().replace(/[^a-z]/g, '')] ?? null)
+  return lines.slice(1).map((line) => {
+    const cells = line.split(',')
+    const record = {}
+    keys.forEach((key, i) => {
+      if (key) record[key] = cells[i]
+    })
+    return record
+  })
+}
+
+// Accepts Binance kline arrays or { openTime, open, high, low, close, volume, closeTime } objects
+// as .json (array), .jsonl/.ndjson (one record per line) or .csv (with or without header).
+function loadCandlesFromFile(filePath) {
+  const raw = fs.readFileSync(filePath, 'utf8')
+  const ext = path.extname(filePath).toLowerCase()
+
+  let records
+  if (ext === '.json') records = JSON.parse(raw)
+  else if (ext === '.jsonl' || ext === '.ndjson') {
+    records = raw
+      .split(/\r?\n/)
+      .filter((line) => line.trim().length > 0)
+      .map((line) => JSON.parse(line))
+  } else if (ext === '.csv') records = parseCsv(raw)
+  else throw new Error(`Unsupported candle file extension: ${filePath}`)
+
+  if (!Array.isArray(records)) throw new Error(`Candle file must contain a list: ${filePath}`)
+
+  return records
+    .map(parseCandleRecord)
+    .filter(isValidCandle)
+    .sort((a, b) => a.openTime - b.openTime)
+}
+
+async function loadOrDownloadCandles(marketSymbol, interval, startTime, endTime, cacheDir = DEFAULT_CACHE_DIR) {
+  const cacheFile = path.join(cacheDir, `${marketSymbol.toUpperCase()}-${interval}-${startTime}-${endTime}.jsonl`)
+  if (fs.existsSync(cacheFile)) return loadCandlesFromFile(cacheFile)
+
+  const now = Date.now()
+  const candles = (await fetchKlineRange(marketSymbol, interval, startTime, endTime)).filter((c) => c.closeTime < now)
+
+  fs.mkdirSync(cacheDir, { recursive: true })
+  fs.writeFileSync(cacheFile, candles.map((c) => JSON.stringify(c)).join('\n') + '\n')
+  return candles
+}
+
+function marketSymbolFor(symbol) {
+  return MARKET_SYMBOLS[symbol] ?? `${symbol.toLowerCase()}usdt`
+}
+
+// Rebuilds closed candles from stream recordings (history snapshots + closed kline events) and
+// aggregates the recorded aggTrades into 1m sub-candles, so the path follows the real ticks.
+async function loadCandlesFromRecordings(files, symbols) {
+  const symbolByMarket = new Map(symbols.map((symbol) => [marketSymbolFor(symbol), symbol]))
+  const bySymbol = new Map(symbols.map((symbol) => [symbol, { candles: new Map(), subCandles: new Map() }]))
+  let startTs = null
+  let endTs = null
+
+  for await (const record of readRecords(files)) {
+    const t = Number(record?.t)
+    if (record?.k === 'history') {
+      // Higher-timeframe snapshots are rebuilt from the symbol's own candles instead.
+      if (record.interval && record.interval !== klineIntervalForSymbol(record.symbol)) continue
+      const data = bySymbol.get(record.symbol)
+      for (const candle of data && Array.isArray(record.candles) ? record.candles : []) {
+        const parsed = parseCandleRecord(candle)
+        if (isValidCandle(parsed)) data.candles.set(parsed.openTime, parsed)
+      }
+      continue
+    }
+    if (record?.k !== 'ws' || !Number.isFinite(t)) continue
+
+    if (startTs === null) startTs = t
+    endTs = t
+
+    const event = normalizeStreamEvent(parseSocketPayload(record.d))
+    const data = bySymbol.get(symbolByMarket.get(event?.marketSymbol))
+    if (!data) continue
+
+    if (event.type === 'kline' && event.isClosed) {
+      if (event.interval && event.interval !== klineIntervalForSymbol(symbolByMarket.get(event.marketSymbol))) continue
+      const { openTime, open, high, low, close, volume, closeTime } = event
+      const candle = { openTime, open, high, low, close, volume, closeTime }
+      if (isValidCandle(candle)) data.candles.set(openTime, candle)
+    } else if (event.type === 'trade' && Number.isFinite(event.price) && event.price > 0 && Number.isFinite(event.ts)) {
+      const openTime = Math.floor(event.ts / RECORDING_SUB_INTERVAL_MS) * RECORDING_SUB_INTERVAL_MS
+      const sub = data.subCandles.get(openTime)
+      if (!sub) {
+        data.subCandles.set(openTime, {
+          openTime,
+          open: event.price,
+          high: event.price,
+          low: event.price,
+          close: event.price,
+          volume: event.qty || 0,
+          closeTime: openTime + RECORDING_SUB_INTERVAL_MS - 1,
+        })
+      } else {
+        sub.high = Math.max(sub.high, event.price)
+        sub.low = Math.min(sub.low, event.price)
+        sub.close = event.price
+        sub.volume += event.qty || 0
+      }
+    }
+  }
+
+  const byOpenTime = (a, b) => a.openTime - b.openTime
+  return {
+    startTs,
+    endTs,
+    bySymbol: new Map(
+      [...bySymbol].map(([symbol, data]) => [symbol, { candles: [...data.candles.values()].sort(byOpenTime), subCandles: [...data.subCandles.values()].sort(byOpenTime) }]),
+    ),
+  }
+}
+
+// Intra-candle price path model: a candle is walked open -> first extreme -> second extreme -> close,
+// visiting the low first on green candles (close >= open) and the high first on red ones. Each leg is
+// split into `steps` linear increments, and timestamps are spread evenly between openTime and closeTime,
+// so the sampled path roughly matches the engine's fixed-interval render ticks. When sub-candles
+// (e.g. 1m inside 5m) are available, each sub-candle is walked the same way instead of the parent.
+function buildCandlePath(candle, steps) {
+  const legs = candle.close >= candle.open ? [candle.open, candle.low, candle.high, candle.close] : [candle.open, candle.high, candle.low, candle.close]
+
+  const prices = [legs[0]]
+  for (let leg = 1; leg < legs.length; leg += 1) {
+    const from = legs[leg - 1]
+    const to = legs[leg]
+    for (let step = 1; step <= steps; step += 1) prices.push(from + ((to - from) * step) / steps)
+  }
+
+  const span = Math.max(1, candle.closeTime - candle.openTime)
+  return prices.map((price, i) => ({ ts: candle.openTime + Math.floor((span * i) / (prices.length - 1)), price }))
+}
+
+function buildPricePath(candle, subCandles, steps) {
+  if (!Array.isArray(subCandles) || subCandles.length === 0) return buildCandlePath(candle, steps)
+  return subCandles.flatMap((sub) => buildCandlePath(sub, steps))
+}
+
+function groupSubCandles(candles, subCandles) {
+  const grouped = new Map()
+  if (!Array.isArray(subCandles) || subCandles.length === 0) return grouped
+
+  let j = 0
+  for (const candle of candles) {
+    const inside = []
+    while (j < subCandles.length && subCandles[j].openTime < candle.openTime) j += 1
+    while (j < subCandles.length && subCandles[j].closeTime <= candle.closeTime) {
+      inside.push(subCandles[j])
+      j += 1
+    }
+    if (inside.length > 0) grouped.set(candle.openTime, inside)
+  }
+
+  return grouped
+}
+
+// Steps candles through the same evaluate -> decision plan -> sim exit/entry order buildRows uses, with
+// the symbol's configured strategy unless `strategy` names another one. Klines carry no aggTrade flow,
+// so the flow confirmation filter stays neutral during a backtest. The strategy's higher timeframes are
+// aggregated from the candles themselves, closed ones only. Candles before `tradeFrom` only serve as
+// history; stepping stops at `tradeTo`.
+function runSymbolBacktest(options) {
+  const {
+    symbol,
+    candles,
+    subCandles = null,
+    simConfig: baseSimConfig = SIM_CONFIG,
+    leverageBrackets = null,
+    strategy: strategyName = strategyNameForSymbol(symbol),
+    strategyParams = {},
+    steps = DEFAULT_PATH_STEPS,
+    tradeFrom = null,
+    tradeTo = null,
+  } = options
+  const simConfig = leverageBrackets ? { ...baseSimConfig, leverageBrackets } : baseSimConfig
+  const strategy = createStrategy(strategyName, strategyParams)
+  const historyLimit = Math.max(HISTORY_CANDLES, strategy.requiredHistory ?? 0)
+  const sim = createSymbolSimState()
+  const subByOpenTime = groupSubCandles(candles, subCandles)
+  const higherTimeframes = Object.entries(strategy.higherTimeframes ?? {}).map(([interval, limit]) => ({
+    interval,
+    limit,
+    candles: aggregateCandles(candles, intervalToMs(interval)),
+    closedCount: 0,
+  }))
+  const trades = []
+  let plan = null
+  let lastCandle = null
+
+  const record = (closed) => {
+    if (closed) trades.push({ symbol, ...closed })
+  }
+
+  for (let i = Math.max(1, ANALYSIS_MIN_CANDLES); i < candles.length; i += 1) {
+    const candle = candles[i]
+    if (Number.isFinite(tradeFrom) && candle.openTime < tradeFrom) continue
+    if (Number.isFinite(tradeTo) && candle.openTime >= tradeTo) break
+
+    const history = candles.slice(Math.max(0, i - historyLimit), i)
+    const cycleId = candle.closeTime
+    const htfHistory = {}
+    for (const htf of higherTimeframes) {
+      while (htf.closedCount < htf.candles.length && htf.candles[htf.closedCount].closeTime <= candles[i - 1].closeTime) htf.closedCount += 1
+      htfHistory[htf.interval] = htf.candles.slice(Math.max(0, htf.closedCount - htf.limit), htf.closedCount)
+    }
+
+    for (const point of buildPricePath(candle, subByOpenTime.get(candle.openTime), steps)) {
+      const analysis = strategy.evaluate({
+        symbol,
+        candles: history,
+        higherTimeframes: htfHistory,
+        livePrice: point.price,
+        msToNextCandle: Math.max(0, cycleId - point.ts),
+        decisionWindowMs: decisionWindowMs(candle.closeTime + 1 - candle.openTime),
+        flow: null,
+        now: point.ts,
+      })
+      plan = nextDecisionPlan(plan, cycleId, analysis, point.price, point.ts)
+
+      record(updateOpenTrade(sim, point.price, point.ts))
+      maybeOpenTrade(sim, plan, point.price, point.ts, simConfig)
+    }
+    lastCandle = candle
+    if (strategy.onCandleClose) strategy.onCandleClose(candle, { symbol, candles: candles.slice(Math.max(0, i + 1 - historyLimit), i + 1) })
+  }
+
+  if (sim.activeTrade && lastCandle) record(closeTrade(sim, lastCandle.close, lastCandle.closeTime, 'END'))
+
+  return {
+    symbol,
+    strategy: strategy.name,
+    candles: candles.length,
+    trades,
+    summary: summarizeTrades(trades),
+  }
+}
+
+function summarizeTrades(trades) {
+  const ordered = [...trades].sort((a, b) => a.exitTime - b.exitTime)
+
+  let wins = 0
+  let grossProfitUsd = 0
+  let grossLossUsd = 0
+  let feesUsd = 0
+  let equity = 0
+  let peak = 0
+  let maxDrawdownUsd = 0
+
+  for (const trade of ordered) {
+    if (trade.pnlUsd > 0) {
+      wins += 1
+      grossProfitUsd += trade.pnlUsd
+    } else {
+      grossLossUsd += Math.abs(trade.pnlUsd)
+    }
+    feesUsd += trade.feesUsd || 0
+
+    equity += trade.pnlUsd
+    if (equity > peak) peak = equity
+    if (peak - equity > maxDrawdownUsd) maxDrawdownUsd = peak - equity
+  }
+
+  const total = ordered.length
+  const netPnlUsd = grossProfitUsd - grossLossUsd
+  const profitFactor = grossLossUsd > 0 ? grossProfitUsd / grossLossUsd : grossProfitUsd > 0 ? Number.POSITIVE_INFINITY : 0
+  // Per-trade Sharpe: mean / stdev of trade PnL, not annualized.
+  const pnlStdUsd = stdDev(ordered.map((t) => t.pnlUsd))
+  const sharpe = pnlStdUsd > 0 ? netPnlUsd / total / pnlStdUsd : 0
+
+  return {
+    trades: total,
+    wins,
+    losses: total - wins,
+    winRatePct: total > 0 ? (wins / total) * 100 : 0,
+    netPnlUsd,
+    grossProfitUsd,
+    grossLossUsd,
+    feesUsd,
+    profitFactor,
+    sharpe,
+    maxDrawdownUsd,
+    avgPnlUsd: total > 0 ? netPnlUsd / total : 0,
+  }
+}
+
+function formatTs(ts) {
+  return Number.isFinite(ts) ? new Date(ts).toISOString().slice(0, 19).replace('T', ' ') : '-'
+}
+
+function formatUsd(value) {
+  return `${value >= 0 ? '+' : '-'}$${Math.abs(value).toFixed(4)}`
+}
+
+function formatSummary(label, summary) {
+  const pf = Number.isFinite(summary.profitFactor) ? summary.profitFactor.toFixed(2) : 'inf'
+  return (
+    `${label.padEnd(10)} | trades ${String(summary.trades).padEnd(4)} | ` +
+    `win ${summary.wins}/${summary.trades} (${summary.winRatePct.toFixed(1)}%) | ` +
+    `net ${formatUsd(summary.netPnlUsd)} | PF ${pf} | maxDD $${summary.maxDrawdownUsd.toFixed(4)} | fees $${summary.feesUsd.toFixed(4)}`
+  )
+}
+
+function printReport(results, { showTrades = true } = {}) {
+  if (showTrades) {
+    for (const result of results) {
+      console.log(`\n${result.symbol} ${result.strategy} trades (${result.trades.length} from ${result.candles} candles)`)
+      console.log('ENTRY TIME          | EXIT TIME           | SIDE  | ENTRY        | EXIT         | REASON      | NET')
+      for (const t of result.trades) {
+        console.log(
+          `${formatTs(t.entryTime)} | ${formatTs(t.exitTime)} | ${t.side.toUpperCase().padEnd(5)} | ` +
+            `${formatPrice(t.entryPrice).padEnd(12)} | ${formatPrice(t.exitPrice).padEnd(12)} | ${String(t.exitReason).padEnd(11)} | ` +
+            `${formatUsd(t.pnlUsd)} (${formatNumber(t.roiPct, 2)}%)`,
+        )
+      }
+    }
+  }
+
+  console.log('\nSummary')
+  console.log('-------')
+  for (const result of results) console.log(formatSummary(result.symbol, result.summary))
+  if (results.length > 1) console.log(formatSummary('ALL', summarizeTrades(results.flatMap((r) => r.trades))))
+}
+
+function parseFileArgs(values, symbols) {
+  const files = new Map()
+  for (const value of values ?? []) {
+    const eq = value.indexOf('=')
+    if (eq > 0) files.set(value.slice(0, eq).toUpperCase(), value.slice(eq + 1))
+    else if (symbols.length === 1) files.set(symbols[0], value)
+    else throw new Error(`--file ${value} needs SYMBOL=path when backtesting several symbols`)
+  }
+  return files
+}
+
+function parseTime(value, fallback) {
+  if (value === undefined) return fallback
+  const ts = /^\d+$/.test(value) ? Number(value) : Date.parse(value)
+  if (!Number.isFinite(ts)) throw new Error(`Invalid time: ${value}`)
+  return ts
+}
+
+const BACKTEST_CLI_OPTIONS = {
+  symbols: { type: 'string' },
+  file: { type: 'string', multiple: true },
+  recording: { type: 'string' },
+  from: { type: 'string' },
+  to: { type: 'string' },
+  days: { type: 'string', default: '3' },
+  'sub-interval': { type: 'string' },
+  steps: { type: 'string', default: String(DEFAULT_PATH_STEPS) },
+  'cache-dir': { type: 'string', default: DEFAULT_CACHE_DIR },
+  strategy: { type: 'string' },
+}
+
+// History to download ahead of `from`: the strategy's own candles or, when longer, its higher timeframes.
+function warmupMsFor(symbol, interval, strategyNames) {
+  const names = strategyNames ? strategyNames.split(',').map((s) => s.trim()).filter(Boolean) : [strategyNameForSymbol(symbol)]
+  let warmupMs = HISTORY_CANDLES * intervalToMs(interval)
+  for (const name of names) {
+    const strategy = createStrategy(name)
+    warmupMs = Math.max(warmupMs, (strategy.requiredHistory ?? 0) * intervalToMs(interval))
+    for (const [htfInterval, limit] of Object.entries(strategy.higherTimeframes ?? {})) warmupMs = Math.max(warmupMs, (limit + 1) * intervalToMs(htfInterval))
+  }
+  return warmupMs
+}
+
+// Resolves the shared data options (symbols, --file, --recording, --from/--to/--days, --sub-interval)
+// into one { symbol, candles, subCandles, tradeFrom } dataset per symbol.
+async function loadBacktestInputs(values) {
+  const symbols = values.symbols
+    ? values.symbols
+        .split(',')
+        .map((s) => s.trim().toUpperCase())
+        .filter(Boolean)
+    : SYMBOLS
+  const steps = Math.max(1, Math.floor(Number(values.steps) || DEFAULT_PATH_STEPS))
+  // Brackets saved by the last live or keyed run, so backtests liquidate at the same prices.
+  const bracketCache = new LeverageBracketCache({ file: LEVERAGE_BRACKETS_FILE })
+  const leverageBracketsFor = (symbol) => bracketCache.bracketsFor(marketSymbolFor(symbol).toUpperCase())
+
+  if (values.recording) {
+    const recordingFiles = listRecordingFiles(values.recording)
+    if (recordingFiles.length === 0) throw new Error(`No recordings found in ${values.recording}`)
+
+    const recorded = await loadCandlesFromRecordings(recordingFiles, symbols)
+    const datasets = symbols.map((symbol) => ({ symbol, ...recorded.bySymbol.get(symbol), leverageBrackets: leverageBracketsFor(symbol), tradeFrom: recorded.startTs }))
+    return { symbols, steps, from: recorded.startTs, to: recorded.endTs, datasets }
+  }
+
+  const files = parseFileArgs(values.file, symbols)
+  // Every supported interval divides an hour, so this is a candle boundary for all symbols.
+  const alignMs = Math.max(...symbols.map((symbol) => intervalToMs(klineIntervalForSymbol(symbol))))
+
+  const to = Math.floor(parseTime(values.to, Date.now()) / alignMs) * alignMs
+  const from = parseTime(values.from, to - Number(values.days) * 24 * 60 * 60 * 1000)
+
+  const datasets = []
+  for (const symbol of symbols) {
+    const marketSymbol = marketSymbolFor(symbol)
+    const file = files.get(symbol)
+    const interval = klineIntervalForSymbol(symbol)
+    const warmupFrom = from - warmupMsFor(symbol, interval, values.strategy)
+
+    const candles = file ? loadCandlesFromFile(file) : await loadOrDownloadCandles(marketSymbol, interval, warmupFrom, to, values['cache-dir'])
+    const subCandles = values['sub-interval'] && !file ? await loadOrDownloadCandles(marketSymbol, values['sub-interval'], from, to, values['cache-dir']) : null
+
+    datasets.push({ symbol, candles, subCandles, leverageBrackets: leverageBracketsFor(symbol), tradeFrom: file ? null : from })
+  }
+
+  return { symbols, steps, from, to, datasets }
+}
+
+async function runCli(argv = process.argv.slice(2)) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      ...BACKTEST_CLI_OPTIONS,
+      out: { type: 'string' },
+      'no-trades': { type: 'boolean', default: false },
+    },
+  })
+
+  const { from, to, steps, datasets } = await loadBacktestInputs(values)
+
+  // --strategy a,b runs every strategy over the same data for an A/B comparison.
+  const strategyNames = values.strategy ? values.strategy.split(',').map((s) => s.trim()).filter(Boolean) : [null]
+  const runs = strategyNames.map((strategy) => ({
+    strategy: strategy ?? 'configured',
+    results: datasets.map((dataset) => runSymbolBacktest({ ...dataset, steps, ...(strategy ? { strategy } : {}) })),
+  }))
+
+  for (const run of runs) {
+    if (runs.length > 1) console.log(`\n=== Strategy: ${run.strategy} ===`)
+    printReport(run.results, { showTrades: !values['no-trades'] })
+  }
+
+  if (values.out) {
+    fs.writeFileSync(values.out, JSON.stringify({ from, to, steps, simConfig: SIM_CONFIG, runs }, null, 2))
+    console.log(`\nSaved ${values.out}`)
+  }
+
+  return runs
+}
+
+module.exports = {
+  BACKTEST_CLI_OPTIONS,
+  buildPricePath,
+  formatSummary,
+  loadBacktestInputs,
+  loadCandlesFromFile,
+  loadCandlesFromRecordings,
+  loadOrDownloadCandles,
+  runCli,
+  runSymbolBacktest,
+  summarizeTrades,
+}
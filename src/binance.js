@@ -1,108 +1,204 @@
 'use strict'
 
-const crypto = require('crypto')
-const https = require('https')
+const { BINANCE_FUTURES_REST_BASE, BINANCE_RECV_WINDOW_MS, HISTORY_CANDLES, HISTORY_INTERVAL } = require('./config')
+const { RestGovernor, sharedRestGovernor } = require('./restGovernor')
+const { TimeSync, sendSignedRequest } = require('./timeSync')
 
-const { BINANCE_FUTURES_REST_BASE, HISTORY_CANDLES, HISTORY_INTERVAL } = require('./config')
+const KLINE_PAGE_LIMIT = 1500
 
-function fetchJson(url, options = {}) {
-  const headers = options.headers ?? {}
+function normalizeCommissionToPct(rawValue) {
+  const fee = Number(rawValue)
+  if (!Number.isFinite(fee) || fee < 0) return null
+  if (fee <= 1) return fee * 100
+  return fee
+}
 
-  if (typeof fetch === 'function') {
-    return fetch(url, { headers }).then(async (response) => {
-      if (!response.ok) {
-        const body = await response.text()
-        throw new Error(`HTTP ${response.status} ${body}`)
-      }
-      return response.json()
+function parseKlineRow(r) {
+  return {
+    openTime: Number(r[0]),
+    open: Number(r[1]),
+    high: Number(r[2]),
+    low: Number(r[3]),
+    close: Number(r[4]),
+    volume: Number(r[5]),
+    closeTime: Number(r[6]),
+  }
+}
+
+// REST client bound to one base URL and fetch implementation, so the engine can be pointed
+// at a mock server or a stub in tests. Requests go through the process-wide RestGovernor unless
+// a stub fetchImpl (or another governor) is passed.
+function createBinanceRestClient(options = {}) {
+  const baseUrl = options.baseUrl || BINANCE_FUTURES_REST_BASE
+  const governor = options.governor ?? (options.fetchImpl ? new RestGovernor({ fetchImpl: options.fetchImpl }) : sharedRestGovernor)
+  const now = options.now || (() => Date.now())
+  const timeSync = options.timeSync ?? new TimeSync({ baseUrl, governor, now })
+
+  const get = (url, requestOptions = {}) => governor.request(url, requestOptions)
+
+  // { makerFeePct, takerFeePct } for the account, or null without keys.
+  async function fetchFuturesCommissionRates(marketSymbol) {
+    const apiKey = options.apiKey || process.env.BINANCE_FUTURES_API_KEY || process.env.BINANCE_API_KEY
+    const apiSecret = options.apiSecret || process.env.BINANCE_FUTURES_API_SECRET || process.env.BINANCE_API_SECRET
+    if (!apiKey || !apiSecret) return null
+
+    const payload = await sendSignedRequest({
+      governor,
+      timeSync,
+      baseUrl,
+      apiKey,
+      apiSecret,
+      recvWindow: BINANCE_RECV_WINDOW_MS,
+      path: '/fapi/v1/commissionRate',
+      params: { symbol: marketSymbol.toUpperCase() },
     })
+
+    return {
+      makerFeePct: normalizeCommissionToPct(payload?.makerCommissionRate),
+      takerFeePct: normalizeCommissionToPct(payload?.takerCommissionRate),
+    }
+  }
+
+  async function fetchFuturesCommissionRatePct(marketSymbol) {
+    const rates = await fetchFuturesCommissionRates(marketSymbol)
+    return rates ? rates.takerFeePct : null
   }
 
-  return new Promise((resolve, reject) => {
-    const req = https.get(url, { headers }, (res) => {
-      let raw = ''
-      res.on('data', (chunk) => {
-        raw += chunk
-      })
-      res.on('end', () => {
-        if (res.statusCode < 200 || res.statusCode >= 300) {
-          reject(new Error(`HTTP ${res.statusCode} ${raw}`))
-          return
-        }
-
-        try {
-          resolve(JSON.parse(raw))
-        } catch {
-          reject(new Error('Invalid JSON response'))
-        }
-      })
+  // Raw /fapi/v1/leverageBracket rows ([{ symbol, brackets }]) for every symbol, or null without keys.
+  async function fetchLeverageBrackets() {
+    const apiKey = options.apiKey || process.env.BINANCE_FUTURES_API_KEY || process.env.BINANCE_API_KEY
+    const apiSecret = options.apiSecret || process.env.BINANCE_FUTURES_API_SECRET || process.env.BINANCE_API_SECRET
+    if (!apiKey || !apiSecret) return null
+
+    const payload = await sendSignedRequest({
+      governor,
+      timeSync,
+      baseUrl,
+      apiKey,
+      apiSecret,
+      recvWindow: BINANCE_RECV_WINDOW_MS,
+      path: '/fapi/v1/leverageBracket',
     })
+    return Array.isArray(payload) ? payload : payload ? [payload] : []
+  }
 
-    req.on('error', reject)
-  })
-}
+  async function fetchKlineHistory(marketSymbol, interval = HISTORY_INTERVAL, limit = HISTORY_CANDLES, range = {}) {
+    const symbol = marketSymbol.toUpperCase()
+    const params = new URLSearchParams({ symbol, interval, limit: String(limit) })
+    if (Number.isFinite(range.startTime)) params.set('startTime', String(range.startTime))
+    if (Number.isFinite(range.endTime)) params.set('endTime', String(range.endTime))
 
-function buildSignedQuery(params, secret) {
-  const query = new URLSearchParams(params).toString()
-  const signature = crypto.createHmac('sha256', secret).update(query).digest('hex')
-  return `${query}&signature=${signature}`
-}
+    const endpoint = `${baseUrl}/fapi/v1/klines?${params.toString()}`
+    const rows = await get(endpoint)
 
-function normalizeCommissionToPct(rawValue) {
-  const fee = Number(rawValue)
-  if (!Number.isFinite(fee) || fee < 0) return null
-  if (fee <= 1) return fee * 100
-  return fee
-}
+    if (!Array.isArray(rows)) {
+      throw new Error(`Unexpected history payload for ${symbol}`)
+    }
 
-async function fetchFuturesCommissionRatePct(marketSymbol) {
-  const apiKey = process.env.BINANCE_FUTURES_API_KEY || process.env.BINANCE_API_KEY
-  const apiSecret = process.env.BINANCE_FUTURES_API_SECRET || process.env.BINANCE_API_SECRET
-  if (!apiKey || !apiSecret) return null
-
-  const symbol = marketSymbol.toUpperCase()
-  const queryWithSignature = buildSignedQuery(
-    {
-      symbol,
-      recvWindow: 5000,
-      timestamp: Date.now(),
-    },
-    apiSecret,
-  )
-
-  const endpoint = `${BINANCE_FUTURES_REST_BASE}/fapi/v1/commissionRate?${queryWithSignature}`
-  const payload = await fetchJson(endpoint, {
-    headers: {
-      'X-MBX-APIKEY': apiKey,
-    },
-  })
-
-  const takerFeePct = normalizeCommissionToPct(payload?.takerCommissionRate)
-  return takerFeePct
-}
+    return rows.map(parseKlineRow).filter((c) => Number.isFinite(c.closeTime) && Number.isFinite(c.close))
+  }
 
-async function fetchKlineHistory(marketSymbol, interval = HISTORY_INTERVAL, limit = HISTORY_CANDLES) {
-  const symbol = marketSymbol.toUpperCase()
-  const endpoint = `${BINANCE_FUTURES_REST_BASE}/fapi/v1/klines?symbol=${symbol}&interval=${interval}&limit=${limit}`
-  const rows = await fetchJson(endpoint)
+  // Open interest history (public /futures/data endpoint, 30 days at most): [{ ts, openInterest, openInterestUsd }], oldest first.
+  async function fetchOpenInterestHistory(marketSymbol, period = '5m', limit = 13) {
+    const symbol = marketSymbol.toUpperCase()
+    const params = new URLSearchParams({ symbol, period, limit: String(limit) })
+    const rows = await get(`${baseUrl}/futures/data/openInterestHist?${params.toString()}`)
 
-  if (!Array.isArray(rows)) {
-    throw new Error(`Unexpected history payload for ${symbol}`)
+    if (!Array.isArray(rows)) {
+      throw new Error(`Unexpected open interest payload for ${symbol}`)
+    }
+
+    return rows
+      .map((r) => ({ ts: Number(r.timestamp), openInterest: Number(r.sumOpenInterest), openInterestUsd: Number(r.sumOpenInterestValue) }))
+      .filter((r) => Number.isFinite(r.ts) && Number.isFinite(r.openInterest))
+      .sort((a, b) => a.ts - b.ts)
   }
 
-  return rows
-    .map((r) => ({
-      openTime: Number(r[0]),
-      open: Number(r[1]),
-      high: Number(r[2]),
-      low: Number(r[3]),
-      close: Number(r[4]),
-      volume: Number(r[5]),
-      closeTime: Number(r[6]),
+  // USD-M contracts from exchangeInfo: [{ marketSymbol, status, contractType, quoteAsset, onboardDate }].
+  async function fetchExchangeSymbols() {
+    const payload = await get(`${baseUrl}/fapi/v1/exchangeInfo`)
+
+    if (!Array.isArray(payload?.symbols)) {
+      throw new Error('Unexpected exchangeInfo payload')
+    }
+
+    return payload.symbols.map((s) => ({
+      marketSymbol: String(s.symbol || '').toUpperCase(),
+      status: s.status,
+      contractType: s.contractType,
+      quoteAsset: s.quoteAsset,
+      onboardDate: Number(s.onboardDate),
     }))
-    .filter((c) => Number.isFinite(c.closeTime) && Number.isFinite(c.close))
+  }
+
+  // 24h statistics of every symbol (weight 40): [{ marketSymbol, lastPrice, highPrice, lowPrice, quoteVolume, priceChangePct }].
+  async function fetch24hrTickers() {
+    const rows = await get(`${baseUrl}/fapi/v1/ticker/24hr`)
+
+    if (!Array.isArray(rows)) {
+      throw new Error('Unexpected 24hr ticker payload')
+    }
+
+    return rows.map((r) => ({
+      marketSymbol: String(r.symbol || '').toUpperCase(),
+      lastPrice: Number(r.lastPrice),
+      highPrice: Number(r.highPrice),
+      lowPrice: Number(r.lowPrice),
+      quoteVolume: Number(r.quoteVolume),
+      priceChangePct: Number(r.priceChangePercent),
+    }))
+  }
+
+  // Top of book of every symbol: [{ marketSymbol, bidPrice, askPrice }].
+  async function fetchBookTickers() {
+    const rows = await get(`${baseUrl}/fapi/v1/ticker/bookTicker`)
+
+    if (!Array.isArray(rows)) {
+      throw new Error('Unexpected bookTicker payload')
+    }
+
+    return rows.map((r) => ({ marketSymbol: String(r.symbol || '').toUpperCase(), bidPrice: Number(r.bidPrice), askPrice: Number(r.askPrice) }))
+  }
+
+  async function fetchKlineRange(marketSymbol, interval, startTime, endTime) {
+    const out = []
+    let cursor = startTime
+
+    while (cursor < endTime) {
+      const page = await fetchKlineHistory(marketSymbol, interval, KLINE_PAGE_LIMIT, { startTime: cursor, endTime })
+      if (page.length === 0) break
+
+      for (const candle of page) {
+        const last = out[out.length - 1]
+        if (!last || candle.openTime > last.openTime) out.push(candle)
+      }
+
+      const nextCursor = page[page.length - 1].closeTime + 1
+      if (page.length < KLINE_PAGE_LIMIT || nextCursor <= cursor) break
+      cursor = nextCursor
+    }
+
+    return out
+  }
+
+  return {
+    baseUrl,
+    governor,
+    timeSync,
+    fetch24hrTickers,
+    fetchBookTickers,
+    fetchExchangeSymbols,
+    fetchFuturesCommissionRatePct,
+    fetchFuturesCommissionRates,
+    fetchKlineHistory,
+    fetchKlineRange,
+    fetchLeverageBrackets,
+    fetchOpenInterestHistory,
+  }
 }
 
+const defaultRestClient = createBinanceRestClient()
+
 function parseRawSocketMessage(messageArg) {
   if (typeof messageArg === 'string') return messageArg
   if (Buffer.isBuffer(messageArg)) return messageArg.toString('utf8')
@@ -151,15 +247,44 @@ function normalizeStreamEvent(payload) {
       type: 'mark',
       marketSymbol,
       price: Number(data.p),
+      fundingRate: Number(data.r),
+      nextFundingTime: Number(data.T),
       ts: Number(data.E),
     }
   }
 
+  if (data.e === 'bookTicker') {
+    const marketSymbol = (data.s || streamMarketSymbol || '').toLowerCase()
+    return {
+      type: 'bookTicker',
+      marketSymbol,
+      bidPrice: Number(data.b),
+      bidQty: Number(data.B),
+      askPrice: Number(data.a),
+      askQty: Number(data.A),
+      ts: Number(data.T || data.E),
+    }
+  }
+
+  // Partial book depth (<symbol>@depth<levels>): a full snapshot of the top levels on every message.
+  if (data.e === 'depthUpdate') {
+    const marketSymbol = (data.s || streamMarketSymbol || '').toLowerCase()
+    const parseLevels = (levels) => (Array.isArray(levels) ? levels.map(([price, qty]) => [Number(price), Number(qty)]) : [])
+    return {
+      type: 'depth',
+      marketSymbol,
+      bids: parseLevels(data.b),
+      asks: parseLevels(data.a),
+      ts: Number(data.T || data.E),
+    }
+  }
+
   if (data.e === 'kline' && data.k) {
     const marketSymbol = (data.s || streamMarketSymbol || '').toLowerCase()
     return {
       type: 'kline',
       marketSymbol,
+      interval: data.k.i,
       isClosed: Boolean(data.k.x),
       open: Number(data.k.o),
       high: Number(data.k.h),
@@ -175,9 +300,12 @@ function normalizeStreamEvent(payload) {
 }
 
 module.exports = {
-  fetchFuturesCommissionRatePct,
-  fetchKlineHistory,
+  createBinanceRestClient,
+  fetchFuturesCommissionRatePct: defaultRestClient.fetchFuturesCommissionRatePct,
+  fetchKlineHistory: defaultRestClient.fetchKlineHistory,
+  fetchKlineRange: defaultRestClient.fetchKlineRange,
   normalizeStreamEvent,
+  parseKlineRow,
   parseRawSocketMessage,
   parseSocketPayload,
 }
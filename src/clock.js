@@ -0,0 +1,72 @@
+'use strict'
+
+function createSystemClock() {
+  return {
+    now: () => Date.now(),
+    setTimeout: (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: (id) => clearTimeout(id),
+    setInterval: (fn, ms) => setInterval(fn, ms),
+    clearInterval: (id) => clearInterval(id),
+  }
+}
+
+// Virtual clock used by replay and tests; time only moves when the driver sets it, and timers
+// scheduled through it fire in order as time passes their due timestamp.
+function createVirtualClock(startTs = 0) {
+  let current = startTs
+  let nextTimerId = 1
+  const timers = new Map() // id -> { at, fn, everyMs }
+
+  const schedule = (fn, ms, everyMs) => {
+    const id = nextTimerId
+    nextTimerId += 1
+    timers.set(id, { at: current + Math.max(0, Number(ms) || 0), fn, everyMs })
+    return id
+  }
+
+  const clear = (id) => {
+    timers.delete(id)
+  }
+
+  const runDue = (until) => {
+    while (true) {
+      let dueId = null
+      let due = null
+      for (const [id, timer] of timers) {
+        if (timer.at <= until && (!due || timer.at < due.at)) {
+          due = timer
+          dueId = id
+        }
+      }
+      if (!due) return
+
+      current = Math.max(current, due.at)
+      if (due.everyMs > 0) due.at += due.everyMs
+      else timers.delete(dueId)
+      due.fn()
+    }
+  }
+
+  return {
+    now: () => current,
+    set(ts) {
+      if (Number.isFinite(ts) && ts > current) {
+        runDue(ts)
+        current = ts
+      }
+      return current
+    },
+    advance(ms) {
+      return this.set(current + ms)
+    },
+    setTimeout: (fn, ms) => schedule(fn, ms, 0),
+    clearTimeout: clear,
+    setInterval: (fn, ms) => schedule(fn, ms, Math.max(1, Number(ms) || 0)),
+    clearInterval: clear,
+  }
+}
+
+module.exports = {
+  createSystemClock,
+  createVirtualClock,
+}
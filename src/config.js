@@ -1,10 +1,28 @@
 'use strict'
 
+const fs = require('fs')
+const { ConfigSettings } = require('./configFile')
+const { LeverageBracketCache, bracketForNotional } = require('./leverageBrackets')
+const { EVENT_TYPES: NOTIFY_EVENT_TYPES } = require('./notifier')
+
 const FIVE_MINUTES_MS = 5 * 60 * 1000
 
-function numEnv(key, def) {
-  const value = Number(process.env[key])
-  return Number.isFinite(value) ? value : def
+// Every setting below comes from the environment, then the config file (CONFIG_FILE, or config.json /
+// config.yaml / config.yml in the working directory), then its default. Each read registers the
+// setting's type and range with CONFIG_SETTINGS, which validates it and reports where it came from.
+const CONFIG_FILE = process.env.CONFIG_FILE || ['config.json', 'config.yaml', 'config.yml'].find((file) => fs.existsSync(file)) || ''
+const CONFIG_SETTINGS = new ConfigSettings({ file: CONFIG_FILE })
+
+function numEnv(key, def, rules) {
+  return CONFIG_SETTINGS.number(key, def, rules)
+}
+
+function boolEnv(key, def) {
+  return CONFIG_SETTINGS.boolean(key, def)
+}
+
+function strEnv(key, def, rules) {
+  return CONFIG_SETTINGS.string(key, def, rules)
 }
 
 function parseCoinsEnv(raw) {
@@ -18,8 +36,20 @@ function parseCoinsEnv(raw) {
   return Array.from(new Set(coins))
 }
 
+// SYMBOL=value,SYMBOL=value; symbols are upper-cased.
+function parseSymbolMapEnv(raw) {
+  if (!raw || typeof raw !== 'string') return {}
+  return Object.fromEntries(
+    raw
+      .split(',')
+      .map((pair) => pair.split('=').map((s) => s.trim()))
+      .filter(([symbol, value]) => symbol && value)
+      .map(([symbol, value]) => [symbol.toUpperCase(), value]),
+  )
+}
+
 const DEFAULT_COINS = ['1000PEPE', '1000FLOKI', '1000SHIBU', '1000BONK', '1000RATS']
-const SYMBOLS = parseCoinsEnv(process.env.COIN_LIST) ?? DEFAULT_COINS
+const SYMBOLS = parseCoinsEnv(strEnv('COIN_LIST', DEFAULT_COINS.join(','))) ?? DEFAULT_COINS
 
 const MARKET_SYMBOL_OVERRIDES = {
   // Alias support: user-friendly symbol -> valid Binance futures market symbol.
@@ -34,68 +64,361 @@ function marketSymbolForCoin(symbol) {
 
 const MARKET_SYMBOLS = Object.fromEntries(SYMBOLS.map((symbol) => [symbol, marketSymbolForCoin(symbol)]))
 
-const HISTORY_INTERVAL = '5m'
-const HISTORY_CANDLES = numEnv('HISTORY_CANDLES', 72)
-const ANALYSIS_MIN_CANDLES = Math.max(20, Math.min(HISTORY_CANDLES, numEnv('ANALYSIS_MIN_CANDLES', 50)))
-const DECISION_WINDOW_MS = numEnv('DECISION_WINDOW_MS', FIVE_MINUTES_MS)
-const RENDER_INTERVAL_MS = numEnv('RENDER_INTERVAL_MS', 1_000)
-const FLOW_LOOKBACK_MS = numEnv('FLOW_LOOKBACK_MS', 60_000)
-const FLOW_MIN_SAMPLES = numEnv('FLOW_MIN_SAMPLES', 20)
-const FLOW_CONFIRM_THRESHOLD = numEnv('FLOW_CONFIRM_THRESHOLD', 0.08)
-const TRIGGER_MIN_PCT = numEnv('TRIGGER_MIN_PCT', 0.05)
-const TRIGGER_MAX_PCT = numEnv('TRIGGER_MAX_PCT', 1.2)
-const TRIGGER_ATR_WEIGHT = numEnv('TRIGGER_ATR_WEIGHT', 0.45)
-const TRIGGER_VOL_WEIGHT = numEnv('TRIGGER_VOL_WEIGHT', 0.65)
+// The coin name the engine uses for a market symbol picked by the universe selector (1000PEPEUSDT -> 1000PEPE).
+function coinForMarketSymbol(marketSymbol) {
+  const lower = String(marketSymbol).toLowerCase()
+  const alias = Object.keys(MARKET_SYMBOL_OVERRIDES).find((symbol) => MARKET_SYMBOL_OVERRIDES[symbol] === lower)
+  return alias ?? lower.replace(/usdt$/, '').toUpperCase()
+}
+
+// Dynamic symbol universe (see universe.js): every UNIVERSE_REFRESH_MINUTES the USDT-M perpetuals whose coin
+// matches UNIVERSE_FILTER (comma-separated, * is a wildcard, e.g. 1000*) and clear the minimums below are
+// ranked, and the best UNIVERSE_TOP_N are traded. COIN_LIST is then only the starting set.
+const UNIVERSE_CONFIG = {
+  enable: boolEnv('UNIVERSE_ENABLE', false),
+  topN: numEnv('UNIVERSE_TOP_N', 5, { min: 1, max: 50, integer: true }),
+  filter: strEnv('UNIVERSE_FILTER', '', {
+    normalize: (value) => value.toUpperCase(),
+    validate: (value) => {
+      const invalid = value.split(',').filter((pattern) => pattern.trim() && !/^[A-Z0-9*]+$/.test(pattern.trim()))
+      return invalid.length > 0 ? `${invalid.join(', ')} is not a coin pattern (letters, digits and *)` : null
+    },
+  }),
+  refreshMs: numEnv('UNIVERSE_REFRESH_MINUTES', 60, { min: 5 }) * 60 * 1000,
+  minQuoteVolumeUsd: numEnv('UNIVERSE_MIN_QUOTE_VOLUME_USD', 20_000_000, { min: 0 }),
+  // 0 = no limit
+  maxSpreadBps: numEnv('UNIVERSE_MAX_SPREAD_BPS', 10, { min: 0 }),
+  minListingDays: numEnv('UNIVERSE_MIN_LISTING_DAYS', 30, { min: 0 }),
+  // How much each metric's rank counts: 24h quote volume, 24h high-low range, tighter spread, longer listing.
+  weights: {
+    volume: numEnv('UNIVERSE_WEIGHT_VOLUME', 1, { min: 0 }),
+    volatility: numEnv('UNIVERSE_WEIGHT_VOLATILITY', 1, { min: 0 }),
+    spread: numEnv('UNIVERSE_WEIGHT_SPREAD', 0.5, { min: 0 }),
+    age: numEnv('UNIVERSE_WEIGHT_AGE', 0, { min: 0 }),
+  },
+}
+
+// Candle (trigger) timeframe: BINANCE_KLINE_INTERVAL for every symbol, KLINE_INTERVAL_BY_SYMBOL="1000PEPE=1m,..." per symbol.
+const SUPPORTED_KLINE_INTERVALS = ['1m', '3m', '5m', '15m', '1h']
+
+function parseKlineInterval(raw, fallback) {
+  const interval = String(raw ?? '').trim()
+  return SUPPORTED_KLINE_INTERVALS.includes(interval) ? interval : fallback
+}
+
+// A SYMBOL=value map whose values must be one of `allowed`.
+function symbolMapRules(allowed) {
+  return {
+    validate: (raw) => {
+      const wrong = Object.entries(parseSymbolMapEnv(raw)).filter(([, value]) => !allowed.includes(value))
+      return wrong.length > 0 ? `${wrong.map(([symbol, value]) => `${symbol}=${value}`).join(', ')} not one of ${allowed.join(', ')}` : null
+    },
+  }
+}
+
+const HISTORY_INTERVAL = strEnv('BINANCE_KLINE_INTERVAL', '5m', { oneOf: SUPPORTED_KLINE_INTERVALS })
+const KLINE_INTERVAL_BY_SYMBOL = Object.fromEntries(
+  Object.entries(parseSymbolMapEnv(strEnv('KLINE_INTERVAL_BY_SYMBOL', '', symbolMapRules(SUPPORTED_KLINE_INTERVALS))))
+    .map(([symbol, interval]) => [symbol, parseKlineInterval(interval, null)])
+    .filter(([, interval]) => interval),
+)
+
+function klineIntervalForSymbol(symbol) {
+  return KLINE_INTERVAL_BY_SYMBOL[symbol] ?? HISTORY_INTERVAL
+}
+
+const HISTORY_CANDLES = numEnv('HISTORY_CANDLES', 72, { min: 20, max: 1500, integer: true })
+const ANALYSIS_MIN_CANDLES = Math.max(20, Math.min(HISTORY_CANDLES, numEnv('ANALYSIS_MIN_CANDLES', 50, { min: 20, integer: true })))
+// Entries are only decided this close to the candle close: DECISION_WINDOW_PCT of the symbol's interval,
+// capped at DECISION_WINDOW_MS when that is set. The default is the whole candle.
+const DECISION_WINDOW_PCT = numEnv('DECISION_WINDOW_PCT', 100, { min: 1, max: 100 })
+const DECISION_WINDOW_MS = numEnv('DECISION_WINDOW_MS', 0, { min: 0 })
+
+function decisionWindowMs(intervalMs) {
+  const windowMs = (intervalMs * DECISION_WINDOW_PCT) / 100
+  return DECISION_WINDOW_MS > 0 ? Math.min(windowMs, DECISION_WINDOW_MS) : windowMs
+}
+const RENDER_INTERVAL_MS = numEnv('RENDER_INTERVAL_MS', 1_000, { min: 100 })
+const FLOW_LOOKBACK_MS = numEnv('FLOW_LOOKBACK_MS', 60_000, { min: 1_000 })
+const FLOW_MIN_SAMPLES = numEnv('FLOW_MIN_SAMPLES', 20, { min: 0, integer: true })
+const FLOW_CONFIRM_THRESHOLD = numEnv('FLOW_CONFIRM_THRESHOLD', 0.08, { min: 0, max: 1 })
+// Streamed order book: bookTicker + partial depth (5, 10 or 20 levels) per symbol. Older than
+// BOOK_STALE_MS counts as missing; the rolling spread averages the last BOOK_SPREAD_WINDOW_MS.
+const BOOK_STREAM_ENABLE = boolEnv('BOOK_STREAM_ENABLE', true)
+const BOOK_DEPTH_LEVELS = numEnv('BOOK_DEPTH_LEVELS', 5, { oneOf: [5, 10, 20] })
+const BOOK_STALE_MS = numEnv('BOOK_STALE_MS', 2_000, { min: 0 })
+const BOOK_SPREAD_WINDOW_MS = numEnv('BOOK_SPREAD_WINDOW_MS', 60_000, { min: 0 })
+const BOOK_CONFIRM_THRESHOLD = numEnv('BOOK_CONFIRM_THRESHOLD', 0.3, { min: 0, max: 1 })
+// Open interest history polled per symbol (0 = off); the table shows its change over the last hour.
+const OPEN_INTEREST_POLL_SECONDS = numEnv('OPEN_INTEREST_POLL_SECONDS', 300, { min: 0 })
+const TRIGGER_MIN_PCT = numEnv('TRIGGER_MIN_PCT', 0.05, { min: 0 })
+const TRIGGER_MAX_PCT = numEnv('TRIGGER_MAX_PCT', 1.2, { min: 0 })
+const TRIGGER_ATR_WEIGHT = numEnv('TRIGGER_ATR_WEIGHT', 0.45, { min: 0 })
+const TRIGGER_VOL_WEIGHT = numEnv('TRIGGER_VOL_WEIGHT', 0.65, { min: 0 })
+
+// Strategy selection: STRATEGY_DEFAULT for every symbol, STRATEGY_BY_SYMBOL="1000PEPE=meanReversion,..." per symbol.
+const STRATEGY_DEFAULT = strEnv('STRATEGY_DEFAULT', 'breakout')
+const STRATEGY_BY_SYMBOL = parseSymbolMapEnv(strEnv('STRATEGY_BY_SYMBOL', ''))
+
+// Strategy knobs that can be overridden per call (optimizer, per-symbol tuning).
+const BREAKOUT_PARAMS = {
+  triggerAtrWeight: TRIGGER_ATR_WEIGHT,
+  triggerVolWeight: TRIGGER_VOL_WEIGHT,
+  flowConfirmThreshold: FLOW_CONFIRM_THRESHOLD,
+  bookConfirmThreshold: BOOK_CONFIRM_THRESHOLD,
+  // Higher-timeframe trend filter: no entries against the HTF_INTERVAL close vs its EMA (empty = off).
+  htfInterval: parseKlineInterval(strEnv('HTF_INTERVAL', '', { oneOf: ['', ...SUPPORTED_KLINE_INTERVALS] }), null),
+  htfEmaPeriod: numEnv('HTF_EMA_PERIOD', 21, { min: 1, integer: true }),
+}
+
+const MEAN_REVERSION_PARAMS = {
+  lookbackCandles: numEnv('MR_LOOKBACK_CANDLES', 20, { min: 2, integer: true }),
+  bandStdDev: numEnv('MR_BAND_STDDEV', 2, { min: 0.1 }),
+  maxTrendPct: numEnv('MR_MAX_TREND_PCT', 0.15, { min: 0 }),
+}
 
 // Simulation trade configuration
-const SIM_MARGIN_USD = numEnv('SIM_MARGIN_USD', 1)
-const SIM_LEVERAGE = numEnv('SIM_LEVERAGE', 10)
-const SIM_SL_ROI_MIN_PCT = numEnv('SIM_SL_ROI_MIN_PCT', 8)
-const SIM_SL_ROI_MAX_PCT = numEnv('SIM_SL_ROI_MAX_PCT', 15)
-const SIM_TRAIL_ACTIVATE_ROI_MIN_PCT = numEnv('SIM_TRAIL_ACTIVATE_ROI_MIN_PCT', 6)
-const SIM_TRAIL_ACTIVATE_ROI_MAX_PCT = numEnv('SIM_TRAIL_ACTIVATE_ROI_MAX_PCT', 12)
-const SIM_TRAIL_DD_ROI_MIN_PCT = numEnv('SIM_TRAIL_DD_ROI_MIN_PCT', 1.5)
-const SIM_TRAIL_DD_ROI_MAX_PCT = numEnv('SIM_TRAIL_DD_ROI_MAX_PCT', 3)
-const SIM_MIN_NET_PROFIT_USD = numEnv('SIM_MIN_NET_PROFIT_USD', 0.03)
-const SIM_FEE_RATE_PCT = numEnv('SIM_FEE_RATE_PCT', 0.05)
+const SIM_MARGIN_USD = numEnv('SIM_MARGIN_USD', 1, { min: 0.1 })
+const SIM_LEVERAGE = numEnv('SIM_LEVERAGE', 10, { min: 1, max: 125, integer: true })
+const SIM_SL_ROI_MIN_PCT = numEnv('SIM_SL_ROI_MIN_PCT', 8, { min: 1 })
+const SIM_SL_ROI_MAX_PCT = numEnv('SIM_SL_ROI_MAX_PCT', 15, { min: 1 })
+const SIM_TRAIL_ACTIVATE_ROI_MIN_PCT = numEnv('SIM_TRAIL_ACTIVATE_ROI_MIN_PCT', 6, { min: 0.1 })
+const SIM_TRAIL_ACTIVATE_ROI_MAX_PCT = numEnv('SIM_TRAIL_ACTIVATE_ROI_MAX_PCT', 12, { min: 0.1 })
+const SIM_TRAIL_DD_ROI_MIN_PCT = numEnv('SIM_TRAIL_DD_ROI_MIN_PCT', 1.5, { min: 0.1 })
+const SIM_TRAIL_DD_ROI_MAX_PCT = numEnv('SIM_TRAIL_DD_ROI_MAX_PCT', 3, { min: 0.1 })
+const SIM_MIN_NET_PROFIT_USD = numEnv('SIM_MIN_NET_PROFIT_USD', 0.03, { min: 0 })
+const SIM_FEE_RATE_PCT = numEnv('SIM_FEE_RATE_PCT', 0.05, { min: 0, max: 1 })
+// Clearance fee on the notional when a sim trade is liquidated, capped at the margin left
+const SIM_LIQUIDATION_FEE_PCT = numEnv('SIM_LIQUIDATION_FEE_PCT', 1, { min: 0, max: 10 })
+
+// Sim fills: 'live' models the live order flow (GTX maker entry with market fallback, market exits,
+// spread and size slippage), 'ideal' fills everything at the last price with the taker fee
+const SIM_EXECUTION_MODEL = strEnv('SIM_EXECUTION_MODEL', 'live', { normalize: (value) => value.toLowerCase(), oneOf: ['live', 'ideal'] })
+const SIM_MAKER_FEE_RATE_PCT = numEnv('SIM_MAKER_FEE_RATE_PCT', 0.02, { min: 0, max: 1 })
+const ENTRY_MODE_RULES = { normalize: (value) => value.toUpperCase(), oneOf: ['LIMIT_GTX', 'MARKET'] }
+const SIM_ENTRY_MODE = strEnv('SIM_ENTRY_MODE', strEnv('LIVE_ENTRY_MODE', 'LIMIT_GTX', ENTRY_MODE_RULES), ENTRY_MODE_RULES)
+const SIM_GTX_FALLBACK_MARKET = boolEnv('SIM_GTX_FALLBACK_MARKET', boolEnv('LIVE_GTX_FALLBACK_MARKET', true))
+// A resting GTX order fills with probability 1 - 0.5^(LIVE_GTX_TIMEOUT_MS / half-life)
+const SIM_GTX_FILL_HALF_LIFE_MS = numEnv('SIM_GTX_FILL_HALF_LIFE_MS', 4_000, { min: 1 })
+// Spread assumed when there is no streamed book or recent trade prints to take it from
+const SIM_SPREAD_BPS_DEFAULT = numEnv('SIM_SPREAD_BPS_DEFAULT', 2, { min: 0 })
+// Price impact of taker fills per $1k of notional beyond the streamed depth (or all of it without depth)
+const SIM_SLIPPAGE_BPS_PER_1K_USD = numEnv('SIM_SLIPPAGE_BPS_PER_1K_USD', 1, { min: 0 })
+
+const SIM_CONFIG = {
+  marginUsd: SIM_MARGIN_USD,
+  leverage: SIM_LEVERAGE,
+  stopLossRoiMinPct: SIM_SL_ROI_MIN_PCT,
+  stopLossRoiMaxPct: SIM_SL_ROI_MAX_PCT,
+  trailActivateRoiMinPct: SIM_TRAIL_ACTIVATE_ROI_MIN_PCT,
+  trailActivateRoiMaxPct: SIM_TRAIL_ACTIVATE_ROI_MAX_PCT,
+  trailDdRoiMinPct: SIM_TRAIL_DD_ROI_MIN_PCT,
+  trailDdRoiMaxPct: SIM_TRAIL_DD_ROI_MAX_PCT,
+  minNetProfitUsd: SIM_MIN_NET_PROFIT_USD,
+  feeRatePct: SIM_FEE_RATE_PCT,
+  liquidationFeeRatePct: SIM_LIQUIDATION_FEE_PCT,
+  executionModel: SIM_EXECUTION_MODEL,
+  makerFeeRatePct: SIM_MAKER_FEE_RATE_PCT,
+  entryMode: SIM_ENTRY_MODE,
+  gtxTimeoutMs: numEnv('LIVE_GTX_TIMEOUT_MS', 4_000, { min: 500 }),
+  gtxFillHalfLifeMs: SIM_GTX_FILL_HALF_LIFE_MS,
+  gtxFallbackMarket: SIM_GTX_FALLBACK_MARKET,
+  spreadBpsDefault: SIM_SPREAD_BPS_DEFAULT,
+  slippageBpsPer1kUsd: SIM_SLIPPAGE_BPS_PER_1K_USD,
+}
+
+// Account-level risk limits across all symbols (sim and live); 0 disables a limit
+const RISK_CONFIG = {
+  maxOpenPositions: numEnv('RISK_MAX_OPEN_POSITIONS', 3, { min: 0, integer: true }),
+  maxSameSidePositions: numEnv('RISK_MAX_SAME_SIDE_POSITIONS', 2, { min: 0, integer: true }),
+  dailyLossLimitUsd: numEnv('RISK_DAILY_LOSS_LIMIT_USD', 2, { min: 0 }),
+  maxConsecutiveLosses: numEnv('RISK_MAX_CONSECUTIVE_LOSSES', 4, { min: 0, integer: true }),
+  cooldownMs: numEnv('RISK_COOLDOWN_MINUTES', 30, { min: 0 }) * 60 * 1000,
+  killSwitchFile: strEnv('RISK_KILL_SWITCH_FILE', 'data/KILL_SWITCH'),
+  // Funding: no entry on the side paying at least this rate (% per funding period), nor this close before a funding time.
+  fundingExtremePct: numEnv('RISK_FUNDING_EXTREME_PCT', 0.1, { min: 0 }),
+  fundingBlockMs: numEnv('RISK_FUNDING_BLOCK_MINUTES', 5, { min: 0 }) * 60 * 1000,
+}
 
 // Live trading (disabled by default)
-const LIVE_TRADING_ENABLE = (process.env.LIVE_TRADING_ENABLE ?? '0') === '1'
-const LIVE_TRADING_TESTNET = (process.env.LIVE_TRADING_TESTNET ?? '0') === '1'
-const LIVE_TRADING_FORCE_ISOLATED = (process.env.LIVE_TRADING_FORCE_ISOLATED ?? '1') === '1'
-const LIVE_ENTRY_MODE = (process.env.LIVE_ENTRY_MODE ?? 'LIMIT_GTX').toUpperCase()
-const LIVE_GTX_TIMEOUT_MS = numEnv('LIVE_GTX_TIMEOUT_MS', 4_000)
-const LIVE_GTX_POLL_MS = numEnv('LIVE_GTX_POLL_MS', 400)
-const LIVE_GTX_FALLBACK_MARKET = (process.env.LIVE_GTX_FALLBACK_MARKET ?? '1') === '1'
-const LIVE_INCOME_LOOKBACK_HOURS = numEnv('LIVE_INCOME_LOOKBACK_HOURS', 24)
-const LIVE_SPREAD_MAX_BPS_DEFAULT = numEnv('LIVE_SPREAD_MAX_BPS_DEFAULT', 25)
-const LIVE_SPREAD_MAX_BPS_BY_SYMBOL = {
-  '1000PEPE': numEnv('LIVE_SPREAD_MAX_BPS_1000PEPE', 18),
-  '1000FLOKI': numEnv('LIVE_SPREAD_MAX_BPS_1000FLOKI', 24),
-  '1000SHIBU': numEnv('LIVE_SPREAD_MAX_BPS_1000SHIBU', 20),
-  '1000BONK': numEnv('LIVE_SPREAD_MAX_BPS_1000BONK', 22),
-  '1000RATS': numEnv('LIVE_SPREAD_MAX_BPS_1000RATS', 30),
-}
-
-const BINANCE_FUTURES_REST_BASE = process.env.BINANCE_FUTURES_REST_BASE || 'https://fapi.binance.com'
-const BINANCE_FUTURES_WS_BASE = process.env.BINANCE_FUTURES_WS_BASE || 'wss://fstream.binance.com/stream?streams='
-
-const STREAM_TYPES = ['aggTrade', 'markPrice@1s', `kline_${HISTORY_INTERVAL}`]
-const STREAM_NAMES = Object.values(MARKET_SYMBOLS).flatMap((marketSymbol) => STREAM_TYPES.map((streamType) => `${marketSymbol}@${streamType}`))
-const BINANCE_WS_URL = `${BINANCE_FUTURES_WS_BASE}${STREAM_NAMES.join('/')}`
-
-const RECONNECT_BASE_MS = numEnv('RECONNECT_BASE_MS', 1_000)
-const RECONNECT_MAX_MS = numEnv('RECONNECT_MAX_MS', 15_000)
-const WS_STALE_TIMEOUT_MS = numEnv('WS_STALE_TIMEOUT_MS', 45_000)
-const WS_PING_INTERVAL_MS = numEnv('WS_PING_INTERVAL_MS', 15_000)
-
-const DISABLE_CONSOLE_CLEAR = (process.env.DISABLE_CONSOLE_CLEAR ?? '0') === '1'
+const LIVE_TRADING_ENABLE = boolEnv('LIVE_TRADING_ENABLE', false)
+const LIVE_TRADING_TESTNET = boolEnv('LIVE_TRADING_TESTNET', false)
+const LIVE_TRADING_FORCE_ISOLATED = boolEnv('LIVE_TRADING_FORCE_ISOLATED', true)
+const LIVE_ENTRY_MODE = strEnv('LIVE_ENTRY_MODE', 'LIMIT_GTX', ENTRY_MODE_RULES)
+const LIVE_GTX_TIMEOUT_MS = numEnv('LIVE_GTX_TIMEOUT_MS', 4_000, { min: 500 })
+const LIVE_GTX_POLL_MS = numEnv('LIVE_GTX_POLL_MS', 400, { min: 100 })
+const LIVE_GTX_FALLBACK_MARKET = boolEnv('LIVE_GTX_FALLBACK_MARKET', true)
+const LIVE_INCOME_LOOKBACK_HOURS = numEnv('LIVE_INCOME_LOOKBACK_HOURS', 24, { min: 0 })
+// Exchange-side protective orders placed after every live fill (backstop for the client-side exits)
+const LIVE_EXCHANGE_STOP_ENABLE = boolEnv('LIVE_EXCHANGE_STOP_ENABLE', true)
+const LIVE_EXCHANGE_TRAILING_ENABLE = boolEnv('LIVE_EXCHANGE_TRAILING_ENABLE', false)
+// Bootstrap closes the excess of a position a retried entry doubled up (0: only report it)
+const LIVE_TRIM_DUPLICATE_ENTRY = boolEnv('LIVE_TRIM_DUPLICATE_ENTRY', true)
+// Fills and position changes pushed over the user data stream; REST polling then only reconciles
+const LIVE_USER_DATA_STREAM = boolEnv('LIVE_USER_DATA_STREAM', true)
+const LIVE_RECONCILE_SECONDS = numEnv('LIVE_RECONCILE_SECONDS', 60, { min: 5 })
+// Live mode only: also paper trade every live entry decision and report how the two diverge (see shadow.js)
+const SHADOW_SIM_ENABLE = boolEnv('SHADOW_SIM_ENABLE', false)
+const LIVE_SPREAD_MAX_BPS_DEFAULT = numEnv('LIVE_SPREAD_MAX_BPS_DEFAULT', 25, { min: 0 })
+const LIVE_SPREAD_MAX_BPS_DEFAULTS = {
+  '1000PEPE': 18,
+  '1000FLOKI': 24,
+  '1000SHIBU': 20,
+  '1000BONK': 22,
+  '1000RATS': 30,
+}
+// LIVE_SPREAD_MAX_BPS_<SYMBOL> for the symbols above, the traded ones and any other that sets one.
+const LIVE_SPREAD_MAX_BPS_BY_SYMBOL = Object.fromEntries(
+  [...new Set([...Object.keys(LIVE_SPREAD_MAX_BPS_DEFAULTS), ...SYMBOLS, ...CONFIG_SETTINGS.suffixesOf('LIVE_SPREAD_MAX_BPS_')])]
+    .filter((symbol) => symbol !== 'DEFAULT')
+    .map((symbol) => [symbol, numEnv(`LIVE_SPREAD_MAX_BPS_${symbol}`, LIVE_SPREAD_MAX_BPS_DEFAULTS[symbol] ?? LIVE_SPREAD_MAX_BPS_DEFAULT, { min: 0 })]),
+)
+
+// Only an explicit REST base overrides the live trader's mainnet/testnet selection (e.g. a local mock).
+const LIVE_TRADING_REST_BASE = strEnv('BINANCE_FUTURES_REST_BASE', '')
+const BINANCE_FUTURES_REST_BASE = LIVE_TRADING_REST_BASE || 'https://fapi.binance.com'
+// Signed requests are stamped with Binance server time (see timeSync.js); this is how stale one may arrive.
+const BINANCE_RECV_WINDOW_MS = numEnv('BINANCE_RECV_WINDOW_MS', 5000, { min: 1_000, max: 60_000 })
+const BINANCE_FUTURES_WS_BASE = strEnv('BINANCE_FUTURES_WS_BASE', 'wss://fstream.binance.com/stream?streams=')
+// Empty means the live trader picks mainnet/testnet itself, like LIVE_TRADING_REST_BASE.
+const BINANCE_FUTURES_USER_WS_BASE = strEnv('BINANCE_FUTURES_USER_WS_BASE', '')
+
+// Kline streams are per symbol (its candle interval plus any higher timeframes), see Engine.
+const STREAM_TYPES = ['aggTrade', 'markPrice@1s', ...(BOOK_STREAM_ENABLE ? ['bookTicker', `depth${BOOK_DEPTH_LEVELS}@100ms`] : [])]
+
+// `extraStreamTypes` maps a market symbol to stream types needed on top of STREAM_TYPES (e.g. declared by its strategy).
+function buildStreamNames(marketSymbols, extraStreamTypes = {}) {
+  return marketSymbols.flatMap((marketSymbol) => {
+    const streamTypes = new Set([...STREAM_TYPES, ...(extraStreamTypes[marketSymbol] ?? [])])
+    return [...streamTypes].map((streamType) => `${marketSymbol}@${streamType}`)
+  })
+}
+
+function buildStreamUrl(marketSymbols, extraStreamTypes = {}) {
+  return `${BINANCE_FUTURES_WS_BASE}${buildStreamNames(marketSymbols, extraStreamTypes).join('/')}`
+}
+
+const DEFAULT_KLINE_STREAMS = Object.fromEntries(SYMBOLS.map((symbol) => [MARKET_SYMBOLS[symbol], [`kline_${klineIntervalForSymbol(symbol)}`]]))
+const STREAM_NAMES = buildStreamNames(Object.values(MARKET_SYMBOLS), DEFAULT_KLINE_STREAMS)
+const BINANCE_WS_URL = buildStreamUrl(Object.values(MARKET_SYMBOLS), DEFAULT_KLINE_STREAMS)
+
+const RECONNECT_BASE_MS = numEnv('RECONNECT_BASE_MS', 1_000, { min: 100 })
+const RECONNECT_MAX_MS = numEnv('RECONNECT_MAX_MS', 15_000, { min: 100 })
+const WS_STALE_TIMEOUT_MS = numEnv('WS_STALE_TIMEOUT_MS', 45_000, { min: 1_000 })
+const WS_PING_INTERVAL_MS = numEnv('WS_PING_INTERVAL_MS', 15_000, { min: 1_000 })
+
+// Raw websocket recording for deterministic replay (disabled by default)
+const RECORD_STREAM_ENABLE = boolEnv('RECORD_STREAM_ENABLE', false)
+const RECORD_DIR = strEnv('RECORD_DIR', 'logs/recordings')
+const RECORD_GZIP = boolEnv('RECORD_GZIP', true)
+const RECORD_MAX_MB = numEnv('RECORD_MAX_MB', 50, { min: 1 })
+const RECORD_ROTATE_MINUTES = numEnv('RECORD_ROTATE_MINUTES', 60, { min: 1 })
+
+// Sim trades, decision plans and live exit control survive restarts via this file
+const STATE_STORE_ENABLE = boolEnv('STATE_STORE_ENABLE', true)
+const STATE_FILE = strEnv('STATE_FILE', 'data/state/engine-state.json')
+const STATE_SAVE_INTERVAL_MS = numEnv('STATE_SAVE_INTERVAL_MS', 1_000, { min: 0 })
+
+// Last /fapi/v1/leverageBracket tiers per symbol, for liquidation prices without API keys
+const LEVERAGE_BRACKETS_FILE = strEnv('LEVERAGE_BRACKETS_FILE', 'data/cache/leverage-brackets.json')
+
+// Append-only journal of every sim/live entry and exit (export with export-trades.js)
+const TRADE_JOURNAL_ENABLE = boolEnv('TRADE_JOURNAL_ENABLE', true)
+const TRADE_JOURNAL_DIR = strEnv('TRADE_JOURNAL_DIR', 'logs/trades')
+
+// Notifications (see notifier.js): a sink is on once its URL / bot token is set. The URLs and the
+// Telegram API base can point at a local stand-in server.
+const NOTIFY_CONFIG = {
+  events: strEnv('NOTIFY_EVENTS', NOTIFY_EVENT_TYPES.join(','), {
+    validate: (value) => {
+      const unknown = value.split(',').filter((event) => event.trim() && !NOTIFY_EVENT_TYPES.includes(event.trim().toLowerCase()))
+      return unknown.length > 0 ? `unknown event ${unknown.join(', ')} (${NOTIFY_EVENT_TYPES.join(', ')})` : null
+    },
+  })
+    .split(',')
+    .map((event) => event.trim().toLowerCase())
+    .filter(Boolean),
+  webhookUrl: strEnv('NOTIFY_WEBHOOK_URL', '', { secret: true }),
+  telegramBotToken: strEnv('NOTIFY_TELEGRAM_BOT_TOKEN', '', { secret: true }),
+  telegramChatId: strEnv('NOTIFY_TELEGRAM_CHAT_ID', ''),
+  telegramApiBase: strEnv('NOTIFY_TELEGRAM_API_BASE', 'https://api.telegram.org'),
+  discordWebhookUrl: strEnv('NOTIFY_DISCORD_WEBHOOK_URL', '', { secret: true }),
+  dedupMs: numEnv('NOTIFY_DEDUP_SECONDS', 300, { min: 0 }) * 1000,
+  maxPerMinute: numEnv('NOTIFY_MAX_PER_MINUTE', 20, { min: 1, integer: true }),
+  maxQueue: numEnv('NOTIFY_MAX_QUEUE', 200, { min: 1, integer: true }),
+  maxAttempts: numEnv('NOTIFY_MAX_ATTEMPTS', 8, { min: 1, integer: true }),
+}
+
+// Embedded HTTP/JSON API and websocket row feed for dashboards and bots (see apiServer.js); 0 = off
+const API_PORT = numEnv('API_PORT', 0, { min: 0, max: 65_535, integer: true })
+const API_HOST = strEnv('API_HOST', '127.0.0.1')
+
+// Local control socket for control.js (see controlServer.js); a named pipe on Windows
+const CONTROL_SOCKET_ENABLE = boolEnv('CONTROL_SOCKET_ENABLE', true)
+const CONTROL_SOCKET = strEnv('CONTROL_SOCKET', process.platform === 'win32' ? '\\\\.\\pipe\\binance-futures-monitor' : 'data/control.sock')
+
+const DISABLE_CONSOLE_CLEAR = boolEnv('DISABLE_CONSOLE_CLEAR', false)
+// Interactive terminal UI (see terminalUi.js) when stdin and stdout are a terminal; 0 = plain console table
+const TUI_ENABLE = boolEnv('TUI_ENABLE', true)
+
+// Rules across settings. Each gets the effective values, also when a hot reload checks a changed file.
+const ORDERED_PAIRS = [
+  ['SIM_SL_ROI_MIN_PCT', 'SIM_SL_ROI_MAX_PCT'],
+  ['SIM_TRAIL_ACTIVATE_ROI_MIN_PCT', 'SIM_TRAIL_ACTIVATE_ROI_MAX_PCT'],
+  ['SIM_TRAIL_DD_ROI_MIN_PCT', 'SIM_TRAIL_DD_ROI_MAX_PCT'],
+  ['TRIGGER_MIN_PCT', 'TRIGGER_MAX_PCT'],
+  ['ANALYSIS_MIN_CANDLES', 'HISTORY_CANDLES'],
+  ['RECONNECT_BASE_MS', 'RECONNECT_MAX_MS'],
+  ['WS_PING_INTERVAL_MS', 'WS_STALE_TIMEOUT_MS'],
+  ['LIVE_GTX_POLL_MS', 'LIVE_GTX_TIMEOUT_MS'],
+]
+for (const [lowKey, highKey] of ORDERED_PAIRS) {
+  CONFIG_SETTINGS.rule((get) => (get(lowKey) > get(highKey) ? `${lowKey} ${get(lowKey)} is above ${highKey} ${get(highKey)}` : null))
+}
+CONFIG_SETTINGS.rule((get) =>
+  get('UNIVERSE_ENABLE') && ['UNIVERSE_WEIGHT_VOLUME', 'UNIVERSE_WEIGHT_VOLATILITY', 'UNIVERSE_WEIGHT_SPREAD', 'UNIVERSE_WEIGHT_AGE'].every((key) => get(key) === 0)
+    ? 'UNIVERSE_WEIGHT_* are all 0, nothing to rank the universe by'
+    : null,
+)
+CONFIG_SETTINGS.rule((get) =>
+  Boolean(get('NOTIFY_TELEGRAM_BOT_TOKEN')) !== Boolean(get('NOTIFY_TELEGRAM_CHAT_ID')) ? 'NOTIFY_TELEGRAM_BOT_TOKEN and NOTIFY_TELEGRAM_CHAT_ID only work together' : null,
+)
+
+// LiveTrader never sets more than 20x, and Binance only allows the leverage of the bracket the
+// position's notional falls in (the cached /fapi/v1/leverageBracket tiers, or the defaults).
+const LIVE_MAX_LEVERAGE = 20
+function leverageProblem(get) {
+  const leverage = get('SIM_LEVERAGE')
+  if (get('LIVE_TRADING_ENABLE') && leverage > LIVE_MAX_LEVERAGE) return `SIM_LEVERAGE ${leverage} is above the ${LIVE_MAX_LEVERAGE}x live trading maximum`
+  const notionalUsd = get('SIM_MARGIN_USD') * leverage
+  const brackets = new LeverageBracketCache({ file: get('LEVERAGE_BRACKETS_FILE') })
+  const over = SYMBOLS.filter((symbol) => bracketForNotional(brackets.bracketsFor(MARKET_SYMBOLS[symbol].toUpperCase()), notionalUsd).initialLeverage < leverage)
+  return over.length > 0 ? `SIM_LEVERAGE ${leverage}x on $${notionalUsd} notional is above the leverage bracket of ${over.join(', ')}` : null
+}
+CONFIG_SETTINGS.rule((get) => (get('LIVE_TRADING_ENABLE') ? leverageProblem(get) : null))
+CONFIG_SETTINGS.rule((get) => (get('LIVE_TRADING_ENABLE') ? null : leverageProblem(get)), 'warning')
 
 module.exports = {
+  API_HOST,
+  API_PORT,
   BINANCE_FUTURES_REST_BASE,
+  BINANCE_FUTURES_USER_WS_BASE,
+  BINANCE_FUTURES_WS_BASE,
+  BINANCE_RECV_WINDOW_MS,
+  BOOK_CONFIRM_THRESHOLD,
+  BOOK_DEPTH_LEVELS,
+  BOOK_SPREAD_WINDOW_MS,
+  BOOK_STALE_MS,
+  BOOK_STREAM_ENABLE,
+  BREAKOUT_PARAMS,
   ANALYSIS_MIN_CANDLES,
   BINANCE_WS_URL,
+  CONFIG_FILE,
+  CONFIG_SETTINGS,
+  CONTROL_SOCKET,
+  CONTROL_SOCKET_ENABLE,
   DECISION_WINDOW_MS,
+  DECISION_WINDOW_PCT,
   DISABLE_CONSOLE_CLEAR,
   FIVE_MINUTES_MS,
   FLOW_CONFIRM_THRESHOLD,
@@ -103,6 +426,8 @@ module.exports = {
   FLOW_MIN_SAMPLES,
   HISTORY_CANDLES,
   HISTORY_INTERVAL,
+  KLINE_INTERVAL_BY_SYMBOL,
+  LEVERAGE_BRACKETS_FILE,
   TRIGGER_ATR_WEIGHT,
   TRIGGER_MAX_PCT,
   TRIGGER_MIN_PCT,
@@ -110,19 +435,39 @@ module.exports = {
   MARKET_SYMBOLS,
   RECONNECT_BASE_MS,
   RECONNECT_MAX_MS,
+  RECORD_DIR,
+  RECORD_GZIP,
+  RECORD_MAX_MB,
+  RECORD_ROTATE_MINUTES,
+  RECORD_STREAM_ENABLE,
   RENDER_INTERVAL_MS,
+  RISK_CONFIG,
   LIVE_TRADING_ENABLE,
   LIVE_ENTRY_MODE,
+  LIVE_EXCHANGE_STOP_ENABLE,
+  LIVE_EXCHANGE_TRAILING_ENABLE,
   LIVE_GTX_FALLBACK_MARKET,
   LIVE_INCOME_LOOKBACK_HOURS,
+  LIVE_RECONCILE_SECONDS,
   LIVE_GTX_POLL_MS,
   LIVE_GTX_TIMEOUT_MS,
   LIVE_SPREAD_MAX_BPS_BY_SYMBOL,
   LIVE_SPREAD_MAX_BPS_DEFAULT,
   LIVE_TRADING_FORCE_ISOLATED,
+  LIVE_TRADING_REST_BASE,
   LIVE_TRADING_TESTNET,
+  LIVE_TRIM_DUPLICATE_ENTRY,
+  LIVE_USER_DATA_STREAM,
+  MEAN_REVERSION_PARAMS,
+  NOTIFY_CONFIG,
+  OPEN_INTEREST_POLL_SECONDS,
+  SHADOW_SIM_ENABLE,
+  SIM_CONFIG,
+  SIM_ENTRY_MODE,
+  SIM_EXECUTION_MODEL,
   SIM_FEE_RATE_PCT,
   SIM_LEVERAGE,
+  SIM_LIQUIDATION_FEE_PCT,
   SIM_MARGIN_USD,
   SIM_MIN_NET_PROFIT_USD,
   SIM_SL_ROI_MAX_PCT,
@@ -131,8 +476,23 @@ module.exports = {
   SIM_TRAIL_ACTIVATE_ROI_MIN_PCT,
   SIM_TRAIL_DD_ROI_MAX_PCT,
   SIM_TRAIL_DD_ROI_MIN_PCT,
+  STATE_FILE,
+  STATE_SAVE_INTERVAL_MS,
+  STATE_STORE_ENABLE,
+  STRATEGY_BY_SYMBOL,
+  STRATEGY_DEFAULT,
   STREAM_NAMES,
   SYMBOLS,
+  TRADE_JOURNAL_DIR,
+  TRADE_JOURNAL_ENABLE,
+  TUI_ENABLE,
+  UNIVERSE_CONFIG,
+  buildStreamNames,
+  buildStreamUrl,
+  coinForMarketSymbol,
+  decisionWindowMs,
+  klineIntervalForSymbol,
+  marketSymbolForCoin,
   WS_PING_INTERVAL_MS,
   WS_STALE_TIMEOUT_MS,
 }
@@ -0,0 +1,218 @@
+'use strict'
+
+const fs = require('fs')
+
+const WATCH_INTERVAL_MS = 1_000
+const MIN_FAMILY_SIZE = 3
+// The file's `symbols` section: { "1000PEPE": { "KLINE_INTERVAL": "1m", "STRATEGY": "meanReversion" } }
+// adds to these SYMBOL=value map settings; LIVE_SPREAD_MAX_BPS sets LIVE_SPREAD_MAX_BPS_<SYMBOL>.
+const SYMBOL_MAP_KEYS = {
+  KLINE_INTERVAL: 'KLINE_INTERVAL_BY_SYMBOL',
+  STRATEGY: 'STRATEGY_BY_SYMBOL',
+}
+// Read straight from process.env elsewhere (API keys stay out of the config file and the report).
+const EXTERNAL_ENV_KEYS = new Set(['CONFIG_FILE', 'BINANCE_API_KEY', 'BINANCE_API_SECRET', 'BINANCE_FUTURES_API_KEY', 'BINANCE_FUTURES_API_SECRET'])
+
+function parseConfigText(file, text) {
+  if (/\.ya?ml$/i.test(file)) {
+    let yaml
+    try {
+      // eslint-disable-next-line global-require
+      yaml = require('yaml')
+    } catch {
+      throw new Error('YAML config files need the yaml package (npm install yaml), or use JSON')
+    }
+    return yaml.parse(text)
+  }
+  return JSON.parse(text)
+}
+
+// { values: { KEY: value }, errors } from a JSON or YAML file whose top-level keys are the env variable
+// names, plus the per-symbol `symbols` section. Lists may be arrays; they become comma-separated like env.
+function readConfigFile(file) {
+  const values = {}
+  if (!file) return { values, errors: [] }
+
+  let raw
+  try {
+    raw = parseConfigText(file, fs.readFileSync(file, 'utf8'))
+  } catch (error) {
+    return { values, errors: [`${file}: ${error.message}`] }
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { values, errors: [`${file}: expected an object of settings`] }
+
+  const errors = []
+  const { symbols, ...settings } = raw
+  for (const [key, value] of Object.entries(settings)) values[key] = Array.isArray(value) ? value.join(',') : value
+
+  const pairsByKey = {}
+  for (const [symbolArg, overrides] of Object.entries(symbols ?? {})) {
+    const symbol = symbolArg.toUpperCase()
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      errors.push(`symbols.${symbolArg}: expected an object`)
+      continue
+    }
+    for (const [key, value] of Object.entries(overrides)) {
+      if (key === 'LIVE_SPREAD_MAX_BPS') values[`LIVE_SPREAD_MAX_BPS_${symbol}`] = value
+      else if (SYMBOL_MAP_KEYS[key]) (pairsByKey[SYMBOL_MAP_KEYS[key]] ??= []).push(`${symbol}=${value}`)
+      else errors.push(`symbols.${symbolArg}.${key}: unknown per-symbol setting (${[...Object.keys(SYMBOL_MAP_KEYS), 'LIVE_SPREAD_MAX_BPS'].join(', ')})`)
+    }
+  }
+  // Later pairs win when the map is parsed, so the symbols section overrides a top-level map.
+  for (const [key, pairs] of Object.entries(pairsByKey)) values[key] = [values[key], ...pairs].filter(Boolean).join(',')
+
+  return { values, errors }
+}
+
+function parseBoolean(raw) {
+  if (raw === true || raw === 1 || raw === '1' || raw === 'true') return true
+  if (raw === false || raw === 0 || raw === '0' || raw === 'false') return false
+  return undefined
+}
+
+// The settings config.js reads, in the order it reads them: each with its default, type and rules, the
+// effective value and where it came from (env, then the config file, then the default). This is the
+// schema the file is validated against, the startup report and what a hot reload resolves again.
+// An invalid value is reported and falls back to its default.
+class ConfigSettings {
+  constructor(options = {}) {
+    this.env = options.env ?? process.env
+    this.file = options.file || null
+    const { values, errors } = readConfigFile(this.file)
+    this.fileValues = values
+    this.fileErrors = errors
+    this.entries = new Map() // key -> { key, def, type, rules, value, source, error }
+    this.checks = [] // [{ check, level }]
+  }
+
+  resolve(key, def, type, rules) {
+    const envValue = this.env[key]
+    const fileValue = this.fileValues[key]
+    const source = envValue !== undefined && envValue !== '' ? 'env' : fileValue !== undefined && fileValue !== '' && fileValue !== null ? 'file' : 'default'
+    if (source === 'default') return { value: def, source, error: null }
+
+    const raw = source === 'env' ? envValue : fileValue
+    const invalid = (reason) => ({ value: def, source: 'default', error: `${key}=${JSON.stringify(raw)} (${source}): ${reason}` })
+
+    let value
+    if (type === 'number') {
+      value = typeof raw === 'number' ? raw : typeof raw === 'string' ? Number(raw.trim()) : NaN
+      if (!Number.isFinite(value)) return invalid('not a number')
+      if (rules.integer && !Number.isInteger(value)) return invalid('not an integer')
+      if (rules.min !== undefined && value < rules.min) return invalid(`below the minimum ${rules.min}`)
+      if (rules.max !== undefined && value > rules.max) return invalid(`above the maximum ${rules.max}`)
+    } else if (type === 'boolean') {
+      value = parseBoolean(raw)
+      if (value === undefined) return invalid('expected 1 or 0')
+    } else {
+      if (typeof raw !== 'string' && typeof raw !== 'number') return invalid('expected a string')
+      value = rules.normalize ? rules.normalize(String(raw).trim()) : String(raw).trim()
+    }
+    if (rules.oneOf && !rules.oneOf.includes(value)) return invalid(`expected one of ${rules.oneOf.join(', ')}`)
+    const reason = rules.validate ? rules.validate(value) : null
+    if (reason) return invalid(reason)
+    return { value, source, error: null }
+  }
+
+  define(key, def, type, rules = {}) {
+    const entry = { key, def, type, rules, ...this.resolve(key, def, type, rules) }
+    this.entries.set(key, entry)
+    return entry.value
+  }
+
+  number(key, def, rules = {}) {
+    return this.define(key, def, 'number', rules)
+  }
+
+  boolean(key, def) {
+    return this.define(key, def, 'boolean')
+  }
+
+  string(key, def, rules = {}) {
+    return this.define(key, def, 'string', rules)
+  }
+
+  get(key) {
+    return this.entries.get(key)?.value
+  }
+
+  // The rest of every env or file key starting with prefix, for settings named per symbol.
+  suffixesOf(prefix) {
+    return [...new Set([...Object.keys(this.env), ...Object.keys(this.fileValues)])].filter((key) => key.startsWith(prefix)).map((key) => key.slice(prefix.length))
+  }
+
+  // check(get) returns a message when a rule across settings is broken; a 'warning' is only reported.
+  rule(check, level = 'error') {
+    this.checks.push({ check, level })
+  }
+
+  problems() {
+    const errors = [...this.fileErrors]
+    const warnings = []
+    for (const entry of this.entries.values()) if (entry.error) errors.push(entry.error)
+    for (const key of Object.keys(this.fileValues)) if (!this.entries.has(key)) errors.push(`${key} (file): unknown setting`)
+
+    // A mistyped env name is otherwise just ignored: flag the ones in a family of ours (SIM_, LIVE_, RISK_, ...).
+    const familySizes = new Map()
+    for (const key of this.entries.keys()) familySizes.set(key.split('_')[0], (familySizes.get(key.split('_')[0]) ?? 0) + 1)
+    const prefixes = new Set([...familySizes].filter(([, size]) => size >= MIN_FAMILY_SIZE).map(([prefix]) => prefix))
+    for (const key of Object.keys(this.env)) {
+      if (!this.entries.has(key) && !EXTERNAL_ENV_KEYS.has(key) && prefixes.has(key.split('_')[0])) warnings.push(`${key} (env): not a setting, ignored`)
+    }
+
+    const get = (key) => this.get(key)
+    for (const { check, level } of this.checks) {
+      const message = check(get)
+      if (message) (level === 'warning' ? warnings : errors).push(message)
+    }
+    return { errors, warnings }
+  }
+
+  // all: every setting; otherwise only those not at their default.
+  report({ all = false } = {}) {
+    const lines = [`Config file: ${this.file ?? 'none'}`]
+    for (const entry of this.entries.values()) {
+      if (!all && entry.source === 'default') continue
+      const shown = entry.rules.secret && entry.value ? '***' : JSON.stringify(entry.value)
+      lines.push(`  ${entry.key.padEnd(34)} ${shown} (${entry.source})`)
+    }
+    const { errors, warnings } = this.problems()
+    for (const warning of warnings) lines.push(`  warning: ${warning}`)
+    for (const error of errors) lines.push(`  error: ${error}`)
+    return lines
+  }
+
+  // Reads the file again (a running process keeps its environment) and resolves every setting with it.
+  // Returns { errors, changed: [{ key, from, to }] }; nothing is taken over while there are errors.
+  reload() {
+    const next = new ConfigSettings({ env: this.env, file: this.file })
+    for (const entry of this.entries.values()) next.define(entry.key, entry.def, entry.type, entry.rules)
+    next.checks = this.checks
+    const { errors } = next.problems()
+    if (errors.length > 0) return { errors, changed: [] }
+
+    const changed = [...next.entries.values()]
+      .filter((entry) => entry.value !== this.entries.get(entry.key).value)
+      .map((entry) => ({ key: entry.key, from: this.entries.get(entry.key).value, to: entry.value }))
+    this.fileValues = next.fileValues
+    this.fileErrors = next.fileErrors
+    this.entries = next.entries
+    return { errors: [], changed }
+  }
+}
+
+// Calls onChange whenever the file's modification time changes. Polling rather than fs.watch, so an
+// editor that replaces the file is seen too. Returns the function that stops watching.
+function watchConfigFile(file, onChange) {
+  const listener = (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs) onChange()
+  }
+  fs.watchFile(file, { interval: WATCH_INTERVAL_MS, persistent: false }, listener)
+  return () => fs.unwatchFile(file, listener)
+}
+
+module.exports = {
+  ConfigSettings,
+  readConfigFile,
+  watchConfigFile,
+}
@@ -0,0 +1,258 @@
+'use strict'
+
+const fs = require('fs')
+const net = require('net')
+const path = require('path')
+const { parseArgs } = require('util')
+const { CONTROL_SOCKET } = require('./config')
+const { formatPrice } = require('./utils')
+
+// A client that never sends a newline cannot make us buffer forever.
+const MAX_LINE_BYTES = 4096
+const CLIENT_TIMEOUT_MS = 5_000
+
+const HELP = [
+  'status                   header lines and one line per symbol',
+  'pause <symbol>           no new entries for the symbol (open positions keep their exits)',
+  'resume <symbol>          allow entries again',
+  'close <symbol>           close the symbol position at market and drop a pending live entry',
+  'close-all                close every open position',
+  'kill on [reason] | off   manual kill switch: flatten everything and block entries',
+  'set                      list the parameters set can change',
+  'set <param> <value>      change a sim./live./risk. parameter until the next reload-config',
+  'reload-config            read the config file again (drops set values)',
+  'universe                 the last symbol universe ranking (* = tracked)',
+  'universe refresh         rank again now and add or remove symbols',
+  'help',
+]
+
+function isUnixSocketPath(socketPath) {
+  return !socketPath.startsWith('\\\\.\\pipe\\')
+}
+
+// The engine symbol for 1000PEPE, 1000pepe or 1000PEPEUSDT.
+function resolveSymbol(engine, symbolArg) {
+  const wanted = String(symbolArg || '').toUpperCase()
+  return engine.symbols.find((symbol) => symbol === wanted || String(engine.marketSymbols[symbol]).toUpperCase() === wanted) ?? null
+}
+
+function symbolLine(engine, symbol) {
+  const state = engine.ensureState(symbol)
+  const live = engine.isLiveSymbol(symbol)
+  const price = state.tradePrice ?? state.markPrice
+  const livePosition = live ? engine.liveTrader.getPosition(String(state.marketSymbol).toUpperCase()) : null
+  const simTrade = live ? null : engine.ensureSimState(symbol).activeTrade
+  const position = livePosition
+    ? `LIVE ${livePosition.side.toUpperCase()} @ ${formatPrice(livePosition.entryPrice)}`
+    : simTrade
+      ? `SIM ${simTrade.side.toUpperCase()} @ ${formatPrice(simTrade.entryPrice)}`
+      : live && engine.liveEntryIntentBySymbol.get(symbol)
+        ? 'LIVE entry pending'
+        : 'flat'
+  const flags = [live ? 'live' : 'sim', ...(engine.entriesPausedSymbols.has(symbol) ? ['paused'] : [])]
+  const block = engine.riskBlockBySymbol.get(symbol)
+  return `${symbol.padEnd(10)} ${flags.join(',').padEnd(11)} ${formatPrice(price).padStart(12)}  ${position}${block ? ` | ${block}` : ''}`
+}
+
+// Local control channel for an unattended engine: a unix socket (a named pipe on Windows) that takes one
+// text command per line, e.g. `pause 1000PEPE`, and answers each with one JSON line { ok, message }.
+// Commands go through the same engine methods as the terminal UI keys. control.js is the client.
+class ControlServer {
+  constructor(options = {}) {
+    this.path = options.path
+    this.engine = null
+    this.server = null
+    this.sockets = new Set()
+    this.lastError = null
+  }
+
+  // Never rejects, like ApiServer.listen: a socket that cannot be bound shows up as lastError.
+  async listen(engine) {
+    this.engine = engine
+    if (isUnixSocketPath(this.path)) {
+      fs.mkdirSync(path.dirname(path.resolve(this.path)), { recursive: true })
+      await this.removeStaleSocket()
+    }
+
+    this.server = net.createServer((socket) => this.handleConnection(socket))
+    return new Promise((resolve) => {
+      this.server.once('error', (error) => {
+        this.lastError = `Control socket failed: ${error.message}`
+        this.server = null
+        resolve(this)
+      })
+      this.server.listen(this.path, () => {
+        // Anyone who can connect can close positions, so only our own user may.
+        if (isUnixSocketPath(this.path)) fs.chmodSync(this.path, 0o600)
+        resolve(this)
+      })
+    })
+  }
+
+  // A socket file left behind by a process that did not shut down cleanly; one that still answers is
+  // another engine, and is left alone so listen() reports it as in use.
+  removeStaleSocket() {
+    if (!fs.existsSync(this.path)) return Promise.resolve()
+    return new Promise((resolve) => {
+      const probe = net.connect(this.path)
+      probe.once('connect', () => {
+        probe.destroy()
+        resolve()
+      })
+      probe.once('error', () => {
+        try {
+          fs.unlinkSync(this.path)
+        } catch {
+          // listen() reports whatever is still in the way
+        }
+        resolve()
+      })
+    })
+  }
+
+  handleConnection(socket) {
+    let buffer = ''
+    this.sockets.add(socket)
+    socket.on('close', () => this.sockets.delete(socket))
+    socket.setEncoding('utf8')
+    socket.setTimeout(CLIENT_TIMEOUT_MS, () => socket.destroy())
+    socket.on('error', () => socket.destroy())
+    socket.on('data', (chunk) => {
+      buffer += chunk
+      if (buffer.length > MAX_LINE_BYTES) {
+        socket.end(`${JSON.stringify({ ok: false, message: 'Command too long' })}\n`)
+        return
+      }
+      let newline = buffer.indexOf('\n')
+      while (newline >= 0) {
+        const line = buffer.slice(0, newline).trim()
+        buffer = buffer.slice(newline + 1)
+        if (line) socket.write(`${JSON.stringify(this.execute(line))}\n`)
+        newline = buffer.indexOf('\n')
+      }
+    })
+  }
+
+  execute(line) {
+    const [command, ...args] = line.split(/\s+/)
+    try {
+      return this.run(command.toLowerCase(), args)
+    } catch (error) {
+      return { ok: false, message: error.message }
+    }
+  }
+
+  run(command, args) {
+    const engine = this.engine
+    const symbolArg = () => {
+      if (!args[0]) throw new Error(`Usage: ${command} <symbol>`)
+      const symbol = resolveSymbol(engine, args[0])
+      if (!symbol) throw new Error(`Unknown symbol ${args[0]} (${engine.symbols.join(', ')})`)
+      return symbol
+    }
+
+    switch (command) {
+      case 'status':
+        return { ok: true, message: [...engine.statusLines(), '', ...engine.symbols.map((symbol) => symbolLine(engine, symbol))].join('\n') }
+      case 'pause':
+        return engine.setEntriesPaused(symbolArg(), true)
+      case 'resume':
+        return engine.setEntriesPaused(symbolArg(), false)
+      case 'close':
+        return engine.closeSymbolPosition(symbolArg())
+      case 'close-all':
+        return engine.closeAllPositions()
+      case 'kill':
+        if (args[0] === 'on') {
+          engine.riskManager.setKillSwitch(true, args.slice(1).join(' ') || 'control socket')
+          return { ok: true, message: 'Kill switch on: open positions close on the next tick' }
+        }
+        if (args[0] === 'off') {
+          engine.riskManager.setKillSwitch(false)
+          const fileKill = engine.riskManager.isKilled(engine.clock.now())
+          return { ok: !fileKill, message: fileKill ? `Manual kill switch off, but ${engine.riskManager.killSwitchFile} still exists` : 'Kill switch off' }
+        }
+        throw new Error('Usage: kill on [reason] | kill off')
+      case 'set':
+        if (args.length === 0) return { ok: true, message: engine.runtimeParamLines().join('\n') }
+        if (args.length !== 2) throw new Error('Usage: set <param> <value>')
+        return engine.setRuntimeParam(args[0], args[1])
+      case 'reload-config':
+        return engine.reloadConfig()
+      case 'universe':
+        if (!engine.universe) return { ok: false, message: 'Symbol universe is off (UNIVERSE_ENABLE)' }
+        if (args[0] === 'refresh') {
+          void engine.refreshUniverse()
+          return { ok: true, message: 'Universe refresh started (see status)' }
+        }
+        if (args.length > 0) throw new Error('Usage: universe [refresh]')
+        return { ok: true, message: [engine.universe.statusText(engine.clock.now()), ...engine.universe.rankingLines(Object.values(engine.marketSymbols))].join('\n') }
+      case 'help':
+        return { ok: true, message: HELP.join('\n') }
+      default:
+        throw new Error(`Unknown command ${command} (try help)`)
+    }
+  }
+
+  statusText() {
+    if (this.lastError) return this.lastError
+    return this.server ? this.path : 'off'
+  }
+
+  close() {
+    return new Promise((resolve) => {
+      if (!this.server) {
+        resolve()
+        return
+      }
+      // Closing a unix socket server also removes the socket file.
+      this.server.close(() => resolve())
+      for (const socket of this.sockets) socket.destroy()
+    })
+  }
+}
+
+// One command over the socket; resolves with the server's { ok, message }.
+function sendControlCommand(socketPath, line, timeoutMs = CLIENT_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(socketPath)
+    let buffer = ''
+    socket.setEncoding('utf8')
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`No answer from ${socketPath} within ${timeoutMs}ms`)))
+    socket.once('error', (error) => reject(error.code === 'ENOENT' || error.code === 'ECONNREFUSED' ? new Error(`No engine listening on ${socketPath}`) : error))
+    socket.once('connect', () => socket.write(`${line}\n`))
+    socket.on('data', (chunk) => {
+      buffer += chunk
+      const newline = buffer.indexOf('\n')
+      if (newline < 0) return
+      socket.end()
+      try {
+        resolve(JSON.parse(buffer.slice(0, newline)))
+      } catch (error) {
+        reject(error)
+      }
+    })
+  })
+}
+
+async function runControlCli(argv = process.argv.slice(2)) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      socket: { type: 'string', default: CONTROL_SOCKET },
+    },
+  })
+  const line = positionals.join(' ').trim() || 'help'
+  const response = await sendControlCommand(values.socket, line)
+  const out = response.ok ? process.stdout : process.stderr
+  out.write(`${response.message}\n`)
+  if (!response.ok) process.exitCode = 1
+}
+
+module.exports = {
+  ControlServer,
+  resolveSymbol,
+  runControlCli,
+  sendControlCommand,
+}
@@ -0,0 +1,66 @@
+'use strict'
+
+function isFinitePrice(value) {
+  return typeof value === 'number' && Number.isFinite(value) && !Number.isNaN(value) && value > 0
+}
+
+// Breakout plans enter with the move (long above / short below); fade plans enter against it
+// (long below / short above). Plans without an entryStyle are breakout plans.
+function getEntryLevels(plan) {
+  if (plan?.entryStyle === 'fade') return { long: plan.longBelow, short: plan.shortAbove }
+  return { long: plan?.longAbove, short: plan?.shortBelow }
+}
+
+function hasEntryLevels(plan) {
+  const { long, short } = getEntryLevels(plan)
+  return isFinitePrice(long) && isFinitePrice(short)
+}
+
+function resolveEntrySide(plan, livePrice) {
+  if (!hasEntryLevels(plan) || !isFinitePrice(livePrice)) return null
+
+  const { long, short } = getEntryLevels(plan)
+  if (plan.entryStyle === 'fade') return livePrice <= long ? 'long' : livePrice >= short ? 'short' : null
+  return livePrice >= long ? 'long' : livePrice <= short ? 'short' : null
+}
+
+function copyAnalysis(plan, analysis, livePrice) {
+  plan.status = analysis.status
+  plan.reason = analysis.reason
+  plan.entryStyle = analysis.entryStyle ?? 'breakout'
+  plan.triggerPct = analysis.triggerPct
+  plan.flowImbalance = analysis.flowImbalance
+  plan.flowSamples = analysis.flowSamples
+  plan.bookImbalance = analysis.bookImbalance
+  plan.basePrice = livePrice
+  plan.longAbove = analysis.longAbove
+  plan.shortBelow = analysis.shortBelow
+  plan.longBelow = analysis.longBelow
+  plan.shortAbove = analysis.shortAbove
+  return plan
+}
+
+function nextDecisionPlan(prevPlan, cycleId, analysis, livePrice, now) {
+  if (!Number.isFinite(cycleId)) return null
+
+  const canBuild = (analysis.status === 'SETUP' || analysis.status === 'SIDEWAYS') && isFinitePrice(livePrice) && hasEntryLevels(analysis)
+
+  if (!prevPlan || prevPlan.cycleId !== cycleId) {
+    if (!canBuild) return null
+
+    return copyAnalysis({ cycleId, createdAt: now, hasTriggered: false }, analysis, livePrice)
+  }
+
+  // Promote plan from SIDEWAYS to SETUP once per candle and keep threshold fixed after SETUP created.
+  if (prevPlan.status !== 'SETUP' && analysis.status === 'SETUP' && canBuild) copyAnalysis(prevPlan, analysis, livePrice)
+
+  return prevPlan
+}
+
+module.exports = {
+  getEntryLevels,
+  hasEntryLevels,
+  isFinitePrice,
+  nextDecisionPlan,
+  resolveEntrySide,
+}
@@ -4,124 +4,147 @@
 
 const {
   ANALYSIS_MIN_CANDLES,
-  BINANCE_WS_URL,
+  API_HOST,
+  API_PORT,
+  BINANCE_FUTURES_USER_WS_BASE,
+  BINANCE_RECV_WINDOW_MS,
+  BOOK_SPREAD_WINDOW_MS,
+  BOOK_STALE_MS,
+  CONFIG_SETTINGS,
+  CONTROL_SOCKET,
+  CONTROL_SOCKET_ENABLE,
   DECISION_WINDOW_MS,
-  FIVE_MINUTES_MS,
+  DECISION_WINDOW_PCT,
   FLOW_LOOKBACK_MS,
   HISTORY_CANDLES,
   HISTORY_INTERVAL,
   LIVE_ENTRY_MODE,
+  LIVE_EXCHANGE_STOP_ENABLE,
+  LIVE_EXCHANGE_TRAILING_ENABLE,
   LIVE_GTX_FALLBACK_MARKET,
   LIVE_INCOME_LOOKBACK_HOURS,
+  LIVE_RECONCILE_SECONDS,
   LIVE_GTX_POLL_MS,
   LIVE_GTX_TIMEOUT_MS,
   LIVE_SPREAD_MAX_BPS_BY_SYMBOL,
   LIVE_SPREAD_MAX_BPS_DEFAULT,
   LIVE_TRADING_ENABLE,
   LIVE_TRADING_FORCE_ISOLATED,
+  LIVE_TRADING_REST_BASE,
   LIVE_TRADING_TESTNET,
+  LIVE_TRIM_DUPLICATE_ENTRY,
+  LIVE_USER_DATA_STREAM,
+  LEVERAGE_BRACKETS_FILE,
   MARKET_SYMBOLS,
+  NOTIFY_CONFIG,
+  OPEN_INTEREST_POLL_SECONDS,
   RECONNECT_BASE_MS,
   RECONNECT_MAX_MS,
+  RECORD_DIR,
+  RECORD_GZIP,
+  RECORD_MAX_MB,
+  RECORD_ROTATE_MINUTES,
+  RECORD_STREAM_ENABLE,
   RENDER_INTERVAL_MS,
-  SIM_FEE_RATE_PCT,
+  RISK_CONFIG,
+  SHADOW_SIM_ENABLE,
+  SIM_CONFIG,
   SIM_LEVERAGE,
   SIM_MARGIN_USD,
-  SIM_MIN_NET_PROFIT_USD,
-  SIM_SL_ROI_MAX_PCT,
-  SIM_SL_ROI_MIN_PCT,
-  SIM_TRAIL_ACTIVATE_ROI_MAX_PCT,
-  SIM_TRAIL_ACTIVATE_ROI_MIN_PCT,
-  SIM_TRAIL_DD_ROI_MAX_PCT,
-  SIM_TRAIL_DD_ROI_MIN_PCT,
+  STATE_FILE,
+  STATE_SAVE_INTERVAL_MS,
+  STATE_STORE_ENABLE,
   SYMBOLS,
+  TRADE_JOURNAL_DIR,
+  TRADE_JOURNAL_ENABLE,
+  TUI_ENABLE,
+  UNIVERSE_CONFIG,
   WS_PING_INTERVAL_MS,
   WS_STALE_TIMEOUT_MS,
+  buildStreamNames,
+  buildStreamUrl,
+  coinForMarketSymbol,
+  decisionWindowMs,
+  klineIntervalForSymbol,
+  marketSymbolForCoin,
 } = require('./config')
 
-const { formatMsToClock, formatNumber, formatPrice, safeClearConsole } = require('./utils')
+const { compactNumber, formatLiquidation, formatMsToClock, formatNumber, formatPrice, formatSignedPct, intervalToMs, safeClearConsole } = require('./utils')
 
-const { fetchFuturesCommissionRatePct, fetchKlineHistory, normalizeStreamEvent, parseRawSocketMessage, parseSocketPayload } = require('./binance')
+const { ApiServer } = require('./apiServer')
+const { ControlServer } = require('./controlServer')
+const { watchConfigFile } = require('./configFile')
+const { createBinanceRestClient, normalizeStreamEvent, parseRawSocketMessage, parseSocketPayload } = require('./binance')
 
-const { analyzeDecision } = require('./strategy')
+const { createStrategy, strategyNameForSymbol } = require('./strategies')
+const { getEntryLevels, hasEntryLevels, isFinitePrice, nextDecisionPlan, resolveEntrySide } = require('./decisionPlan')
 
-const { createSymbolSimState, getOpenTradeMetrics, maybeOpenTrade, updateOpenTrade } = require('./simulator')
+const { applyFunding, checkLiquidation, closeTrade, createSymbolSimState, getOpenTradeMetrics, maybeOpenTrade, updateOpenTrade } = require('./simulator')
+const { LeverageBracketCache } = require('./leverageBrackets')
 const { LiveTrader } = require('./liveTrader')
+const { createSystemClock, createVirtualClock } = require('./clock')
+const { StreamRecorder } = require('./recorder')
+const { StateStore } = require('./stateStore')
+const { TradeJournal } = require('./tradeJournal')
+const { RiskManager } = require('./riskManager')
+const { createNotifier } = require('./notifier')
+const { TerminalUi } = require('./terminalUi')
+const { ShadowTracker } = require('./shadow')
+const { UniverseSelector } = require('./universe')
+const { sharedRestGovernor } = require('./restGovernor')
+const { runReplay } = require('./replay')
 
-const SIM_CONFIG = {
-  marginUsd: SIM_MARGIN_USD,
-  leverage: SIM_LEVERAGE,
-  stopLossRoiMinPct: SIM_SL_ROI_MIN_PCT,
-  stopLossRoiMaxPct: SIM_SL_ROI_MAX_PCT,
-  trailActivateRoiMinPct: SIM_TRAIL_ACTIVATE_ROI_MIN_PCT,
-  trailActivateRoiMaxPct: SIM_TRAIL_ACTIVATE_ROI_MAX_PCT,
-  trailDdRoiMinPct: SIM_TRAIL_DD_ROI_MIN_PCT,
-  trailDdRoiMaxPct: SIM_TRAIL_DD_ROI_MAX_PCT,
-  minNetProfitUsd: SIM_MIN_NET_PROFIT_USD,
-  feeRatePct: SIM_FEE_RATE_PCT,
-}
-const LIVE_SPREAD_MAX_BPS_BY_MARKET_SYMBOL = Object.fromEntries(
-  SYMBOLS.map((symbol) => [String(MARKET_SYMBOLS[symbol]).toUpperCase(), LIVE_SPREAD_MAX_BPS_BY_SYMBOL[symbol] ?? LIVE_SPREAD_MAX_BPS_DEFAULT]),
-)
+const LIVE_ENTRY_SYNC_RETRY_MS = 5_000
+const LIVE_ACCOUNT_SYNC_MS = 3_000
+// A flat position's realized PnL counts as one trade once no fill has added to it for this long.
+const REALIZED_PNL_SETTLE_MS = 5_000
+const REPLAY_RENDER_THROTTLE_MS = 250
 
 const LIVE_TRADING_CONFIG = {
   enable: LIVE_TRADING_ENABLE,
   testnet: LIVE_TRADING_TESTNET,
+  baseUrl: LIVE_TRADING_REST_BASE || undefined,
   forceIsolated: LIVE_TRADING_FORCE_ISOLATED,
   entryMode: LIVE_ENTRY_MODE,
   gtxTimeoutMs: LIVE_GTX_TIMEOUT_MS,
   gtxPollMs: LIVE_GTX_POLL_MS,
   gtxFallbackMarket: LIVE_GTX_FALLBACK_MARKET,
+  exchangeStopLoss: LIVE_EXCHANGE_STOP_ENABLE,
+  exchangeTrailing: LIVE_EXCHANGE_TRAILING_ENABLE,
+  trimDuplicateEntries: LIVE_TRIM_DUPLICATE_ENTRY,
+  userDataStream: LIVE_USER_DATA_STREAM,
+  userWsBase: BINANCE_FUTURES_USER_WS_BASE || undefined,
+  reconcileMs: LIVE_RECONCILE_SECONDS * 1000,
+  recvWindowMs: BINANCE_RECV_WINDOW_MS,
   incomeLookbackMs: LIVE_INCOME_LOOKBACK_HOURS * 60 * 60 * 1000,
   spreadMaxBpsDefault: LIVE_SPREAD_MAX_BPS_DEFAULT,
-  spreadMaxBpsByMarketSymbol: LIVE_SPREAD_MAX_BPS_BY_MARKET_SYMBOL,
   marginUsd: SIM_MARGIN_USD,
   leverage: SIM_LEVERAGE,
 }
 
-const symbolByMarket = new Map(Object.entries(MARKET_SYMBOLS).map(([symbol, marketSymbol]) => [marketSymbol, symbol]))
-
-const symbolState = new Map(
-  SYMBOLS.map((symbol) => [
-    symbol,
-    {
-      symbol,
-      marketSymbol: MARKET_SYMBOLS[symbol],
-      candles: [],
-      markPrice: null,
-      markTs: null,
-      tradePrice: null,
-      tradeQty: null,
-      tradeTs: null,
-      aggTrades: [],
-      lastVolume5m: null,
-      nextCandleCloseTs: null,
-      lastStreamAt: null,
-      error: null,
-    },
-  ]),
-)
-
-const decisionPlanBySymbol = new Map(SYMBOLS.map((symbol) => [symbol, null]))
-const simStateBySymbol = new Map(SYMBOLS.map((symbol) => [symbol, createSymbolSimState()]))
-const feeRateBySymbolPct = new Map(SYMBOLS.map((symbol) => [symbol, SIM_CONFIG.feeRatePct]))
-const feeRateLoadedByApi = new Set()
-const liveTrader = new LiveTrader(LIVE_TRADING_CONFIG)
-const liveControlBySymbol = new Map(SYMBOLS.map((symbol) => [symbol, null]))
-const liveEntryIntentBySymbol = new Map(SYMBOLS.map((symbol) => [symbol, null]))
-const LIVE_ENTRY_SYNC_RETRY_MS = 5_000
-const nextLiveEntryRetryAtBySymbol = new Map(SYMBOLS.map((symbol) => [symbol, 0]))
-
-let ws = null
-let wsConnected = false
-let wsLastMessageAt = 0
-let wsLastError = null
-let reconnectTimer = null
-let reconnectAttempt = 0
-let pingTimer = null
-let renderTimer = null
-let accountSyncTimer = null
-let hasShutdownHandlers = false
+// What `set` on the control socket may change while running, and what a config reload applies without a
+// restart: sim.* is the simulator and the exit levels of new live entries, live.* the LiveTrader, risk.*
+// the RiskManager. `setting` is the config setting behind each (times `scale`). Changes apply to new entries only.
+const RUNTIME_PARAMS = {
+  'sim.marginUsd': { setting: 'SIM_MARGIN_USD', min: 0.1 },
+  'sim.leverage': { setting: 'SIM_LEVERAGE', min: 1, max: 125, integer: true },
+  'sim.stopLossRoiMinPct': { setting: 'SIM_SL_ROI_MIN_PCT', min: 1 },
+  'sim.stopLossRoiMaxPct': { setting: 'SIM_SL_ROI_MAX_PCT', min: 1 },
+  'sim.trailActivateRoiMinPct': { setting: 'SIM_TRAIL_ACTIVATE_ROI_MIN_PCT', min: 0.1 },
+  'sim.trailActivateRoiMaxPct': { setting: 'SIM_TRAIL_ACTIVATE_ROI_MAX_PCT', min: 0.1 },
+  'sim.trailDdRoiMinPct': { setting: 'SIM_TRAIL_DD_ROI_MIN_PCT', min: 0.1 },
+  'sim.trailDdRoiMaxPct': { setting: 'SIM_TRAIL_DD_ROI_MAX_PCT', min: 0.1 },
+  'sim.minNetProfitUsd': { setting: 'SIM_MIN_NET_PROFIT_USD', min: 0 },
+  'live.marginUsd': { setting: 'SIM_MARGIN_USD', min: 0.1 },
+  'live.spreadMaxBpsDefault': { setting: 'LIVE_SPREAD_MAX_BPS_DEFAULT', min: 0 },
+  'risk.maxOpenPositions': { setting: 'RISK_MAX_OPEN_POSITIONS', min: 0, integer: true },
+  'risk.maxSameSidePositions': { setting: 'RISK_MAX_SAME_SIDE_POSITIONS', min: 0, integer: true },
+  'risk.dailyLossLimitUsd': { setting: 'RISK_DAILY_LOSS_LIMIT_USD', min: 0 },
+  'risk.maxConsecutiveLosses': { setting: 'RISK_MAX_CONSECUTIVE_LOSSES', min: 0, integer: true },
+  'risk.cooldownMs': { setting: 'RISK_COOLDOWN_MINUTES', scale: 60 * 1000, min: 0 },
+  'risk.fundingExtremePct': { setting: 'RISK_FUNDING_EXTREME_PCT', min: 0 },
+  'risk.fundingBlockMs': { setting: 'RISK_FUNDING_BLOCK_MINUTES', scale: 60 * 1000, min: 0 },
+}
 
 let WebSocketImpl = globalThis.WebSocket
 if (typeof WebSocketImpl !== 'function') {
@@ -136,6 +159,11 @@ if (typeof WebSocketImpl !== 'function') {
 const WS_STATE_CONNECTING = 0
 const WS_STATE_OPEN = 1
 
+function defaultWebSocketFactory(url) {
+  if (typeof WebSocketImpl !== 'function') return null
+  return new WebSocketImpl(url)
+}
+
 function onSocketEvent(socket, eventName, handler) {
   if (typeof socket.addEventListener === 'function') return socket.addEventListener(eventName, handler)
   if (typeof socket.on === 'function') return socket.on(eventName, handler)
@@ -154,56 +182,57 @@ function parseSocketClose(codeOrEvent, reasonBuffer) {
   }
 }
 
-function ensureState(symbol) {
-  const state = symbolState.get(symbol)
-  if (state) return state
-
-  const nextState = {
+// higherTimeframes: { interval: candles to keep }; each one is a separate { interval, candles, historyLimit } series.
+function createSymbolState(symbol, marketSymbol, historyLimit = HISTORY_CANDLES, interval = HISTORY_INTERVAL, higherTimeframes = {}) {
+  return {
     symbol,
-    marketSymbol: MARKET_SYMBOLS[symbol],
+    marketSymbol,
+    historyLimit,
+    interval,
+    intervalMs: intervalToMs(interval),
     candles: [],
+    htf: Object.fromEntries(Object.entries(higherTimeframes).map(([htfInterval, limit]) => [htfInterval, { interval: htfInterval, candles: [], historyLimit: limit }])),
     markPrice: null,
     markTs: null,
+    fundingRate: null, // fraction per funding period, from the markPrice stream
+    nextFundingTime: null,
+    openInterest: null, // { value, valueUsd, changePct (last hour), ts }
     tradePrice: null,
     tradeQty: null,
     tradeTs: null,
     aggTrades: [],
-    lastVolume5m: null,
+    book: null, // top of book from bookTicker: { bidPrice, bidQty, askPrice, askQty, ts, receivedAt }
+    depth: null, // partial depth snapshot: { bids, asks, ts, receivedAt }, levels as [price, qty]
+    spreadBuckets: [], // rolling spread, one { second, sumBps, count } per second
+    lastVolume: null,
     nextCandleCloseTs: null,
     lastStreamAt: null,
     error: null,
   }
-
-  symbolState.set(symbol, nextState)
-  return nextState
-}
-
-function ensureSimState(symbol) {
-  if (!simStateBySymbol.has(symbol)) {
-    simStateBySymbol.set(symbol, createSymbolSimState())
-  }
-  return simStateBySymbol.get(symbol)
 }
 
-function compactNumber(value) {
-  if (typeof value !== 'number' || Number.isNaN(value)) return 'N/A'
-  if (value >= 1_000_000_000) return `${(value / 1_000_000_000).toFixed(2)}B`
-  if (value >= 1_000_000) return `${(value / 1_000_000).toFixed(2)}M`
-  if (value >= 1_000) return `${(value / 1_000).toFixed(2)}K`
-  return formatNumber(value, 2)
+function executionSummaryText(simConfig) {
+  if (simConfig.executionModel === 'ideal') return 'ideal (last price, taker fee)'
+  const entry =
+    simConfig.entryMode === 'MARKET'
+      ? 'MKT'
+      : `GTX ${((1 - 0.5 ** (simConfig.gtxTimeoutMs / simConfig.gtxFillHalfLifeMs)) * 100).toFixed(0)}% in ${simConfig.gtxTimeoutMs}ms${simConfig.gtxFallbackMarket ? '->MKT' : ''}`
+  return `${entry}, maker ${simConfig.makerFeeRatePct}%, spread ${simConfig.spreadBpsDefault}bps w/o book, slip ${simConfig.slippageBpsPer1kUsd}bps/$1k`
 }
 
-function upsertClosedCandle(state, candle) {
-  const last = state.candles[state.candles.length - 1]
+// series: the symbol state itself or one of its state.htf entries.
+function upsertClosedCandle(series, candle) {
+  const last = series.candles[series.candles.length - 1]
 
   if (!last || candle.closeTime > last.closeTime) {
-    state.candles.push(candle)
+    series.candles.push(candle)
   } else if (candle.closeTime === last.closeTime) {
-    state.candles[state.candles.length - 1] = candle
+    series.candles[series.candles.length - 1] = candle
   }
 
-  if (state.candles.length > HISTORY_CANDLES) {
-    state.candles = state.candles.slice(-HISTORY_CANDLES)
+  const historyLimit = series.historyLimit ?? HISTORY_CANDLES
+  if (series.candles.length > historyLimit) {
+    series.candles = series.candles.slice(-historyLimit)
   }
 }
 
@@ -240,53 +269,94 @@ function getTradeFlowMetrics(state, nowTs) {
   }
 }
 
-function applyStreamEvent(event) {
-  const symbol = symbolByMarket.get(event.marketSymbol)
-  if (!symbol) return
-
-  const state = ensureState(symbol)
-  state.lastStreamAt = Date.now()
-  state.error = null
-
-  if (event.type === 'trade' || event.type === 'aggTrade') {
-    if (Number.isFinite(event.price)) state.tradePrice = event.price
-    if (Number.isFinite(event.qty)) state.tradeQty = event.qty
-    if (Number.isFinite(event.ts)) state.tradeTs = event.ts
-
-    if (Number.isFinite(event.qty) && event.qty > 0 && Number.isFinite(event.ts)) {
-      if (!Array.isArray(state.aggTrades)) state.aggTrades = []
-      state.aggTrades.push({
-        ts: event.ts,
-        qty: event.qty,
-        side: event.isBuyerMaker ? 'sell' : 'buy',
-      })
-      pruneAggTrades(state, event.ts)
-    }
-    return
+function getSpreadBps(bidPrice, askPrice) {
+  const mid = (bidPrice + askPrice) / 2
+  return mid > 0 && askPrice > bidPrice ? ((askPrice - bidPrice) / mid) * 10_000 : 0
+}
+
+function recordSpread(state, nowTs, spreadBps) {
+  const second = Math.floor(nowTs / 1000)
+  const last = state.spreadBuckets[state.spreadBuckets.length - 1]
+  if (last && last.second === second) {
+    last.sumBps += spreadBps
+    last.count += 1
+  } else {
+    state.spreadBuckets.push({ second, sumBps: spreadBps, count: 1 })
   }
 
-  if (event.type === 'mark') {
-    if (Number.isFinite(event.price)) state.markPrice = event.price
-    if (Number.isFinite(event.ts)) state.markTs = event.ts
-    return
+  const keepFrom = Math.floor((nowTs - BOOK_SPREAD_WINDOW_MS) / 1000)
+  while (state.spreadBuckets.length > 0 && state.spreadBuckets[0].second < keepFrom) state.spreadBuckets.shift()
+}
+
+// Streamed book context, or null without a bookTicker in the last BOOK_STALE_MS. Imbalance is
+// (bid qty - ask qty) / total over the depth levels, or over the top of book without a fresh depth.
+function getBookMetrics(state, nowTs) {
+  const book = state.book
+  if (!book || nowTs - book.receivedAt > BOOK_STALE_MS) return null
+
+  const depth = state.depth && nowTs - state.depth.receivedAt <= BOOK_STALE_MS ? state.depth : null
+  const bidQty = depth ? depth.bids.reduce((acc, [, qty]) => acc + qty, 0) : book.bidQty
+  const askQty = depth ? depth.asks.reduce((acc, [, qty]) => acc + qty, 0) : book.askQty
+  const totalQty = bidQty + askQty
+  const topQty = book.bidQty + book.askQty
+
+  const keepFrom = Math.floor((nowTs - BOOK_SPREAD_WINDOW_MS) / 1000)
+  let spreadSum = 0
+  let spreadCount = 0
+  for (const bucket of state.spreadBuckets) {
+    if (bucket.second < keepFrom) continue
+    spreadSum += bucket.sumBps
+    spreadCount += bucket.count
   }
+  const spreadBps = getSpreadBps(book.bidPrice, book.askPrice)
 
-  if (event.type === 'kline') {
-    if (Number.isFinite(event.volume)) state.lastVolume5m = event.volume
-    if (Number.isFinite(event.closeTime)) state.nextCandleCloseTs = event.isClosed ? event.closeTime + FIVE_MINUTES_MS : event.closeTime
+  return {
+    bidPrice: book.bidPrice,
+    askPrice: book.askPrice,
+    spreadBps,
+    avgSpreadBps: spreadCount > 0 ? spreadSum / spreadCount : spreadBps,
+    // Top-of-book microprice: leans toward the side with less size, where the next tick is more likely.
+    microprice: topQty > 0 ? (book.bidPrice * book.askQty + book.askPrice * book.bidQty) / topQty : (book.bidPrice + book.askPrice) / 2,
+    imbalance: totalQty > 0 ? (bidQty - askQty) / totalQty : 0,
+    levels: depth ? Math.min(depth.bids.length, depth.asks.length) : 1,
+    ageMs: nowTs - book.receivedAt,
+  }
+}
 
-    const closed = {
-      openTime: event.openTime,
-      open: event.open,
-      high: event.high,
-      low: event.low,
-      close: event.close,
-      volume: event.volume,
-      closeTime: event.closeTime,
-    }
+// Quote the simulator fills against: the streamed book and depth while fresh, otherwise the latest
+// buyer- and seller-initiated prints stand in for the ask and the bid. Null when neither is known.
+function getSimMarket(state, nowTs) {
+  const book = state.book && nowTs - state.book.receivedAt <= BOOK_STALE_MS ? state.book : null
+  if (book) {
+    const depth = state.depth && nowTs - state.depth.receivedAt <= BOOK_STALE_MS ? state.depth : null
+    return { bidPrice: book.bidPrice, askPrice: book.askPrice, bids: depth?.bids ?? null, asks: depth?.asks ?? null }
+  }
 
-    if (event.isClosed) upsertClosedCandle(state, closed)
+  let bidPrice = null
+  let askPrice = null
+  for (let i = (state.aggTrades?.length ?? 0) - 1; i >= 0 && (bidPrice === null || askPrice === null); i -= 1) {
+    const t = state.aggTrades[i]
+    if (t.side === 'buy' && askPrice === null) askPrice = t.price
+    else if (t.side === 'sell' && bidPrice === null) bidPrice = t.price
   }
+  return isFinitePrice(bidPrice) && isFinitePrice(askPrice) && askPrice >= bidPrice ? { bidPrice, askPrice } : null
+}
+
+function applyHistory(state, candles) {
+  state.candles = candles.slice(-(state.historyLimit ?? HISTORY_CANDLES))
+  state.lastVolume = state.candles[state.candles.length - 1]?.volume ?? null
+
+  const lastCloseTime = state.candles[state.candles.length - 1]?.closeTime
+  state.nextCandleCloseTs = Number.isFinite(lastCloseTime) ? lastCloseTime + state.intervalMs : null
+}
+
+function applyHigherTimeframeHistory(state, interval, candles) {
+  const series = state.htf[interval]
+  if (series) series.candles = candles.slice(-series.historyLimit)
+}
+
+function higherTimeframeCandles(state) {
+  return Object.fromEntries(Object.entries(state.htf).map(([interval, series]) => [interval, series.candles]))
 }
 
 function getLivePrice(state) {
@@ -297,30 +367,15 @@ function getLivePrice(state) {
   return null
 }
 
-function getMsToNextCandle(state) {
-  const now = Date.now()
-
-  if (Number.isFinite(state.nextCandleCloseTs)) return Math.max(0, state.nextCandleCloseTs - now)
-
-  const lastClose = state.candles[state.candles.length - 1]?.closeTime
-  if (Number.isFinite(lastClose)) return Math.max(0, lastClose + FIVE_MINUTES_MS - now)
-
-  return Number.POSITIVE_INFINITY
-}
-
 function getCurrentCycleId(state) {
   if (Number.isFinite(state.nextCandleCloseTs)) return state.nextCandleCloseTs
 
   const lastClose = state.candles[state.candles.length - 1]?.closeTime
-  if (Number.isFinite(lastClose)) return lastClose + FIVE_MINUTES_MS
+  if (Number.isFinite(lastClose)) return lastClose + state.intervalMs
 
   return null
 }
 
-function isFinitePrice(value) {
-  return typeof value === 'number' && Number.isFinite(value) && !Number.isNaN(value) && value > 0
-}
-
 function toNumber(value, fallback) {
   const n = Number(value)
   return Number.isFinite(n) ? n : fallback
@@ -338,21 +393,6 @@ function interpolateByTrigger(min, max, triggerPct) {
   return min + (max - min) * t
 }
 
-function buildRiskProfile(triggerPct, feeRatePct) {
-  const effectiveFeeRatePct = Number.isFinite(feeRatePct) ? Math.max(0, feeRatePct) : SIM_CONFIG.feeRatePct
-  const notionalUsd = Math.max(0, SIM_CONFIG.marginUsd * SIM_CONFIG.leverage)
-  const estRoundTripFeeUsd = notionalUsd * (effectiveFeeRatePct / 100) * 2
-  const adaptiveMinProfitUsd = Math.max(SIM_CONFIG.minNetProfitUsd, estRoundTripFeeUsd * 1.25)
-
-  return {
-    stopLossRoiPct: interpolateByTrigger(SIM_CONFIG.stopLossRoiMinPct, SIM_CONFIG.stopLossRoiMaxPct, triggerPct),
-    trailActivateRoiPct: interpolateByTrigger(SIM_CONFIG.trailActivateRoiMinPct, SIM_CONFIG.trailActivateRoiMaxPct, triggerPct),
-    trailDdRoiPct: interpolateByTrigger(SIM_CONFIG.trailDdRoiMinPct, SIM_CONFIG.trailDdRoiMaxPct, triggerPct),
-    minNetProfitUsd: adaptiveMinProfitUsd,
-    feeRatePct: effectiveFeeRatePct,
-  }
-}
-
 function flowConflicts(side, decisionPlan) {
   if (!decisionPlan) return false
   if (!Number.isFinite(decisionPlan.flowImbalance) || !Number.isFinite(decisionPlan.flowSamples) || decisionPlan.flowSamples < 20) return false
@@ -361,20 +401,7 @@ function flowConflicts(side, decisionPlan) {
   return false
 }
 
-function createLiveControlState(side, triggerPct, feeRatePct, now) {
-  const risk = buildRiskProfile(triggerPct, feeRatePct)
-  return {
-    side,
-    trailingArmed: false,
-    peakRoiPct: Number.NEGATIVE_INFINITY,
-    peakNetPnlUsd: Number.NEGATIVE_INFINITY,
-    openedAt: now,
-    setupTriggerPct: Number.isFinite(triggerPct) ? triggerPct : null,
-    ...risk,
-  }
-}
-
-function getLiveOpenMetrics(livePosition, livePrice, feeRatePct) {
+function getLiveOpenMetrics(livePosition, livePrice, feeRatePct, fallbackMarginUsd) {
   if (!livePosition) return null
 
   const qty = Math.abs(toNumber(livePosition.quantity, 0))
@@ -386,7 +413,7 @@ function getLiveOpenMetrics(livePosition, livePrice, feeRatePct) {
   const notionalUsd = Math.abs(qty * markPrice)
   const exitFeeUsd = (notionalUsd * Math.max(0, feeRatePct)) / 100
   const netPnlUsd = grossPnlUsd - exitFeeUsd
-  const marginUsd = Math.max(0.0000001, toNumber(livePosition.marginUsd, SIM_CONFIG.marginUsd))
+  const marginUsd = Math.max(0.0000001, toNumber(livePosition.marginUsd, fallbackMarginUsd))
   const roiPct = (netPnlUsd / marginUsd) * 100
 
   return {
@@ -401,565 +428,1797 @@ function getLiveOpenMetrics(livePosition, livePrice, feeRatePct) {
   }
 }
 
-function syncDecisionPlan(symbol, state, analysis, livePrice, now) {
-  const cycleId = getCurrentCycleId(state)
-  const prevPlan = decisionPlanBySymbol.get(symbol) ?? null
-
-  if (!Number.isFinite(cycleId)) {
-    decisionPlanBySymbol.set(symbol, null)
-    return null
-  }
-
-  const canBuild = (analysis.status === 'SETUP' || analysis.status === 'SIDEWAYS') && isFinitePrice(livePrice) && isFinitePrice(analysis.longAbove) && isFinitePrice(analysis.shortBelow)
-
-  if (!prevPlan || prevPlan.cycleId !== cycleId) {
-    const nextPlan = canBuild
-      ? {
-          cycleId,
-          status: analysis.status,
-          reason: analysis.reason,
-          triggerPct: analysis.triggerPct,
-          flowImbalance: analysis.flowImbalance,
-          flowSamples: analysis.flowSamples,
-          basePrice: livePrice,
-          longAbove: analysis.longAbove,
-          shortBelow: analysis.shortBelow,
-          createdAt: now,
-          hasTriggered: false,
-        }
-      : null
+// One engine instance owns all per-symbol state and timers. Everything that touches the outside
+// world (time, REST, websocket, live execution) is injectable so several engines can run side by
+// side, e.g. against the local mock Binance server.
+class Engine {
+  constructor(options = {}) {
+    this.symbols = options.symbols ?? SYMBOLS
+    this.marketSymbols = Object.fromEntries(this.symbols.map((symbol) => [symbol, options.marketSymbols?.[symbol] ?? MARKET_SYMBOLS[symbol] ?? marketSymbolForCoin(symbol)]))
+    this.clock = options.clock ?? createSystemClock()
+    this.rest = options.rest ?? createBinanceRestClient({ now: () => this.clock.now(), governor: options.restGovernor })
+    this.restGovernor = options.restGovernor ?? this.rest.governor ?? sharedRestGovernor
+    this.createWebSocket = options.createWebSocket ?? defaultWebSocketFactory
+    // options.strategies: { SYMBOL: strategyName } overrides STRATEGY_BY_SYMBOL / STRATEGY_DEFAULT.
+    this.strategyBySymbol = new Map(this.symbols.map((symbol) => [symbol, createStrategy(options.strategies?.[symbol] ?? strategyNameForSymbol(symbol))]))
+    // options.klineIntervals: { SYMBOL: '1m' | '3m' | '5m' | '15m' | '1h' } overrides KLINE_INTERVAL_BY_SYMBOL / BINANCE_KLINE_INTERVAL.
+    this.klineIntervalBySymbol = new Map(this.symbols.map((symbol) => [symbol, options.klineIntervals?.[symbol] ?? klineIntervalForSymbol(symbol)]))
+    // A given wsUrl is kept as is; the open socket still follows the universe through syncStreamSubscriptions.
+    this.fixedWsUrl = Boolean(options.wsUrl)
+    this.wsUrl = options.wsUrl ?? this.buildWsUrl()
+    this.simConfig = { ...SIM_CONFIG, ...options.simConfig }
+    this.renderIntervalMs = options.renderIntervalMs ?? RENDER_INTERVAL_MS
+    this.recorder = options.recorder ?? null
+    this.stateStore = options.stateStore ?? null
+    this.journal = options.journal ?? null
+    this.apiServer = options.apiServer ?? null
+    this.notifier = options.notifier ?? null
+    this.ui = options.ui ?? null
+    this.controlServer = options.controlServer ?? null
+    // UniverseSelector: the tracked symbols follow its selection while running (see refreshUniverse).
+    this.universe = options.universe ?? null
+    this.universeTimer = null
+    this.universeRefreshing = false
+    this.universeStatus = null
+    this.settings = options.settings ?? CONFIG_SETTINGS
+    this.watchConfig = options.watchConfig ?? false
+    this.unwatchConfig = null
+    this.configProblems = this.settings.problems()
+    this.configStatus = null
+    this.configError = null
+    this.notifiedErrorBySource = new Map()
+    this.wsDownSince = null
+    this.wsDownReason = null
+    this.riskManager = options.riskManager ?? new RiskManager(RISK_CONFIG)
+    this.leverageBrackets = options.leverageBrackets ?? new LeverageBracketCache({ file: LEVERAGE_BRACKETS_FILE })
+    this.stateStatus = null
+    this.unreconciledLiveControl = new Map()
+
+    this.liveTrader =
+      options.liveTrader ??
+      new LiveTrader({
+        ...LIVE_TRADING_CONFIG,
+        spreadMaxBpsByMarketSymbol: Object.fromEntries(
+          this.symbols.map((symbol) => [String(this.marketSymbols[symbol]).toUpperCase(), LIVE_SPREAD_MAX_BPS_BY_SYMBOL[symbol] ?? LIVE_SPREAD_MAX_BPS_DEFAULT]),
+        ),
+        clock: this.clock,
+        governor: this.restGovernor,
+        bookTicker: (marketSymbolUpper) => this.streamedBookTicker(marketSymbolUpper),
+        createWebSocket: options.createWebSocket,
+        onIncome: (income) => this.handleIncome(income),
+        leverageBrackets: this.leverageBrackets,
+        ...options.liveTrading,
+      })
 
-    decisionPlanBySymbol.set(symbol, nextPlan)
-    return nextPlan
+    this.symbolByMarket = new Map(Object.entries(this.marketSymbols).map(([symbol, marketSymbol]) => [marketSymbol, symbol]))
+    this.symbolState = new Map(this.symbols.map((symbol) => [symbol, this.createState(symbol)]))
+    this.decisionPlanBySymbol = new Map(this.symbols.map((symbol) => [symbol, null]))
+    this.simStateBySymbol = new Map(this.symbols.map((symbol) => [symbol, createSymbolSimState()]))
+    this.feeRateBySymbolPct = new Map(this.symbols.map((symbol) => [symbol, this.simConfig.feeRatePct]))
+    this.makerFeeRateBySymbolPct = new Map()
+    this.feeRateLoadedByApi = new Set()
+    this.liveControlBySymbol = new Map(this.symbols.map((symbol) => [symbol, null]))
+    this.liveEntryIntentBySymbol = new Map(this.symbols.map((symbol) => [symbol, null]))
+    this.nextLiveEntryRetryAtBySymbol = new Map(this.symbols.map((symbol) => [symbol, 0]))
+    this.liveJournalIdBySymbol = new Map(this.symbols.map((symbol) => [symbol, null]))
+    this.liveClosingSymbols = new Set()
+    this.pendingRealizedByMarketSymbol = new Map() // marketSymbolUpper -> { t, pnlUsd, updatedAt } of the current position
+    this.riskBlockBySymbol = new Map(this.symbols.map((symbol) => [symbol, null]))
+    // Per-symbol controls from the terminal UI: no new entries, or sim only while live trading is on.
+    this.entriesPausedSymbols = new Set()
+    this.simOnlySymbols = new Set()
+    // Configured values of the parameters changed with `set`, restored by reloadConfig().
+    this.runtimeParamBase = new Map()
+    // Symbols that left the universe while not flat: no new entries, and they go once flat.
+    this.universeHeldSymbols = new Set()
+    this.shadow = options.shadow ?? (SHADOW_SIM_ENABLE && this.liveTrader.isEnabled() ? new ShadowTracker({ journal: this.journal }) : null)
+
+    this.ws = null
+    // Streams the open socket carries: its URL's, then whatever SUBSCRIBE / UNSUBSCRIBE changed.
+    this.wsStreams = new Set()
+    this.wsRequestId = 0
+    this.wsConnected = false
+    this.wsLastMessageAt = 0
+    this.wsLastError = null
+    this.reconnectTimer = null
+    this.reconnectAttempt = 0
+    this.pingTimer = null
+    this.renderTimer = null
+    this.accountSyncTimer = null
+    this.openInterestTimer = null
+    this.stopped = false
+    this.replayStatus = null
   }
 
-  // Promote plan from SIDEWAYS to SETUP once per candle and keep threshold fixed after SETUP created.
-  if (prevPlan.status !== 'SETUP' && analysis.status === 'SETUP' && canBuild) {
-    prevPlan.status = analysis.status
-    prevPlan.reason = analysis.reason
-    prevPlan.triggerPct = analysis.triggerPct
-    prevPlan.flowImbalance = analysis.flowImbalance
-    prevPlan.flowSamples = analysis.flowSamples
-    prevPlan.basePrice = livePrice
-    prevPlan.longAbove = analysis.longAbove
-    prevPlan.shortBelow = analysis.shortBelow
+  historyLimitFor(symbol) {
+    return Math.max(HISTORY_CANDLES, this.strategyBySymbol.get(symbol)?.requiredHistory ?? 0)
   }
 
-  return prevPlan
-}
+  createState(symbol) {
+    const strategy = this.strategyBySymbol.get(symbol)
+    return createSymbolState(symbol, this.marketSymbols[symbol], this.historyLimitFor(symbol), this.klineIntervalBySymbol.get(symbol), strategy?.higherTimeframes ?? {})
+  }
 
-function connectionStatusText() {
-  const status = wsConnected ? 'connected' : 'disconnected'
-  const age = wsLastMessageAt > 0 ? `${Date.now() - wsLastMessageAt}ms` : 'N/A'
-  const errorText = wsLastError ? ` | last error: ${wsLastError}` : ''
-  return `${status} | last msg: ${age}${errorText}`
-}
+  ensureState(symbol) {
+    const state = this.symbolState.get(symbol)
+    if (state) return state
 
-function buildRows(now) {
-  const rows = []
-  const liveEnabled = liveTrader.isEnabled()
+    const nextState = this.createState(symbol)
+    this.symbolState.set(symbol, nextState)
+    return nextState
+  }
 
-  for (const symbol of SYMBOLS) {
-    const state = ensureState(symbol)
-    const livePrice = getLivePrice(state)
-    const msToNext = getMsToNextCandle(state)
-    const flowMetrics = getTradeFlowMetrics(state, now)
-    const analysis = analyzeDecision(state.candles, livePrice, msToNext, {
-      imbalance: flowMetrics.imbalance,
-      samples: flowMetrics.samples,
+  ensureSimState(symbol) {
+    if (!this.simStateBySymbol.has(symbol)) {
+      this.simStateBySymbol.set(symbol, createSymbolSimState())
+    }
+    return this.simStateBySymbol.get(symbol)
+  }
+
+  // Per market symbol: kline streams for the candle interval and the strategy's higher timeframes, plus any stream the strategy declares.
+  extraStreamTypes() {
+    return Object.fromEntries(
+      this.symbols.map((symbol) => {
+        const strategy = this.strategyBySymbol.get(symbol)
+        const intervals = [this.klineIntervalBySymbol.get(symbol), ...Object.keys(strategy.higherTimeframes ?? {})]
+        return [this.marketSymbols[symbol], [...intervals.map((interval) => `kline_${interval}`), ...(strategy.streams ?? [])]]
+      }),
+    )
+  }
+
+  streamNames() {
+    return buildStreamNames(Object.values(this.marketSymbols), this.extraStreamTypes())
+  }
+
+  buildWsUrl() {
+    return buildStreamUrl(Object.values(this.marketSymbols), this.extraStreamTypes())
+  }
+
+  // Starts following a symbol while running: a universe pick, or one with saved state at boot. Loading
+  // its history and fee rate and subscribing its streams is up to the caller.
+  trackSymbol(symbol, marketSymbol) {
+    this.marketSymbols[symbol] = marketSymbol
+    this.strategyBySymbol.set(symbol, createStrategy(strategyNameForSymbol(symbol)))
+    this.klineIntervalBySymbol.set(symbol, klineIntervalForSymbol(symbol))
+    this.symbolState.set(symbol, this.createState(symbol))
+    this.ensureSimState(symbol)
+    this.feeRateBySymbolPct.set(symbol, this.simConfig.feeRatePct)
+    for (const bySymbol of [this.decisionPlanBySymbol, this.liveControlBySymbol, this.liveEntryIntentBySymbol, this.liveJournalIdBySymbol, this.riskBlockBySymbol]) bySymbol.set(symbol, null)
+    this.nextLiveEntryRetryAtBySymbol.set(symbol, 0)
+    if (LIVE_SPREAD_MAX_BPS_BY_SYMBOL[symbol] !== undefined) this.liveTrader.spreadMaxBpsByMarketSymbol?.set(String(marketSymbol).toUpperCase(), LIVE_SPREAD_MAX_BPS_BY_SYMBOL[symbol])
+    this.symbolByMarket.set(marketSymbol, symbol)
+    this.symbols = [...this.symbols, symbol]
+  }
+
+  // Sim stats are kept, so a symbol that comes back later carries on from them.
+  untrackSymbol(symbol) {
+    this.symbols = this.symbols.filter((tracked) => tracked !== symbol)
+    this.symbolByMarket.delete(this.marketSymbols[symbol])
+    delete this.marketSymbols[symbol]
+    const bySymbolMaps = [
+      this.symbolState,
+      this.strategyBySymbol,
+      this.klineIntervalBySymbol,
+      this.decisionPlanBySymbol,
+      this.liveControlBySymbol,
+      this.liveEntryIntentBySymbol,
+      this.nextLiveEntryRetryAtBySymbol,
+      this.liveJournalIdBySymbol,
+      this.riskBlockBySymbol,
+      this.feeRateBySymbolPct,
+      this.makerFeeRateBySymbolPct,
+      this.feeRateLoadedByApi,
+      this.unreconciledLiveControl,
+      this.notifiedErrorBySource,
+    ]
+    for (const bySymbol of bySymbolMaps) bySymbol.delete(symbol)
+    this.entriesPausedSymbols.delete(symbol)
+    this.simOnlySymbols.delete(symbol)
+    this.universeHeldSymbols.delete(symbol)
+  }
+
+  // Whatever still needs the symbol's stream: an open sim or live position, a pending live entry or an order in flight.
+  hasOpenPosition(symbol) {
+    const marketSymbolUpper = String(this.marketSymbols[symbol]).toUpperCase()
+    return Boolean(
+      this.ensureSimState(symbol).activeTrade ||
+        this.liveTrader.getPosition(marketSymbolUpper) ||
+        this.liveEntryIntentBySymbol.get(symbol) ||
+        this.liveClosingSymbols.has(symbol) ||
+        this.liveTrader.inFlight?.has(marketSymbolUpper),
+    )
+  }
+
+  // Moves the tracked symbols to the selection (market symbols, best first). A symbol that is not
+  // selected any more is held while it has an open position (or while live positions are not known
+  // yet) and goes once flat. Returns { added, removed }.
+  applyUniverse(selected) {
+    const wanted = selected.map((marketSymbolArg) => {
+      const marketSymbol = String(marketSymbolArg).toLowerCase()
+      return [this.symbolByMarket.get(marketSymbol) ?? coinForMarketSymbol(marketSymbol), marketSymbol]
     })
-    const decisionPlan = syncDecisionPlan(symbol, state, analysis, livePrice, now)
+    const added = []
+    for (const [symbol, marketSymbol] of wanted) {
+      if (this.symbols.includes(symbol)) continue
+      this.trackSymbol(symbol, marketSymbol)
+      added.push(symbol)
+    }
 
-    const symbolFeeRatePct = feeRateBySymbolPct.get(symbol) ?? SIM_CONFIG.feeRatePct
-    const marketSymbolUpper = String(state.marketSymbol).toUpperCase()
-    let livePosition = liveTrader.getPosition(marketSymbolUpper)
-    let liveControl = liveControlBySymbol.get(symbol) ?? null
-    let liveEntryIntent = liveEntryIntentBySymbol.get(symbol) ?? null
-    const sim = ensureSimState(symbol)
-    const symbolSimConfig = { ...SIM_CONFIG, feeRatePct: symbolFeeRatePct }
-
-    if (isFinitePrice(livePrice) && liveEnabled) {
-      if (livePosition) {
-        liveEntryIntentBySymbol.set(symbol, null)
-        liveEntryIntent = null
-        nextLiveEntryRetryAtBySymbol.set(symbol, 0)
+    const wantedSymbols = new Set(wanted.map(([symbol]) => symbol))
+    this.universeHeldSymbols = new Set(this.symbols.filter((symbol) => !wantedSymbols.has(symbol)))
+    return { added, removed: this.dropFlatHeldSymbols() }
+  }
 
-        if (!liveControl || liveControl.side !== livePosition.side) {
-          const triggerSeed = Number.isFinite(decisionPlan?.triggerPct) ? decisionPlan.triggerPct : 0.5
-          liveControl = createLiveControlState(livePosition.side, triggerSeed, symbolFeeRatePct, now)
-          liveControlBySymbol.set(symbol, liveControl)
-        }
+  dropFlatHeldSymbols() {
+    if (this.liveTrader.isEnabled() && !this.liveTrader.ready) return []
+    const flat = [...this.universeHeldSymbols].filter((symbol) => !this.hasOpenPosition(symbol))
+    for (const symbol of flat) this.untrackSymbol(symbol)
+    return flat
+  }
 
-        const metrics = getLiveOpenMetrics(livePosition, livePrice, liveControl.feeRatePct)
-        if (metrics) {
-          if (metrics.netPnlUsd > liveControl.peakNetPnlUsd) {
-            liveControl.peakNetPnlUsd = metrics.netPnlUsd
-            liveControl.peakRoiPct = metrics.roiPct
-          }
+  noteUniverseChange(added, removed) {
+    if (added.length === 0 && removed.length === 0) return
+    const changeText = [...added.map((symbol) => `+${symbol}`), ...removed.map((symbol) => `-${symbol}`)].join(' ')
+    this.universeStatus = `${new Date(this.clock.now()).toISOString().slice(11, 19)} ${changeText}`
+    this.notifier?.notify('universe', `Symbol universe: ${changeText} (now ${this.symbols.join(', ')})`)
+  }
 
-          if (!liveControl.trailingArmed && metrics.roiPct >= liveControl.trailActivateRoiPct) {
-            liveControl.trailingArmed = true
-          }
+  applyStreamEvent(event) {
+    const symbol = this.symbolByMarket.get(event.marketSymbol)
+    if (!symbol) return
 
-          let closeReason = null
-          if (metrics.roiPct <= -liveControl.stopLossRoiPct) {
-            closeReason = 'SL_ROI'
-          } else if (liveControl.trailingArmed) {
-            const drawdownRoiPct = liveControl.peakRoiPct - metrics.roiPct
-            if (drawdownRoiPct >= liveControl.trailDdRoiPct && metrics.netPnlUsd >= liveControl.minNetProfitUsd) {
-              closeReason = 'TRAIL_ROI'
-            } else if (liveControl.peakNetPnlUsd >= liveControl.minNetProfitUsd && metrics.netPnlUsd <= liveControl.minNetProfitUsd) {
-              closeReason = 'LOCK_PROFIT'
-            }
-          }
+    const state = this.ensureState(symbol)
+    const strategy = this.strategyBySymbol.get(symbol)
+    state.lastStreamAt = this.clock.now()
+    state.error = null
 
-          if (closeReason) {
-            liveControl.lastExitSignal = closeReason
-            void liveTrader.closePosition(symbol, state.marketSymbol)
-          }
-        }
-      } else {
-        liveControlBySymbol.set(symbol, null)
-        liveControl = null
+    if (event.type === 'trade' || event.type === 'aggTrade') {
+      if (Number.isFinite(event.price)) state.tradePrice = event.price
+      if (Number.isFinite(event.qty)) state.tradeQty = event.qty
+      if (Number.isFinite(event.ts)) state.tradeTs = event.ts
+
+      if (Number.isFinite(event.qty) && event.qty > 0 && Number.isFinite(event.ts)) {
+        if (!Array.isArray(state.aggTrades)) state.aggTrades = []
+        state.aggTrades.push({
+          ts: event.ts,
+          price: event.price,
+          qty: event.qty,
+          side: event.isBuyerMaker ? 'sell' : 'buy',
+        })
+        pruneAggTrades(state, event.ts)
+      }
 
-        if (liveEntryIntent && now - liveEntryIntent.createdAt > FIVE_MINUTES_MS) {
-          liveEntryIntentBySymbol.set(symbol, null)
-          liveEntryIntent = null
-          nextLiveEntryRetryAtBySymbol.set(symbol, 0)
-        }
+      if (strategy?.onTrade && Number.isFinite(event.price)) {
+        strategy.onTrade({ ts: event.ts, price: event.price, qty: event.qty, side: event.isBuyerMaker ? 'sell' : 'buy' }, { symbol, candles: state.candles })
+      }
+      return
+    }
 
-        if (liveEntryIntent && Number.isFinite(decisionPlan?.cycleId) && liveEntryIntent.cycleId !== decisionPlan.cycleId) {
-          liveEntryIntentBySymbol.set(symbol, null)
-          liveEntryIntent = null
-          nextLiveEntryRetryAtBySymbol.set(symbol, 0)
+    if (event.type === 'mark') {
+      if (Number.isFinite(event.price)) state.markPrice = event.price
+      if (Number.isFinite(event.ts)) state.markTs = event.ts
+      if (Number.isFinite(event.nextFundingTime) && event.nextFundingTime > 0) {
+        // The next funding time moving on means the previous one just settled at the rate known before it.
+        if (Number.isFinite(state.nextFundingTime) && event.nextFundingTime > state.nextFundingTime) {
+          this.settleSimFunding(symbol, state.fundingRate, state.nextFundingTime, state.markPrice)
         }
+        state.nextFundingTime = event.nextFundingTime
+      }
+      if (Number.isFinite(event.fundingRate)) state.fundingRate = event.fundingRate
+      if (isFinitePrice(event.price)) this.checkSimLiquidation(symbol, event.price)
+      return
+    }
 
-        if (
-          !liveEntryIntent &&
-          decisionPlan &&
-          decisionPlan.status === 'SETUP' &&
-          !decisionPlan.hasTriggered &&
-          isFinitePrice(decisionPlan.longAbove) &&
-          isFinitePrice(decisionPlan.shortBelow)
-        ) {
-          const side = livePrice >= decisionPlan.longAbove ? 'long' : livePrice <= decisionPlan.shortBelow ? 'short' : null
-          if (side && !flowConflicts(side, decisionPlan)) {
-            decisionPlan.hasTriggered = true
-            liveEntryIntent = {
-              side,
-              cycleId: decisionPlan.cycleId,
-              createdAt: now,
-            }
-            liveEntryIntentBySymbol.set(symbol, liveEntryIntent)
-            liveControl = createLiveControlState(side, decisionPlan.triggerPct, symbolFeeRatePct, now)
-            liveControlBySymbol.set(symbol, liveControl)
-            nextLiveEntryRetryAtBySymbol.set(symbol, now + LIVE_ENTRY_SYNC_RETRY_MS)
-            void liveTrader.openPosition(symbol, state.marketSymbol, side, livePrice)
-          }
-        } else if (liveEntryIntent) {
-          const nextRetryAt = nextLiveEntryRetryAtBySymbol.get(symbol) ?? 0
-          if (now >= nextRetryAt) {
-            nextLiveEntryRetryAtBySymbol.set(symbol, now + LIVE_ENTRY_SYNC_RETRY_MS)
-            void liveTrader.openPosition(symbol, state.marketSymbol, liveEntryIntent.side, livePrice)
+    if (event.type === 'bookTicker') {
+      if (!isFinitePrice(event.bidPrice) || !isFinitePrice(event.askPrice)) return
+      const { bidPrice, bidQty, askPrice, askQty, ts } = event
+      state.book = { bidPrice, bidQty: toNumber(bidQty, 0), askPrice, askQty: toNumber(askQty, 0), ts, receivedAt: state.lastStreamAt }
+      recordSpread(state, state.lastStreamAt, getSpreadBps(bidPrice, askPrice))
+      return
+    }
+
+    if (event.type === 'depth') {
+      const valid = (levels) => levels.filter(([price, qty]) => isFinitePrice(price) && Number.isFinite(qty) && qty >= 0)
+      state.depth = { bids: valid(event.bids), asks: valid(event.asks), ts: event.ts, receivedAt: state.lastStreamAt }
+      return
+    }
+
+    if (event.type === 'kline') {
+      const closed = {
+        openTime: event.openTime,
+        open: event.open,
+        high: event.high,
+        low: event.low,
+        close: event.close,
+        volume: event.volume,
+        closeTime: event.closeTime,
+      }
+
+      // Higher timeframes only keep closed candles; the symbol's own interval also drives the countdown.
+      // Recordings made before klines carried an interval are all the symbol's own interval.
+      const htf = event.interval ? state.htf[event.interval] : null
+      if (htf && event.isClosed) upsertClosedCandle(htf, closed)
+      if (event.interval && event.interval !== state.interval) return
+
+      if (Number.isFinite(event.volume)) state.lastVolume = event.volume
+      if (Number.isFinite(event.closeTime)) state.nextCandleCloseTs = event.isClosed ? event.closeTime + state.intervalMs : event.closeTime
+
+      if (event.isClosed) {
+        upsertClosedCandle(state, closed)
+        if (strategy?.onCandleClose) strategy.onCandleClose(closed, { symbol, candles: state.candles })
+      }
+    }
+  }
+
+  // Live positions get their funding from the income history instead.
+  settleSimFunding(symbol, fundingRate, fundingTime, markPrice) {
+    if (this.isLiveSymbol(symbol)) return
+    applyFunding(this.ensureSimState(symbol), fundingRate, fundingTime, markPrice)
+  }
+
+  // The exchange liquidates on the mark price, so every mark update is checked rather than waiting for
+  // the next tick's SL_ROI check on the last trade price.
+  checkSimLiquidation(symbol, markPrice) {
+    if (this.isLiveSymbol(symbol)) {
+      this.shadow?.checkLiquidation(symbol, markPrice, this.clock.now())
+      return
+    }
+    const closed = checkLiquidation(this.ensureSimState(symbol), markPrice, this.clock.now())
+    if (closed) this.handleSimClose(symbol, closed)
+  }
+
+  async pollOpenInterest() {
+    if (typeof this.rest.fetchOpenInterestHistory !== 'function') return
+    await Promise.all(
+      this.symbols.map(async (symbol) => {
+        const state = this.ensureState(symbol)
+        try {
+          // 13 x 5m rows: the latest value and the one an hour before it.
+          const rows = await this.rest.fetchOpenInterestHistory(state.marketSymbol, '5m', 13)
+          const first = rows[0]
+          const last = rows[rows.length - 1]
+          if (!last) return
+          state.openInterest = {
+            value: last.openInterest,
+            valueUsd: last.openInterestUsd,
+            changePct: rows.length > 1 && first.openInterest > 0 ? ((last.openInterest - first.openInterest) / first.openInterest) * 100 : null,
+            ts: last.ts,
           }
+        } catch {
+          // keep the last known value
         }
-      }
-    } else if (isFinitePrice(livePrice) && !liveEnabled) {
-      const closedTrade = updateOpenTrade(sim, livePrice, now)
-      if (closedTrade) nextLiveEntryRetryAtBySymbol.set(symbol, 0)
+      }),
+    )
+  }
+
+  // Fresh streamed top of book for LiveTrader's GTX entries, or null to fall back to REST.
+  streamedBookTicker(marketSymbolUpper) {
+    const symbol = this.symbolByMarket.get(String(marketSymbolUpper).toLowerCase())
+    const book = symbol ? getBookMetrics(this.ensureState(symbol), this.clock.now()) : null
+    return book ? { bidPrice: book.bidPrice, askPrice: book.askPrice } : null
+  }
+
+  getMsToNextCandle(state) {
+    const now = this.clock.now()
 
-      const openedTrade = maybeOpenTrade(sim, decisionPlan, livePrice, now, symbolSimConfig)
-      if (openedTrade) nextLiveEntryRetryAtBySymbol.set(symbol, now + LIVE_ENTRY_SYNC_RETRY_MS)
+    if (Number.isFinite(state.nextCandleCloseTs)) return Math.max(0, state.nextCandleCloseTs - now)
+
+    const lastClose = state.candles[state.candles.length - 1]?.closeTime
+    if (Number.isFinite(lastClose)) return Math.max(0, lastClose + state.intervalMs - now)
+
+    return Number.POSITIVE_INFINITY
+  }
+
+  buildRiskProfile(triggerPct, feeRatePct) {
+    const simConfig = this.simConfig
+    const effectiveFeeRatePct = Number.isFinite(feeRatePct) ? Math.max(0, feeRatePct) : simConfig.feeRatePct
+    const notionalUsd = Math.max(0, simConfig.marginUsd * simConfig.leverage)
+    const estRoundTripFeeUsd = notionalUsd * (effectiveFeeRatePct / 100) * 2
+    const adaptiveMinProfitUsd = Math.max(simConfig.minNetProfitUsd, estRoundTripFeeUsd * 1.25)
+
+    return {
+      stopLossRoiPct: interpolateByTrigger(simConfig.stopLossRoiMinPct, simConfig.stopLossRoiMaxPct, triggerPct),
+      trailActivateRoiPct: interpolateByTrigger(simConfig.trailActivateRoiMinPct, simConfig.trailActivateRoiMaxPct, triggerPct),
+      trailDdRoiPct: interpolateByTrigger(simConfig.trailDdRoiMinPct, simConfig.trailDdRoiMaxPct, triggerPct),
+      minNetProfitUsd: adaptiveMinProfitUsd,
+      feeRatePct: effectiveFeeRatePct,
     }
+  }
 
-    livePosition = liveTrader.getPosition(marketSymbolUpper)
-    liveControl = liveControlBySymbol.get(symbol) ?? null
-    liveEntryIntent = liveEntryIntentBySymbol.get(symbol) ?? null
-    const simOpenMetrics = liveEnabled ? null : getOpenTradeMetrics(sim, livePrice)
-    const liveOpenMetrics = liveEnabled ? getLiveOpenMetrics(livePosition, livePrice, symbolFeeRatePct) : null
+  createLiveControlState(side, triggerPct, feeRatePct, now) {
+    const risk = this.buildRiskProfile(triggerPct, feeRatePct)
+    return {
+      side,
+      trailingArmed: false,
+      peakRoiPct: Number.NEGATIVE_INFINITY,
+      peakNetPnlUsd: Number.NEGATIVE_INFINITY,
+      openedAt: now,
+      setupTriggerPct: Number.isFinite(triggerPct) ? triggerPct : null,
+      ...risk,
+    }
+  }
 
-    rows.push({
+  syncDecisionPlan(symbol, state, analysis, livePrice, now) {
+    const cycleId = getCurrentCycleId(state)
+    const prevPlan = this.decisionPlanBySymbol.get(symbol) ?? null
+    const nextPlan = nextDecisionPlan(prevPlan, cycleId, analysis, livePrice, now)
+
+    this.decisionPlanBySymbol.set(symbol, nextPlan)
+    return nextPlan
+  }
+
+  journalSimEntry(symbol, trade, decisionPlan) {
+    if (!this.journal) return
+    this.journal.append({
+      t: trade.entryTime,
+      k: 'entry',
+      id: `sim-${symbol}-${trade.entryTime}`,
+      mode: 'sim',
       symbol,
-      state,
-      livePrice,
-      msToNext,
-      analysis,
-      flowMetrics,
-      decisionPlan,
-      sim,
-      simOpenMetrics,
-      livePosition,
-      liveIncome: liveTrader.getIncomeStats(marketSymbolUpper),
-      liveControl,
-      liveEntryIntent,
-      liveOpenMetrics,
-      liveLastAction: liveTrader.getLastAction(marketSymbolUpper),
+      marketSymbol: String(this.marketSymbols[symbol]).toUpperCase(),
+      side: trade.side,
+      price: trade.entryPrice,
+      signalPrice: trade.meta?.signalPrice ?? null,
+      quantity: trade.quantity,
+      route: trade.meta?.route ?? null,
+      spreadBps: Number.isFinite(trade.meta?.spreadBps) ? trade.meta.spreadBps : null,
+      feesUsd: trade.entryFeeUsd,
+      triggerPct: trade.meta?.setupTriggerPct ?? null,
+      flowImbalance: decisionPlan?.flowImbalance ?? null,
+      bookImbalance: decisionPlan?.bookImbalance ?? null,
+      cycleId: trade.meta?.cycleId ?? null,
+      entryStyle: trade.meta?.entryStyle ?? null,
     })
   }
 
-  return rows
-}
+  journalSimExit(symbol, closed) {
+    if (!this.journal) return
+    this.journal.append({
+      t: closed.exitTime,
+      k: 'exit',
+      id: `sim-${symbol}-${closed.entryTime}`,
+      mode: 'sim',
+      symbol,
+      side: closed.side,
+      price: closed.exitPrice,
+      signalPrice: closed.exitSignalPrice ?? null,
+      reason: closed.exitReason,
+      feesUsd: closed.feesUsd,
+      fundingUsd: closed.fundingUsd ?? 0,
+      pnlUsd: closed.pnlUsd,
+    })
+  }
+
+  // signalPrice: the last price the exit was decided at, to compare with the fill.
+  journalLiveExit(symbol, t, price, reason, signalPrice = null) {
+    const id = this.liveJournalIdBySymbol.get(symbol) ?? null
+    this.liveJournalIdBySymbol.set(symbol, null)
+    this.shadow?.liveExit(symbol, { price, time: t, reason, feeRatePct: this.feeRateBySymbolPct.get(symbol) ?? this.simConfig.feeRatePct })
+    const side = this.liveControlBySymbol.get(symbol)?.side ?? null
+    this.notifier?.notify('trade_close', `${symbol} LIVE CLOSE ${side ? `${side.toUpperCase()} ` : ''}@ ${formatPrice(price)} ${reason}`, {
+      mode: 'live',
+      symbol,
+      side,
+      price: isFinitePrice(price) ? price : null,
+      reason,
+    })
+    if (!this.journal) return
+    this.journal.append({
+      t,
+      k: 'exit',
+      id,
+      mode: 'live',
+      symbol,
+      side,
+      price: isFinitePrice(price) ? price : null,
+      signalPrice: isFinitePrice(signalPrice) ? signalPrice : null,
+      reason,
+    })
+  }
 
-function render(rows) {
-  safeClearConsole()
-  const customFeeCount = feeRateLoadedByApi.size
-  const liveEnabled = liveTrader.isEnabled()
-  const posHeader = liveEnabled ? 'LIVE ' : 'SIM '
-
-  console.log('Live Binance Futures Monitor (Trade + Mark + Volume)')
-  console.log(
-    `History: target ${HISTORY_CANDLES} candles x ${HISTORY_INTERVAL} (6 jam) | Analysis min: ${ANALYSIS_MIN_CANDLES} | Decision window: < ${Math.floor(DECISION_WINDOW_MS / 1000)} detik | ` +
-      `${liveEnabled ? 'Live' : 'Sim'}: $${SIM_CONFIG.marginUsd} x${SIM_CONFIG.leverage} | ` +
-      `SL -${SIM_CONFIG.stopLossRoiMinPct}-${SIM_CONFIG.stopLossRoiMaxPct}% ROI | ` +
-      `Trail aktif ${SIM_CONFIG.trailActivateRoiMinPct}-${SIM_CONFIG.trailActivateRoiMaxPct}% ROI | ` +
-      `Trail DD ${SIM_CONFIG.trailDdRoiMinPct}-${SIM_CONFIG.trailDdRoiMaxPct}% ROI | ` +
-      `Min net +$${SIM_CONFIG.minNetProfitUsd.toFixed(2)} | ` +
-      `Fee fallback ${SIM_CONFIG.feeRatePct}%/side | fee API loaded ${customFeeCount}/${SYMBOLS.length}\n`,
-  )
-  const liveErrorText = liveTrader.lastError ? ` | ${liveTrader.lastError}` : ''
-  console.log(`Live trading: ${liveTrader.getStatus()}${liveErrorText}`)
-  console.log(`WebSocket: ${connectionStatusText()}`)
-  console.log(`SYMBOL | MARK         | TRADE        | VOL 5M   | NEXT   | PLAN      | LONG IF >     | SHORT IF <    | ${posHeader}| NOTE`)
-  console.log('--------------------------------------------------------------------------------------------------------------------------------')
-
-  for (const row of rows) {
-    const { symbol, state, msToNext, analysis, decisionPlan, sim, livePosition, liveEntryIntent } = row
-
-    const plan = decisionPlan ?? null
-    const planStatus = (plan?.status ?? analysis.status).padEnd(9)
-    const longText = isFinitePrice(plan?.longAbove) ? formatPrice(plan.longAbove).padEnd(13) : '-'.padEnd(13)
-    const shortText = isFinitePrice(plan?.shortBelow) ? formatPrice(plan.shortBelow).padEnd(13) : '-'.padEnd(13)
-
-    const noteBase = state.error ? `ERR: ${state.error}` : (plan?.reason ?? analysis.reason)
-    const note = String(noteBase || '-').slice(0, 40)
-
-    const posTag = liveEnabled ? (livePosition ? livePosition.side.toUpperCase() : liveEntryIntent ? 'PEND' : 'IDLE') : sim.activeTrade ? sim.activeTrade.side.toUpperCase() : 'IDLE'
-
-    console.log(
-      `${symbol.padEnd(8)} | ` +
-        `${formatPrice(state.markPrice).padEnd(12)} | ` +
-        `${formatPrice(state.tradePrice).padEnd(12)} | ` +
-        `${compactNumber(state.lastVolume5m).padEnd(8)} | ` +
-        `${formatMsToClock(msToNext).padEnd(6)} | ` +
-        `${planStatus} | ` +
-        `${longText} | ` +
-        `${shortText} | ` +
-        `${posTag.padEnd(4)} | ` +
-        `${note}`,
+  journalIncome(income) {
+    if (!this.journal) return
+    this.journal.append({ t: income.time, k: 'income', mode: 'live', marketSymbol: income.symbol, incomeType: income.incomeType, incomeUsd: income.incomeUsd, key: income.key })
+  }
+
+  // Each row counts toward the daily limit as it comes in. Realized PnL comes one row per fill, so for
+  // the loss streak it is summed per position and recorded as one trade in settleRealizedPnl.
+  handleIncome(income) {
+    this.journalIncome(income)
+    if (!this.riskManager.recordPnl('live', income.time, income.incomeUsd, income.key)) return
+    if (income.incomeType !== 'REALIZED_PNL') return
+
+    const pending = this.pendingRealizedByMarketSymbol.get(income.symbol) ?? { t: income.time, pnlUsd: 0, updatedAt: 0 }
+    pending.t = Math.max(pending.t, income.time)
+    pending.pnlUsd += income.incomeUsd
+    pending.updatedAt = this.clock.now()
+    this.pendingRealizedByMarketSymbol.set(income.symbol, pending)
+  }
+
+  settleRealizedPnl(now) {
+    for (const [marketSymbol, pending] of this.pendingRealizedByMarketSymbol) {
+      if (this.liveTrader.getPosition(marketSymbol) || now - pending.updatedAt < REALIZED_PNL_SETTLE_MS) continue
+      this.pendingRealizedByMarketSymbol.delete(marketSymbol)
+      this.riskManager.recordTradeOutcome('live', pending.t, pending.pnlUsd)
+    }
+  }
+
+  handleSimClose(symbol, closed) {
+    this.nextLiveEntryRetryAtBySymbol.set(symbol, 0)
+    this.journalSimExit(symbol, closed)
+    this.notifySimClose(symbol, closed)
+    this.riskManager.recordTradeResult('sim', closed.exitTime, closed.pnlUsd)
+  }
+
+  notifySimOpen(symbol, trade) {
+    if (!this.notifier) return
+    this.notifier.notify(
+      'trade_open',
+      `${symbol} SIM OPEN ${trade.side.toUpperCase()} @ ${formatPrice(trade.entryPrice)}${trade.meta?.route ? ` ${trade.meta.route}` : ''} | ` +
+        `$${trade.marginUsd} x${trade.leverage} | ${formatLiquidation(trade.liquidationPrice, trade.entryPrice)}`,
+      { mode: 'sim', symbol, side: trade.side, price: trade.entryPrice, route: trade.meta?.route ?? null },
     )
   }
 
-  console.log(`\n${liveEnabled ? 'Live Trades' : 'Simulation Trades'}`)
-  console.log('-----------------')
-  if (liveEnabled) console.log('Using live Binance positions/income + live open/close execution')
-
-  for (const row of rows) {
-    const { symbol, livePrice, sim, simOpenMetrics, livePosition, liveIncome, liveControl, liveEntryIntent, liveOpenMetrics, liveLastAction } = row
-
-    if (liveEnabled) {
-      if (livePosition) {
-        const gross = liveOpenMetrics?.grossPnlUsd ?? 0
-        const net = liveOpenMetrics?.netPnlUsd ?? gross
-        const roiPct = liveOpenMetrics?.roiPct ?? 0
-        const grossSign = gross >= 0 ? '+' : ''
-        const netSign = net >= 0 ? '+' : ''
-        const controlText = liveControl
-          ? `sl -${liveControl.stopLossRoiPct.toFixed(2)}% | trail ${liveControl.trailingArmed ? 'ON' : 'OFF'} (act ${liveControl.trailActivateRoiPct.toFixed(2)}% / dd ${liveControl.trailDdRoiPct.toFixed(2)}%) | peakROI ${Number.isFinite(liveControl.peakRoiPct) ? liveControl.peakRoiPct.toFixed(2) : '0.00'}%`
-          : 'risk profile unavailable'
-        const trades = liveIncome.trades || 0
-        const wins = liveIncome.wins || 0
-        const losses = liveIncome.losses || 0
-        const winRate = trades > 0 ? (wins / trades) * 100 : 0
-        const lastRealized = liveIncome.lastRealizedAt > 0 ? `${liveIncome.lastRealizedPnlUsd >= 0 ? '+' : ''}$${liveIncome.lastRealizedPnlUsd.toFixed(4)}` : 'none'
+  notifySimClose(symbol, closed) {
+    if (!this.notifier) return
+    this.notifier.notify(
+      'trade_close',
+      `${symbol} SIM CLOSE ${closed.side.toUpperCase()} @ ${formatPrice(closed.exitPrice)} ${closed.exitReason} | ` +
+        `net ${closed.pnlUsd >= 0 ? '+' : '-'}$${Math.abs(closed.pnlUsd).toFixed(4)} (${closed.roiPct.toFixed(2)}%) | held ${formatMsToClock(closed.exitTime - closed.entryTime)}`,
+      { mode: 'sim', symbol, side: closed.side, price: closed.exitPrice, reason: closed.exitReason, pnlUsd: closed.pnlUsd },
+    )
+  }
 
-        console.log(
-          `${symbol} LIVE ${livePosition.side.toUpperCase()} | ` +
-            `entry ${formatPrice(livePosition.entryPrice)} | ` +
-            `mark ${formatPrice(livePosition.markPrice)} | ` +
-            `qty ${formatNumber(livePosition.quantity, 4)} | ` +
-            `margin ${(livePosition.marginType || 'UNKNOWN').toUpperCase()} | ` +
-            `gross ${grossSign}$${gross.toFixed(4)} | ` +
-            `netEst ${netSign}$${net.toFixed(4)} (${roiPct.toFixed(2)}%) | ` +
-            `trades ${wins}/${trades}W (${winRate.toFixed(1)}%) L${losses} | ` +
-            `lastRealized ${lastRealized} | ` +
-            `${controlText} | ` +
-            `action ${liveLastAction}`,
-        )
+  // Anything that only shows in the header until the next render: one notification per new message.
+  notifyErrorChanges() {
+    if (!this.notifier) return
+    const sources = [
+      ['Live', this.liveTrader.lastError],
+      ['Journal', this.journal?.lastError],
+      ['State', this.stateStore?.lastError],
+      ['Recorder', this.recorder?.lastError],
+      ['API', this.apiServer?.lastError],
+      ['Control', this.controlServer?.lastError],
+      ['Config', this.configError],
+      ['Universe', this.universe?.lastError],
+      ...this.symbols.map((symbol) => [symbol, this.ensureState(symbol).error]),
+    ]
+    for (const [source, errorText] of sources) {
+      const previous = this.notifiedErrorBySource.get(source) ?? null
+      if ((errorText ?? null) === previous) continue
+      this.notifiedErrorBySource.set(source, errorText ?? null)
+      if (errorText) this.notifier.notify('error', `${source}: ${errorText}`, { source })
+    }
+  }
+
+  isLiveSymbol(symbol) {
+    return this.liveTrader.isEnabled() && !this.simOnlySymbols.has(symbol)
+  }
+
+  // Null when a new entry may go ahead, otherwise the reason shown in the NOTE column.
+  entryBlock(symbol, side, now, market) {
+    if (this.entriesPausedSymbols.has(symbol)) return 'PAUSED'
+    if (this.universeHeldSymbols.has(symbol)) return 'LEFT UNIVERSE'
+    return this.riskManager.checkEntry(this.isLiveSymbol(symbol) ? 'live' : 'sim', side, this.riskPositions(), now, market)
+  }
+
+  // Per-symbol controls (terminal UI keys and the control socket). Each returns { ok, message } for the caller to show.
+  setEntriesPaused(symbol, paused) {
+    if (!this.symbols.includes(symbol)) return { ok: false, message: `Unknown symbol ${symbol}` }
+    if (paused) this.entriesPausedSymbols.add(symbol)
+    else this.entriesPausedSymbols.delete(symbol)
+    return { ok: true, message: `${symbol} entries ${paused ? 'paused' : 'resumed'}` }
+  }
+
+  // Closes the symbol's position in its current mode (live or sim) and drops a pending live entry.
+  closeSymbolPosition(symbol, reason = 'MANUAL') {
+    if (!this.symbols.includes(symbol)) return { ok: false, message: `Unknown symbol ${symbol}` }
+    const state = this.ensureState(symbol)
+    const livePrice = getLivePrice(state)
+    const now = this.clock.now()
+    if (!isFinitePrice(livePrice)) return { ok: false, message: `${symbol} has no price yet` }
+
+    if (this.isLiveSymbol(symbol)) {
+      const intent = this.liveEntryIntentBySymbol.get(symbol)
+      if (intent) {
+        this.liveEntryIntentBySymbol.set(symbol, null)
+        this.shadow?.liveEntryDropped(symbol, now)
+      }
+      const position = this.liveTrader.getPosition(String(state.marketSymbol).toUpperCase())
+      if (!position) return { ok: Boolean(intent), message: intent ? `${symbol} pending live entry dropped` : `${symbol} has no live position` }
+
+      const liveControl = this.liveControlBySymbol.get(symbol)
+      if (liveControl) liveControl.lastExitSignal = reason
+      this.closeLivePosition(symbol, state, reason, livePrice)
+      return { ok: true, message: `${symbol} closing live ${position.side.toUpperCase()} at market` }
+    }
+
+    const closed = closeTrade(this.ensureSimState(symbol), livePrice, now, reason, getSimMarket(state, now))
+    if (!closed) return { ok: false, message: `${symbol} has no sim position` }
+    this.handleSimClose(symbol, closed)
+    return { ok: true, message: `${symbol} sim ${closed.side.toUpperCase()} closed ${closed.pnlUsd >= 0 ? '+' : '-'}$${Math.abs(closed.pnlUsd).toFixed(4)}` }
+  }
+
+  // A symbol only switches while flat, so no open position is left without its exits being managed.
+  setSymbolLive(symbol, live) {
+    if (!this.symbols.includes(symbol)) return { ok: false, message: `Unknown symbol ${symbol}` }
+    if (live && !this.liveTrader.isEnabled()) return { ok: false, message: 'Live trading is off (LIVE_TRADING_ENABLE)' }
+    if (this.isLiveSymbol(symbol) === live) return { ok: true, message: `${symbol} is already ${live ? 'live' : 'sim'}` }
+
+    const open = live
+      ? this.ensureSimState(symbol).activeTrade
+      : this.liveTrader.getPosition(String(this.marketSymbols[symbol]).toUpperCase()) || this.liveEntryIntentBySymbol.get(symbol)
+    if (open) return { ok: false, message: `Close the ${symbol} ${live ? 'sim' : 'live'} position first` }
+
+    if (live) this.simOnlySymbols.delete(symbol)
+    else this.simOnlySymbols.add(symbol)
+    return { ok: true, message: `${symbol} is now ${live ? 'LIVE' : 'sim only'}` }
+  }
+
+  closeAllPositions(reason = 'MANUAL') {
+    const messages = this.symbols
+      .filter((symbol) =>
+        this.isLiveSymbol(symbol)
+          ? this.liveTrader.getPosition(String(this.marketSymbols[symbol]).toUpperCase()) || this.liveEntryIntentBySymbol.get(symbol)
+          : this.ensureSimState(symbol).activeTrade,
+      )
+      .map((symbol) => this.closeSymbolPosition(symbol, reason))
+    if (messages.length === 0) return { ok: true, message: 'No open positions' }
+    return { ok: messages.every((result) => result.ok), message: messages.map((result) => result.message).join('\n') }
+  }
+
+  runtimeParamTarget(name) {
+    const [section, key] = name.split('.')
+    if (section === 'sim') return { target: this.simConfig, key }
+    if (section === 'live') return { target: this.liveTrader, key }
+    return { target: this.riskManager, key }
+  }
+
+  runtimeParamLines() {
+    return Object.keys(RUNTIME_PARAMS).map((name) => {
+      const { target, key } = this.runtimeParamTarget(name)
+      return `${name.padEnd(28)} ${target[key]}${this.runtimeParamBase.has(name) ? ` (configured ${this.runtimeParamBase.get(name)})` : ''}`
+    })
+  }
+
+  setRuntimeParam(name, valueText) {
+    const spec = RUNTIME_PARAMS[name]
+    if (!spec) return { ok: false, message: `Unknown parameter ${name} (set without arguments lists them)` }
+    const value = Number(valueText)
+    if (!Number.isFinite(value) || (spec.integer && !Number.isInteger(value))) return { ok: false, message: `${name} needs ${spec.integer ? 'an integer' : 'a number'}` }
+    if (value < spec.min || (spec.max !== undefined && value > spec.max)) {
+      return { ok: false, message: `${name} must be ${spec.max === undefined ? `>= ${spec.min}` : `${spec.min}..${spec.max}`}` }
+    }
+
+    // The simulator's min/max ROI pairs must stay ordered, or createDefaults silently clamps them.
+    const { target, key } = this.runtimeParamTarget(name)
+    const pairMatch = /^(.*)(Min|Max)Pct$/.exec(key)
+    if (pairMatch) {
+      const otherKey = `${pairMatch[1]}${pairMatch[2] === 'Min' ? 'Max' : 'Min'}Pct`
+      const other = Number(target[otherKey])
+      if (pairMatch[2] === 'Min' ? value > other : value < other) {
+        return { ok: false, message: `${name} must be ${pairMatch[2] === 'Min' ? '<=' : '>='} ${otherKey} (${other})` }
+      }
+    }
+
+    if (!this.runtimeParamBase.has(name)) this.runtimeParamBase.set(name, target[key])
+    const previous = target[key]
+    target[key] = value
+    if (this.runtimeParamBase.get(name) === value) this.runtimeParamBase.delete(name)
+    return { ok: true, message: `${name} ${previous} -> ${value}` }
+  }
+
+  // Reads the config file again (the environment cannot change under a running process). The settings
+  // behind RUNTIME_PARAMS take effect right away and replace any `set` value; anything else that changed
+  // needs a restart. A file with errors changes nothing.
+  reloadConfig() {
+    const { errors, changed } = this.settings.reload()
+    if (errors.length > 0) {
+      this.configError = `reload failed: ${errors[0]}${errors.length > 1 ? ` (+${errors.length - 1} more)` : ''}`
+      return { ok: false, message: `Config not reloaded:\n${errors.join('\n')}` }
+    }
+
+    const applied = []
+    for (const [name, spec] of Object.entries(RUNTIME_PARAMS)) {
+      const { target, key } = this.runtimeParamTarget(name)
+      const value = this.settings.get(spec.setting) * (spec.scale ?? 1)
+      if (target[key] !== value) applied.push(`${name} ${target[key]} -> ${value}`)
+      target[key] = value
+    }
+    this.runtimeParamBase.clear()
+
+    const hotSettings = new Set(Object.values(RUNTIME_PARAMS).map((spec) => spec.setting))
+    const restartKeys = changed.map((change) => change.key).filter((key) => !hotSettings.has(key))
+    this.configProblems = this.settings.problems()
+    this.configError = null
+    this.configStatus = [
+      `reloaded ${new Date(this.clock.now()).toISOString().slice(11, 19)}`,
+      ...(applied.length > 0 ? [applied.join(', ')] : []),
+      ...(restartKeys.length > 0 ? [`restart needed for ${restartKeys.join(', ')}`] : []),
+    ].join(' | ')
+    return { ok: true, message: [`Config reloaded from ${this.settings.file ?? 'the environment'}`, ...applied, ...(restartKeys.length > 0 ? [`Restart needed for ${restartKeys.join(', ')}`] : [])].join('\n') }
+  }
+
+  // The risk ledgers entries are checked against: live results for live symbols, sim for the rest.
+  riskModes() {
+    return this.liveTrader.isEnabled() ? ['live', 'sim'] : ['sim']
+  }
+
+  // Open and pending positions across all symbols, as the risk manager sees them.
+  riskPositions() {
+    const positions = []
+    for (const symbol of this.symbols) {
+      if (this.isLiveSymbol(symbol)) {
+        const side = this.liveTrader.getPosition(String(this.marketSymbols[symbol]).toUpperCase())?.side ?? this.liveEntryIntentBySymbol.get(symbol)?.side
+        if (side) positions.push({ symbol, side })
       } else {
-        const net = liveIncome.netUsd || 0
-        const sign = net >= 0 ? '+' : ''
-        const trades = liveIncome.trades || 0
-        const wins = liveIncome.wins || 0
-        const losses = liveIncome.losses || 0
-        const winRate = trades > 0 ? (wins / trades) * 100 : 0
-        const grossRealized = liveIncome.realizedPnlUsd || 0
-        const grossSign = grossRealized >= 0 ? '+' : ''
-        const lastRealized = liveIncome.lastRealizedAt > 0 ? `${liveIncome.lastRealizedPnlUsd >= 0 ? '+' : ''}$${liveIncome.lastRealizedPnlUsd.toFixed(4)}` : 'none'
-        const intentText = liveEntryIntent ? `pending ${liveEntryIntent.side.toUpperCase()}` : 'pending -'
-        console.log(
-          `${symbol} LIVE IDLE | ` +
-            `realizedGross ${grossSign}$${grossRealized.toFixed(4)} | ` +
-            `commission $${(liveIncome.commissionUsd || 0).toFixed(4)} | ` +
-            `funding $${(liveIncome.fundingUsd || 0).toFixed(4)} | ` +
-            `net ${sign}$${net.toFixed(4)} | ` +
-            `win ${wins}/${trades} (${winRate.toFixed(1)}%) | ` +
-            `lose ${losses} | ` +
-            `lastRealized ${lastRealized} | ` +
-            `events ${liveIncome.events || 0} | ` +
-            `${intentText} | ` +
-            `action ${liveLastAction}`,
-        )
+        const side = this.simStateBySymbol.get(symbol)?.activeTrade?.side
+        if (side) positions.push({ symbol, side })
       }
-      continue
     }
+    return positions
+  }
 
-    if (sim.activeTrade) {
-      const trade = sim.activeTrade
-      const grossPnlUsd = simOpenMetrics?.grossPnlUsd ?? 0
-      const pnlUsd = simOpenMetrics?.netPnlUsd ?? 0
-      const feesUsd = simOpenMetrics?.feesUsd ?? 0
-      const roiPct = simOpenMetrics?.roiPct ?? 0
-      const peakRoiPct = simOpenMetrics?.peakRoiPct ?? 0
-      const pnlSign = pnlUsd >= 0 ? '+' : ''
-      const grossSign = grossPnlUsd >= 0 ? '+' : ''
+  // Kill switch: close whatever is open for this symbol and drop pending entries.
+  flattenForKillSwitch(symbol, state, sim, livePosition, livePrice, now) {
+    this.liveEntryIntentBySymbol.set(symbol, null)
+    this.shadow?.liveEntryDropped(symbol, now)
+    if (!isFinitePrice(livePrice)) return
+
+    if (this.isLiveSymbol(symbol)) {
+      if (livePosition) this.closeLivePosition(symbol, state, 'KILL_SWITCH', livePrice)
+      this.shadow?.flatten(symbol, livePrice, now, getSimMarket(state, now))
+    } else if (sim.activeTrade) {
+      const closed = closeTrade(sim, livePrice, now, 'KILL_SWITCH', getSimMarket(state, now))
+      if (closed) this.handleSimClose(symbol, closed)
+    }
+  }
 
-      console.log(
-        `${symbol} OPEN ${trade.side.toUpperCase()} | ` +
-          `entry ${formatPrice(trade.entryPrice)} | ` +
-          `last ${formatPrice(livePrice)} | ` +
-          `slROI -${trade.stopLossRoiPct}% | ` +
-          `trail ${trade.trailingArmed ? 'ON' : 'OFF'} (act ${trade.trailActivateRoiPct.toFixed(2)}% / dd ${trade.trailDdRoiPct.toFixed(2)}%) | ` +
-          `peakROI ${peakRoiPct.toFixed(2)}% | ` +
-          `gross ${grossSign}$${grossPnlUsd.toFixed(4)} | ` +
-          `feeRate ${trade.feeRatePct.toFixed(4)}% | fee $${feesUsd.toFixed(4)} | ` +
-          `net ${pnlSign}$${pnlUsd.toFixed(4)} (${roiPct.toFixed(2)}%)`,
+  openLivePosition(symbol, state, side, livePrice, decisionPlan) {
+    const requestedAt = this.clock.now()
+    const marketSymbolUpper = String(state.marketSymbol).toUpperCase()
+
+    const protection = this.liveControlBySymbol.get(symbol) ?? null
+    void this.liveTrader.openPosition(symbol, state.marketSymbol, side, livePrice, { protection, cycleId: decisionPlan?.cycleId }).then((result) => {
+      if (!result) {
+        this.shadow?.liveEntryFailed(symbol, this.liveTrader.lastError)
+        return
+      }
+      const id = `live-${symbol}-${requestedAt}`
+      this.liveJournalIdBySymbol.set(symbol, id)
+
+      const position = this.liveTrader.getPosition(marketSymbolUpper)
+      const avgPrice = Number(result.avgPrice)
+      const route = result.route ?? 'MKT'
+      this.shadow?.liveEntryFilled(symbol, {
+        price: position?.entryPrice || (avgPrice > 0 ? avgPrice : livePrice),
+        time: requestedAt,
+        route,
+        quantity: Number(result.executedQty) || position?.quantity,
+        marginUsd: position?.marginUsd ?? this.simConfig.marginUsd,
+        feeRatePct: route === 'GTX' ? (this.makerFeeRateBySymbolPct.get(symbol) ?? this.simConfig.makerFeeRatePct) : (this.feeRateBySymbolPct.get(symbol) ?? this.simConfig.feeRatePct),
+      })
+      this.notifier?.notify(
+        'trade_open',
+        `${symbol} LIVE OPEN ${side.toUpperCase()} @ ${formatPrice(position?.entryPrice || (avgPrice > 0 ? avgPrice : livePrice))} ${route} | ` +
+          `qty ${formatNumber(Number(result.executedQty) || position?.quantity || 0, 4)}${position ? ` | ${formatLiquidation(position.liquidationPrice, position.entryPrice)}` : ''}`,
+        { mode: 'live', symbol, side, price: position?.entryPrice || avgPrice || livePrice, route },
       )
+      if (!this.journal) return
+
+      this.journal.append({
+        t: requestedAt,
+        k: 'entry',
+        id,
+        mode: 'live',
+        symbol,
+        marketSymbol: marketSymbolUpper,
+        side,
+        price: position?.entryPrice || (avgPrice > 0 ? avgPrice : livePrice),
+        signalPrice: livePrice,
+        quantity: Number(result.executedQty) || position?.quantity || null,
+        route,
+        spreadBps: Number.isFinite(result.spreadBps) ? result.spreadBps : null,
+        triggerPct: decisionPlan?.triggerPct ?? null,
+        flowImbalance: decisionPlan?.flowImbalance ?? null,
+        bookImbalance: decisionPlan?.bookImbalance ?? null,
+        cycleId: decisionPlan?.cycleId ?? null,
+        entryStyle: decisionPlan?.entryStyle ?? null,
+      })
+    })
+  }
+
+  closeLivePosition(symbol, state, reason, livePrice) {
+    if (this.liveClosingSymbols.has(symbol)) return
+    this.liveClosingSymbols.add(symbol)
+
+    const requestedAt = this.clock.now()
+    void this.liveTrader
+      .closePosition(symbol, state.marketSymbol)
+      .then((result) => {
+        if (!result || !this.liveJournalIdBySymbol.get(symbol)) return
+        const avgPrice = Number(result.avgPrice)
+        this.journalLiveExit(symbol, requestedAt, avgPrice > 0 ? avgPrice : livePrice, reason, livePrice)
+      })
+      .finally(() => this.liveClosingSymbols.delete(symbol))
+  }
+
+  strategySummaryText() {
+    const symbolsByStrategy = new Map()
+    for (const symbol of this.symbols) {
+      const name = this.strategyBySymbol.get(symbol).name
+      symbolsByStrategy.set(name, [...(symbolsByStrategy.get(name) ?? []), symbol])
+    }
+    return [...symbolsByStrategy].map(([name, symbols]) => `${name} (${symbols.join(', ')})`).join(' | ')
+  }
 
-      continue
+  intervalSummaryText() {
+    const symbolsByInterval = new Map()
+    for (const symbol of this.symbols) {
+      const state = this.ensureState(symbol)
+      const key = [state.interval, ...Object.keys(state.htf)].join('+')
+      symbolsByInterval.set(key, [...(symbolsByInterval.get(key) ?? []), symbol])
     }
+    if (symbolsByInterval.size === 1) return [...symbolsByInterval.keys()][0]
+    return [...symbolsByInterval].map(([key, symbols]) => `${key} (${symbols.join(', ')})`).join(', ')
+  }
+
+  connectionStatusText() {
+    const status = this.wsConnected ? 'connected' : 'disconnected'
+    const age = this.wsLastMessageAt > 0 ? `${this.clock.now() - this.wsLastMessageAt}ms` : 'N/A'
+    const errorText = this.wsLastError ? ` | last error: ${this.wsLastError}` : ''
+    return `${status} | last msg: ${age}${errorText}`
+  }
+
+  buildRows(now) {
+    const rows = []
+    const liveTrader = this.liveTrader
+    const killed = this.riskManager.isKilled(now)
+
+    for (const symbol of this.symbols) {
+      const liveEnabled = this.isLiveSymbol(symbol)
+      const state = this.ensureState(symbol)
+      const livePrice = getLivePrice(state)
+      const msToNext = this.getMsToNextCandle(state)
+      const flowMetrics = getTradeFlowMetrics(state, now)
+      const bookMetrics = getBookMetrics(state, now)
+      const analysis = this.strategyBySymbol.get(symbol).evaluate({
+        symbol,
+        candles: state.candles,
+        higherTimeframes: higherTimeframeCandles(state),
+        livePrice,
+        msToNextCandle: msToNext,
+        decisionWindowMs: decisionWindowMs(state.intervalMs),
+        flow: { imbalance: flowMetrics.imbalance, samples: flowMetrics.samples, book: bookMetrics },
+        now,
+      })
+      const decisionPlan = this.syncDecisionPlan(symbol, state, analysis, livePrice, now)
+
+      const symbolFeeRatePct = this.feeRateBySymbolPct.get(symbol) ?? this.simConfig.feeRatePct
+      const marketSymbolUpper = String(state.marketSymbol).toUpperCase()
+      let livePosition = liveTrader.getPosition(marketSymbolUpper)
+      let liveControl = this.liveControlBySymbol.get(symbol) ?? null
+      let liveEntryIntent = this.liveEntryIntentBySymbol.get(symbol) ?? null
+      const sim = this.ensureSimState(symbol)
+      const symbolSimConfig = {
+        ...this.simConfig,
+        feeRatePct: symbolFeeRatePct,
+        makerFeeRatePct: this.makerFeeRateBySymbolPct.get(symbol) ?? this.simConfig.makerFeeRatePct,
+        leverageBrackets: this.leverageBrackets.bracketsFor(marketSymbolUpper),
+      }
+      this.riskBlockBySymbol.set(symbol, null)
+
+      if (killed) {
+        this.flattenForKillSwitch(symbol, state, sim, livePosition, livePrice, now)
+        liveEntryIntent = null
+      }
+
+      if (isFinitePrice(livePrice) && liveEnabled) {
+        this.shadow?.update(symbol, livePrice, now, getSimMarket(state, now))
+
+        if (livePosition) {
+          this.liveEntryIntentBySymbol.set(symbol, null)
+          liveEntryIntent = null
+          this.nextLiveEntryRetryAtBySymbol.set(symbol, 0)
+
+          if (!liveControl || liveControl.side !== livePosition.side) {
+            const triggerSeed = Number.isFinite(decisionPlan?.triggerPct) ? decisionPlan.triggerPct : 0.5
+            liveControl = this.createLiveControlState(livePosition.side, triggerSeed, symbolFeeRatePct, now)
+            this.liveControlBySymbol.set(symbol, liveControl)
+          }
 
-    const stats = sim.stats
-    const winRate = stats.total > 0 ? (stats.wins / stats.total) * 100 : 0
+          void liveTrader.ensureProtection(marketSymbolUpper, liveControl)
 
-    const last = sim.lastClosed ? `${sim.lastClosed.exitReason} ${sim.lastClosed.pnlUsd >= 0 ? '+' : ''}$${sim.lastClosed.pnlUsd.toFixed(4)}` : 'none'
+          const metrics = getLiveOpenMetrics(livePosition, livePrice, liveControl.feeRatePct, this.simConfig.marginUsd)
+          if (metrics) {
+            if (metrics.netPnlUsd > liveControl.peakNetPnlUsd) {
+              liveControl.peakNetPnlUsd = metrics.netPnlUsd
+              liveControl.peakRoiPct = metrics.roiPct
+            }
+
+            if (!liveControl.trailingArmed && metrics.roiPct >= liveControl.trailActivateRoiPct) {
+              liveControl.trailingArmed = true
+            }
 
-    console.log(`${symbol} IDLE | ` + `trades ${stats.total} | ` + `win ${stats.wins}/${stats.total} (${winRate.toFixed(1)}%) | ` + `realized ${stats.realizedPnlUsd >= 0 ? '+' : ''}$${stats.realizedPnlUsd.toFixed(4)} | ` + `last ${last}`)
+            let closeReason = null
+            if (metrics.roiPct <= -liveControl.stopLossRoiPct) {
+              closeReason = 'SL_ROI'
+            } else if (liveControl.trailingArmed) {
+              const drawdownRoiPct = liveControl.peakRoiPct - metrics.roiPct
+              if (drawdownRoiPct >= liveControl.trailDdRoiPct && metrics.netPnlUsd >= liveControl.minNetProfitUsd) {
+                closeReason = 'TRAIL_ROI'
+              } else if (liveControl.peakNetPnlUsd >= liveControl.minNetProfitUsd && metrics.netPnlUsd <= liveControl.minNetProfitUsd) {
+                closeReason = 'LOCK_PROFIT'
+              }
+            }
+
+            if (closeReason) {
+              liveControl.lastExitSignal = closeReason
+              this.closeLivePosition(symbol, state, closeReason, livePrice)
+            }
+          }
+        } else {
+          // Gone without our close order completing: exchange-side stop, liquidation or a manual close.
+          if (this.liveJournalIdBySymbol.get(symbol) && !this.liveClosingSymbols.has(symbol)) {
+            this.journalLiveExit(symbol, now, livePrice, liveControl?.lastExitSignal ?? 'EXTERNAL')
+          }
+          this.liveControlBySymbol.set(symbol, null)
+          liveControl = null
+
+          if (liveEntryIntent && now - liveEntryIntent.createdAt > state.intervalMs) {
+            this.liveEntryIntentBySymbol.set(symbol, null)
+            liveEntryIntent = null
+            this.nextLiveEntryRetryAtBySymbol.set(symbol, 0)
+            this.shadow?.liveEntryDropped(symbol, now)
+          }
+
+          if (liveEntryIntent && Number.isFinite(decisionPlan?.cycleId) && liveEntryIntent.cycleId !== decisionPlan.cycleId) {
+            this.liveEntryIntentBySymbol.set(symbol, null)
+            liveEntryIntent = null
+            this.nextLiveEntryRetryAtBySymbol.set(symbol, 0)
+            this.shadow?.liveEntryDropped(symbol, now)
+          }
+
+          if (
+            !liveEntryIntent &&
+            decisionPlan &&
+            decisionPlan.status === 'SETUP' &&
+            !decisionPlan.hasTriggered &&
+            hasEntryLevels(decisionPlan)
+          ) {
+            const side = resolveEntrySide(decisionPlan, livePrice)
+            // A blocked entry leaves the plan untriggered so it can still go once the limit clears.
+            const riskBlock = side ? this.entryBlock(symbol, side, now, state) : null
+            if (riskBlock) this.riskBlockBySymbol.set(symbol, riskBlock)
+            else if (side && !flowConflicts(side, decisionPlan)) {
+              decisionPlan.hasTriggered = true
+              liveEntryIntent = {
+                side,
+                cycleId: decisionPlan.cycleId,
+                createdAt: now,
+              }
+              this.liveEntryIntentBySymbol.set(symbol, liveEntryIntent)
+              liveControl = this.createLiveControlState(side, decisionPlan.triggerPct, symbolFeeRatePct, now)
+              this.liveControlBySymbol.set(symbol, liveControl)
+              this.nextLiveEntryRetryAtBySymbol.set(symbol, now + LIVE_ENTRY_SYNC_RETRY_MS)
+              this.shadow?.openEntry(symbol, side, decisionPlan, livePrice, now, symbolSimConfig, getSimMarket(state, now))
+              this.openLivePosition(symbol, state, side, livePrice, decisionPlan)
+            }
+          } else if (liveEntryIntent) {
+            const nextRetryAt = this.nextLiveEntryRetryAtBySymbol.get(symbol) ?? 0
+            if (now >= nextRetryAt) {
+              this.nextLiveEntryRetryAtBySymbol.set(symbol, now + LIVE_ENTRY_SYNC_RETRY_MS)
+              this.openLivePosition(symbol, state, liveEntryIntent.side, livePrice, decisionPlan)
+            }
+          }
+        }
+      } else if (isFinitePrice(livePrice) && !liveEnabled) {
+        const simMarket = getSimMarket(state, now)
+        const closedTrade = updateOpenTrade(sim, livePrice, now, simMarket)
+        if (closedTrade) this.handleSimClose(symbol, closedTrade)
+
+        const entrySide = !sim.activeTrade && decisionPlan?.status === 'SETUP' && !decisionPlan.hasTriggered ? resolveEntrySide(decisionPlan, livePrice) : null
+        const riskBlock = entrySide ? this.entryBlock(symbol, entrySide, now, state) : null
+        if (riskBlock) this.riskBlockBySymbol.set(symbol, riskBlock)
+
+        const openedTrade = riskBlock ? null : maybeOpenTrade(sim, decisionPlan, livePrice, now, symbolSimConfig, simMarket)
+        if (openedTrade) {
+          this.nextLiveEntryRetryAtBySymbol.set(symbol, now + LIVE_ENTRY_SYNC_RETRY_MS)
+          this.journalSimEntry(symbol, openedTrade, decisionPlan)
+          this.notifySimOpen(symbol, openedTrade)
+        }
+      }
+
+      livePosition = liveTrader.getPosition(marketSymbolUpper)
+      liveControl = this.liveControlBySymbol.get(symbol) ?? null
+      liveEntryIntent = this.liveEntryIntentBySymbol.get(symbol) ?? null
+      const simOpenMetrics = liveEnabled ? null : getOpenTradeMetrics(sim, livePrice)
+      const liveOpenMetrics = liveEnabled ? getLiveOpenMetrics(livePosition, livePrice, symbolFeeRatePct, this.simConfig.marginUsd) : null
+
+      rows.push({
+        symbol,
+        live: liveEnabled,
+        entriesPaused: this.entriesPausedSymbols.has(symbol),
+        state,
+        livePrice,
+        msToNext,
+        analysis,
+        flowMetrics,
+        bookMetrics,
+        decisionPlan,
+        sim,
+        simOpenMetrics,
+        livePosition,
+        liveIncome: liveTrader.getIncomeStats(marketSymbolUpper),
+        liveControl,
+        liveEntryIntent,
+        liveOpenMetrics,
+        liveLastAction: liveTrader.getLastAction(marketSymbolUpper),
+        liveProtection: liveTrader.getProtection(marketSymbolUpper),
+        riskBlock: this.riskBlockBySymbol.get(symbol),
+      })
+    }
+
+    return rows
   }
-}
 
-function stopPing() {
-  if (pingTimer) {
-    clearInterval(pingTimer)
-    pingTimer = null
+  // The header above the symbol table, shared by render() and the terminal UI.
+  statusLines() {
+    const simConfig = this.simConfig
+    const liveTrader = this.liveTrader
+    const liveEnabled = liveTrader.isEnabled()
+    const lines = [
+      `History: target ${HISTORY_CANDLES} candles x ${this.intervalSummaryText()} | Analysis min: ${ANALYSIS_MIN_CANDLES} | Decision window: ${DECISION_WINDOW_PCT}% candle${DECISION_WINDOW_MS > 0 ? `, max ${Math.floor(DECISION_WINDOW_MS / 1000)} detik` : ''} | ` +
+        `${liveEnabled ? 'Live' : 'Sim'}: $${simConfig.marginUsd} x${simConfig.leverage} | ` +
+        `SL -${simConfig.stopLossRoiMinPct}-${simConfig.stopLossRoiMaxPct}% ROI | ` +
+        `Trail aktif ${simConfig.trailActivateRoiMinPct}-${simConfig.trailActivateRoiMaxPct}% ROI | ` +
+        `Trail DD ${simConfig.trailDdRoiMinPct}-${simConfig.trailDdRoiMaxPct}% ROI | ` +
+        `Min net +$${simConfig.minNetProfitUsd.toFixed(2)} | ` +
+        `Fee fallback ${simConfig.feeRatePct}%/side | fee API loaded ${this.feeRateLoadedByApi.size}/${this.symbols.length}` +
+        `${liveEnabled && this.simOnlySymbols.size === 0 ? '' : ` | Fills: ${executionSummaryText(simConfig)}`}`,
+    ]
+    const liveErrorText = liveTrader.lastError ? ` | ${liveTrader.lastError}` : ''
+    const simOnlyText = liveEnabled && this.simOnlySymbols.size > 0 ? ` | sim only: ${[...this.simOnlySymbols].join(', ')}` : ''
+    lines.push(`Live trading: ${liveTrader.getStatus()}${simOnlyText}${liveErrorText}`)
+    lines.push(`Strategy: ${this.strategySummaryText()}`)
+    if (this.universe) {
+      const heldText = this.universeHeldSymbols.size > 0 ? ` | held until flat: ${[...this.universeHeldSymbols].join(', ')}` : ''
+      lines.push(`Universe: ${this.universe.statusText(this.clock.now())}${this.universeStatus ? ` | last change ${this.universeStatus}` : ''}${heldText}`)
+    }
+    lines.push(`Risk: ${this.riskManager.statusText(this.riskPositions(), this.clock.now(), this.riskModes())}`)
+    if (this.replayStatus) lines.push(`Replay: ${this.replayStatus}`)
+    else {
+      lines.push(`WebSocket: ${this.connectionStatusText()}`)
+      lines.push(`REST: ${this.restGovernor.statusText()}`)
+    }
+    if (this.recorder?.lastError) lines.push(`Recorder: ${this.recorder.lastError}`)
+    if (this.journal?.lastError) lines.push(`Journal: ${this.journal.lastError}`)
+    if (this.apiServer) lines.push(`API: ${this.apiServer.statusText()}`)
+    const { errors: configErrors, warnings: configWarnings } = this.configProblems
+    if (this.settings.file || configErrors.length > 0 || configWarnings.length > 0 || this.configError) {
+      const parts = [this.settings.file ?? 'env only']
+      if (configErrors.length > 0) parts.push(`${configErrors.length} error(s), invalid values use defaults: ${configErrors[0]}`)
+      if (configWarnings.length > 0) parts.push(`${configWarnings.length} warning(s)`)
+      if (this.configError || this.configStatus) parts.push(this.configError ?? this.configStatus)
+      lines.push(`Config: ${parts.join(' | ')}`)
+    }
+    if (this.controlServer) {
+      const overrides = [...this.runtimeParamBase.keys()].map((name) => {
+        const { target, key } = this.runtimeParamTarget(name)
+        return `${name}=${target[key]}`
+      })
+      lines.push(`Control: ${this.controlServer.statusText()}${overrides.length > 0 ? ` | set ${overrides.join(', ')}` : ''}`)
+    }
+    if (this.notifier) lines.push(`Notify: ${this.notifier.statusText()}`)
+    if (this.stateStore?.lastError) lines.push(`State: ${this.stateStore.lastError}`)
+    else if (this.stateStatus) lines.push(`State: ${this.stateStatus}`)
+    return lines
   }
-}
 
-function startPing() {
-  stopPing()
-  if (!ws || typeof ws.ping !== 'function') return
+  render(rows) {
+    const liveEnabled = this.liveTrader.isEnabled()
+    const posHeader = liveEnabled ? 'LIVE ' : 'SIM '
 
-  pingTimer = setInterval(() => {
-    try {
-      if (ws && ws.readyState === WS_STATE_OPEN) ws.ping()
-    } catch {
-      // ignore ping errors
+    safeClearConsole()
+    console.log('Live Binance Futures Monitor (Trade + Mark + Volume)')
+    const [configLine, ...statusLines] = this.statusLines()
+    console.log(`${configLine}\n`)
+    for (const line of statusLines) console.log(line)
+    console.log(`SYMBOL | MARK         | TRADE        | VOLUME   | NEXT   | FUNDING  | OI 1H   | PLAN      | LONG IF       | SHORT IF      | ${posHeader}| NOTE`)
+    console.log('------------------------------------------------------------------------------------------------------------------------------------------------')
+
+    for (const row of rows) {
+      const { symbol, state, msToNext, analysis, decisionPlan, sim, livePosition, liveEntryIntent, riskBlock } = row
+
+      const plan = decisionPlan ?? null
+      const planStatus = (plan?.status ?? analysis.status).padEnd(9)
+      const levels = getEntryLevels(plan)
+      const fade = plan?.entryStyle === 'fade'
+      const longText = (isFinitePrice(levels.long) ? `${fade ? '<' : '>'} ${formatPrice(levels.long)}` : '-').padEnd(13)
+      const shortText = (isFinitePrice(levels.short) ? `${fade ? '>' : '<'} ${formatPrice(levels.short)}` : '-').padEnd(13)
+
+      const noteBase = state.error ? `ERR: ${state.error}` : riskBlock ? `BLOCKED: ${riskBlock}` : (plan?.reason ?? analysis.reason)
+      const note = String(noteBase || '-').slice(0, 40)
+
+      const posTag = row.live ? (livePosition ? livePosition.side.toUpperCase() : liveEntryIntent ? 'PEND' : 'IDLE') : sim.activeTrade ? sim.activeTrade.side.toUpperCase() : 'IDLE'
+
+      console.log(
+        `${symbol.padEnd(8)} | ` +
+          `${formatPrice(state.markPrice).padEnd(12)} | ` +
+          `${formatPrice(state.tradePrice).padEnd(12)} | ` +
+          `${compactNumber(state.lastVolume).padEnd(8)} | ` +
+          `${formatMsToClock(msToNext).padEnd(6)} | ` +
+          `${formatSignedPct(Number.isFinite(state.fundingRate) ? state.fundingRate * 100 : null, 4).padEnd(8)} | ` +
+          `${formatSignedPct(state.openInterest?.changePct, 2).padEnd(7)} | ` +
+          `${planStatus} | ` +
+          `${longText} | ` +
+          `${shortText} | ` +
+          `${posTag.padEnd(4)} | ` +
+          `${note}`,
+      )
     }
-  }, WS_PING_INTERVAL_MS)
-}
 
-function scheduleReconnect() {
-  if (reconnectTimer) return
+    console.log(`\n${liveEnabled ? 'Live Trades' : 'Simulation Trades'}`)
+    console.log('-----------------')
+    if (liveEnabled) console.log('Using live Binance positions/income + live open/close execution')
+
+    for (const row of rows) {
+      const { symbol, livePrice, sim, simOpenMetrics, livePosition, liveIncome, liveControl, liveEntryIntent, liveOpenMetrics, liveLastAction, liveProtection } = row
+
+      if (row.live) {
+        if (livePosition) {
+          const gross = liveOpenMetrics?.grossPnlUsd ?? 0
+          const net = liveOpenMetrics?.netPnlUsd ?? gross
+          const roiPct = liveOpenMetrics?.roiPct ?? 0
+          const grossSign = gross >= 0 ? '+' : ''
+          const netSign = net >= 0 ? '+' : ''
+          const controlText = liveControl
+            ? `sl -${liveControl.stopLossRoiPct.toFixed(2)}% | trail ${liveControl.trailingArmed ? 'ON' : 'OFF'} (act ${liveControl.trailActivateRoiPct.toFixed(2)}% / dd ${liveControl.trailDdRoiPct.toFixed(2)}%) | peakROI ${Number.isFinite(liveControl.peakRoiPct) ? liveControl.peakRoiPct.toFixed(2) : '0.00'}%`
+            : 'risk profile unavailable'
+          const protectionParts = []
+          if (liveProtection?.stopOrderId) protectionParts.push(`SL ${formatPrice(liveProtection.stopPrice)}`)
+          if (liveProtection?.trailOrderId) protectionParts.push(`trail ${liveProtection.callbackRate}%`)
+          const protectionText = `exch ${protectionParts.length ? protectionParts.join(' + ') : 'none'}`
+          const trades = liveIncome.trades || 0
+          const wins = liveIncome.wins || 0
+          const losses = liveIncome.losses || 0
+          const winRate = trades > 0 ? (wins / trades) * 100 : 0
+          const lastRealized = liveIncome.lastRealizedAt > 0 ? `${liveIncome.lastRealizedPnlUsd >= 0 ? '+' : ''}$${liveIncome.lastRealizedPnlUsd.toFixed(4)}` : 'none'
+
+          console.log(
+            `${symbol} LIVE ${livePosition.side.toUpperCase()} | ` +
+              `entry ${formatPrice(livePosition.entryPrice)} | ` +
+              `mark ${formatPrice(livePosition.markPrice)} | ` +
+              `qty ${formatNumber(livePosition.quantity, 4)} | ` +
+              `margin ${(livePosition.marginType || 'UNKNOWN').toUpperCase()} | ` +
+              `${formatLiquidation(livePosition.liquidationPrice, livePosition.markPrice)} | ` +
+              `gross ${grossSign}$${gross.toFixed(4)} | ` +
+              `netEst ${netSign}$${net.toFixed(4)} (${roiPct.toFixed(2)}%) | ` +
+              `trades ${wins}/${trades}W (${winRate.toFixed(1)}%) L${losses} | ` +
+              `lastRealized ${lastRealized} | ` +
+              `${controlText} | ` +
+              `${protectionText} | ` +
+              `action ${liveLastAction}`,
+          )
+        } else {
+          const net = liveIncome.netUsd || 0
+          const sign = net >= 0 ? '+' : ''
+          const trades = liveIncome.trades || 0
+          const wins = liveIncome.wins || 0
+          const losses = liveIncome.losses || 0
+          const winRate = trades > 0 ? (wins / trades) * 100 : 0
+          const grossRealized = liveIncome.realizedPnlUsd || 0
+          const grossSign = grossRealized >= 0 ? '+' : ''
+          const lastRealized = liveIncome.lastRealizedAt > 0 ? `${liveIncome.lastRealizedPnlUsd >= 0 ? '+' : ''}$${liveIncome.lastRealizedPnlUsd.toFixed(4)}` : 'none'
+          const intentText = liveEntryIntent ? `pending ${liveEntryIntent.side.toUpperCase()}` : 'pending -'
+          console.log(
+            `${symbol} LIVE IDLE | ` +
+              `realizedGross ${grossSign}$${grossRealized.toFixed(4)} | ` +
+              `commission $${(liveIncome.commissionUsd || 0).toFixed(4)} | ` +
+              `funding $${(liveIncome.fundingUsd || 0).toFixed(4)} | ` +
+              `net ${sign}$${net.toFixed(4)} | ` +
+              `win ${wins}/${trades} (${winRate.toFixed(1)}%) | ` +
+              `lose ${losses} | ` +
+              `lastRealized ${lastRealized} | ` +
+              `events ${liveIncome.events || 0} | ` +
+              `${intentText} | ` +
+              `action ${liveLastAction}`,
+          )
+        }
+        continue
+      }
+
+      if (sim.activeTrade) {
+        const trade = sim.activeTrade
+        const grossPnlUsd = simOpenMetrics?.grossPnlUsd ?? 0
+        const pnlUsd = simOpenMetrics?.netPnlUsd ?? 0
+        const feesUsd = simOpenMetrics?.feesUsd ?? 0
+        const roiPct = simOpenMetrics?.roiPct ?? 0
+        const peakRoiPct = simOpenMetrics?.peakRoiPct ?? 0
+        const pnlSign = pnlUsd >= 0 ? '+' : ''
+        const grossSign = grossPnlUsd >= 0 ? '+' : ''
 
-  const delay = Math.min(RECONNECT_BASE_MS * 2 ** reconnectAttempt, RECONNECT_MAX_MS)
-  reconnectAttempt += 1
+        console.log(
+          `${symbol} OPEN ${trade.side.toUpperCase()} | ` +
+            `entry ${formatPrice(trade.entryPrice)}${trade.meta?.route ? ` ${trade.meta.route}` : ''} | ` +
+            `last ${formatPrice(livePrice)} | ` +
+            `${formatLiquidation(trade.liquidationPrice, livePrice)} | ` +
+            `slROI -${trade.stopLossRoiPct}% | ` +
+            `trail ${trade.trailingArmed ? 'ON' : 'OFF'} (act ${trade.trailActivateRoiPct.toFixed(2)}% / dd ${trade.trailDdRoiPct.toFixed(2)}%) | ` +
+            `peakROI ${peakRoiPct.toFixed(2)}% | ` +
+            `gross ${grossSign}$${grossPnlUsd.toFixed(4)} | ` +
+            `feeRate ${trade.feeRatePct.toFixed(4)}% | fee $${feesUsd.toFixed(4)} | ` +
+            `net ${pnlSign}$${pnlUsd.toFixed(4)} (${roiPct.toFixed(2)}%)`,
+        )
 
-  reconnectTimer = setTimeout(() => {
-    reconnectTimer = null
-    connectWebSocket()
-  }, delay)
-}
+        continue
+      }
+
+      const stats = sim.stats
+      const winRate = stats.total > 0 ? (stats.wins / stats.total) * 100 : 0
+
+      const last = sim.lastClosed ? `${sim.lastClosed.exitReason} ${sim.lastClosed.pnlUsd >= 0 ? '+' : ''}$${sim.lastClosed.pnlUsd.toFixed(4)}` : 'none'
 
-function connectWebSocket() {
-  if (typeof WebSocketImpl !== 'function') {
-    wsLastError = 'WebSocket implementation unavailable (install `ws`)'
-    return
+      const missed = stats.missedEntries > 0 ? ` | GTX missed ${stats.missedEntries}` : ''
+      console.log(`${symbol} IDLE | ` + `trades ${stats.total} | ` + `win ${stats.wins}/${stats.total} (${winRate.toFixed(1)}%) | ` + `realized ${stats.realizedPnlUsd >= 0 ? '+' : ''}$${stats.realizedPnlUsd.toFixed(4)} | ` + `last ${last}${missed}`)
+    }
+
+    if (this.shadow) {
+      console.log('\nShadow Sim vs Live')
+      console.log('------------------')
+      for (const row of rows) console.log(this.shadow.statusText(row.symbol, row.livePrice))
+    }
   }
 
-  if (ws && (ws.readyState === WS_STATE_OPEN || ws.readyState === WS_STATE_CONNECTING)) return
+  stopPing() {
+    if (this.pingTimer) {
+      this.clock.clearInterval(this.pingTimer)
+      this.pingTimer = null
+    }
+  }
 
-  stopPing()
+  startPing() {
+    this.stopPing()
+    if (!this.ws || typeof this.ws.ping !== 'function') return
 
-  ws = new WebSocketImpl(BINANCE_WS_URL)
+    this.pingTimer = this.clock.setInterval(() => {
+      try {
+        if (this.ws && this.ws.readyState === WS_STATE_OPEN) this.ws.ping()
+      } catch {
+        // ignore ping errors
+      }
+    }, WS_PING_INTERVAL_MS)
+  }
 
-  onSocketEvent(ws, 'open', () => {
-    wsConnected = true
-    wsLastError = null
-    reconnectAttempt = 0
-    startPing()
-  })
+  scheduleReconnect() {
+    if (this.reconnectTimer || this.stopped) return
+
+    const delay = Math.min(RECONNECT_BASE_MS * 2 ** this.reconnectAttempt, RECONNECT_MAX_MS)
+    this.reconnectAttempt += 1
+
+    this.reconnectTimer = this.clock.setTimeout(() => {
+      this.reconnectTimer = null
+      this.connectWebSocket()
+    }, delay)
+  }
 
-  onSocketEvent(ws, 'message', (messageArg) => {
-    wsLastMessageAt = Date.now()
+  handleSocketMessage(messageArg) {
+    this.wsLastMessageAt = this.clock.now()
 
     const raw = parseRawSocketMessage(messageArg)
+    if (this.recorder) this.recorder.recordMessage(raw, this.wsLastMessageAt)
+
     const payload = parseSocketPayload(raw)
 
     if (!payload) {
-      wsLastError = 'Invalid websocket JSON payload'
+      this.wsLastError = 'Invalid websocket JSON payload'
+      return
+    }
+
+    // Answer to a SUBSCRIBE / UNSUBSCRIBE request.
+    if (payload && 'id' in payload && ('result' in payload || 'error' in payload)) {
+      if (payload.error) this.wsLastError = `Stream request ${payload.id} failed: ${payload.error.msg ?? payload.error.code}`
       return
     }
 
     if (typeof payload?.code === 'number' && typeof payload?.msg === 'string') {
-      wsLastError = `Stream error ${payload.code}: ${payload.msg}`
+      this.wsLastError = `Stream error ${payload.code}: ${payload.msg}`
       return
     }
 
     const event = normalizeStreamEvent(payload)
     if (!event || !event.marketSymbol) return
 
-    applyStreamEvent(event)
-  })
+    this.applyStreamEvent(event)
+  }
 
-  onSocketEvent(ws, 'error', () => {
-    wsLastError = 'WebSocket error'
-  })
+  connectWebSocket() {
+    if (this.ws && (this.ws.readyState === WS_STATE_OPEN || this.ws.readyState === WS_STATE_CONNECTING)) return
 
-  onSocketEvent(ws, 'close', (codeOrEvent, reasonBuffer) => {
-    wsConnected = false
-    stopPing()
+    this.stopPing()
 
-    const closeInfo = parseSocketClose(codeOrEvent, reasonBuffer)
-    const reason = closeInfo.reason ? `: ${closeInfo.reason}` : ''
-    wsLastError = `Closed (${closeInfo.code}${reason})`
+    const ws = this.createWebSocket(this.wsUrl)
+    if (!ws) {
+      this.wsLastError = 'WebSocket implementation unavailable (install `ws`)'
+      return
+    }
+    this.ws = ws
+    this.wsStreams = new Set((this.wsUrl.split('streams=')[1] ?? '').split('/').filter(Boolean))
+
+    onSocketEvent(ws, 'open', () => {
+      if (this.wsDownSince !== null) {
+        const downText = `${Math.round((this.clock.now() - this.wsDownSince) / 1000)}s, ${this.reconnectAttempt} attempt(s)`
+        this.notifier?.notify(this.wsDownReason, `Market stream ${this.wsDownReason === 'stale' ? 'recovered from stale feed' : 'reconnected'} after ${downText}`, {
+          key: `${this.wsDownReason}-up`,
+        })
+        this.wsDownSince = null
+      }
+      this.wsConnected = true
+      this.wsLastError = null
+      this.reconnectAttempt = 0
+      this.startPing()
+      // The universe may have changed while connecting.
+      this.syncStreamSubscriptions()
+    })
 
-    ws = null
-    scheduleReconnect()
-  })
-}
+    onSocketEvent(ws, 'message', (messageArg) => this.handleSocketMessage(messageArg))
 
-function ensureWebsocketHealthy() {
-  if (!wsConnected || !wsLastMessageAt) return
+    onSocketEvent(ws, 'error', () => {
+      this.wsLastError = 'WebSocket error'
+    })
 
-  const age = Date.now() - wsLastMessageAt
-  if (age <= WS_STALE_TIMEOUT_MS) return
+    onSocketEvent(ws, 'close', (codeOrEvent, reasonBuffer) => {
+      this.wsConnected = false
+      this.stopPing()
+
+      const closeInfo = parseSocketClose(codeOrEvent, reasonBuffer)
+      const reason = closeInfo.reason ? `: ${closeInfo.reason}` : ''
+      this.wsLastError = `Closed (${closeInfo.code}${reason})`
+      // Stale feeds were already reported when they were closed; failed reconnect attempts are not news.
+      if (this.wsDownSince === null && !this.stopped) {
+        this.wsDownSince = this.clock.now()
+        this.wsDownReason = 'reconnect'
+        this.notifier?.notify('reconnect', `Market stream disconnected: ${this.wsLastError}, reconnecting`, { key: 'reconnect-down' })
+      }
 
-  wsLastError = `Stale feed (${age}ms > ${WS_STALE_TIMEOUT_MS}ms), reconnecting`
+      if (this.ws === ws) this.ws = null
+      this.scheduleReconnect()
+    })
+  }
 
-  try {
-    if (ws && (ws.readyState === WS_STATE_OPEN || ws.readyState === WS_STATE_CONNECTING)) {
-      ws.close(4000, 'stale')
+  // Brings the open market stream to the tracked symbols with SUBSCRIBE / UNSUBSCRIBE, so the other
+  // symbols' streams never drop for a universe change. wsUrl follows for the next reconnect.
+  syncStreamSubscriptions() {
+    if (!this.fixedWsUrl) this.wsUrl = this.buildWsUrl()
+    if (!this.ws || this.ws.readyState !== WS_STATE_OPEN) return
+
+    const wanted = new Set(this.streamNames())
+    const unsubscribe = [...this.wsStreams].filter((stream) => !wanted.has(stream))
+    const subscribe = [...wanted].filter((stream) => !this.wsStreams.has(stream))
+    try {
+      for (const [method, params] of [
+        ['UNSUBSCRIBE', unsubscribe],
+        ['SUBSCRIBE', subscribe],
+      ]) {
+        if (params.length === 0) continue
+        this.wsRequestId += 1
+        this.ws.send(JSON.stringify({ method, params, id: this.wsRequestId }))
+      }
+      this.wsStreams = wanted
+    } catch (error) {
+      this.wsLastError = `Stream subscription failed: ${error.message}`
     }
-  } catch {
-    // ignore close errors
   }
-}
 
-async function hydrateHistoryForSymbol(symbol) {
-  const state = ensureState(symbol)
+  ensureWebsocketHealthy() {
+    if (!this.wsConnected || !this.wsLastMessageAt) return
 
-  try {
-    const candles = await fetchKlineHistory(state.marketSymbol)
+    const age = this.clock.now() - this.wsLastMessageAt
+    if (age <= WS_STALE_TIMEOUT_MS) return
+
+    this.wsLastError = `Stale feed (${age}ms > ${WS_STALE_TIMEOUT_MS}ms), reconnecting`
+    if (this.wsDownSince === null) {
+      this.wsDownSince = this.wsLastMessageAt
+      this.wsDownReason = 'stale'
+      this.notifier?.notify('stale', `Market stream stale: ${this.wsLastError}`, { key: 'stale-down' })
+    }
+
+    try {
+      if (this.ws && (this.ws.readyState === WS_STATE_OPEN || this.ws.readyState === WS_STATE_CONNECTING)) {
+        this.ws.close(4000, 'stale')
+      }
+    } catch {
+      // ignore close errors
+    }
+  }
 
-    state.candles = candles.slice(-HISTORY_CANDLES)
-    state.lastVolume5m = state.candles[state.candles.length - 1]?.volume ?? null
+  async hydrateHistoryForSymbol(symbol) {
+    const state = this.ensureState(symbol)
 
-    const lastCloseTime = state.candles[state.candles.length - 1]?.closeTime
-    state.nextCandleCloseTs = Number.isFinite(lastCloseTime) ? lastCloseTime + FIVE_MINUTES_MS : null
+    try {
+      const candles = await this.rest.fetchKlineHistory(state.marketSymbol, state.interval, state.historyLimit)
+      applyHistory(state, candles)
+      for (const series of Object.values(state.htf)) {
+        // Drop the still-forming last candle; higher timeframes only hold closed ones.
+        const htfCandles = await this.rest.fetchKlineHistory(state.marketSymbol, series.interval, series.historyLimit + 1)
+        applyHigherTimeframeHistory(state, series.interval, htfCandles.filter((candle) => candle.closeTime < this.clock.now()))
+      }
+      state.error = null
+    } catch (error) {
+      state.error = `History load failed: ${error.message}`
+    }
+  }
 
-    state.error = null
-  } catch (error) {
-    state.error = `History load failed: ${error.message}`
+  async hydrateHistory() {
+    await Promise.all(this.symbols.map((symbol) => this.hydrateHistoryForSymbol(symbol)))
   }
-}
 
-async function hydrateHistory() {
-  await Promise.all(SYMBOLS.map((symbol) => hydrateHistoryForSymbol(symbol)))
-}
+  async hydrateFeeRateForSymbol(symbol) {
+    try {
+      const rates = await this.rest.fetchFuturesCommissionRates(this.marketSymbols[symbol])
+      if (typeof rates?.takerFeePct === 'number' && Number.isFinite(rates.takerFeePct) && rates.takerFeePct >= 0) {
+        this.feeRateBySymbolPct.set(symbol, rates.takerFeePct)
+        this.feeRateLoadedByApi.add(symbol)
+      }
+      if (typeof rates?.makerFeePct === 'number' && Number.isFinite(rates.makerFeePct) && rates.makerFeePct >= 0) {
+        this.makerFeeRateBySymbolPct.set(symbol, rates.makerFeePct)
+      }
+    } catch {
+      // keep fallback SIM_FEE_RATE_PCT
+    }
+  }
 
-async function hydrateFeeRates() {
-  await Promise.all(
-    SYMBOLS.map(async (symbol) => {
-      try {
-        const marketSymbol = MARKET_SYMBOLS[symbol]
-        const feeRatePct = await fetchFuturesCommissionRatePct(marketSymbol)
-        if (typeof feeRatePct === 'number' && Number.isFinite(feeRatePct) && feeRatePct >= 0) {
-          feeRateBySymbolPct.set(symbol, feeRatePct)
-          feeRateLoadedByApi.add(symbol)
-        }
-      } catch {
-        // keep fallback SIM_FEE_RATE_PCT
+  async hydrateFeeRates() {
+    await Promise.all(this.symbols.map((symbol) => this.hydrateFeeRateForSymbol(symbol)))
+  }
+
+  // Ranks the exchange again and moves the tracked symbols to the selection. New symbols get the live
+  // trader's exchange setup first, then their history and fee rate, and their streams once loaded.
+  async refreshUniverse() {
+    if (!this.universe || this.universeRefreshing || this.stopped) return
+    this.universeRefreshing = true
+    try {
+      const selected = await this.universe.select(this.clock.now())
+      if (!selected || this.stopped) return
+
+      const { added, removed } = this.applyUniverse(selected)
+      await this.liveTrader.prepareSymbols(added.map((symbol) => String(this.marketSymbols[symbol]).toUpperCase()))
+      await Promise.all(added.map((symbol) => Promise.all([this.hydrateHistoryForSymbol(symbol), this.hydrateFeeRateForSymbol(symbol)])))
+      this.syncStreamSubscriptions()
+      this.noteUniverseChange(added, removed)
+    } finally {
+      this.universeRefreshing = false
+    }
+  }
+
+  // Sim liquidation prices need the exchange's brackets; without keys the cache from an earlier run is used.
+  async hydrateLeverageBrackets() {
+    if (this.liveTrader.isEnabled() || typeof this.rest.fetchLeverageBrackets !== 'function') return
+    try {
+      const rows = await this.rest.fetchLeverageBrackets()
+      if (rows) this.leverageBrackets.update(rows, this.clock.now())
+    } catch {
+      // keep the cached or default brackets
+    }
+  }
+
+  tick() {
+    this.ensureWebsocketHealthy()
+    if (this.universeHeldSymbols.size > 0) {
+      const removed = this.dropFlatHeldSymbols()
+      if (removed.length > 0) {
+        this.syncStreamSubscriptions()
+        this.noteUniverseChange([], removed)
       }
-    }),
-  )
-}
+    }
+    const now = this.clock.now()
+    this.settleRealizedPnl(now)
+    const rows = this.buildRows(now)
+    this.notifyErrorChanges()
+    if (this.stateStore) this.stateStore.update(this.stateSnapshot(), now)
+    if (this.apiServer) this.apiServer.publish(rows, now)
+    if (this.ui) this.ui.render(rows)
+    else this.render(rows)
+    return rows
+  }
 
-function tick() {
-  ensureWebsocketHealthy()
-  const rows = buildRows(Date.now())
-  render(rows)
-}
+  stateSnapshot() {
+    const symbols = {}
+    for (const symbol of this.symbols) {
+      const position = this.liveTrader.getPosition(String(this.marketSymbols[symbol]).toUpperCase())
+      const liveControl = this.liveControlBySymbol.get(symbol) ?? null
+      symbols[symbol] = {
+        sim: this.ensureSimState(symbol),
+        decisionPlan: this.decisionPlanBySymbol.get(symbol) ?? null,
+        // The entry price identifies which position this control belongs to when restoring.
+        liveControl: liveControl && position ? { ...liveControl, positionEntryPrice: position.entryPrice ?? null } : this.unreconciledLiveControl.get(symbol) ?? null,
+        liveJournalId: this.liveJournalIdBySymbol.get(symbol) ?? null,
+        entriesPaused: this.entriesPausedSymbols.has(symbol),
+        simOnly: this.simOnlySymbols.has(symbol),
+      }
+    }
+    return { symbols }
+  }
 
-function shutdown() {
-  try {
-    if (renderTimer) {
-      clearInterval(renderTimer)
-      renderTimer = null
+  restoreState(saved) {
+    const restored = []
+    for (const symbol of this.symbols) {
+      const entry = saved?.symbols?.[symbol]
+      if (!entry) continue
+
+      if (entry.sim?.stats) this.simStateBySymbol.set(symbol, { ...createSymbolSimState(), ...entry.sim })
+      if (entry.decisionPlan) this.decisionPlanBySymbol.set(symbol, entry.decisionPlan)
+      if (entry.liveJournalId) this.liveJournalIdBySymbol.set(symbol, entry.liveJournalId)
+      if (entry.entriesPaused) this.entriesPausedSymbols.add(symbol)
+      if (entry.simOnly) this.simOnlySymbols.add(symbol)
+      if (entry.liveControl) {
+        this.liveControlBySymbol.set(symbol, entry.liveControl)
+        this.unreconciledLiveControl.set(symbol, entry.liveControl)
+      }
+      restored.push(symbol)
     }
 
-    if (reconnectTimer) {
-      clearTimeout(reconnectTimer)
-      reconnectTimer = null
+    const closedTrades = restored.flatMap((symbol) => this.simStateBySymbol.get(symbol).history).sort((a, b) => a.exitTime - b.exitTime)
+    for (const closed of closedTrades) this.riskManager.recordTradeResult('sim', closed.exitTime, closed.pnlUsd)
+    return restored
+  }
+
+  // Saved live control is only trusted for the exact position it was created for; anything else is
+  // rebuilt from the current plan by buildRows. Until positions could be synced the saved control is
+  // carried over into new snapshots untouched.
+  reconcileLiveControl() {
+    if (!this.liveTrader.isEnabled() || !this.liveTrader.ready) return []
+    this.unreconciledLiveControl.clear()
+
+    const dropped = []
+    for (const symbol of this.symbols) {
+      const control = this.liveControlBySymbol.get(symbol)
+      if (!control) continue
+
+      const position = this.liveTrader.getPosition(String(this.marketSymbols[symbol]).toUpperCase())
+      const samePosition = position && position.side === control.side && Number.isFinite(control.positionEntryPrice) && position.entryPrice === control.positionEntryPrice
+      if (!samePosition) {
+        this.liveControlBySymbol.set(symbol, null)
+        dropped.push(symbol)
+      }
     }
+    return dropped
+  }
 
-    if (accountSyncTimer) {
-      clearInterval(accountSyncTimer)
-      accountSyncTimer = null
+  recordingSnapshot() {
+    return this.symbols.flatMap((symbol) => {
+      const state = this.ensureState(symbol)
+      return [
+        { k: 'history', symbol, interval: state.interval, candles: state.candles },
+        ...Object.values(state.htf).map((series) => ({ k: 'history', symbol, interval: series.interval, candles: series.candles })),
+        { k: 'fee', symbol, feeRatePct: this.feeRateBySymbolPct.get(symbol) ?? this.simConfig.feeRatePct },
+      ]
+    })
+  }
+
+  async boot() {
+    this.ui?.start(this)
+    const saved = this.stateStore ? this.stateStore.load() : null
+    // With a universe, symbols from the last run come back first so their saved trades and live control
+    // are restored; the first selection then keeps only those that are not flat.
+    if (this.universe) {
+      for (const symbol of Object.keys(saved?.symbols ?? {})) if (!this.symbols.includes(symbol)) this.trackSymbol(symbol, marketSymbolForCoin(symbol))
+    }
+    const restored = saved ? this.restoreState(saved) : []
+    if (this.universe) {
+      const selected = await this.universe.select(this.clock.now())
+      if (selected) {
+        const { added, removed } = this.applyUniverse(selected)
+        this.noteUniverseChange(added, removed)
+      }
+      this.syncStreamSubscriptions()
     }
 
-    stopPing()
+    await this.hydrateHistory()
+    await this.hydrateFeeRates()
+    await this.hydrateLeverageBrackets()
+    await this.liveTrader.bootstrap(Object.values(this.marketSymbols))
 
-    if (ws && (ws.readyState === WS_STATE_OPEN || ws.readyState === WS_STATE_CONNECTING)) {
-      ws.close(1000, 'shutdown')
+    if (saved) {
+      const dropped = this.reconcileLiveControl()
+      this.stateStatus =
+        `restored ${restored.length}/${this.symbols.length} symbol(s) from ${new Date(saved.savedAt).toISOString()}` +
+        (dropped.length ? ` | reset live control for ${dropped.join(', ')} (position changed while offline)` : '')
+    }
+    if (OPEN_INTEREST_POLL_SECONDS > 0) {
+      void this.pollOpenInterest()
+      this.openInterestTimer = this.clock.setInterval(() => void this.pollOpenInterest(), OPEN_INTEREST_POLL_SECONDS * 1000)
+    }
+    if (this.universe) this.universeTimer = this.clock.setInterval(() => void this.refreshUniverse(), this.universe.refreshMs)
+    if (this.liveTrader.isEnabled()) {
+      this.accountSyncTimer = this.clock.setInterval(() => {
+        if (this.liveTrader.needsRuntimeSync()) void this.liveTrader.syncRuntime(Object.values(this.marketSymbols))
+      }, LIVE_ACCOUNT_SYNC_MS)
     }
 
-    process.stdout.write('\nStopped.\n')
-    process.exit(0)
-  } catch {
-    process.exit(0)
+    if (this.apiServer) await this.apiServer.listen(this)
+    if (this.controlServer) await this.controlServer.listen(this)
+    if (this.watchConfig && this.settings.file) this.unwatchConfig = watchConfigFile(this.settings.file, () => this.reloadConfig())
+
+    this.connectWebSocket()
+    this.tick()
+
+    this.renderTimer = this.clock.setInterval(() => this.tick(), this.renderIntervalMs)
   }
-}
 
-async function boot() {
-  await hydrateHistory()
-  await hydrateFeeRates()
-  await liveTrader.bootstrap(Object.values(MARKET_SYMBOLS))
-  if (liveTrader.isEnabled()) {
-    accountSyncTimer = setInterval(() => {
-      void liveTrader.syncRuntime(Object.values(MARKET_SYMBOLS))
-    }, 3000)
+  start() {
+    if (this.renderTimer) return Promise.resolve()
+
+    return this.boot().catch((error) => {
+      this.wsLastError = `Startup failed: ${error.message}`
+      this.tick()
+    })
+  }
+
+  stop() {
+    this.stopped = true
+
+    if (this.renderTimer) {
+      this.clock.clearInterval(this.renderTimer)
+      this.renderTimer = null
+    }
+
+    if (this.reconnectTimer) {
+      this.clock.clearTimeout(this.reconnectTimer)
+      this.reconnectTimer = null
+    }
+
+    if (this.accountSyncTimer) {
+      this.clock.clearInterval(this.accountSyncTimer)
+      this.accountSyncTimer = null
+    }
+
+    if (this.openInterestTimer) {
+      this.clock.clearInterval(this.openInterestTimer)
+      this.openInterestTimer = null
+    }
+
+    if (this.universeTimer) {
+      this.clock.clearInterval(this.universeTimer)
+      this.universeTimer = null
+    }
+
+    this.stopPing()
+
+    try {
+      if (this.ws && (this.ws.readyState === WS_STATE_OPEN || this.ws.readyState === WS_STATE_CONNECTING)) {
+        this.ws.close(1000, 'shutdown')
+      }
+    } catch {
+      // ignore close errors
+    }
+
+    if (this.stateStore) this.stateStore.update(this.stateSnapshot(), this.clock.now(), true)
+    this.ui?.stop()
+    this.unwatchConfig?.()
+
+    return Promise.all([this.recorder?.close(), this.liveTrader.stop(), this.apiServer?.close(), this.controlServer?.close(), this.notifier?.close()])
+  }
+
+  applyReplayRecord(record) {
+    if (record.k === 'ws') {
+      this.handleSocketMessage(record.d)
+      return
+    }
+
+    if (!this.symbols.includes(record.symbol)) return
+
+    if (record.k === 'history' && Array.isArray(record.candles)) {
+      const state = this.ensureState(record.symbol)
+      if (!record.interval || record.interval === state.interval) applyHistory(state, record.candles)
+      else applyHigherTimeframeHistory(state, record.interval, record.candles)
+    } else if (record.k === 'fee' && Number.isFinite(record.feeRatePct)) {
+      this.feeRateBySymbolPct.set(record.symbol, record.feeRatePct)
+      this.feeRateLoadedByApi.add(record.symbol)
+    }
+  }
+
+  // Feeds a recording through the same handleSocketMessage -> applyStreamEvent -> buildRows path as
+  // live. Construct the engine with a virtual clock and live trading off to replay.
+  async replay({ files, speed }) {
+    this.wsConnected = true
+
+    const speedText = Number.isFinite(speed) ? `${speed}x` : 'max'
+    const warnings = []
+    let lastRenderAt = 0
+
+    const replayTick = (force = false) => {
+      this.replayStatus = `${files.length} file(s) @ ${speedText} | virtual time ${new Date(this.clock.now()).toISOString()}${warnings.length ? ` | ${warnings[warnings.length - 1]}` : ''}`
+      const rows = this.buildRows(this.clock.now())
+      if (force || Date.now() - lastRenderAt >= REPLAY_RENDER_THROTTLE_MS) {
+        lastRenderAt = Date.now()
+        this.render(rows)
+      }
+    }
+
+    const result = await runReplay({
+      files,
+      speed,
+      tickIntervalMs: this.renderIntervalMs,
+      clock: this.clock,
+      onRecord: (record) => this.applyReplayRecord(record),
+      onTick: () => replayTick(),
+      onWarning: (message) => warnings.push(message),
+    })
+
+    replayTick(true)
+    console.log(`\nReplay finished: ${result.records} records, ${formatMsToClock(result.endTs - result.startTs)} of stream time`)
+    return result
   }
+}
 
-  connectWebSocket()
-  tick()
+let defaultEngine = null
 
-  renderTimer = setInterval(tick, RENDER_INTERVAL_MS)
+function installShutdownHandlers(engine) {
+  const shutdown = () => {
+    engine.ui?.stop()
+    process.stdout.write('\nStopped.\n')
 
-  if (!hasShutdownHandlers) {
-    process.on('SIGINT', shutdown)
-    process.on('SIGTERM', shutdown)
-    hasShutdownHandlers = true
+    // Let the recorder flush its gzip trailer (and the state file its last snapshot) before exiting, but never hang shutdown on it.
+    setTimeout(() => process.exit(0), 2000).unref()
+    engine.stop().finally(() => process.exit(0))
   }
+
+  process.on('SIGINT', shutdown)
+  process.on('SIGTERM', shutdown)
 }
 
 function start() {
-  if (renderTimer) return
+  if (defaultEngine) return defaultEngine
+
+  console.log(CONFIG_SETTINGS.report().join('\n'))
+  if (LIVE_TRADING_ENABLE && CONFIG_SETTINGS.problems().errors.length > 0) {
+    console.error('Refusing to start live trading with an invalid config (see the errors above; node check-config.js lists every setting).')
+    process.exit(1)
+  }
+
+  const recorder = RECORD_STREAM_ENABLE
+    ? new StreamRecorder({
+        dir: RECORD_DIR,
+        gzip: RECORD_GZIP,
+        maxBytes: RECORD_MAX_MB * 1024 * 1024,
+        maxAgeMs: RECORD_ROTATE_MINUTES * 60 * 1000,
+        snapshot: () => defaultEngine.recordingSnapshot(),
+      })
+    : null
+
+  const stateStore = STATE_STORE_ENABLE ? new StateStore({ file: STATE_FILE, minIntervalMs: STATE_SAVE_INTERVAL_MS }) : null
+
+  const journal = TRADE_JOURNAL_ENABLE ? new TradeJournal({ dir: TRADE_JOURNAL_DIR, incomeLookbackMs: LIVE_INCOME_LOOKBACK_HOURS * 60 * 60 * 1000 }) : null
+
+  const apiServer = API_PORT > 0 ? new ApiServer({ port: API_PORT, host: API_HOST }) : null
+
+  const controlServer = CONTROL_SOCKET_ENABLE ? new ControlServer({ path: CONTROL_SOCKET }) : null
+
+  const notifier = createNotifier(NOTIFY_CONFIG)
+
+  const ui = TUI_ENABLE && process.stdin.isTTY && process.stdout.isTTY ? new TerminalUi() : null
+
+  const universe = UNIVERSE_CONFIG.enable ? new UniverseSelector(UNIVERSE_CONFIG) : null
+
+  defaultEngine = new Engine({ recorder, stateStore, journal, apiServer, controlServer, notifier, ui, universe, watchConfig: true })
+  installShutdownHandlers(defaultEngine)
+  void defaultEngine.start()
+  return defaultEngine
+}
 
-  boot().catch((error) => {
-    wsLastError = `Startup failed: ${error.message}`
-    tick()
+// Live trading is always off during replay.
+function startReplay({ files, speed }) {
+  const engine = new Engine({
+    clock: createVirtualClock(),
+    liveTrading: { enable: false },
   })
+  return engine.replay({ files, speed })
 }
 
 module.exports = {
+  Engine,
   start,
+  startReplay,
 }
@@ -0,0 +1,130 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+// Used when a symbol has never been seen in a /fapi/v1/leverageBracket response: a typical small-cap
+// USD-M ladder. cum is the maintenance amount, so each tier continues the previous one at its floor.
+const DEFAULT_LEVERAGE_BRACKETS = [
+  { notionalFloor: 0, notionalCap: 5_000, initialLeverage: 50, maintMarginRatio: 0.01, cum: 0 },
+  { notionalFloor: 5_000, notionalCap: 25_000, initialLeverage: 20, maintMarginRatio: 0.025, cum: 75 },
+  { notionalFloor: 25_000, notionalCap: 100_000, initialLeverage: 10, maintMarginRatio: 0.05, cum: 700 },
+  { notionalFloor: 100_000, notionalCap: 250_000, initialLeverage: 5, maintMarginRatio: 0.1, cum: 5_700 },
+  { notionalFloor: 250_000, notionalCap: 1_000_000, initialLeverage: 4, maintMarginRatio: 0.125, cum: 11_950 },
+  { notionalFloor: 1_000_000, notionalCap: 50_000_000, initialLeverage: 1, maintMarginRatio: 0.5, cum: 386_950 },
+]
+
+function toNumber(value, fallback) {
+  const next = Number(value)
+  return Number.isFinite(next) ? next : fallback
+}
+
+// Bracket rows as Binance sends them (numbers or strings), sorted by notional floor.
+function parseLeverageBrackets(rawBrackets) {
+  return (rawBrackets ?? [])
+    .map((bracket) => ({
+      notionalFloor: toNumber(bracket?.notionalFloor, 0),
+      // JSON turns an open-ended cap into null.
+      notionalCap: toNumber(bracket?.notionalCap, 0) > 0 ? toNumber(bracket.notionalCap, 0) : Infinity,
+      initialLeverage: toNumber(bracket?.initialLeverage, 1),
+      maintMarginRatio: toNumber(bracket?.maintMarginRatio, NaN),
+      cum: toNumber(bracket?.cum, 0),
+    }))
+    .filter((bracket) => Number.isFinite(bracket.maintMarginRatio) && bracket.maintMarginRatio >= 0 && bracket.maintMarginRatio < 1)
+    .sort((a, b) => a.notionalFloor - b.notionalFloor)
+}
+
+function bracketForNotional(brackets, notionalUsd) {
+  if (!Array.isArray(brackets) || brackets.length === 0) return null
+  return brackets.find((bracket) => notionalUsd < bracket.notionalCap) ?? brackets[brackets.length - 1]
+}
+
+// Binance's isolated, one-way liquidation price: the price at which the isolated wallet balance plus
+// unrealized PnL falls to the maintenance margin (notional x maintMarginRatio - cum) of the bracket
+// the entry notional sits in. marginUsd is the isolated wallet balance. Null when it cannot be liquidated.
+function isolatedLiquidationPrice({ side, entryPrice, quantity, marginUsd, brackets }) {
+  if (!Number.isFinite(entryPrice) || entryPrice <= 0 || !Number.isFinite(quantity) || quantity <= 0 || !Number.isFinite(marginUsd)) return null
+  const bracket = bracketForNotional(brackets, entryPrice * quantity)
+  if (!bracket) return null
+
+  const { maintMarginRatio: mmr, cum } = bracket
+  const price =
+    side === 'long'
+      ? (quantity * entryPrice - marginUsd - cum) / (quantity * (1 - mmr))
+      : (quantity * entryPrice + marginUsd + cum) / (quantity * (1 + mmr))
+  return Number.isFinite(price) && price > 0 ? price : null
+}
+
+// Per-symbol brackets from /fapi/v1/leverageBracket, kept in a JSON file so sim, replay and backtests
+// use the last seen exchange tiers without API keys. Symbols never fetched get DEFAULT_LEVERAGE_BRACKETS.
+class LeverageBracketCache {
+  constructor(options = {}) {
+    this.file = options.file || path.join('data', 'cache', 'leverage-brackets.json')
+    this.bySymbol = new Map() // marketSymbolUpper -> parsed brackets
+    this.savedAt = null
+    this.loaded = false
+    this.lastError = null
+  }
+
+  load() {
+    this.loaded = true
+    let raw
+    try {
+      raw = fs.readFileSync(this.file, 'utf8')
+    } catch (error) {
+      if (error.code !== 'ENOENT') this.lastError = `Leverage bracket cache load failed: ${error.message}`
+      return
+    }
+
+    try {
+      const cached = JSON.parse(raw)
+      for (const [symbol, brackets] of Object.entries(cached?.symbols ?? {})) {
+        const parsed = parseLeverageBrackets(brackets)
+        if (parsed.length > 0) this.bySymbol.set(symbol.toUpperCase(), parsed)
+      }
+      this.savedAt = toNumber(cached?.savedAt, null)
+    } catch (error) {
+      this.lastError = `Leverage bracket cache unreadable: ${error.message}`
+    }
+  }
+
+  // rows: the /fapi/v1/leverageBracket payload ([{ symbol, brackets }]). Merged into the cache file.
+  update(rows, now = Date.now()) {
+    if (!this.loaded) this.load()
+
+    let changed = 0
+    for (const row of Array.isArray(rows) ? rows : rows ? [rows] : []) {
+      const symbol = String(row?.symbol || '').toUpperCase()
+      const parsed = parseLeverageBrackets(row?.brackets)
+      if (!symbol || parsed.length === 0) continue
+      this.bySymbol.set(symbol, parsed)
+      changed += 1
+    }
+    if (changed === 0) return 0
+
+    this.savedAt = now
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true })
+      const tmp = `${this.file}.tmp`
+      fs.writeFileSync(tmp, JSON.stringify({ savedAt: now, symbols: Object.fromEntries(this.bySymbol) }, null, 2))
+      fs.renameSync(tmp, this.file)
+      this.lastError = null
+    } catch (error) {
+      this.lastError = `Leverage bracket cache save failed: ${error.message}`
+    }
+    return changed
+  }
+
+  bracketsFor(marketSymbolUpper) {
+    if (!this.loaded) this.load()
+    return this.bySymbol.get(String(marketSymbolUpper || '').toUpperCase()) ?? DEFAULT_LEVERAGE_BRACKETS
+  }
+}
+
+module.exports = {
+  DEFAULT_LEVERAGE_BRACKETS,
+  LeverageBracketCache,
+  bracketForNotional,
+  isolatedLiquidationPrice,
+  parseLeverageBrackets,
+}
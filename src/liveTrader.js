@@ -1,6 +1,9 @@
 'use strict'
 
-const crypto = require('crypto')
+const { isolatedLiquidationPrice } = require('./leverageBrackets')
+const { sharedRestGovernor } = require('./restGovernor')
+const { TimeSync, parseBinanceErrorCode, sendSignedRequest } = require('./timeSync')
+const { UserDataStream } = require('./userDataStream')
 
 function toNumber(value, fallback) {
   const n = Number(value)
@@ -31,12 +34,40 @@ function roundUpToStep(value, stepSize) {
   return Number(n.toFixed(decimals))
 }
 
-function parseBinanceErrorCode(error) {
-  const message = String(error?.message || '')
-  const match = message.match(/"code"\s*:\s*(-?\d+)/)
-  if (!match) return null
-  const code = Number(match[1])
-  return Number.isFinite(code) ? code : null
+// Client order id prefixes of the exchange-side protective orders, so they can be told apart from
+// anything else on the account when reconciling.
+const PROTECTIVE_STOP_PREFIX = 'prot-sl-'
+const PROTECTIVE_TRAIL_PREFIX = 'prot-tr-'
+const PROTECTION_RETRY_MS = 30_000
+// Entry and close orders carry `${prefix}${cycleKey}-${attempt}${leg}` client order ids (leg g = GTX,
+// m = market). Lookups are scoped by symbol, so the symbol itself is not part of the id.
+const ENTRY_ORDER_PREFIX = 'ent-'
+const EXIT_ORDER_PREFIX = 'ext-'
+const DUPLICATE_LOOKBACK_MS = 6 * 60 * 60 * 1000
+// Send status unknown: Binance timed out talking to its matching engine.
+const UNKNOWN_SEND_STATUS_CODE = -1007
+const ORDER_UPDATES_KEEP = 200
+
+function isProtectiveOrder(order) {
+  const clientOrderId = String(order?.clientOrderId || '')
+  return clientOrderId.startsWith(PROTECTIVE_STOP_PREFIX) || clientOrderId.startsWith(PROTECTIVE_TRAIL_PREFIX)
+}
+
+function buildClientOrderId(prefix, cycleKey, attempt, leg = '') {
+  return `${prefix}${cycleKey}-${attempt}${leg}`
+}
+
+// { prefix, cycleKey, attempt } of one of our entry/close client order ids, or null.
+function parseClientOrderId(clientOrderId) {
+  const match = String(clientOrderId || '').match(/^(ent-|ext-)(\d+)-(\d+)[gm]?$/)
+  return match ? { prefix: match[1], cycleKey: Number(match[2]), attempt: Number(match[3]) } : null
+}
+
+// A definite rejection means the order does not exist; anything else (network error, 5xx, -1007)
+// leaves it unknown until it is looked up.
+function isDefiniteRejection(error) {
+  const code = parseBinanceErrorCode(error)
+  return code !== null && code !== UNKNOWN_SEND_STATUS_CODE && /^HTTP 4\d\d /.test(String(error?.message || ''))
 }
 
 function createEmptyIncomeStats() {
@@ -72,12 +103,34 @@ class LiveTrader {
     this.gtxTimeoutMs = Math.max(500, Math.floor(toNumber(options.gtxTimeoutMs, 4000)))
     this.gtxPollMs = Math.max(100, Math.floor(toNumber(options.gtxPollMs, 400)))
     this.gtxFallbackMarket = options.gtxFallbackMarket !== false
+    this.exchangeStopLoss = options.exchangeStopLoss !== false
+    this.exchangeTrailing = Boolean(options.exchangeTrailing)
+    // Close the excess of a position doubled up by a retry when it is found at bootstrap.
+    this.trimDuplicateEntries = options.trimDuplicateEntries !== false
     this.spreadMaxBpsDefault = Math.max(0, toNumber(options.spreadMaxBpsDefault, 25))
     this.spreadMaxBpsByMarketSymbol = new Map(
       Object.entries(options.spreadMaxBpsByMarketSymbol || {}).map(([k, v]) => [String(k).toUpperCase(), toNumber(v, this.spreadMaxBpsDefault)]),
     )
 
     this.baseUrl = options.baseUrl || (this.testnet ? 'https://testnet.binancefuture.com' : 'https://fapi.binance.com')
+    this.userWsBase = options.userWsBase || (this.testnet ? 'wss://stream.binancefuture.com/ws/' : 'wss://fstream.binance.com/ws/')
+    this.useUserDataStream = options.userDataStream !== false
+    this.createWebSocket = options.createWebSocket
+    // With the user data stream up, REST polling only runs as a reconciliation every reconcileMs.
+    this.reconcileMs = Math.max(5_000, toNumber(options.reconcileMs, 60_000))
+    this.clock = options.clock || { now: () => Date.now() }
+    // Shared with the market-data REST client, so weight and order limits are counted once per process.
+    this.governor = options.governor || sharedRestGovernor
+    this.recvWindowMs = Math.max(1000, Math.min(60_000, toNumber(options.recvWindowMs, 5000)))
+    this.timeSync = options.timeSync || new TimeSync({ baseUrl: this.baseUrl, governor: this.governor, now: () => this.clock.now() })
+    // (marketSymbolUpper) => { bidPrice, askPrice } from the streamed book, or null when it is stale;
+    // GTX entries then price off it instead of a REST bookTicker round trip.
+    this.streamedBookTicker = typeof options.bookTicker === 'function' ? options.bookTicker : null
+    // LeverageBracketCache: fetched brackets are saved to it, and it estimates liquidation prices
+    // between positionRisk syncs.
+    this.leverageBrackets = options.leverageBrackets ?? null
+    // Called once per newly seen income row (realized PnL, commission, funding), e.g. for the trade journal.
+    this.onIncome = typeof options.onIncome === 'function' ? options.onIncome : null
 
     this.symbolMeta = new Map() // marketSymbolUpper -> { minQty, stepSize, tickSize }
     this.marginTypeBySymbol = new Map() // marketSymbolUpper -> ISOLATED/CROSSED/UNKNOWN
@@ -86,13 +139,23 @@ class LiveTrader {
     this.lastSpreadBpsBySymbol = new Map() // marketSymbolUpper -> spread in bps (last entry check)
     this.activePositions = new Map() // marketSymbolUpper -> { side, quantity }
     this.inFlight = new Set()
-    this.positionSnapshot = new Map() // marketSymbolUpper -> { side, quantity, entryPrice, markPrice, unrealizedPnlUsd, notionalUsd, marginUsd }
+    this.positionSnapshot = new Map() // marketSymbolUpper -> { side, quantity, entryPrice, markPrice, unrealizedPnlUsd, notionalUsd, marginUsd, marginType, liquidationPrice }
     this.incomeStats = new Map() // marketSymbolUpper -> { realizedPnlUsd, commissionUsd, fundingUsd, netUsd, events }
     this.lastActionBySymbol = new Map() // marketSymbolUpper -> short last action text
+    this.protectionBySymbol = new Map() // marketSymbolUpper -> { side, entryPrice, quantity, stopOrderId, stopPrice, trailOrderId, callbackRate }
+    this.nextProtectionAttemptAt = new Map() // marketSymbolUpper -> ts, backoff after a failed placement
+    this.orderAttempts = new Map() // `${marketSymbolUpper}:${prefix}` -> { cycleKey, attempt }
+    this.orderAttemptsLoaded = new Set() // marketSymbolUpper whose last attempts were read from the exchange
+    this.unconfirmedOrderIds = new Map() // marketSymbolUpper -> Set of client order ids sent without a definite answer
+    this.entryCycleBySymbol = new Map() // marketSymbolUpper -> cycle key of the entry that opened the position
     const incomeLookbackMs = Math.max(60_000, toNumber(options.incomeLookbackMs, 24 * 60 * 60 * 1000))
-    this.incomeCursorTs = Date.now() - incomeLookbackMs
+    this.incomeCursorTs = this.clock.now() - incomeLookbackMs
     this.seenIncomeKeys = new Set()
 
+    this.orderUpdates = new Map() // orderId -> { status, executedQty, origQty, avgPrice } pushed by the user data stream
+    this.userStream = null
+    this.lastRuntimeSyncAt = 0
+
     this.lastError = null
     this.ready = false
     this.isDualSidePosition = false
@@ -105,7 +168,8 @@ class LiveTrader {
     const posMode = this.isDualSidePosition ? 'HEDGE' : 'ONEWAY'
     const marginMode = this.forceIsolated ? 'ISOLATED' : 'MARGIN-AUTO'
     const entryMode = this.entryMode === 'LIMIT_GTX' ? `LIMIT+GTX${this.gtxFallbackMarket ? '->MKT' : ''}` : this.entryMode
-    return `${this.testnet ? 'ON TESTNET' : 'ON REAL'} | ${posMode} | ${marginMode} | ${entryMode}`
+    const userStream = !this.useUserDataStream ? 'REST poll' : this.isUserStreamConnected() ? 'user stream' : `user stream down${this.userStream?.lastError ? ` (${this.userStream.lastError})` : ''}, REST poll`
+    return `${this.testnet ? 'ON TESTNET' : 'ON REAL'} | ${posMode} | ${marginMode} | ${entryMode} | ${userStream} | ${this.timeSync.statusText()}`
   }
 
   isEnabled() {
@@ -138,6 +202,10 @@ class LiveTrader {
       await Promise.all(symbolsUpper.map(async (symbolUpper) => this.configureMarginType(symbolUpper)))
       await Promise.all(symbolsUpper.map(async (symbolUpper) => this.configureLeverage(symbolUpper)))
       await this.syncRuntime(symbolsUpper)
+      const openOrders = await this.requestSigned('GET', '/fapi/v1/openOrders')
+      await this.reconcileProtectiveOrders(openOrders)
+      await this.reconcileEntryOrders(openOrders)
+      if (this.useUserDataStream) await this.startUserStream()
       this.ready = true
       this.lastError = null
     } catch (error) {
@@ -146,6 +214,20 @@ class LiveTrader {
     }
   }
 
+  // Filters, margin type and leverage for symbols added after bootstrap (the engine's symbol universe).
+  async prepareSymbols(marketSymbols = []) {
+    if (!this.enable || !this.ready || marketSymbols.length === 0) return
+    const symbolsUpper = marketSymbols.map((s) => String(s).toUpperCase()).filter(Boolean)
+
+    try {
+      await this.loadExchangeInfo(symbolsUpper)
+      await Promise.all(symbolsUpper.map(async (symbolUpper) => this.configureMarginType(symbolUpper)))
+      await Promise.all(symbolsUpper.map(async (symbolUpper) => this.configureLeverage(symbolUpper)))
+    } catch (error) {
+      this.lastError = `Symbol setup failed: ${error.message}`
+    }
+  }
+
   async loadExchangeInfo(marketSymbols = []) {
     const data = await this.requestPublic('/fapi/v1/exchangeInfo')
     const wanted = new Set(marketSymbols.map((s) => s.toUpperCase()))
@@ -214,6 +296,7 @@ class LiveTrader {
     const wanted = new Set((marketSymbols || []).map((s) => String(s).toUpperCase()).filter(Boolean))
     const data = await this.requestSigned('GET', '/fapi/v1/leverageBracket')
     const rows = Array.isArray(data) ? data : data ? [data] : []
+    if (this.leverageBrackets) this.leverageBrackets.update(rows, this.clock.now())
 
     this.maxLeverageBySymbol.clear()
 
@@ -316,6 +399,17 @@ class LiveTrader {
     return { bidPrice, askPrice, spreadBps }
   }
 
+  async getEntryBookTicker(symbolUpper) {
+    const streamed = this.streamedBookTicker ? this.streamedBookTicker(symbolUpper) : null
+    const bidPrice = toNumber(streamed?.bidPrice, 0)
+    const askPrice = toNumber(streamed?.askPrice, 0)
+    if (!(bidPrice > 0) || !(askPrice > 0)) return this.fetchBookTicker(symbolUpper)
+
+    const spreadBps = askPrice > bidPrice ? ((askPrice - bidPrice) / ((askPrice + bidPrice) / 2)) * 10_000 : 0
+    this.lastSpreadBpsBySymbol.set(symbolUpper, spreadBps)
+    return { bidPrice, askPrice, spreadBps }
+  }
+
   async getOrder(symbolUpper, orderId) {
     return this.requestSigned('GET', '/fapi/v1/order', {
       symbol: symbolUpper,
@@ -330,7 +424,87 @@ class LiveTrader {
     })
   }
 
-  async placeOpenMarket(symbolUpper, side, qty) {
+  // The attempt counters start from the exchange's recent orders, so a restart within a cycle never
+  // reuses the client order id of an order sent before it.
+  async loadOrderAttempts(symbolUpper) {
+    if (this.orderAttemptsLoaded.has(symbolUpper)) return
+    this.noteOrderAttempts(symbolUpper, await this.requestSigned('GET', '/fapi/v1/allOrders', { symbol: symbolUpper, startTime: this.clock.now() - DUPLICATE_LOOKBACK_MS }))
+  }
+
+  // orders: the symbol's allOrders since DUPLICATE_LOOKBACK_MS.
+  noteOrderAttempts(symbolUpper, orders) {
+    for (const order of Array.isArray(orders) ? orders : []) {
+      const parsed = parseClientOrderId(order.clientOrderId)
+      if (!parsed) continue
+      const key = `${symbolUpper}:${parsed.prefix}`
+      const last = this.orderAttempts.get(key)
+      const newer = !last || parsed.cycleKey > last.cycleKey || (parsed.cycleKey === last.cycleKey && parsed.attempt > last.attempt)
+      if (newer) this.orderAttempts.set(key, { cycleKey: parsed.cycleKey, attempt: parsed.attempt })
+    }
+    this.orderAttemptsLoaded.add(symbolUpper)
+  }
+
+  async nextClientOrderIds(symbolUpper, prefix, cycleKey) {
+    await this.loadOrderAttempts(symbolUpper)
+    const key = `${symbolUpper}:${prefix}`
+    const last = this.orderAttempts.get(key)
+    const attempt = last?.cycleKey === cycleKey ? last.attempt + 1 : 1
+    this.orderAttempts.set(key, { cycleKey, attempt })
+    return { gtx: buildClientOrderId(prefix, cycleKey, attempt, 'g'), market: buildClientOrderId(prefix, cycleKey, attempt, 'm') }
+  }
+
+  // Every entry/close order goes through here. Until the exchange answers, the client order id is
+  // kept as unconfirmed so a retry can look it up instead of sending a duplicate.
+  async submitOrder(symbolUpper, params) {
+    const pending = this.unconfirmedOrderIds.get(symbolUpper) ?? new Set()
+    this.unconfirmedOrderIds.set(symbolUpper, pending)
+    pending.add(params.newClientOrderId)
+
+    try {
+      const order = await this.requestSigned('POST', '/fapi/v1/order', params)
+      pending.delete(params.newClientOrderId)
+      return order
+    } catch (error) {
+      if (isDefiniteRejection(error)) pending.delete(params.newClientOrderId)
+      throw error
+    }
+  }
+
+  async findOrderByClientId(symbolUpper, clientOrderId) {
+    try {
+      return await this.requestSigned('GET', '/fapi/v1/order', { symbol: symbolUpper, origClientOrderId: clientOrderId })
+    } catch (error) {
+      if (parseBinanceErrorCode(error) === -2013) return null
+      throw error
+    }
+  }
+
+  // Looks up the orders of earlier attempts that never got a definite answer: cancels any still open
+  // and returns the ones that (partially) filled. Throws if a lookup fails, so nothing new is sent
+  // while an earlier order may still exist.
+  async resolveUnconfirmedOrders(symbolUpper) {
+    const pending = this.unconfirmedOrderIds.get(symbolUpper)
+    if (!pending || pending.size === 0) return []
+
+    const filled = []
+    for (const clientOrderId of [...pending]) {
+      let order = await this.findOrderByClientId(symbolUpper, clientOrderId)
+      const st = String(order?.status || '').toUpperCase()
+      if (order && (st === 'NEW' || st === 'PARTIALLY_FILLED')) {
+        try {
+          await this.cancelOrder(symbolUpper, order.orderId)
+        } catch {
+          // filled in the meantime
+        }
+        order = (await this.findOrderByClientId(symbolUpper, clientOrderId)) ?? order
+      }
+      pending.delete(clientOrderId)
+      if (order && toNumber(order.executedQty, 0) > 0) filled.push(order)
+    }
+    return filled
+  }
+
+  async placeOpenMarket(symbolUpper, side, qty, clientOrderId) {
     const orderSide = side === 'long' ? 'BUY' : 'SELL'
     const positionSide = this.getPositionSideParam(side)
     const orderParams = {
@@ -338,14 +512,16 @@ class LiveTrader {
       side: orderSide,
       type: 'MARKET',
       quantity: qty,
+      newClientOrderId: clientOrderId,
       newOrderRespType: 'RESULT',
     }
     if (positionSide) orderParams.positionSide = positionSide
-    return this.requestSigned('POST', '/fapi/v1/order', orderParams)
+    return this.submitOrder(symbolUpper, orderParams)
   }
 
-  async placeOpenLimitGtxWithFallback(symbolUpper, side, qty) {
-    const { bidPrice, askPrice, spreadBps } = await this.fetchBookTicker(symbolUpper)
+  // clientOrderIds: { gtx, market } from nextClientOrderIds().
+  async placeOpenLimitGtxWithFallback(symbolUpper, side, qty, clientOrderIds) {
+    const { bidPrice, askPrice, spreadBps } = await this.getEntryBookTicker(symbolUpper)
     const maxSpreadBps = this.getSpreadMaxBps(symbolUpper)
     if (Number.isFinite(spreadBps) && spreadBps > maxSpreadBps) {
       throw new Error(`Spread ${spreadBps.toFixed(2)} bps > max ${maxSpreadBps.toFixed(2)} bps`)
@@ -364,11 +540,12 @@ class LiveTrader {
       timeInForce: 'GTX',
       price: makerPrice,
       quantity: qty,
+      newClientOrderId: clientOrderIds.gtx,
       newOrderRespType: 'RESULT',
     }
     if (positionSide) createParams.positionSide = positionSide
 
-    const created = await this.requestSigned('POST', '/fapi/v1/order', createParams)
+    const created = await this.submitOrder(symbolUpper, createParams)
     const orderId = toNumber(created?.orderId, 0)
 
     if (!(orderId > 0)) {
@@ -381,12 +558,13 @@ class LiveTrader {
       }
     }
 
-    const startedAt = Date.now()
+    const startedAt = this.clock.now()
     let status = created
 
-    while (Date.now() - startedAt < this.gtxTimeoutMs) {
-      await sleep(this.gtxPollMs)
-      status = await this.getOrder(symbolUpper, orderId)
+    while (this.clock.now() - startedAt < this.gtxTimeoutMs) {
+      await sleep(this.gtxPollMs, this.clock)
+      // Pushed fills make the REST poll unnecessary while the user stream is up.
+      status = this.isUserStreamConnected() ? (this.orderUpdates.get(orderId) ?? status) : await this.getOrder(symbolUpper, orderId)
       const st = String(status?.status || '').toUpperCase()
       if (st === 'FILLED' || st === 'CANCELED' || st === 'EXPIRED' || st === 'REJECTED') break
     }
@@ -420,7 +598,7 @@ class LiveTrader {
     if (this.gtxFallbackMarket && remainingQty > 0) {
       const marketQty = this.normalizeQuantity(symbolUpper, remainingQty)
       if (marketQty && marketQty > 0) {
-        const marketOrder = await this.placeOpenMarket(symbolUpper, side, marketQty)
+        const marketOrder = await this.placeOpenMarket(symbolUpper, side, marketQty, clientOrderIds.market)
         const marketExec = toNumber(marketOrder?.executedQty, marketQty)
         return {
           executedQty: Math.max(0, toNumber(status?.executedQty, 0)) + Math.max(0, marketExec),
@@ -444,7 +622,10 @@ class LiveTrader {
     return side === 'long' ? 'LONG' : 'SHORT'
   }
 
-  async openPosition(symbol, marketSymbol, side, price) {
+  // options.protection: { stopLossRoiPct, trailActivateRoiPct, trailDdRoiPct } for the exchange-side
+  // protective orders placed right after the fill. options.cycleId: the decision cycle of this entry;
+  // retries within one cycle get the next attempt number in their client order ids.
+  async openPosition(symbol, marketSymbol, side, price, options = {}) {
     if (!this.enable || !this.ready) return null
 
     const symbolUpper = String(marketSymbol || symbol).toUpperCase()
@@ -453,22 +634,33 @@ class LiveTrader {
 
     this.inFlight.add(symbolUpper)
     try {
+      const cycleKey = Number.isFinite(options.cycleId) ? options.cycleId : this.clock.now()
+      const recovered = await this.resolveUnconfirmedOrders(symbolUpper)
+      const recoveredEntries = recovered.filter((order) => String(order.clientOrderId || '').startsWith(ENTRY_ORDER_PREFIX))
+      if (recoveredEntries.length > 0) return await this.adoptRecoveredEntry(symbolUpper, side, cycleKey, recoveredEntries, options.protection)
+      if (recovered.length > 0) {
+        // A lost close went through; only enter once the exchange agrees we are flat.
+        await this.syncPositions()
+        if (this.positionSnapshot.has(symbolUpper)) return null
+      }
+
       const leverage = this.getEffectiveLeverage(symbolUpper)
       const rawQty = (this.marginUsd * leverage) / price
       const qty = this.normalizeQuantity(symbolUpper, rawQty)
       if (!qty) throw new Error(`Quantity too small or invalid for ${symbolUpper}`)
 
+      const clientOrderIds = await this.nextClientOrderIds(symbolUpper, ENTRY_ORDER_PREFIX, cycleKey)
       const useLimitGtx = this.entryMode === 'LIMIT_GTX'
       let result = null
 
       if (useLimitGtx) {
         try {
-          result = await this.placeOpenLimitGtxWithFallback(symbolUpper, side, qty)
+          result = await this.placeOpenLimitGtxWithFallback(symbolUpper, side, qty, clientOrderIds)
         } catch (error) {
           const code = parseBinanceErrorCode(error)
           const isPostOnlyImmediateMatch = code === -5022 || code === -2010
           if (this.gtxFallbackMarket && isPostOnlyImmediateMatch) {
-            const fallbackMarket = await this.placeOpenMarket(symbolUpper, side, qty)
+            const fallbackMarket = await this.placeOpenMarket(symbolUpper, side, qty, clientOrderIds.market)
             result = {
               ...fallbackMarket,
               executedQty: toNumber(fallbackMarket?.executedQty, qty),
@@ -480,7 +672,7 @@ class LiveTrader {
           }
         }
       } else {
-        result = await this.placeOpenMarket(symbolUpper, side, qty)
+        result = await this.placeOpenMarket(symbolUpper, side, qty, clientOrderIds.market)
       }
 
       const executedQty = toNumber(result?.executedQty, 0)
@@ -492,6 +684,7 @@ class LiveTrader {
         side,
         quantity: executedQty,
       })
+      this.entryCycleBySymbol.set(symbolUpper, cycleKey)
 
       const routeText = result?.route ? ` ${result.route}` : ''
       const spreadText = Number.isFinite(result?.spreadBps) ? ` | spread ${result.spreadBps.toFixed(2)}bps` : ''
@@ -501,6 +694,7 @@ class LiveTrader {
       )
       this.lastError = null
       await this.syncPositions()
+      if (options.protection) await this.placeProtectiveOrders(symbolUpper, options.protection)
       return result
     } catch (error) {
       this.lastActionBySymbol.set(symbolUpper, `OPEN ${side.toUpperCase()} fail`)
@@ -511,19 +705,52 @@ class LiveTrader {
     }
   }
 
+  // An earlier attempt did fill after all (its response was lost): take that as the entry.
+  async adoptRecoveredEntry(symbolUpper, side, cycleKey, orders, protection) {
+    const executedQty = orders.reduce((sum, order) => sum + toNumber(order.executedQty, 0), 0)
+    const cumQuote = orders.reduce((sum, order) => sum + toNumber(order.cumQuote, 0), 0)
+    const last = orders[orders.length - 1]
+
+    this.activePositions.set(symbolUpper, { side, quantity: executedQty })
+    this.entryCycleBySymbol.set(symbolUpper, cycleKey)
+    this.lastActionBySymbol.set(symbolUpper, `OPEN ${side.toUpperCase()} recovered qty ${formatQty(executedQty)} #${last.orderId}`)
+    this.lastError = null
+    await this.syncPositions()
+    if (protection) await this.placeProtectiveOrders(symbolUpper, protection)
+    return {
+      ...last,
+      executedQty,
+      avgPrice: executedQty > 0 && cumQuote > 0 ? cumQuote / executedQty : last.avgPrice,
+      route: 'RECOVERED',
+      spreadBps: null,
+    }
+  }
+
   async closePosition(symbol, marketSymbol) {
     if (!this.enable || !this.ready) return null
 
     const symbolUpper = String(marketSymbol || symbol).toUpperCase()
-    const active = this.activePositions.get(symbolUpper) || this.positionSnapshot.get(symbolUpper)
+    let active = this.activePositions.get(symbolUpper) || this.positionSnapshot.get(symbolUpper)
     if (!active) return null
     if (this.inFlight.has(symbolUpper)) return null
 
     this.inFlight.add(symbolUpper)
     try {
+      // An earlier order may have filled without us hearing back; size the close off the exchange.
+      if ((await this.resolveUnconfirmedOrders(symbolUpper)).length > 0) {
+        await this.syncPositions()
+        active = this.positionSnapshot.get(symbolUpper)
+        if (!active) {
+          await this.cancelProtectiveOrders(symbolUpper)
+          return null
+        }
+      }
+
       const qty = this.normalizeQuantity(symbolUpper, active.quantity)
       if (!qty) throw new Error(`Close quantity invalid for ${symbolUpper}`)
 
+      const cycleKey = this.entryCycleBySymbol.get(symbolUpper) ?? this.clock.now()
+
       const closeSide = active.side === 'long' ? 'SELL' : 'BUY'
       const positionSide = this.getPositionSideParam(active.side)
       const orderParams = {
@@ -531,6 +758,7 @@ class LiveTrader {
         side: closeSide,
         type: 'MARKET',
         quantity: qty,
+        newClientOrderId: (await this.nextClientOrderIds(symbolUpper, EXIT_ORDER_PREFIX, cycleKey)).market,
         newOrderRespType: 'RESULT',
       }
       if (positionSide) {
@@ -539,12 +767,14 @@ class LiveTrader {
         orderParams.reduceOnly = 'true'
       }
 
-      const result = await this.requestSigned('POST', '/fapi/v1/order', orderParams)
+      const result = await this.submitOrder(symbolUpper, orderParams)
 
       this.activePositions.delete(symbolUpper)
+      this.entryCycleBySymbol.delete(symbolUpper)
       this.lastActionBySymbol.set(symbolUpper, `CLOSE ${active.side.toUpperCase()} ok qty ${formatQty(qty)} #${result?.orderId ?? '-'}`)
       this.lastError = null
       await this.syncPositions()
+      await this.cancelProtectiveOrders(symbolUpper)
       return result
     } catch (error) {
       this.lastActionBySymbol.set(symbolUpper, `CLOSE ${active.side.toUpperCase()} fail`)
@@ -555,56 +785,414 @@ class LiveTrader {
     }
   }
 
-  async requestPublic(path, params = {}) {
-    const qs = new URLSearchParams(params).toString()
-    const url = `${this.baseUrl}${path}${qs ? `?${qs}` : ''}`
+  // Exchange-side backstop for the engine's client-side exits: if this process dies or the stream
+  // stalls, the position still has a reduce-only STOP_MARKET (and optionally a TRAILING_STOP_MARKET).
+  // ROI % maps to a price move of roi / leverage %. The client-side exits also count the exit fee, so
+  // they normally fire first and the exchange orders are cancelled with the close.
+  buildProtectiveOrders(symbolUpper, position, protection) {
+    const leverage = this.getEffectiveLeverage(symbolUpper)
+    const quantity = this.normalizeQuantity(symbolUpper, position.quantity)
+    if (!quantity || !(position.entryPrice > 0) || !(leverage > 0)) return []
+
+    const closeSide = position.side === 'long' ? 'SELL' : 'BUY'
+    const direction = position.side === 'long' ? 1 : -1
+    const positionSide = this.getPositionSideParam(position.side)
+    const now = this.clock.now()
+    const base = {
+      symbol: symbolUpper,
+      side: closeSide,
+      quantity,
+      workingType: 'MARK_PRICE',
+      newOrderRespType: 'RESULT',
+    }
+    if (positionSide) base.positionSide = positionSide
+    else base.reduceOnly = 'true'
+
+    const orders = []
+    const stopLossRoiPct = toNumber(protection?.stopLossRoiPct, 0)
+    if (this.exchangeStopLoss && stopLossRoiPct > 0) {
+      // Rounded away from the entry so the exchange stop never sits inside the client-side one.
+      const stopPrice = this.normalizePrice(symbolUpper, position.entryPrice * (1 - (direction * stopLossRoiPct) / leverage / 100), position.side)
+      if (stopPrice) {
+        orders.push({ ...base, type: 'STOP_MARKET', stopPrice, newClientOrderId: `${PROTECTIVE_STOP_PREFIX}${now}` })
+      }
+    }
+
+    const trailDdRoiPct = toNumber(protection?.trailDdRoiPct, 0)
+    const trailActivateRoiPct = toNumber(protection?.trailActivateRoiPct, 0)
+    if (this.exchangeTrailing && trailDdRoiPct > 0) {
+      // Binance accepts callbackRate 0.1-5 (% of price) in 0.1 steps.
+      const callbackRate = Math.min(5, Math.max(0.1, Math.round((trailDdRoiPct / leverage) * 10) / 10))
+      const activationPrice = this.normalizePrice(symbolUpper, position.entryPrice * (1 + (direction * trailActivateRoiPct) / leverage / 100), position.side === 'long' ? 'short' : 'long')
+      const trailOrder = { ...base, type: 'TRAILING_STOP_MARKET', callbackRate, newClientOrderId: `${PROTECTIVE_TRAIL_PREFIX}${now}` }
+      if (activationPrice) trailOrder.activationPrice = activationPrice
+      orders.push(trailOrder)
+    }
+
+    return orders
+  }
+
+  async placeProtectiveOrders(symbolUpper, protection) {
+    const position = this.positionSnapshot.get(symbolUpper)
+    if (!position) return null
 
-    const response = await fetch(url)
-    const text = await response.text()
-    if (!response.ok) throw new Error(`HTTP ${response.status} ${text}`)
+    const tracked = { side: position.side, entryPrice: position.entryPrice, quantity: position.quantity, stopOrderId: null, stopPrice: null, trailOrderId: null, callbackRate: null }
+    this.protectionBySymbol.set(symbolUpper, tracked)
 
     try {
-      return JSON.parse(text)
-    } catch {
-      throw new Error('Invalid JSON response')
+      for (const params of this.buildProtectiveOrders(symbolUpper, position, protection)) {
+        const order = await this.requestSigned('POST', '/fapi/v1/order', params)
+        if (params.type === 'STOP_MARKET') {
+          tracked.stopOrderId = order?.orderId ?? null
+          tracked.stopPrice = params.stopPrice
+        } else {
+          tracked.trailOrderId = order?.orderId ?? null
+          tracked.callbackRate = params.callbackRate
+        }
+      }
+      const missing = [this.exchangeStopLoss && !tracked.stopOrderId ? 'stop' : null, this.exchangeTrailing && !tracked.trailOrderId ? 'trailing stop' : null].filter(Boolean)
+      if (missing.length > 0) {
+        // Nothing to send (no symbol meta, no usable price or ROI): pause as after a failure instead of
+        // cancelling and rebuilding on every tick.
+        this.nextProtectionAttemptAt.set(symbolUpper, this.clock.now() + PROTECTION_RETRY_MS)
+        this.lastError = `No protection ${symbolUpper}: could not build the ${missing.join(' and ')} order`
+        return tracked
+      }
+      this.nextProtectionAttemptAt.delete(symbolUpper)
+      return tracked
+    } catch (error) {
+      // Keep whatever did get placed tracked; ensureProtection retries the rest after a pause.
+      this.nextProtectionAttemptAt.set(symbolUpper, this.clock.now() + PROTECTION_RETRY_MS)
+      this.lastError = `Protective order ${symbolUpper} failed: ${error.message}`
+      return null
     }
   }
 
-  async requestSigned(method, path, params = {}) {
-    if (!this.hasCredentials()) throw new Error('Missing API credentials')
+  async cancelProtectiveOrders(symbolUpper) {
+    this.protectionBySymbol.delete(symbolUpper)
+    try {
+      const open = await this.requestSigned('GET', '/fapi/v1/openOrders', { symbol: symbolUpper })
+      for (const order of Array.isArray(open) ? open.filter(isProtectiveOrder) : []) {
+        try {
+          await this.cancelOrder(symbolUpper, order.orderId)
+        } catch {
+          // already triggered or cancelled
+        }
+      }
+    } catch (error) {
+      this.lastError = `Cancel protective orders ${symbolUpper} failed: ${error.message}`
+    }
+  }
+
+  // Called by the engine on every tick with an open position. Places missing protection (e.g. for a
+  // position adopted after a restart) and replaces it when the position changed size, side or entry.
+  async ensureProtection(symbolUpper, protection) {
+    if (!this.enable || !this.ready) return
+    if (!this.exchangeStopLoss && !this.exchangeTrailing) return
+    if (this.inFlight.has(symbolUpper)) return
 
-    const allParams = {
-      ...params,
-      timestamp: Date.now(),
-      recvWindow: 5000,
+    const position = this.positionSnapshot.get(symbolUpper)
+    if (!position) return
+    if (this.clock.now() < (this.nextProtectionAttemptAt.get(symbolUpper) ?? 0)) return
+
+    const tracked = this.protectionBySymbol.get(symbolUpper)
+    const complete = tracked && (!this.exchangeStopLoss || tracked.stopOrderId) && (!this.exchangeTrailing || tracked.trailOrderId)
+    const matches = tracked && tracked.side === position.side && tracked.entryPrice === position.entryPrice && tracked.quantity === position.quantity
+    if (complete && matches) return
+
+    this.inFlight.add(symbolUpper)
+    try {
+      if (tracked) await this.cancelProtectiveOrders(symbolUpper)
+      await this.placeProtectiveOrders(symbolUpper, protection)
+    } finally {
+      this.inFlight.delete(symbolUpper)
     }
+  }
 
-    const query = new URLSearchParams(allParams).toString()
-    const signature = crypto.createHmac('sha256', this.apiSecret).update(query).digest('hex')
-    const qs = `${query}&signature=${signature}`
+  // On bootstrap: adopt our protective orders for open positions, cancel the ones left behind by
+  // positions that were closed while we were down.
+  async reconcileProtectiveOrders(open) {
+    if (!Array.isArray(open)) return
 
-    const url = `${this.baseUrl}${path}?${qs}`
-    const response = await fetch(url, {
-      method,
-      headers: {
-        'X-MBX-APIKEY': this.apiKey,
+    for (const order of open.filter(isProtectiveOrder)) {
+      const symbolUpper = String(order.symbol || '').toUpperCase()
+      const position = this.positionSnapshot.get(symbolUpper)
+      const closeSide = position?.side === 'long' ? 'SELL' : 'BUY'
+
+      if (!position || String(order.side).toUpperCase() !== closeSide) {
+        try {
+          await this.cancelOrder(symbolUpper, order.orderId)
+        } catch {
+          // already gone
+        }
+        this.lastActionBySymbol.set(symbolUpper, `CANCEL orphan ${order.type} #${order.orderId}`)
+        continue
+      }
+
+      const tracked = this.protectionBySymbol.get(symbolUpper) ?? { side: position.side, entryPrice: position.entryPrice, quantity: position.quantity, stopOrderId: null, stopPrice: null, trailOrderId: null, callbackRate: null }
+      if (order.type === 'STOP_MARKET') {
+        tracked.stopOrderId = order.orderId
+        tracked.stopPrice = toNumber(order.stopPrice, null)
+      } else if (order.type === 'TRAILING_STOP_MARKET') {
+        tracked.trailOrderId = order.orderId
+        tracked.callbackRate = toNumber(order.priceRate, null)
+      }
+      this.protectionBySymbol.set(symbolUpper, tracked)
+    }
+  }
+
+  // On bootstrap: cancel entry orders left resting by a crash, and trim a position that got doubled up
+  // (e.g. a retry that went through before the restart). Only the entry fills since the position was
+  // last flat and of its current cycle are counted; when more than one attempt of that cycle filled and
+  // the position holds more than the largest one, the excess is closed reduce-only. With
+  // trimDuplicateEntries off it is only reported and left to the operator.
+  async reconcileEntryOrders(open) {
+    for (const order of Array.isArray(open) ? open : []) {
+      if (!String(order.clientOrderId || '').startsWith(ENTRY_ORDER_PREFIX)) continue
+      const symbolUpper = String(order.symbol || '').toUpperCase()
+      try {
+        await this.cancelOrder(symbolUpper, order.orderId)
+      } catch {
+        // filled or cancelled in the meantime
+      }
+      this.lastActionBySymbol.set(symbolUpper, `CANCEL stale entry #${order.orderId}`)
+    }
+
+    const since = this.clock.now() - DUPLICATE_LOOKBACK_MS
+    let trimmed = false
+    for (const [symbolUpper, position] of this.positionSnapshot) {
+      try {
+        const orders = await this.requestSigned('GET', '/fapi/v1/allOrders', { symbol: symbolUpper, startTime: since })
+        this.noteOrderAttempts(symbolUpper, orders)
+        this.orderAttemptsLoaded.add(symbolUpper)
+
+        const openSide = position.side === 'long' ? 'BUY' : 'SELL'
+        const filled = (Array.isArray(orders) ? orders : []).filter((order) => toNumber(order.executedQty, 0) > 0)
+        // Any fill on the closing side (our closes, protective orders, manual trades) may have taken the
+        // position flat, so entries before the latest one belong to an earlier trade.
+        const lastCloseAt = filled
+          .filter((order) => order.side !== openSide)
+          .reduce((latest, order) => Math.max(latest, toNumber(order.updateTime, 0)), 0)
+        const entries = filled
+          .filter((order) => parseClientOrderId(order.clientOrderId)?.prefix === ENTRY_ORDER_PREFIX && order.side === openSide && toNumber(order.updateTime, 0) > lastCloseAt)
+          .sort((a, b) => toNumber(a.updateTime, 0) - toNumber(b.updateTime, 0))
+        if (entries.length === 0) continue
+
+        // Keep the cycle key of the latest entry so the close id matches it.
+        const latestCycle = parseClientOrderId(entries[entries.length - 1].clientOrderId).cycleKey
+        this.entryCycleBySymbol.set(symbolUpper, latestCycle)
+
+        const qtyByAttempt = new Map()
+        for (const order of entries) {
+          const { cycleKey, attempt } = parseClientOrderId(order.clientOrderId)
+          if (cycleKey !== latestCycle) continue
+          qtyByAttempt.set(attempt, (qtyByAttempt.get(attempt) ?? 0) + toNumber(order.executedQty, 0))
+        }
+        if (qtyByAttempt.size < 2) continue
+
+        const filledQty = [...qtyByAttempt.values()].reduce((sum, qty) => sum + qty, 0)
+        const singleQty = Math.max(...qtyByAttempt.values())
+        const excessQty = this.normalizeQuantity(symbolUpper, Math.min(position.quantity, filledQty) - singleQty)
+        if (!excessQty) continue
+
+        const duplicateText = `${qtyByAttempt.size} entry attempts of one cycle filled (${formatQty(filledQty)} total, ${formatQty(singleQty)} per entry)`
+        if (!this.trimDuplicateEntries) {
+          this.lastActionBySymbol.set(symbolUpper, `DUPLICATE entry? ${qtyByAttempt.size} attempts filled ${formatQty(filledQty)}, excess ${formatQty(excessQty)}`)
+          this.lastError = `${symbolUpper}: ${duplicateText}; position ${formatQty(position.quantity)} may be doubled, trim ${formatQty(excessQty)} manually if so`
+          continue
+        }
+
+        const params = {
+          symbol: symbolUpper,
+          side: position.side === 'long' ? 'SELL' : 'BUY',
+          type: 'MARKET',
+          quantity: excessQty,
+          newClientOrderId: (await this.nextClientOrderIds(symbolUpper, EXIT_ORDER_PREFIX, latestCycle)).market,
+          newOrderRespType: 'RESULT',
+        }
+        const positionSide = this.getPositionSideParam(position.side)
+        if (positionSide) params.positionSide = positionSide
+        else params.reduceOnly = 'true'
+
+        const result = await this.submitOrder(symbolUpper, params)
+        this.lastActionBySymbol.set(symbolUpper, `TRIM duplicate entry qty ${formatQty(excessQty)} #${result?.orderId ?? '-'}`)
+        this.lastError = `${symbolUpper}: ${duplicateText}; trimmed ${formatQty(excessQty)}`
+        trimmed = true
+      } catch (error) {
+        this.lastError = `Entry reconcile ${symbolUpper} failed: ${error.message}`
+      }
+    }
+
+    if (trimmed) await this.syncPositions()
+  }
+
+  async startUserStream() {
+    if (this.userStream) return
+    this.userStream = new UserDataStream({
+      api: {
+        createListenKey: () => this.requestApiKey('POST', '/fapi/v1/listenKey'),
+        keepAliveListenKey: () => this.requestApiKey('PUT', '/fapi/v1/listenKey'),
+        closeListenKey: () => this.requestApiKey('DELETE', '/fapi/v1/listenKey'),
       },
+      wsBase: this.userWsBase,
+      clock: this.clock.setTimeout ? this.clock : undefined,
+      createWebSocket: this.createWebSocket,
+      onEvent: (event) => this.applyUserDataEvent(event),
     })
+    await this.userStream.start()
+  }
 
-    const text = await response.text()
-    if (!response.ok) throw new Error(`HTTP ${response.status} ${text}`)
+  isUserStreamConnected() {
+    return Boolean(this.userStream?.connected)
+  }
 
-    try {
-      return JSON.parse(text)
-    } catch {
-      throw new Error('Invalid JSON response')
+  // REST reconciliation cadence: every call while the user stream is down, otherwise every reconcileMs.
+  needsRuntimeSync() {
+    return !this.isUserStreamConnected() || this.clock.now() - this.lastRuntimeSyncAt >= this.reconcileMs
+  }
+
+  applyUserDataEvent(event) {
+    if (event?.e === 'ORDER_TRADE_UPDATE') this.applyOrderUpdate(event.o ?? {}, toNumber(event.T ?? event.E, this.clock.now()))
+    else if (event?.e === 'ACCOUNT_UPDATE') this.applyAccountUpdate(event.a ?? {})
+    else if (event?.e === 'MARGIN_CALL') {
+      const symbols = (event.p ?? []).map((p) => String(p.s || '').toUpperCase()).filter(Boolean)
+      for (const symbolUpper of symbols) this.lastActionBySymbol.set(symbolUpper, 'MARGIN CALL')
+      this.lastError = `Margin call: ${symbols.join(', ') || 'account'}`
     }
   }
 
+  applyOrderUpdate(o, eventTs) {
+    const symbolUpper = String(o.s || '').toUpperCase()
+    const orderId = toNumber(o.i, 0)
+    if (!symbolUpper || !(orderId > 0)) return
+
+    this.orderUpdates.delete(orderId)
+    this.orderUpdates.set(orderId, {
+      orderId,
+      symbol: symbolUpper,
+      status: String(o.X || ''),
+      executedQty: toNumber(o.z, 0),
+      origQty: toNumber(o.q, 0),
+      avgPrice: toNumber(o.ap, 0),
+    })
+    if (this.orderUpdates.size > ORDER_UPDATES_KEEP) this.orderUpdates.delete(this.orderUpdates.keys().next().value)
+
+    const clientOrderId = String(o.c || '')
+    if (String(o.o) === 'LIQUIDATION' || clientOrderId.startsWith('autoclose-')) {
+      this.lastActionBySymbol.set(symbolUpper, `LIQUIDATION ${o.S} ${formatQty(o.l)} @ ${o.L}`)
+    } else if (isProtectiveOrder({ clientOrderId }) && String(o.X) === 'FILLED') {
+      this.lastActionBySymbol.set(symbolUpper, `${o.o} filled @ ${o.ap}`)
+    }
+
+    if (String(o.x) !== 'TRADE') return
+
+    // Same keys as the REST income rows (by tradeId), so whichever arrives second is ignored.
+    const tradeId = o.t
+    if (String(o.N || 'USDT') === 'USDT' && toNumber(o.n, 0) !== 0) {
+      this.applyIncome({ symbol: symbolUpper, incomeType: 'COMMISSION', incomeUsd: -Math.abs(toNumber(o.n, 0)), time: toNumber(o.T, eventTs), key: `${symbolUpper}:COMMISSION:trade:${tradeId}` })
+    }
+    if (toNumber(o.rp, 0) !== 0) {
+      this.applyIncome({ symbol: symbolUpper, incomeType: 'REALIZED_PNL', incomeUsd: toNumber(o.rp, 0), time: toNumber(o.T, eventTs), key: `${symbolUpper}:REALIZED_PNL:trade:${tradeId}` })
+    }
+  }
+
+  applyAccountUpdate(a) {
+    for (const p of a.P ?? []) {
+      const symbol = String(p.s || '').toUpperCase()
+      if (!symbol) continue
+
+      const positionAmt = toNumber(p.pa, 0)
+      const positionSideRaw = String(p.ps || '').toUpperCase()
+      let side = positionAmt > 0 ? 'long' : 'short'
+      if (this.isDualSidePosition) {
+        if (positionSideRaw === 'LONG') side = 'long'
+        else if (positionSideRaw === 'SHORT') side = 'short'
+      }
+
+      const existing = this.positionSnapshot.get(symbol)
+      if (positionAmt === 0) {
+        // In hedge mode the other side may still be open; only drop the side that went flat.
+        if (!existing || !this.isDualSidePosition || existing.side === side || positionSideRaw === 'BOTH') {
+          this.positionSnapshot.delete(symbol)
+          this.activePositions.delete(symbol)
+          // Closed by a protective order, liquidation or by hand: the other protective order must not outlive it.
+          if (this.protectionBySymbol.has(symbol) && !this.inFlight.has(symbol)) void this.cancelProtectiveOrders(symbol)
+        }
+        continue
+      }
+
+      const quantity = Math.abs(positionAmt)
+      const entryPrice = toNumber(p.ep, 0)
+      const markPrice = existing?.markPrice || entryPrice
+      const marginType = String(p.mt || '').toUpperCase()
+      if (marginType) this.marginTypeBySymbol.set(symbol, marginType === 'CROSS' ? 'CROSSED' : marginType)
+      const marginUsd = Math.abs(toNumber(p.iw, 0)) || this.marginUsd
+      // ACCOUNT_UPDATE has no liquidation price; keep positionRisk's while the position is unchanged.
+      const unchanged = existing && existing.side === side && existing.quantity === quantity && existing.entryPrice === entryPrice
+      const liquidationPrice = unchanged && existing.liquidationPrice ? existing.liquidationPrice : this.estimateLiquidationPrice(symbol, side, entryPrice, quantity, marginUsd)
+
+      this.positionSnapshot.set(symbol, {
+        side,
+        quantity,
+        entryPrice,
+        markPrice,
+        unrealizedPnlUsd: toNumber(p.up, 0),
+        notionalUsd: quantity * markPrice,
+        marginUsd,
+        marginType: this.marginTypeBySymbol.get(symbol) || 'UNKNOWN',
+        liquidationPrice,
+      })
+      this.activePositions.set(symbol, { side, quantity })
+    }
+  }
+
+  // Only isolated positions can be estimated from the brackets; cross margin depends on the whole wallet.
+  estimateLiquidationPrice(symbolUpper, side, entryPrice, quantity, marginUsd) {
+    if (!this.leverageBrackets || this.marginTypeBySymbol.get(symbolUpper) !== 'ISOLATED') return null
+    return isolatedLiquidationPrice({ side, entryPrice, quantity, marginUsd, brackets: this.leverageBrackets.bracketsFor(symbolUpper) })
+  }
+
+  async requestApiKey(method, path) {
+    if (!this.apiKey) throw new Error('Missing API key')
+    return this.governor.request(`${this.baseUrl}${path}`, { method, headers: { 'X-MBX-APIKEY': this.apiKey } })
+  }
+
+  stop() {
+    const stream = this.userStream
+    this.userStream = null
+    return stream ? stream.stop() : Promise.resolve()
+  }
+
+  async requestPublic(path, params = {}) {
+    const qs = new URLSearchParams(params).toString()
+    return this.governor.request(`${this.baseUrl}${path}${qs ? `?${qs}` : ''}`)
+  }
+
+  async requestSigned(method, path, params = {}) {
+    if (!this.hasCredentials()) throw new Error('Missing API credentials')
+
+    return sendSignedRequest({
+      governor: this.governor,
+      timeSync: this.timeSync,
+      baseUrl: this.baseUrl,
+      apiKey: this.apiKey,
+      apiSecret: this.apiSecret,
+      recvWindow: this.recvWindowMs,
+      method,
+      path,
+      params,
+    })
+  }
+
   async syncRuntime(marketSymbols = []) {
     if (!this.enable || !this.hasCredentials()) return
+    this.lastRuntimeSyncAt = this.clock.now()
     try {
       await this.syncPositions()
+      // A protective order filled on the exchange (or the position was closed elsewhere): clear the rest.
+      for (const symbolUpper of [...this.protectionBySymbol.keys()]) {
+        if (!this.positionSnapshot.has(symbolUpper) && !this.inFlight.has(symbolUpper)) await this.cancelProtectiveOrders(symbolUpper)
+      }
       await this.syncIncome(marketSymbols)
     } catch (error) {
       this.lastError = `Sync failed: ${error.message}`
@@ -657,6 +1245,7 @@ class LiveTrader {
         notionalUsd,
         marginUsd,
         marginType: marginType || this.marginTypeBySymbol.get(symbol) || 'UNKNOWN',
+        liquidationPrice: toNumber(p.liquidationPrice, 0) > 0 ? toNumber(p.liquidationPrice, 0) : null,
       })
 
       this.activePositions.set(symbol, { side, quantity })
@@ -685,48 +1274,54 @@ class LiveTrader {
         const ts = toNumber(it?.time, 0)
         if (ts > maxTs) maxTs = ts
 
-        const key = `${it?.tranId ?? 'na'}:${symbol}:${it?.incomeType ?? 'NA'}:${ts}:${it?.income ?? '0'}`
-        if (this.seenIncomeKeys.has(key)) continue
-        this.seenIncomeKeys.add(key)
-
         const incomeType = String(it?.incomeType || '')
-        const incomeUsd = toNumber(it?.income, 0)
+        // Trade-related rows are keyed by tradeId so fills already seen on the user data stream are skipped.
+        const key = it?.tradeId
+          ? `${symbol}:${incomeType}:trade:${it.tradeId}`
+          : `${it?.tranId ?? 'na'}:${symbol}:${it?.incomeType ?? 'NA'}:${ts}:${it?.income ?? '0'}`
+        this.applyIncome({ symbol, incomeType, incomeUsd: toNumber(it?.income, 0), time: ts, key })
+      }
 
-        const stats = this.incomeStats.get(symbol) ?? createEmptyIncomeStats()
+      if (rows.length < 1000) break
+      cursor = maxTs + 1
+    }
 
-        if (incomeType === 'REALIZED_PNL') {
-          stats.realizedPnlUsd += incomeUsd
-          stats.trades += 1
+    this.incomeCursorTs = maxTs + 1
+  }
 
-          if (incomeUsd > 0) {
-            stats.wins += 1
-            stats.grossWinUsd += incomeUsd
-          } else if (incomeUsd < 0) {
-            stats.losses += 1
-            stats.grossLossUsd += Math.abs(incomeUsd)
-          } else {
-            stats.breakeven += 1
-          }
+  applyIncome({ symbol, incomeType, incomeUsd, time: ts, key }) {
+    if (this.seenIncomeKeys.has(key)) return
+    this.seenIncomeKeys.add(key)
+    if (this.onIncome) this.onIncome({ symbol, incomeType, incomeUsd, time: ts, key })
 
-          stats.lastRealizedPnlUsd = incomeUsd
-          stats.lastRealizedAt = ts
-        } else if (incomeType === 'COMMISSION') {
-          stats.commissionUsd += incomeUsd
-        } else if (incomeType === 'FUNDING_FEE') {
-          stats.fundingUsd += incomeUsd
-        }
+    const stats = this.incomeStats.get(symbol) ?? createEmptyIncomeStats()
 
-        stats.netUsd += incomeUsd
-        stats.events += 1
+    if (incomeType === 'REALIZED_PNL') {
+      stats.realizedPnlUsd += incomeUsd
+      stats.trades += 1
 
-        this.incomeStats.set(symbol, stats)
+      if (incomeUsd > 0) {
+        stats.wins += 1
+        stats.grossWinUsd += incomeUsd
+      } else if (incomeUsd < 0) {
+        stats.losses += 1
+        stats.grossLossUsd += Math.abs(incomeUsd)
+      } else {
+        stats.breakeven += 1
       }
 
-      if (rows.length < 1000) break
-      cursor = maxTs + 1
+      stats.lastRealizedPnlUsd = incomeUsd
+      stats.lastRealizedAt = ts
+    } else if (incomeType === 'COMMISSION') {
+      stats.commissionUsd += incomeUsd
+    } else if (incomeType === 'FUNDING_FEE') {
+      stats.fundingUsd += incomeUsd
     }
 
-    this.incomeCursorTs = maxTs + 1
+    stats.netUsd += incomeUsd
+    stats.events += 1
+
+    this.incomeStats.set(symbol, stats)
   }
 
   getPosition(symbolUpper) {
@@ -741,6 +1336,10 @@ class LiveTrader {
     return this.lastActionBySymbol.get(String(symbolUpper || '').toUpperCase()) ?? 'none'
   }
 
+  getProtection(symbolUpper) {
+    return this.protectionBySymbol.get(String(symbolUpper || '').toUpperCase()) ?? null
+  }
+
   getLastSpreadBps(symbolUpper) {
     return this.lastSpreadBpsBySymbol.get(String(symbolUpper || '').toUpperCase()) ?? null
   }
@@ -754,8 +1353,9 @@ function formatQty(value) {
   return n.toFixed(6)
 }
 
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms))
+// Waits on the injected clock when it has timers, so a virtual clock also drives the GTX poll.
+function sleep(ms, clock) {
+  return new Promise((resolve) => (clock?.setTimeout ?? setTimeout)(resolve, ms))
 }
 
 module.exports = {
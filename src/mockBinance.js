@@ -0,0 +1,1002 @@
+'use strict'
+
+const crypto = require('crypto')
+const http = require('http')
+const { WebSocketServer } = require('ws')
+
+const { isolatedLiquidationPrice } = require('./leverageBrackets')
+const { classifyRequest } = require('./restGovernor')
+const { aggregateCandles, createSeededRandom, intervalToMs } = require('./utils')
+
+const MINUTE_MS = 60 * 1000
+const DAY_MS = 24 * 60 * MINUTE_MS
+const STREAM_PUSH_MS = 1000
+
+function binanceError(code, msg, status = 400) {
+  const error = new Error(msg)
+  error.code = code
+  error.status = status
+  return error
+}
+
+function toNumber(value, fallback) {
+  const n = Number(value)
+  return Number.isFinite(n) ? n : fallback
+}
+
+function roundTo(value, step) {
+  const decimals = Math.max(0, Math.round(-Math.log10(step)))
+  return Number((Math.round(value / step) * step).toFixed(decimals))
+}
+
+function stepString(step) {
+  return step.toFixed(Math.max(0, Math.round(-Math.log10(step))))
+}
+
+function klineRow(c) {
+  return [c.openTime, String(c.open), String(c.high), String(c.low), String(c.close), String(c.volume), c.closeTime, String(c.volume * c.close), 0, '0', '0', '0']
+}
+
+// Local stand-in for the Binance USD-M futures REST API and combined market stream. Prices follow a
+// seeded random walk on 1m candles; any kline interval is aggregated from them. Orders fill against
+// that walk (MARKET at the touch, GTX LIMIT when the price trades through, STOP_MARKET and
+// TRAILING_STOP_MARKET at the touch once triggered) and one-way positions, realized PnL and
+// commission income are tracked so LiveTrader can run end to end with no network. The market stream
+// also carries bookTicker and partial depth one tick either side of the price, and takes SUBSCRIBE /
+// UNSUBSCRIBE requests like Binance's. Order and position changes are pushed on the user data stream
+// (`/ws/<listenKey>`).
+class MockBinance {
+  constructor(options = {}) {
+    this.host = options.host ?? '127.0.0.1'
+    this.port = options.port ?? 0
+    this.now = options.now ?? (() => Date.now())
+    this.tickMs = options.tickMs ?? 250
+    this.volatility = options.volatility ?? 0.0008
+    this.historyMinutes = options.historyMinutes ?? 3 * 24 * 60
+    this.apiSecret = options.apiSecret ?? null
+    this.makerFeeRate = options.makerFeeRate ?? 0.0002
+    this.takerFeeRate = options.takerFeeRate ?? 0.0005
+    this.maxLeverage = options.maxLeverage ?? 20
+    this.weightLimit = options.weightLimit ?? 2400
+    this.random = createSeededRandom(options.seed ?? 42)
+
+    this.markets = new Map() // SYMBOL -> { symbol, price, tickSize, stepSize, minQty, minutes, forming, aggId }
+    this.positions = new Map() // SYMBOL -> { amt, entryPrice }
+    this.leverageBySymbol = new Map()
+    this.marginTypeBySymbol = new Map()
+    this.orders = new Map() // orderId -> order
+    this.income = []
+    this.dualSidePosition = false
+    this.nextOrderId = 1
+    this.nextTranId = 1
+    this.nextTradeId = 1
+    this.listenKeys = new Set()
+    this.usedWeight = 0
+    this.orderCount10s = 0
+    this.orderCount1m = 0
+    this.weightMinute = 0
+    this.orderWindow = 0
+
+    this.server = null
+    this.wss = null
+    this.clients = new Set() // { socket, streams }
+    this.userClients = new Set() // { socket, listenKey }
+    this.tickTimer = null
+    this.lastPushAt = 0
+
+    for (const symbol of options.symbols ?? ['1000PEPEUSDT']) this.addMarket(symbol, options.basePrices?.[symbol])
+  }
+
+  get restBase() {
+    return `http://${this.host}:${this.port}`
+  }
+
+  get wsBase() {
+    return `ws://${this.host}:${this.port}/stream?streams=`
+  }
+
+  get userWsBase() {
+    return `ws://${this.host}:${this.port}/ws/`
+  }
+
+  step() {
+    const u = this.random() || 1e-9
+    const v = this.random()
+    // Box-Muller normal sample for the random walk.
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v)
+  }
+
+  addMarket(symbolRaw, basePrice) {
+    const symbol = String(symbolRaw).toUpperCase()
+    if (this.markets.has(symbol)) return this.markets.get(symbol)
+
+    let price = toNumber(basePrice, 0.005 + this.random() * 0.02)
+    const tickSize = price >= 1 ? 0.001 : 0.0000001
+    const now = this.now()
+    const currentOpen = Math.floor(now / MINUTE_MS) * MINUTE_MS
+    const minutes = []
+
+    for (let openTime = currentOpen - this.historyMinutes * MINUTE_MS; openTime < currentOpen; openTime += MINUTE_MS) {
+      const open = price
+      let high = price
+      let low = price
+      for (let i = 0; i < 12; i += 1) {
+        price = Math.max(tickSize, roundTo(price * (1 + this.step() * this.volatility), tickSize))
+        high = Math.max(high, price)
+        low = Math.min(low, price)
+      }
+      minutes.push({ openTime, open, high, low, close: price, volume: Math.round(50_000 + this.random() * 150_000), closeTime: openTime + MINUTE_MS - 1 })
+    }
+
+    // A listing age of 30 days to about 3 years, fixed per symbol so it does not draw from the seeded walk.
+    const listedDays = 30 + (crypto.createHash('md5').update(symbol).digest().readUInt16BE(0) % 1000)
+    const market = {
+      symbol,
+      price,
+      tickSize,
+      stepSize: 1,
+      minQty: 1,
+      onboardDate: currentOpen - listedDays * DAY_MS,
+      minutes,
+      forming: { openTime: currentOpen, open: price, high: price, low: price, close: price, volume: 0, closeTime: currentOpen + MINUTE_MS - 1 },
+      aggId: 1,
+    }
+    this.markets.set(symbol, market)
+    return market
+  }
+
+  getMarket(symbolRaw) {
+    const market = this.markets.get(String(symbolRaw || '').toUpperCase())
+    if (!market) throw binanceError(-1121, 'Invalid symbol.')
+    return market
+  }
+
+  setPrice(symbolRaw, price) {
+    const market = this.getMarket(symbolRaw)
+    this.tradeAt(market, price, 1, this.random() < 0.5)
+  }
+
+  bookFor(market) {
+    const bidPrice = roundTo(market.price - market.tickSize, market.tickSize)
+    const askPrice = roundTo(market.price + market.tickSize, market.tickSize)
+    return { bidPrice, askPrice }
+  }
+
+  // `count` price levels stepping away from `from` by one tick in `direction`. Sizes are a fixed
+  // function of price and trade id, so subscribing to the book never changes the seeded walk.
+  depthLevels(market, from, direction, count) {
+    return Array.from({ length: count }, (_, i) => {
+      const price = roundTo(from + direction * i * market.tickSize, market.tickSize)
+      const qty = 1000 + ((Math.round(price / market.tickSize) * 7919 + market.aggId * 104_729 + i * 31) % 20_000)
+      return [price, qty]
+    })
+  }
+
+  candlesFor(market, intervalMs) {
+    return aggregateCandles([...market.minutes, market.forming], intervalMs)
+  }
+
+  tradeAt(market, price, qty, isBuyerMaker) {
+    const now = this.now()
+    this.rollCandle(market, now)
+
+    market.price = price
+    market.forming.high = Math.max(market.forming.high, price)
+    market.forming.low = Math.min(market.forming.low, price)
+    market.forming.close = price
+    market.forming.volume += qty
+
+    this.broadcast(market, 'aggTrade', {
+      e: 'aggTrade',
+      E: now,
+      s: market.symbol,
+      a: market.aggId,
+      p: String(price),
+      q: String(qty),
+      f: market.aggId,
+      l: market.aggId,
+      T: now,
+      m: isBuyerMaker,
+    })
+    market.aggId += 1
+
+    const { bidPrice, askPrice } = this.bookFor(market)
+    const [[, bidQty]] = this.depthLevels(market, bidPrice, -1, 1)
+    const [[, askQty]] = this.depthLevels(market, askPrice, 1, 1)
+    this.broadcast(market, 'bookTicker', {
+      e: 'bookTicker',
+      u: market.aggId,
+      E: now,
+      T: now,
+      s: market.symbol,
+      b: String(bidPrice),
+      B: String(bidQty),
+      a: String(askPrice),
+      A: String(askQty),
+    })
+
+    this.fillRestingOrders(market)
+    this.triggerStopOrders(market)
+  }
+
+  rollCandle(market, now) {
+    while (now >= market.forming.openTime + MINUTE_MS) {
+      market.minutes.push(market.forming)
+      if (market.minutes.length > this.historyMinutes) market.minutes.shift()
+      const openTime = market.forming.openTime + MINUTE_MS
+      const price = market.forming.close
+      market.forming = { openTime, open: price, high: price, low: price, close: price, volume: 0, closeTime: openTime + MINUTE_MS - 1 }
+    }
+  }
+
+  tick() {
+    for (const market of this.markets.values()) {
+      const price = Math.max(market.tickSize, roundTo(market.price * (1 + this.step() * this.volatility), market.tickSize))
+      const qty = Math.round(1000 + this.random() * 20_000)
+      this.tradeAt(market, price, qty, this.random() < 0.5)
+    }
+
+    const now = this.now()
+    if (now - this.lastPushAt >= STREAM_PUSH_MS) {
+      this.lastPushAt = now
+      this.pushPeriodicStreams(now)
+    }
+  }
+
+  pushPeriodicStreams(now) {
+    for (const market of this.markets.values()) {
+      this.broadcast(market, 'markPrice@1s', {
+        e: 'markPriceUpdate',
+        E: now,
+        s: market.symbol,
+        p: String(market.price),
+        i: String(market.price),
+        P: String(market.price),
+        r: '0.00010000',
+        T: Math.ceil(now / (8 * 60 * 60 * 1000)) * 8 * 60 * 60 * 1000,
+      })
+    }
+
+    for (const client of this.clients) {
+      for (const stream of client.streams) {
+        const [marketSymbol, streamType] = stream.split('@')
+        const depth = /^depth(\d+)$/.exec(streamType || '')
+        const market = this.markets.get(String(marketSymbol).toUpperCase())
+        if (market && depth) {
+          const { bidPrice, askPrice } = this.bookFor(market)
+          const levels = Number(depth[1])
+          const toRows = (rows) => rows.map(([price, qty]) => [String(price), String(qty)])
+          this.send(client, stream, { e: 'depthUpdate', E: now, T: now, s: market.symbol, U: market.aggId, u: market.aggId, pu: market.aggId - 1, b: toRows(this.depthLevels(market, bidPrice, -1, levels)), a: toRows(this.depthLevels(market, askPrice, 1, levels)) })
+          continue
+        }
+
+        const match = /^kline_(\w+)$/.exec(streamType || '')
+        const intervalMs = match ? intervalToMs(match[1]) : null
+        if (!market || !intervalMs) continue
+
+        const candles = this.candlesFor(market, intervalMs)
+        const current = candles[candles.length - 1]
+        const lastOpen = client.klineOpenTime.get(stream)
+        if (Number.isFinite(lastOpen) && lastOpen !== current.openTime) {
+          const closed = candles.find((c) => c.openTime === lastOpen)
+          if (closed) this.send(client, stream, this.klineEvent(market, match[1], closed, true, now))
+        }
+        client.klineOpenTime.set(stream, current.openTime)
+        this.send(client, stream, this.klineEvent(market, match[1], current, false, now))
+      }
+    }
+  }
+
+  klineEvent(market, interval, c, isClosed, now) {
+    return {
+      e: 'kline',
+      E: now,
+      s: market.symbol,
+      k: { t: c.openTime, T: c.closeTime, s: market.symbol, i: interval, o: String(c.open), c: String(c.close), h: String(c.high), l: String(c.low), v: String(c.volume), x: isClosed },
+    }
+  }
+
+  send(client, stream, data) {
+    if (client.socket.readyState !== 1) return
+    client.socket.send(JSON.stringify({ stream, data }))
+  }
+
+  broadcast(market, streamType, data) {
+    const stream = `${market.symbol.toLowerCase()}@${streamType}`
+    for (const client of this.clients) {
+      if (client.streams.has(stream)) this.send(client, stream, data)
+    }
+  }
+
+  // ----- account / orders -----
+
+  positionFor(symbol) {
+    if (!this.positions.has(symbol)) this.positions.set(symbol, { amt: 0, entryPrice: 0 })
+    return this.positions.get(symbol)
+  }
+
+  addIncome(symbol, incomeType, income, tradeId = '') {
+    this.income.push({
+      symbol,
+      incomeType,
+      income: String(income),
+      asset: 'USDT',
+      time: this.now(),
+      tranId: this.nextTranId,
+      info: '',
+      tradeId: String(tradeId),
+    })
+    this.nextTranId += 1
+  }
+
+  pushUserEvent(data) {
+    const payload = JSON.stringify(data)
+    for (const client of this.userClients) {
+      if (client.socket.readyState === 1) client.socket.send(payload)
+    }
+  }
+
+  pushOrderUpdate(order, executionType, fill = null) {
+    const now = this.now()
+    this.pushUserEvent({
+      e: 'ORDER_TRADE_UPDATE',
+      E: now,
+      T: now,
+      o: {
+        s: order.symbol,
+        c: order.clientOrderId,
+        S: order.side,
+        o: order.type,
+        f: order.timeInForce,
+        q: String(order.origQty),
+        p: String(order.price),
+        ap: String(order.avgPrice),
+        sp: String(order.stopPrice),
+        x: executionType,
+        X: order.status,
+        i: order.orderId,
+        l: String(fill?.qty ?? 0),
+        z: String(order.executedQty),
+        L: String(fill?.price ?? 0),
+        N: 'USDT',
+        n: String(fill?.commission ?? 0),
+        T: now,
+        t: fill?.tradeId ?? 0,
+        m: Boolean(fill?.isMaker),
+        R: order.reduceOnly,
+        ps: order.positionSide,
+        rp: String(fill?.realized ?? 0),
+      },
+    })
+  }
+
+  pushAccountUpdate(symbol, reason) {
+    const now = this.now()
+    const position = this.positionFor(symbol)
+    const market = this.markets.get(symbol)
+    const leverage = this.leverageBySymbol.get(symbol) ?? this.maxLeverage
+    const unrealized = position.amt === 0 ? 0 : (market.price - position.entryPrice) * position.amt
+    this.pushUserEvent({
+      e: 'ACCOUNT_UPDATE',
+      E: now,
+      T: now,
+      a: {
+        m: reason,
+        B: [],
+        P: [
+          {
+            s: symbol,
+            pa: String(position.amt),
+            ep: String(position.entryPrice),
+            up: String(unrealized),
+            mt: (this.marginTypeBySymbol.get(symbol) ?? 'cross').toLowerCase() === 'isolated' ? 'isolated' : 'cross',
+            iw: String(position.amt === 0 ? 0 : Math.abs(position.amt * position.entryPrice) / leverage + unrealized),
+            ps: 'BOTH',
+          },
+        ],
+      },
+    })
+  }
+
+  applyFill(order, qty, price, isMaker) {
+    const position = this.positionFor(order.symbol)
+    const signedQty = order.side === 'BUY' ? qty : -qty
+    const tradeId = this.nextTradeId
+    this.nextTradeId += 1
+    let realized = 0
+
+    if (position.amt === 0 || Math.sign(position.amt) === Math.sign(signedQty)) {
+      const nextAmt = position.amt + signedQty
+      position.entryPrice = (Math.abs(position.amt) * position.entryPrice + qty * price) / Math.abs(nextAmt)
+      position.amt = nextAmt
+    } else {
+      const closingQty = Math.min(Math.abs(position.amt), qty)
+      realized = (price - position.entryPrice) * closingQty * Math.sign(position.amt)
+      this.addIncome(order.symbol, 'REALIZED_PNL', realized, tradeId)
+      position.amt += signedQty
+      if (Math.abs(position.amt) < 1e-12) {
+        position.amt = 0
+        position.entryPrice = 0
+      } else if (Math.sign(position.amt) === Math.sign(signedQty)) {
+        position.entryPrice = price
+      }
+    }
+
+    const commission = qty * price * (isMaker ? this.makerFeeRate : this.takerFeeRate)
+    this.addIncome(order.symbol, 'COMMISSION', -commission, tradeId)
+
+    order.executedQty += qty
+    order.cumQuote += qty * price
+    order.avgPrice = order.cumQuote / order.executedQty
+    order.status = order.executedQty >= order.origQty ? 'FILLED' : 'PARTIALLY_FILLED'
+    order.updateTime = this.now()
+
+    this.pushOrderUpdate(order, 'TRADE', { qty, price, commission, tradeId, isMaker, realized })
+    this.pushAccountUpdate(order.symbol, 'ORDER')
+  }
+
+  fillRestingOrders(market) {
+    for (const order of this.orders.values()) {
+      if (order.symbol !== market.symbol || order.type !== 'LIMIT' || (order.status !== 'NEW' && order.status !== 'PARTIALLY_FILLED')) continue
+
+      const crossed = order.side === 'BUY' ? market.price < order.price : market.price > order.price
+      if (crossed) this.applyFill(order, order.origQty - order.executedQty, order.price, true)
+    }
+  }
+
+  // Conditional orders trigger on the last price (the mock has no separate mark price) and fill at the
+  // touch. Reduce-only ones shrink to the open position and expire when there is nothing left to reduce.
+  triggerStopOrders(market) {
+    for (const order of this.orders.values()) {
+      if (order.symbol !== market.symbol || order.status !== 'NEW') continue
+      if (order.type !== 'STOP_MARKET' && order.type !== 'TRAILING_STOP_MARKET') continue
+
+      const price = market.price
+      let triggered = false
+      if (order.type === 'STOP_MARKET') {
+        triggered = order.side === 'BUY' ? price >= order.stopPrice : price <= order.stopPrice
+      } else {
+        if (!order.activated) order.activated = order.side === 'BUY' ? price <= order.activatePrice : price >= order.activatePrice
+        if (!order.activated) continue
+        order.extreme = order.side === 'BUY' ? Math.min(order.extreme ?? price, price) : Math.max(order.extreme ?? price, price)
+        const retrace = order.side === 'BUY' ? price / order.extreme - 1 : 1 - price / order.extreme
+        triggered = retrace * 100 >= order.priceRate
+      }
+      if (!triggered) continue
+
+      let qty = order.origQty
+      if (order.reduceOnly) {
+        const position = this.positionFor(order.symbol)
+        const reducing = (order.side === 'SELL' && position.amt > 0) || (order.side === 'BUY' && position.amt < 0)
+        qty = reducing ? Math.min(qty, Math.abs(position.amt)) : 0
+      }
+      if (!(qty > 0)) {
+        order.status = 'EXPIRED'
+        order.updateTime = this.now()
+        this.pushOrderUpdate(order, 'EXPIRED')
+        continue
+      }
+
+      order.origQty = qty
+      const { bidPrice, askPrice } = this.bookFor(market)
+      this.applyFill(order, qty, order.side === 'BUY' ? askPrice : bidPrice, false)
+    }
+  }
+
+  placeOrder(params) {
+    const market = this.getMarket(params.symbol)
+    const side = String(params.side || '').toUpperCase()
+    const type = String(params.type || '').toUpperCase()
+    if (side !== 'BUY' && side !== 'SELL') throw binanceError(-1102, "Mandatory parameter 'side' was not sent, was empty/null, or malformed.")
+
+    let qty = toNumber(params.quantity, 0)
+    if (!(qty >= market.minQty)) throw binanceError(-4003, 'Quantity less than or equal to zero.')
+
+    const clientOrderId = params.newClientOrderId || `mock_${this.nextOrderId}`
+    for (const existing of this.orders.values()) {
+      if (existing.clientOrderId === clientOrderId && (existing.status === 'NEW' || existing.status === 'PARTIALLY_FILLED')) {
+        throw binanceError(-4116, 'ClientOrderId is duplicated.')
+      }
+    }
+
+    const reduceOnly = String(params.reduceOnly) === 'true'
+    if (reduceOnly) {
+      const position = this.positionFor(market.symbol)
+      const reducing = (side === 'SELL' && position.amt > 0) || (side === 'BUY' && position.amt < 0)
+      if (!reducing) throw binanceError(-2022, 'ReduceOnly Order is rejected.')
+      qty = Math.min(qty, Math.abs(position.amt))
+    }
+
+    const order = {
+      orderId: this.nextOrderId,
+      symbol: market.symbol,
+      clientOrderId,
+      side,
+      type,
+      timeInForce: params.timeInForce || 'GTC',
+      positionSide: params.positionSide || 'BOTH',
+      reduceOnly,
+      price: toNumber(params.price, 0),
+      stopPrice: toNumber(params.stopPrice, 0),
+      activatePrice: toNumber(params.activationPrice, 0),
+      priceRate: toNumber(params.callbackRate, 0),
+      workingType: params.workingType || 'CONTRACT_PRICE',
+      origQty: qty,
+      executedQty: 0,
+      cumQuote: 0,
+      avgPrice: 0,
+      status: 'NEW',
+      updateTime: this.now(),
+    }
+    this.nextOrderId += 1
+
+    const { bidPrice, askPrice } = this.bookFor(market)
+
+    if (type === 'MARKET') {
+      this.orders.set(order.orderId, order)
+      this.applyFill(order, qty, side === 'BUY' ? askPrice : bidPrice, false)
+      return order
+    }
+
+    if (type === 'LIMIT') {
+      if (!(order.price > 0)) throw binanceError(-1102, "Mandatory parameter 'price' was not sent, was empty/null, or malformed.")
+      const wouldTake = side === 'BUY' ? order.price >= askPrice : order.price <= bidPrice
+      if (wouldTake && order.timeInForce === 'GTX') {
+        throw binanceError(-5022, 'Due to the order could not be executed as maker, the Post Only order will be rejected.')
+      }
+      this.orders.set(order.orderId, order)
+      if (wouldTake) this.applyFill(order, qty, side === 'BUY' ? askPrice : bidPrice, false)
+      else this.pushOrderUpdate(order, 'NEW')
+      return order
+    }
+
+    if (type === 'STOP_MARKET') {
+      if (!(order.stopPrice > 0)) throw binanceError(-1102, "Mandatory parameter 'stopPrice' was not sent, was empty/null, or malformed.")
+      const wouldTrigger = side === 'BUY' ? market.price >= order.stopPrice : market.price <= order.stopPrice
+      if (wouldTrigger) throw binanceError(-2021, 'Order would immediately trigger.')
+      this.orders.set(order.orderId, order)
+      this.pushOrderUpdate(order, 'NEW')
+      return order
+    }
+
+    if (type === 'TRAILING_STOP_MARKET') {
+      if (!(order.priceRate >= 0.1 && order.priceRate <= 10)) throw binanceError(-2007, 'Invalid callBack rate.')
+      if (!(order.activatePrice > 0)) order.activatePrice = market.price
+      this.orders.set(order.orderId, order)
+      this.pushOrderUpdate(order, 'NEW')
+      return order
+    }
+
+    throw binanceError(-1116, 'Invalid orderType.')
+  }
+
+  findOrder(params) {
+    const orderId = toNumber(params.orderId, 0)
+    if (orderId > 0 && this.orders.has(orderId)) return this.orders.get(orderId)
+
+    if (params.origClientOrderId) {
+      for (const order of this.orders.values()) {
+        if (order.clientOrderId === params.origClientOrderId && order.symbol === String(params.symbol).toUpperCase()) return order
+      }
+    }
+
+    throw binanceError(-2013, 'Order does not exist.')
+  }
+
+  cancelOrder(params) {
+    const order = this.findOrder(params)
+    if (order.status !== 'NEW' && order.status !== 'PARTIALLY_FILLED') throw binanceError(-2011, 'Unknown order sent.')
+    order.status = 'CANCELED'
+    order.updateTime = this.now()
+    this.pushOrderUpdate(order, 'CANCELED')
+    return order
+  }
+
+  orderResponse(order) {
+    return {
+      orderId: order.orderId,
+      symbol: order.symbol,
+      status: order.status,
+      clientOrderId: order.clientOrderId,
+      price: String(order.price),
+      avgPrice: String(order.avgPrice),
+      origQty: String(order.origQty),
+      executedQty: String(order.executedQty),
+      cumQuote: String(order.cumQuote),
+      timeInForce: order.timeInForce,
+      type: order.type,
+      reduceOnly: order.reduceOnly,
+      side: order.side,
+      positionSide: order.positionSide,
+      stopPrice: String(order.stopPrice),
+      activatePrice: String(order.activatePrice),
+      priceRate: String(order.priceRate),
+      workingType: order.workingType,
+      updateTime: order.updateTime,
+    }
+  }
+
+  leverageBrackets() {
+    return [
+      { bracket: 1, initialLeverage: this.maxLeverage, notionalCap: 5000, notionalFloor: 0, maintMarginRatio: 0.01, cum: 0 },
+      { bracket: 2, initialLeverage: Math.max(1, Math.floor(this.maxLeverage / 2)), notionalCap: 25000, notionalFloor: 5000, maintMarginRatio: 0.025, cum: 75 },
+    ]
+  }
+
+  positionRisk() {
+    return [...this.markets.values()].map((market) => {
+      const position = this.positionFor(market.symbol)
+      const leverage = this.leverageBySymbol.get(market.symbol) ?? this.maxLeverage
+      const notional = position.amt * market.price
+      const unrealized = (market.price - position.entryPrice) * position.amt
+      const isolated = (this.marginTypeBySymbol.get(market.symbol) ?? 'cross').toLowerCase() === 'isolated'
+      const liquidationPrice =
+        isolated && position.amt !== 0
+          ? isolatedLiquidationPrice({
+              side: position.amt > 0 ? 'long' : 'short',
+              entryPrice: position.entryPrice,
+              quantity: Math.abs(position.amt),
+              marginUsd: Math.abs(position.amt * position.entryPrice) / leverage,
+              brackets: this.leverageBrackets(),
+            })
+          : 0
+      return {
+        symbol: market.symbol,
+        positionAmt: String(position.amt),
+        entryPrice: String(position.entryPrice),
+        markPrice: String(market.price),
+        unRealizedProfit: String(position.amt === 0 ? 0 : unrealized),
+        liquidationPrice: String(liquidationPrice ?? 0),
+        leverage: String(leverage),
+        marginType: (this.marginTypeBySymbol.get(market.symbol) ?? 'cross').toLowerCase(),
+        isolatedMargin: String(position.amt === 0 ? 0 : Math.abs(position.amt * position.entryPrice) / leverage + unrealized),
+        notional: String(notional),
+        positionSide: 'BOTH',
+        updateTime: this.now(),
+      }
+    })
+  }
+
+  // ----- HTTP -----
+
+  verifySignature(rawQuery, headers) {
+    if (!headers['x-mbx-apikey']) throw binanceError(-2014, 'API-key format invalid.', 401)
+
+    const index = rawQuery.lastIndexOf('&signature=')
+    if (index < 0) throw binanceError(-1102, "Mandatory parameter 'signature' was not sent, was empty/null, or malformed.")
+
+    const params = new URLSearchParams(rawQuery)
+    const timestamp = toNumber(params.get('timestamp'), 0)
+    const recvWindow = toNumber(params.get('recvWindow'), 5000)
+    const serverTime = this.now()
+    if (timestamp > serverTime + 1000 || serverTime - timestamp > recvWindow) {
+      throw binanceError(-1021, 'Timestamp for this request is outside of the recvWindow.')
+    }
+    if (!this.apiSecret) return
+
+    const expected = crypto.createHmac('sha256', this.apiSecret).update(rawQuery.slice(0, index)).digest('hex')
+    if (rawQuery.slice(index + '&signature='.length) !== expected) throw binanceError(-1022, 'Signature for this request is not valid.')
+  }
+
+  // Per-minute IP weight and order counters, reported in the same headers Binance sends. Over the
+  // weight limit the request is refused with 429 until the next minute.
+  countRequest(method, url) {
+    const now = this.now()
+    const minute = Math.floor(now / MINUTE_MS)
+    if (minute !== this.weightMinute) {
+      this.weightMinute = minute
+      this.usedWeight = 0
+      this.orderCount1m = 0
+    }
+    const orderWindow = Math.floor(now / 10_000)
+    if (orderWindow !== this.orderWindow) {
+      this.orderWindow = orderWindow
+      this.orderCount10s = 0
+    }
+
+    const { weight, isOrder } = classifyRequest(method, url.href)
+    this.usedWeight += weight
+    if (this.usedWeight > this.weightLimit) {
+      const error = binanceError(-1003, `Too many requests; current limit of IP is ${this.weightLimit} requests per minute.`, 429)
+      error.retryAfter = Math.ceil(((minute + 1) * MINUTE_MS - now) / 1000)
+      throw error
+    }
+
+    const headers = { 'X-MBX-USED-WEIGHT-1M': String(this.usedWeight) }
+    if (isOrder) {
+      this.orderCount10s += 1
+      this.orderCount1m += 1
+      headers['X-MBX-ORDER-COUNT-10S'] = String(this.orderCount10s)
+      headers['X-MBX-ORDER-COUNT-1M'] = String(this.orderCount1m)
+    }
+    return headers
+  }
+
+  route(method, pathname, params, rawQuery, headers) {
+    const signed = () => this.verifySignature(rawQuery, headers)
+    const key = `${method} ${pathname}`
+
+    switch (key) {
+      case 'POST /fapi/v1/listenKey':
+      case 'PUT /fapi/v1/listenKey':
+      case 'DELETE /fapi/v1/listenKey': {
+        if (!headers['x-mbx-apikey']) throw binanceError(-2014, 'API-key format invalid.', 401)
+        if (method === 'DELETE') return {}
+        // One key per API key on Binance; the mock has a single account.
+        if (this.listenKeys.size === 0) this.listenKeys.add(crypto.randomBytes(24).toString('hex'))
+        return { listenKey: [...this.listenKeys][0] }
+      }
+      case 'GET /fapi/v1/ping':
+        return {}
+      case 'GET /fapi/v1/time':
+        return { serverTime: this.now() }
+      case 'GET /fapi/v1/exchangeInfo':
+        return {
+          serverTime: this.now(),
+          symbols: [...this.markets.values()].map((m) => ({
+            symbol: m.symbol,
+            status: 'TRADING',
+            contractType: 'PERPETUAL',
+            quoteAsset: 'USDT',
+            onboardDate: m.onboardDate,
+            filters: [
+              { filterType: 'PRICE_FILTER', tickSize: stepString(m.tickSize) },
+              { filterType: 'LOT_SIZE', stepSize: stepString(m.stepSize), minQty: stepString(m.minQty) },
+            ],
+          })),
+        }
+      case 'GET /fapi/v1/klines': {
+        const market = this.getMarket(params.symbol)
+        const intervalMs = intervalToMs(params.interval)
+        if (!intervalMs) throw binanceError(-1120, 'Invalid interval.')
+        const limit = Math.min(1500, Math.max(1, Math.floor(toNumber(params.limit, 500))))
+        const startTime = toNumber(params.startTime, null)
+        const endTime = toNumber(params.endTime, null)
+        let candles = this.candlesFor(market, intervalMs).filter((c) => (startTime === null || c.openTime >= startTime) && (endTime === null || c.openTime <= endTime))
+        candles = startTime !== null ? candles.slice(0, limit) : candles.slice(-limit)
+        return candles.map(klineRow)
+      }
+      case 'GET /futures/data/openInterestHist': {
+        const market = this.getMarket(params.symbol)
+        const periodMs = intervalToMs(params.period)
+        if (!periodMs) throw binanceError(-1130, 'Invalid period.')
+        const limit = Math.min(500, Math.max(1, Math.floor(toNumber(params.limit, 30))))
+        // Open interest builds on up candles and unwinds on down candles.
+        let openInterest = 50_000_000
+        return this.candlesFor(market, periodMs)
+          .slice(-limit - 1, -1)
+          .map((c) => {
+            openInterest = Math.max(1_000_000, openInterest + (c.close >= c.open ? 0.5 : -0.5) * c.volume)
+            return { symbol: market.symbol, sumOpenInterest: openInterest.toFixed(3), sumOpenInterestValue: (openInterest * c.close).toFixed(8), timestamp: c.closeTime + 1 }
+          })
+      }
+      case 'GET /fapi/v1/ticker/bookTicker': {
+        const bookTicker = (market) => {
+          const { bidPrice, askPrice } = this.bookFor(market)
+          return { symbol: market.symbol, bidPrice: String(bidPrice), bidQty: '10000', askPrice: String(askPrice), askQty: '10000', time: this.now() }
+        }
+        return params.symbol ? bookTicker(this.getMarket(params.symbol)) : [...this.markets.values()].map(bookTicker)
+      }
+      case 'GET /fapi/v1/ticker/24hr': {
+        const ticker = (market) => {
+          const day = [...market.minutes.slice(-(24 * 60 - 1)), market.forming]
+          const open = day[0].open
+          const high = Math.max(...day.map((c) => c.high))
+          const low = Math.min(...day.map((c) => c.low))
+          const volume = day.reduce((sum, c) => sum + c.volume, 0)
+          const quoteVolume = day.reduce((sum, c) => sum + c.volume * c.close, 0)
+          return {
+            symbol: market.symbol,
+            priceChange: String(market.price - open),
+            priceChangePercent: (((market.price - open) / open) * 100).toFixed(3),
+            lastPrice: String(market.price),
+            openPrice: String(open),
+            highPrice: String(high),
+            lowPrice: String(low),
+            volume: String(volume),
+            quoteVolume: quoteVolume.toFixed(2),
+            openTime: day[0].openTime,
+            closeTime: this.now(),
+          }
+        }
+        return params.symbol ? ticker(this.getMarket(params.symbol)) : [...this.markets.values()].map(ticker)
+      }
+      case 'GET /fapi/v1/commissionRate':
+        signed()
+        return { symbol: this.getMarket(params.symbol).symbol, makerCommissionRate: String(this.makerFeeRate), takerCommissionRate: String(this.takerFeeRate) }
+      case 'GET /fapi/v1/positionSide/dual':
+        signed()
+        return { dualSidePosition: this.dualSidePosition }
+      case 'POST /fapi/v1/marginType': {
+        signed()
+        const market = this.getMarket(params.symbol)
+        const wanted = String(params.marginType || '').toUpperCase()
+        if ((this.marginTypeBySymbol.get(market.symbol) ?? 'CROSSED') === wanted) throw binanceError(-4046, 'No need to change margin type.')
+        this.marginTypeBySymbol.set(market.symbol, wanted === 'ISOLATED' ? 'ISOLATED' : 'CROSSED')
+        return { code: 200, msg: 'success' }
+      }
+      case 'POST /fapi/v1/leverage': {
+        signed()
+        const market = this.getMarket(params.symbol)
+        const leverage = Math.floor(toNumber(params.leverage, 0))
+        if (leverage < 1 || leverage > this.maxLeverage) throw binanceError(-4028, `Leverage ${leverage} is not valid`)
+        this.leverageBySymbol.set(market.symbol, leverage)
+        return { symbol: market.symbol, leverage, maxNotionalValue: '50000' }
+      }
+      case 'GET /fapi/v1/leverageBracket':
+        signed()
+        return [...this.markets.values()].map((m) => ({ symbol: m.symbol, brackets: this.leverageBrackets() }))
+      case 'POST /fapi/v1/order':
+        signed()
+        return this.orderResponse(this.placeOrder(params))
+      case 'GET /fapi/v1/order':
+        signed()
+        return this.orderResponse(this.findOrder(params))
+      case 'DELETE /fapi/v1/order':
+        signed()
+        return this.orderResponse(this.cancelOrder(params))
+      case 'GET /fapi/v1/openOrders': {
+        signed()
+        const symbol = params.symbol ? this.getMarket(params.symbol).symbol : null
+        return [...this.orders.values()]
+          .filter((order) => (order.status === 'NEW' || order.status === 'PARTIALLY_FILLED') && (!symbol || order.symbol === symbol))
+          .map((order) => this.orderResponse(order))
+      }
+      case 'GET /fapi/v1/allOrders': {
+        signed()
+        const symbol = this.getMarket(params.symbol).symbol
+        const startTime = toNumber(params.startTime, 0)
+        return [...this.orders.values()].filter((order) => order.symbol === symbol && order.updateTime >= startTime).map((order) => this.orderResponse(order))
+      }
+      case 'GET /fapi/v2/positionRisk':
+        signed()
+        return this.positionRisk()
+      case 'GET /fapi/v1/income': {
+        signed()
+        const startTime = toNumber(params.startTime, 0)
+        const limit = Math.min(1000, Math.max(1, Math.floor(toNumber(params.limit, 100))))
+        return this.income.filter((row) => row.time >= startTime).slice(0, limit)
+      }
+      default:
+        throw binanceError(-1000, `Mock has no route for ${key}`, 404)
+    }
+  }
+
+  handleHttp(req, res) {
+    let body = ''
+    req.on('data', (chunk) => {
+      body += chunk
+    })
+    req.on('end', () => {
+      const url = new URL(req.url, this.restBase)
+      const rawQuery = url.search.slice(1) || body
+      const params = Object.fromEntries(new URLSearchParams(rawQuery))
+
+      let status = 200
+      let payload
+      const limitHeaders = {}
+      try {
+        Object.assign(limitHeaders, this.countRequest(req.method, url))
+        payload = this.route(req.method, url.pathname, params, rawQuery, req.headers)
+      } catch (error) {
+        status = error.status || 400
+        payload = { code: Number.isFinite(error.code) ? error.code : -1000, msg: error.message }
+        if (error.retryAfter) limitHeaders['Retry-After'] = String(error.retryAfter)
+      }
+
+      res.writeHead(status, { 'Content-Type': 'application/json', ...limitHeaders })
+      res.end(JSON.stringify(payload))
+    })
+  }
+
+  handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, this.restBase)
+    if (url.pathname.startsWith('/ws/')) {
+      const listenKey = url.pathname.slice('/ws/'.length)
+      if (!this.listenKeys.has(listenKey)) {
+        socket.destroy()
+        return
+      }
+      this.wss.handleUpgrade(req, socket, head, (ws) => {
+        const client = { socket: ws, listenKey }
+        this.userClients.add(client)
+        ws.on('close', () => this.userClients.delete(client))
+        ws.on('error', () => this.userClients.delete(client))
+      })
+      return
+    }
+
+    if (url.pathname !== '/stream') {
+      socket.destroy()
+      return
+    }
+
+    const streams = new Set(
+      String(url.searchParams.get('streams') || '')
+        .split('/')
+        .filter(Boolean),
+    )
+
+    this.wss.handleUpgrade(req, socket, head, (ws) => {
+      const client = { socket: ws, streams, klineOpenTime: new Map() }
+      this.clients.add(client)
+      ws.on('message', (message) => this.handleStreamRequest(client, message))
+      ws.on('close', () => this.clients.delete(client))
+      ws.on('error', () => this.clients.delete(client))
+    })
+  }
+
+  // Live subscription changes on the combined stream: { method: SUBSCRIBE | UNSUBSCRIBE | LIST_SUBSCRIPTIONS, params, id }.
+  handleStreamRequest(client, message) {
+    let request
+    try {
+      request = JSON.parse(String(message))
+    } catch {
+      request = null
+    }
+    const reply = (payload) => client.socket.readyState === 1 && client.socket.send(JSON.stringify(payload))
+    const params = Array.isArray(request?.params) ? request.params.map((stream) => String(stream)) : []
+
+    if (request?.method === 'SUBSCRIBE') {
+      for (const stream of params) client.streams.add(stream)
+      reply({ result: null, id: request.id })
+    } else if (request?.method === 'UNSUBSCRIBE') {
+      for (const stream of params) {
+        client.streams.delete(stream)
+        client.klineOpenTime.delete(stream)
+      }
+      reply({ result: null, id: request.id })
+    } else if (request?.method === 'LIST_SUBSCRIPTIONS') {
+      reply({ result: [...client.streams], id: request.id })
+    } else {
+      reply({ error: { code: 2, msg: 'Invalid request' }, id: request?.id ?? null })
+    }
+  }
+
+  listen() {
+    this.server = http.createServer((req, res) => this.handleHttp(req, res))
+    this.wss = new WebSocketServer({ noServer: true })
+    this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head))
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject)
+      this.server.listen(this.port, this.host, () => {
+        this.port = this.server.address().port
+        this.tickTimer = setInterval(() => this.tick(), this.tickMs)
+        resolve(this)
+      })
+    })
+  }
+
+  close() {
+    if (this.tickTimer) {
+      clearInterval(this.tickTimer)
+      this.tickTimer = null
+    }
+
+    for (const client of this.clients) client.socket.terminate()
+    this.clients.clear()
+    for (const client of this.userClients) client.socket.terminate()
+    this.userClients.clear()
+
+    return new Promise((resolve) => {
+      if (this.wss) this.wss.close()
+      if (!this.server) {
+        resolve()
+        return
+      }
+      this.server.close(() => resolve())
+    })
+  }
+}
+
+async function startMockBinance(options = {}) {
+  const mock = new MockBinance(options)
+  await mock.listen()
+  return mock
+}
+
+module.exports = {
+  MockBinance,
+  startMockBinance,
+}
@@ -0,0 +1,241 @@
+'use strict'
+
+const EVENT_TYPES = ['trade_open', 'trade_close', 'error', 'reconnect', 'stale', 'universe']
+// Status events that can repeat while nothing changes; trades and universe changes are always sent.
+const DEDUP_TYPES = new Set(['error', 'reconnect', 'stale'])
+const MINUTE_MS = 60 * 1000
+const REQUEST_TIMEOUT_MS = 10_000
+const RETRY_BASE_MS = 1_000
+const RETRY_MAX_MS = 60_000
+const DISCORD_MAX_CHARS = 2000
+const TELEGRAM_MAX_CHARS = 4096
+
+function toNumber(value, fallback) {
+  const next = Number(value)
+  return Number.isFinite(next) ? next : fallback
+}
+
+// Seconds to wait from a 429: the Retry-After header, Discord's retry_after or Telegram's parameters.retry_after.
+function retryAfterMs(header, text) {
+  const fromHeader = toNumber(header('retry-after'), null)
+  if (fromHeader !== null) return fromHeader * 1000
+  try {
+    const body = JSON.parse(text)
+    const seconds = toNumber(body?.retry_after ?? body?.parameters?.retry_after, null)
+    return seconds === null ? null : seconds * 1000
+  } catch {
+    return null
+  }
+}
+
+// A sink turns an event { type, t, text, data } into one POST: { url, body }.
+function createWebhookSink(url) {
+  return {
+    name: 'webhook',
+    request: (event) => ({ url, body: { type: event.type, t: event.t, time: new Date(event.t).toISOString(), text: event.text, data: event.data } }),
+  }
+}
+
+function createTelegramSink({ token, chatId, apiBase }) {
+  return {
+    name: 'telegram',
+    request: (event) => ({
+      url: `${apiBase.replace(/\/+$/, '')}/bot${token}/sendMessage`,
+      body: { chat_id: chatId, text: event.text.slice(0, TELEGRAM_MAX_CHARS), disable_web_page_preview: true },
+    }),
+  }
+}
+
+function createDiscordSink(url) {
+  return {
+    name: 'discord',
+    request: (event) => ({ url, body: { content: event.text.slice(0, DISCORD_MAX_CHARS) } }),
+  }
+}
+
+// Fire-and-forget delivery of engine events to chat and webhook sinks. notify() only queues: each sink
+// sends one message at a time in the background, in order, at most maxPerMinute, and retries failures
+// with backoff (or the 429's retry-after) up to maxAttempts. A sink that is down only grows its own
+// queue, capped at maxQueue (oldest dropped), so trading never waits on it. An error, reconnect or
+// stale event with the same key (default: the text) is sent once per dedupMs.
+class Notifier {
+  constructor(options = {}) {
+    this.fetchImpl = options.fetchImpl ?? (typeof fetch === 'function' ? fetch : null)
+    this.now = options.now ?? (() => Date.now())
+    this.events = new Set(options.events ?? EVENT_TYPES)
+    this.dedupMs = Math.max(0, toNumber(options.dedupMs, 5 * MINUTE_MS))
+    this.maxPerMinute = Math.max(1, Math.floor(toNumber(options.maxPerMinute, 20)))
+    this.maxQueue = Math.max(1, Math.floor(toNumber(options.maxQueue, 200)))
+    this.maxAttempts = Math.max(1, Math.floor(toNumber(options.maxAttempts, 8)))
+
+    this.sinks = (options.sinks ?? []).map((sink) => ({
+      sink,
+      queue: [], // [{ event, attempts }]
+      sending: false,
+      retryAt: 0,
+      sentAt: [], // send times within the last minute
+      sent: 0,
+      dropped: 0,
+      lastError: null,
+    }))
+    this.lastSentByKey = new Map()
+    this.suppressed = 0
+    this.wakeTimer = null
+  }
+
+  // data.key: optional dedup key for events whose text changes every time (prices, ages).
+  notify(type, text, data = {}) {
+    if (!this.events.has(type) || this.sinks.length === 0) return false
+
+    const now = this.now()
+    if (DEDUP_TYPES.has(type)) {
+      const key = `${type}|${data.key ?? text}`
+      const lastSentAt = this.lastSentByKey.get(key)
+      if (lastSentAt !== undefined && now - lastSentAt < this.dedupMs) {
+        this.suppressed += 1
+        return false
+      }
+      this.lastSentByKey.set(key, now)
+      if (this.lastSentByKey.size > 1000) {
+        for (const [storedKey, sentAt] of this.lastSentByKey) if (now - sentAt >= this.dedupMs) this.lastSentByKey.delete(storedKey)
+      }
+    }
+
+    const event = { type, t: now, text, data }
+    for (const state of this.sinks) {
+      state.queue.push({ event, attempts: 0 })
+      if (state.queue.length > this.maxQueue) {
+        state.queue.shift()
+        state.dropped += 1
+      }
+    }
+    this.pump()
+    return true
+  }
+
+  pump() {
+    const now = this.now()
+    let wakeAt = Infinity
+
+    for (const state of this.sinks) {
+      if (state.sending || state.queue.length === 0) continue
+      state.sentAt = state.sentAt.filter((sentAt) => now - sentAt < MINUTE_MS)
+
+      const readyAt = Math.max(state.retryAt, state.sentAt.length >= this.maxPerMinute ? state.sentAt[0] + MINUTE_MS : 0)
+      if (now >= readyAt) this.send(state)
+      else wakeAt = Math.min(wakeAt, readyAt)
+    }
+
+    if (wakeAt === Infinity || this.wakeTimer) return
+    this.wakeTimer = setTimeout(
+      () => {
+        this.wakeTimer = null
+        this.pump()
+      },
+      Math.max(10, wakeAt - now),
+    )
+    // A pending retry must not keep the process alive on shutdown.
+    this.wakeTimer.unref?.()
+  }
+
+  send(state) {
+    const item = state.queue[0]
+    const { url, body } = state.sink.request(item.event)
+    state.sending = true
+
+    const sent = this.fetchImpl
+      ? this.fetchImpl(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body),
+          signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+        }).then(async (response) => ({ status: response.status, header: (name) => response.headers.get(name), text: await response.text() }))
+      : Promise.reject(new Error('fetch unavailable'))
+
+    sent
+      .then(({ status, header, text }) => {
+        if (status >= 200 && status < 300) return null
+        const error = new Error(`HTTP ${status} ${text.slice(0, 200)}`)
+        error.retryAfterMs = status === 429 ? retryAfterMs(header, text) : null
+        throw error
+      })
+      .then(
+        () => {
+          state.queue.shift()
+          state.sentAt.push(this.now())
+          state.sent += 1
+          state.retryAt = 0
+          state.lastError = null
+        },
+        (error) => {
+          item.attempts += 1
+          state.lastError = error.message
+          if (item.attempts >= this.maxAttempts) {
+            state.queue.shift()
+            state.dropped += 1
+            state.retryAt = 0
+            return
+          }
+          state.retryAt = this.now() + (error.retryAfterMs ?? Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (item.attempts - 1)))
+        },
+      )
+      .finally(() => {
+        state.sending = false
+        this.pump()
+      })
+  }
+
+  pendingCount() {
+    return this.sinks.reduce((sum, state) => sum + state.queue.length, 0)
+  }
+
+  // Gives queued messages up to timeoutMs to go out on shutdown.
+  close(timeoutMs = 1500) {
+    const deadline = this.now() + timeoutMs
+    return new Promise((resolve) => {
+      const check = () => {
+        if (this.pendingCount() === 0 || this.now() >= deadline) {
+          if (this.wakeTimer) clearTimeout(this.wakeTimer)
+          this.wakeTimer = null
+          resolve()
+          return
+        }
+        setTimeout(check, 50)
+      }
+      check()
+    })
+  }
+
+  statusText() {
+    const parts = this.sinks.map((state) => {
+      const queued = state.queue.length > 0 ? ` ${state.queue.length} queued` : ''
+      const dropped = state.dropped > 0 ? ` dropped ${state.dropped}` : ''
+      const error = state.lastError ? ` (${state.lastError})` : ''
+      return `${state.sink.name} sent ${state.sent}${queued}${dropped}${error}`
+    })
+    if (this.suppressed > 0) parts.push(`deduped ${this.suppressed}`)
+    return parts.join(' | ')
+  }
+}
+
+// The sinks configured in NOTIFY_CONFIG; null when none is.
+function createNotifier(config = {}, options = {}) {
+  const sinks = []
+  if (config.webhookUrl) sinks.push(createWebhookSink(config.webhookUrl))
+  if (config.telegramBotToken && config.telegramChatId) {
+    sinks.push(createTelegramSink({ token: config.telegramBotToken, chatId: config.telegramChatId, apiBase: config.telegramApiBase || 'https://api.telegram.org' }))
+  }
+  if (config.discordWebhookUrl) sinks.push(createDiscordSink(config.discordWebhookUrl))
+  if (sinks.length === 0) return null
+
+  return new Notifier({ ...config, ...options, sinks })
+}
+
+module.exports = {
+  EVENT_TYPES,
+  Notifier,
+  createDiscordSink,
+  createNotifier,
+  createTelegramSink,
+  createWebhookSink,
+}
@@ -0,0 +1,340 @@
+/* eslint-disable no-console */
+
+'use strict'
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { parseArgs } = require('util')
+const { Worker } = require('worker_threads')
+
+const { SIM_CONFIG, STRATEGY_DEFAULT } = require('./config')
+const { BACKTEST_CLI_OPTIONS, formatSummary, loadBacktestInputs, summarizeTrades } = require('./backtest')
+const { getStrategyDefinition } = require('./strategies')
+const { createSeededRandom } = require('./utils')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const PROFIT_FACTOR_CAP = 1000
+
+// Default simulator search space, as min:max:step per key; the strategy's own paramSpace is added to it.
+// Keys of the strategy's defaultParams override the strategy, keys of SIM_CONFIG override the simulator.
+const SIM_PARAM_SPACE = {
+  stopLossRoiMinPct: { min: 6, max: 10, step: 2 },
+  stopLossRoiMaxPct: { min: 12, max: 18, step: 3 },
+  trailActivateRoiMinPct: { min: 4, max: 8, step: 2 },
+  trailActivateRoiMaxPct: { min: 10, max: 14, step: 2 },
+  trailDdRoiMinPct: { min: 1, max: 2, step: 0.5 },
+  trailDdRoiMaxPct: { min: 2.5, max: 3.5, step: 0.5 },
+}
+
+// Min/max pairs that must stay ordered for a combination to make sense.
+const ORDERED_PAIRS = [
+  ['stopLossRoiMinPct', 'stopLossRoiMaxPct'],
+  ['trailActivateRoiMinPct', 'trailActivateRoiMaxPct'],
+  ['trailDdRoiMinPct', 'trailDdRoiMaxPct'],
+]
+
+const OBJECTIVES = {
+  net: (summary) => summary.netPnlUsd,
+  sharpe: (summary) => summary.sharpe,
+  pf: (summary) => Math.min(summary.profitFactor, PROFIT_FACTOR_CAP),
+}
+
+function paramGroup(key, strategyDefinition) {
+  if (key in strategyDefinition.defaultParams) return 'strategy'
+  if (key in SIM_CONFIG) return 'sim'
+  throw new Error(`Unknown parameter: ${key}`)
+}
+
+function rangeValues({ min, max, step }) {
+  if (![min, max].every(Number.isFinite) || min > max) throw new Error(`Invalid range ${min}:${max}`)
+  if (!(step > 0)) return [min]
+
+  const decimals = Math.max(0, ...[min, step].map((n) => (String(n).split('.')[1] ?? '').length))
+  const values = []
+  for (let i = 0; min + i * step <= max + 1e-9; i += 1) values.push(Number((min + i * step).toFixed(decimals)))
+  return values
+}
+
+// "key=min:max:step,key2=value" -> [{ key, values }]. Without --params the default space is used.
+function parseParamSpace(text, strategyDefinition) {
+  const entries = text
+    ? text
+        .split(',')
+        .map((part) => part.trim())
+        .filter(Boolean)
+        .map((part) => {
+          const eq = part.indexOf('=')
+          if (eq <= 0) throw new Error(`Invalid --params entry: ${part}`)
+          const [min, max, step] = part
+            .slice(eq + 1)
+            .split(':')
+            .map(Number)
+          return [part.slice(0, eq).trim(), max === undefined ? { min, max: min, step: 0 } : { min, max, step }]
+        })
+    : Object.entries({ ...strategyDefinition.paramSpace, ...SIM_PARAM_SPACE })
+
+  return entries.map(([key, range]) => {
+    paramGroup(key, strategyDefinition)
+    return { key, values: rangeValues(range) }
+  })
+}
+
+function isValidCombo(combo) {
+  const value = (key) => combo[key] ?? SIM_CONFIG[key]
+  return ORDERED_PAIRS.every(([minKey, maxKey]) => value(minKey) <= value(maxKey))
+}
+
+function countGrid(dims) {
+  return dims.reduce((acc, dim) => acc * dim.values.length, 1)
+}
+
+function buildGrid(dims) {
+  let combos = [{}]
+  for (const dim of dims) combos = combos.flatMap((combo) => dim.values.map((value) => ({ ...combo, [dim.key]: value })))
+  return combos.filter(isValidCombo)
+}
+
+function sampleCombos(dims, samples, seed) {
+  const random = createSeededRandom(seed)
+  const seen = new Set()
+  const combos = []
+  const limit = Math.min(samples, countGrid(dims))
+
+  for (let attempts = 0; combos.length < limit && attempts < limit * 50; attempts += 1) {
+    const combo = Object.fromEntries(dims.map((dim) => [dim.key, dim.values[Math.floor(random() * dim.values.length)]]))
+    const key = JSON.stringify(combo)
+    if (seen.has(key) || !isValidCombo(combo)) continue
+    seen.add(key)
+    combos.push(combo)
+  }
+
+  return combos
+}
+
+function scoreSummary(summary, objective, minTrades) {
+  if (!summary || summary.trades < minTrades) return Number.NEGATIVE_INFINITY
+  return OBJECTIVES[objective](summary)
+}
+
+function formatParams(combo) {
+  const entries = Object.entries(combo)
+  return entries.length > 0 ? entries.map(([key, value]) => `${key}=${value}`).join(' ') : '(current config)'
+}
+
+function formatScore(score) {
+  return Number.isFinite(score) ? score.toFixed(4) : '-'
+}
+
+// Trading range covered by the data: candles before a dataset's tradeFrom are warmup only.
+function dataRange(datasets) {
+  let from = Number.POSITIVE_INFINITY
+  let to = Number.NEGATIVE_INFINITY
+  for (const dataset of datasets) {
+    const { candles = [], tradeFrom } = dataset
+    if (candles.length === 0) continue
+    from = Math.min(from, Number.isFinite(tradeFrom) ? tradeFrom : candles[0].openTime)
+    to = Math.max(to, candles[candles.length - 1].closeTime + 1)
+  }
+  return { from, to }
+}
+
+// Rolling walk-forward: train on [start, start + train), test on the following `test` span, then
+// move both forward by `test` so every test window is out-of-sample exactly once.
+function buildWalkForwardWindows(from, to, trainMs, testMs) {
+  const windows = []
+  for (let start = from; start + trainMs + testMs <= to; start += testMs) {
+    windows.push({
+      train: { from: start, to: start + trainMs },
+      test: { from: start + trainMs, to: start + trainMs + testMs },
+    })
+  }
+  return windows
+}
+
+function createWorkerPool(size, workerData) {
+  const workers = Array.from({ length: size }, () => new Worker(path.join(__dirname, 'optimizerWorker.js'), { workerData }))
+
+  const run = (jobs, onProgress = () => {}) =>
+    new Promise((resolve, reject) => {
+      const results = new Array(jobs.length)
+      let next = 0
+      let done = 0
+
+      if (jobs.length === 0) {
+        resolve(results)
+        return
+      }
+
+      const feed = (worker) => {
+        if (next >= jobs.length) return
+        worker.postMessage({ ...jobs[next], id: next })
+        next += 1
+      }
+
+      for (const worker of workers) {
+        worker.removeAllListeners('message')
+        worker.removeAllListeners('error')
+        worker.on('error', reject)
+        worker.on('message', (message) => {
+          if (message.error) {
+            reject(new Error(message.error))
+            return
+          }
+          results[message.id] = message
+          done += 1
+          onProgress(done, jobs.length)
+          if (done === jobs.length) resolve(results)
+          else feed(worker)
+        })
+        feed(worker)
+      }
+    })
+
+  return {
+    run,
+    close: () => Promise.all(workers.map((worker) => worker.terminate())),
+  }
+}
+
+function progressPrinter(label) {
+  let lastPct = -1
+  return (done, total) => {
+    const pct = Math.floor((done / total) * 100)
+    if (pct === lastPct) return
+    lastPct = pct
+    process.stdout.write(`\r${label} ${done}/${total} (${pct}%)`)
+    if (done === total) process.stdout.write('\n')
+  }
+}
+
+async function evaluateCombos(pool, combos, window, objective, minTrades, label) {
+  const results = await pool.run(
+    combos.map((combo) => ({ combo, window })),
+    progressPrinter(label),
+  )
+
+  return combos
+    .map((combo, i) => ({ combo, summary: results[i].summary, score: scoreSummary(results[i].summary, objective, minTrades) }))
+    .sort((a, b) => b.score - a.score)
+}
+
+function printRanking(ranked, top) {
+  console.log('')
+  ranked.slice(0, top).forEach((entry, i) => {
+    console.log(`${formatSummary(`#${i + 1}`, entry.summary)} | score ${formatScore(entry.score)}`)
+    console.log(`${''.padEnd(10)} | ${formatParams(entry.combo)}`)
+  })
+}
+
+async function runCli(argv = process.argv.slice(2)) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      ...BACKTEST_CLI_OPTIONS,
+      mode: { type: 'string', default: 'random' },
+      samples: { type: 'string', default: '200' },
+      seed: { type: 'string', default: '1' },
+      params: { type: 'string' },
+      objective: { type: 'string', default: 'net' },
+      'min-trades': { type: 'string', default: '10' },
+      workers: { type: 'string', default: String(Math.max(1, os.cpus().length - 1)) },
+      'max-combos': { type: 'string', default: '5000' },
+      'train-days': { type: 'string' },
+      'test-days': { type: 'string' },
+      top: { type: 'string', default: '10' },
+      out: { type: 'string' },
+    },
+  })
+
+  const objective = values.objective.toLowerCase()
+  if (!OBJECTIVES[objective]) throw new Error(`Unknown objective ${values.objective} (use ${Object.keys(OBJECTIVES).join(', ')})`)
+  const minTrades = Math.max(0, Number(values['min-trades']) || 0)
+  const top = Math.max(1, Number(values.top) || 10)
+
+  const strategy = values.strategy || STRATEGY_DEFAULT
+  if (strategy.includes(',')) throw new Error('--strategy takes a single strategy when optimizing')
+  const dims = parseParamSpace(values.params, getStrategyDefinition(strategy))
+  let combos
+  if (values.mode === 'grid') {
+    const size = countGrid(dims)
+    if (size > Number(values['max-combos'])) throw new Error(`Grid has ${size} combinations (> --max-combos ${values['max-combos']}); narrow --params or use --mode random`)
+    combos = buildGrid(dims)
+  } else if (values.mode === 'random') {
+    combos = sampleCombos(dims, Math.max(1, Number(values.samples) || 1), Number(values.seed) || 1)
+  } else {
+    throw new Error(`Unknown mode ${values.mode} (use grid or random)`)
+  }
+  // The current configuration always runs too, so the report shows whether tuning beats it.
+  combos.unshift({})
+
+  const { steps, datasets } = await loadBacktestInputs(values)
+  const range = dataRange(datasets)
+  if (!Number.isFinite(range.from) || !(range.to > range.from)) throw new Error('No candles to optimize on')
+
+  const workers = Math.max(1, Math.min(Number(values.workers) || 1, combos.length))
+  console.log(`Optimizing ${strategy}: ${combos.length - 1} combination(s) + current config by ${objective} (min ${minTrades} trades) on ${datasets.length} symbol(s), ${workers} worker(s)`)
+
+  const pool = createWorkerPool(workers, { datasets, steps, strategy })
+  const report = { strategy, objective, minTrades, mode: values.mode, params: dims, from: range.from, to: range.to }
+
+  try {
+    if (!values['train-days'] && !values['test-days']) {
+      const ranked = await evaluateCombos(pool, combos, range, objective, minTrades, 'Evaluating')
+      printRanking(ranked, top)
+
+      const baselineRank = ranked.findIndex((entry) => Object.keys(entry.combo).length === 0)
+      console.log(`\nCurrent config ranks #${baselineRank + 1} of ${ranked.length}`)
+      report.results = ranked
+    } else {
+      const trainMs = Number(values['train-days']) * DAY_MS
+      const testMs = Number(values['test-days'] ?? values['train-days']) * DAY_MS
+      if (!(trainMs > 0) || !(testMs > 0)) throw new Error('--train-days and --test-days must be positive')
+
+      const windows = buildWalkForwardWindows(range.from, range.to, trainMs, testMs)
+      if (windows.length === 0) throw new Error('Data range is shorter than one train + test window')
+
+      const folds = []
+      for (const [i, window] of windows.entries()) {
+        const ranked = await evaluateCombos(pool, combos, window.train, objective, minTrades, `Fold ${i + 1}/${windows.length} train`)
+        const best = ranked[0]
+        const baseline = ranked.find((entry) => Object.keys(entry.combo).length === 0)
+        const [bestTest, baselineTest] = await pool.run([
+          { combo: best.combo, window: window.test, withTrades: true },
+          { combo: baseline.combo, window: window.test, withTrades: true },
+        ])
+
+        folds.push({ window, best: best.combo, train: best.summary, test: bestTest, baselineTest })
+        const testSpan = [window.test.from, window.test.to].map((ts) => new Date(ts).toISOString().slice(0, 16).replace('T', ' '))
+        console.log(`Fold ${i + 1} test ${testSpan.join(' -> ')}`)
+        console.log(`  ${formatParams(best.combo)}`)
+        console.log(`  ${formatSummary('train', best.summary)}`)
+        console.log(`  ${formatSummary('test', bestTest.summary)}`)
+        console.log(`  ${formatSummary('current', baselineTest.summary)}`)
+      }
+
+      console.log('\nOut-of-sample (all test windows)')
+      console.log(formatSummary('tuned', summarizeTrades(folds.flatMap((fold) => fold.test.trades))))
+      console.log(formatSummary('current', summarizeTrades(folds.flatMap((fold) => fold.baselineTest.trades))))
+      report.folds = folds.map((fold) => ({ ...fold, test: fold.test.summary, baselineTest: fold.baselineTest.summary }))
+    }
+  } finally {
+    await pool.close()
+  }
+
+  if (values.out) {
+    fs.writeFileSync(values.out, JSON.stringify(report, null, 2))
+    console.log(`\nSaved ${values.out}`)
+  }
+
+  return report
+}
+
+module.exports = {
+  SIM_PARAM_SPACE,
+  buildGrid,
+  buildWalkForwardWindows,
+  parseParamSpace,
+  runCli,
+  sampleCombos,
+}
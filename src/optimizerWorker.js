@@ -0,0 +1,41 @@
+'use strict'
+
+const { parentPort, workerData } = require('worker_threads')
+
+const { SIM_CONFIG } = require('./config')
+const { runSymbolBacktest, summarizeTrades } = require('./backtest')
+const { getStrategyDefinition } = require('./strategies')
+
+const { datasets, steps, strategy } = workerData
+const strategyDefinition = getStrategyDefinition(strategy)
+
+// Each job is one parameter combination over one time window; all symbols are pooled into one summary.
+parentPort.on('message', (job) => {
+  try {
+    const strategyParams = {}
+    const simOverrides = {}
+    for (const [key, value] of Object.entries(job.combo)) {
+      if (key in strategyDefinition.defaultParams) strategyParams[key] = value
+      else simOverrides[key] = value
+    }
+
+    const trades = []
+    for (const dataset of datasets) {
+      const tradeFrom = Math.max(Number.isFinite(dataset.tradeFrom) ? dataset.tradeFrom : -Infinity, job.window.from)
+      const result = runSymbolBacktest({
+        ...dataset,
+        steps,
+        strategy,
+        strategyParams,
+        simConfig: { ...SIM_CONFIG, ...simOverrides },
+        tradeFrom: Number.isFinite(tradeFrom) ? tradeFrom : null,
+        tradeTo: Number.isFinite(job.window.to) ? job.window.to : null,
+      })
+      trades.push(...result.trades)
+    }
+
+    parentPort.postMessage({ id: job.id, summary: summarizeTrades(trades), trades: job.withTrades ? trades : undefined })
+  } catch (error) {
+    parentPort.postMessage({ id: job.id, error: error.message })
+  }
+})
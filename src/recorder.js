@@ -0,0 +1,91 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const zlib = require('zlib')
+
+function timestampForFile(ts) {
+  return new Date(ts).toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15)
+}
+
+// Appends one JSON record per line:
+//   { t, k: 'ws', d }                             raw combined-stream message and its receive time
+//   { t, k: 'history', symbol, interval, candles } candles known when the file was opened, one per timeframe
+//   { t, k: 'fee', symbol, feeRatePct }            per-symbol fee rate known when the file was opened
+// Files rotate by size or age; every new file starts with a fresh snapshot so it replays on its own.
+class StreamRecorder {
+  constructor(options = {}) {
+    this.dir = options.dir || path.join('logs', 'recordings')
+    this.gzip = options.gzip !== false
+    this.maxBytes = Math.max(1024, Number(options.maxBytes) || 50 * 1024 * 1024)
+    this.maxAgeMs = Math.max(60_000, Number(options.maxAgeMs) || 60 * 60 * 1000)
+    this.snapshot = typeof options.snapshot === 'function' ? options.snapshot : () => []
+
+    this.stream = null
+    this.fileStream = null
+    this.file = null
+    this.bytes = 0
+    this.openedAt = 0
+    this.lastError = null
+  }
+
+  open(now) {
+    this.close()
+    fs.mkdirSync(this.dir, { recursive: true })
+
+    this.file = path.join(this.dir, `stream-${timestampForFile(now)}.jsonl${this.gzip ? '.gz' : ''}`)
+    const fileStream = fs.createWriteStream(this.file, { flags: 'a' })
+    fileStream.on('error', (error) => {
+      this.lastError = `Recorder write failed: ${error.message}`
+    })
+
+    this.fileStream = fileStream
+    if (this.gzip) {
+      this.stream = zlib.createGzip()
+      this.stream.pipe(fileStream)
+    } else {
+      this.stream = fileStream
+    }
+
+    this.bytes = 0
+    this.openedAt = now
+
+    for (const record of this.snapshot()) this.writeLine({ t: now, ...record })
+  }
+
+  writeLine(record) {
+    const line = `${JSON.stringify(record)}\n`
+    this.stream.write(line)
+    this.bytes += Buffer.byteLength(line)
+  }
+
+  recordMessage(raw, now) {
+    if (typeof raw !== 'string') return
+
+    try {
+      if (!this.stream || this.bytes >= this.maxBytes || now - this.openedAt >= this.maxAgeMs) this.open(now)
+      this.writeLine({ t: now, k: 'ws', d: raw })
+    } catch (error) {
+      this.lastError = `Recorder failed: ${error.message}`
+    }
+  }
+
+  close() {
+    if (!this.stream) return Promise.resolve()
+
+    const fileStream = this.fileStream
+    const closed = new Promise((resolve) => {
+      fileStream.once('close', resolve)
+      fileStream.once('error', resolve)
+    })
+
+    this.stream.end()
+    this.stream = null
+    this.fileStream = null
+    return closed
+  }
+}
+
+module.exports = {
+  StreamRecorder,
+}
@@ -0,0 +1,115 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const readline = require('readline')
+const zlib = require('zlib')
+
+const RECORDING_FILE_PATTERN = /\.jsonl(\.gz)?$/
+
+function listRecordingFiles(target) {
+  const stat = fs.statSync(target)
+  if (!stat.isDirectory()) return [target]
+
+  return fs
+    .readdirSync(target)
+    .filter((name) => RECORDING_FILE_PATTERN.test(name))
+    .sort()
+    .map((name) => path.join(target, name))
+}
+
+function parseReplaySpeed(value) {
+  const raw = String(value ?? '1')
+    .trim()
+    .toLowerCase()
+  if (raw === 'max') return Number.POSITIVE_INFINITY
+
+  const speed = Number(raw.replace(/x$/, ''))
+  if (!Number.isFinite(speed) || speed <= 0) throw new Error(`Invalid replay speed: ${value}`)
+  return speed
+}
+
+async function* readRecords(files, onWarning = () => {}) {
+  for (const file of files) {
+    const fileStream = fs.createReadStream(file)
+    const input = file.endsWith('.gz') ? fileStream.pipe(zlib.createGunzip()) : fileStream
+    const rl = readline.createInterface({ input, crlfDelay: Infinity })
+
+    try {
+      for await (const line of rl) {
+        if (!line) continue
+        try {
+          yield JSON.parse(line)
+        } catch {
+          onWarning(`Skipped invalid line in ${file}`)
+        }
+      }
+    } catch (error) {
+      // A recording cut off by a crash ends with a truncated gzip block; keep what was readable.
+      onWarning(`Stopped reading ${file}: ${error.message}`)
+    } finally {
+      fileStream.destroy()
+    }
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+// Drives recorded messages through `onRecord` on a virtual clock and calls `onTick` on every
+// `tickIntervalMs` boundary of virtual time, the same cadence the live render timer uses.
+// speed = 1 replays in real time, N replays N times faster, Infinity replays as fast as possible.
+async function runReplay(options) {
+  const { files, speed, tickIntervalMs, clock, onRecord, onTick, onWarning } = options
+
+  let startTs = null
+  let nextTickAt = null
+  let processed = 0
+  const realStart = Date.now()
+
+  const pace = async (ts) => {
+    if (Number.isFinite(speed)) {
+      const waitMs = realStart + (ts - startTs) / speed - Date.now()
+      if (waitMs > 1) await sleep(waitMs)
+    } else if (processed % 2000 === 0) {
+      await new Promise((resolve) => setImmediate(resolve))
+    }
+  }
+
+  for await (const record of readRecords(files, onWarning)) {
+    const t = Number(record?.t)
+    if (!Number.isFinite(t)) continue
+
+    if (startTs === null) {
+      startTs = t
+      nextTickAt = t + tickIntervalMs
+      clock.set(t)
+    }
+
+    while (t >= nextTickAt) {
+      clock.set(nextTickAt)
+      await pace(nextTickAt)
+      onTick(nextTickAt)
+      nextTickAt += tickIntervalMs
+    }
+
+    clock.set(t)
+    processed += 1
+    await pace(t)
+    onRecord(record)
+  }
+
+  return {
+    records: processed,
+    startTs,
+    endTs: clock.now(),
+  }
+}
+
+module.exports = {
+  listRecordingFiles,
+  parseReplaySpeed,
+  readRecords,
+  runReplay,
+}
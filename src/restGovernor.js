@@ -0,0 +1,248 @@
+'use strict'
+
+const http = require('http')
+const https = require('https')
+
+const MINUTE_MS = 60 * 1000
+const ORDER_WINDOW_MS = 10 * 1000
+
+// Lower runs first. Each priority may only fill its share of the per-minute weight limit, so
+// history downloads and account syncs always leave room for orders and cancels.
+const PRIORITY = { order: 0, cancel: 1, sync: 2, history: 3 }
+const WEIGHT_SHARE = [1, 1, 0.8, 0.6]
+
+// IP request weights of the USD-M futures endpoints this repo calls. Anything missing counts as 1.
+const ENDPOINT_WEIGHTS = {
+  'GET /fapi/v1/allOrders': 5,
+  'GET /fapi/v1/exchangeInfo': 1,
+  'GET /fapi/v1/commissionRate': 20,
+  'GET /fapi/v1/positionSide/dual': 30,
+  'GET /fapi/v1/income': 30,
+  'GET /fapi/v2/positionRisk': 5,
+}
+
+function toNumber(value, fallback) {
+  const n = Number(value)
+  return Number.isFinite(n) ? n : fallback
+}
+
+function headerNumber(header, name) {
+  const raw = header(name)
+  if (raw === null || raw === undefined || raw === '') return null
+  return toNumber(raw, null)
+}
+
+function klinesWeight(limit) {
+  const n = toNumber(limit, 500)
+  if (n < 100) return 1
+  if (n < 500) return 2
+  if (n <= 1000) return 5
+  return 10
+}
+
+// { priority, weight, isOrder } for one request, from its method, path and query.
+function classifyRequest(method, url) {
+  const { pathname, searchParams } = new URL(url)
+  const key = `${method} ${pathname}`
+
+  if (key === 'POST /fapi/v1/order') return { priority: PRIORITY.order, weight: 1, isOrder: true }
+  // Server time gates every signed request, orders included.
+  if (key === 'GET /fapi/v1/time') return { priority: PRIORITY.order, weight: 1, isOrder: false }
+  if (key === 'GET /fapi/v1/order') return { priority: PRIORITY.order, weight: 1, isOrder: false }
+  if (key === 'DELETE /fapi/v1/order') return { priority: PRIORITY.cancel, weight: 1, isOrder: false }
+  if (key === 'GET /futures/data/openInterestHist') return { priority: PRIORITY.history, weight: 1, isOrder: false }
+  if (key === 'GET /fapi/v1/klines') return { priority: PRIORITY.history, weight: klinesWeight(searchParams.get('limit')), isOrder: false }
+  if (key === 'GET /fapi/v1/openOrders') return { priority: PRIORITY.sync, weight: searchParams.has('symbol') ? 1 : 40, isOrder: false }
+  if (key === 'GET /fapi/v1/ticker/24hr') return { priority: PRIORITY.sync, weight: searchParams.has('symbol') ? 1 : 40, isOrder: false }
+  if (key === 'GET /fapi/v1/ticker/bookTicker') return { priority: PRIORITY.order, weight: searchParams.has('symbol') ? 2 : 5, isOrder: false }
+  return { priority: PRIORITY.sync, weight: ENDPOINT_WEIGHTS[key] ?? 1, isOrder: false }
+}
+
+function sendWithNode(url, method, headers) {
+  const transport = url.startsWith('http:') ? http : https
+  return new Promise((resolve, reject) => {
+    const req = transport.request(url, { method, headers }, (res) => {
+      let text = ''
+      res.on('data', (chunk) => {
+        text += chunk
+      })
+      res.on('end', () => resolve({ status: res.statusCode, header: (name) => res.headers[name.toLowerCase()] ?? null, text }))
+    })
+    req.on('error', reject)
+    req.end()
+  })
+}
+
+// One queue in front of every Binance REST call made from this process, since the limits are per IP
+// (weight) and per account (orders). Used weight and order counts are taken from the
+// X-MBX-USED-WEIGHT-1M / X-MBX-ORDER-COUNT-* response headers and estimated in between. A request
+// that would push the weight past its priority's share waits for the next minute. On 429/418 all
+// requests wait for Retry-After. Orders fail right away instead of waiting, because a stale entry
+// or exit is worse than a missed one and the engine retries on the next tick anyway.
+class RestGovernor {
+  constructor(options = {}) {
+    this.fetchImpl = options.fetchImpl ?? (typeof fetch === 'function' ? fetch : null)
+    this.now = options.now ?? (() => Date.now())
+    this.weightLimit = Math.max(1, toNumber(options.weightLimit, 2400))
+    this.orderLimit10s = Math.max(1, toNumber(options.orderLimit10s, 300))
+    this.orderLimit1m = Math.max(1, toNumber(options.orderLimit1m, 1200))
+
+    this.usedWeight = 0
+    this.orderCount10s = 0
+    this.orderCount1m = 0
+    this.minuteWindow = 0
+    this.orderWindow = 0
+    this.pausedUntil = 0
+    this.pauseReason = null
+
+    this.queue = [] // sorted by priority, then arrival
+    this.wakeTimer = null
+  }
+
+  // options.buildUrl: called right before the send for the URL actually requested (signed requests
+  // stamp their timestamp there); `url` is only used to classify the request until then.
+  request(url, options = {}) {
+    const method = String(options.method || 'GET').toUpperCase()
+    const { priority, weight, isOrder } = classifyRequest(method, url)
+
+    return new Promise((resolve, reject) => {
+      const item = { url, buildUrl: options.buildUrl ?? null, method, headers: options.headers ?? {}, priority, weight, isOrder, resolve, reject }
+
+      const now = this.now()
+      if (isOrder && now < this.pausedUntil) {
+        reject(this.pausedError(now))
+        return
+      }
+
+      const index = this.queue.findIndex((queued) => queued.priority > priority)
+      if (index === -1) this.queue.push(item)
+      else this.queue.splice(index, 0, item)
+      this.pump()
+    })
+  }
+
+  pausedError(now) {
+    return new Error(`REST paused ${Math.ceil((this.pausedUntil - now) / 1000)}s (${this.pauseReason})`)
+  }
+
+  rollWindows(now) {
+    const minute = Math.floor(now / MINUTE_MS)
+    if (minute !== this.minuteWindow) {
+      this.minuteWindow = minute
+      this.usedWeight = 0
+      this.orderCount1m = 0
+    }
+    const orderWindow = Math.floor(now / ORDER_WINDOW_MS)
+    if (orderWindow !== this.orderWindow) {
+      this.orderWindow = orderWindow
+      this.orderCount10s = 0
+    }
+  }
+
+  canSend(item, now) {
+    if (now < this.pausedUntil) return false
+    if (this.usedWeight + item.weight > this.weightLimit * WEIGHT_SHARE[item.priority]) return false
+    if (item.isOrder && (this.orderCount10s >= this.orderLimit10s || this.orderCount1m >= this.orderLimit1m)) return false
+    return true
+  }
+
+  pump() {
+    const now = this.now()
+    this.rollWindows(now)
+
+    const waiting = []
+    for (const item of this.queue) {
+      if (this.canSend(item, now)) this.send(item)
+      else waiting.push(item)
+    }
+    this.queue = waiting
+
+    if (this.queue.length === 0 || this.wakeTimer) return
+    // Counters only drop when a window rolls over or the pause ends.
+    const wakeAt = now < this.pausedUntil ? this.pausedUntil : (Math.floor(now / ORDER_WINDOW_MS) + 1) * ORDER_WINDOW_MS
+    this.wakeTimer = setTimeout(
+      () => {
+        this.wakeTimer = null
+        this.pump()
+      },
+      Math.max(10, wakeAt - now),
+    )
+  }
+
+  send(item) {
+    this.usedWeight += item.weight
+    if (item.isOrder) {
+      this.orderCount10s += 1
+      this.orderCount1m += 1
+    }
+
+    const url = item.buildUrl ? item.buildUrl() : item.url
+    const sent = this.fetchImpl
+      ? this.fetchImpl(url, { method: item.method, headers: item.headers }).then(async (response) => ({
+          status: response.status,
+          header: (name) => response.headers.get(name),
+          text: await response.text(),
+        }))
+      : sendWithNode(url, item.method, item.headers)
+
+    sent
+      .then(({ status, header, text }) => {
+        this.applyHeaders(header)
+        if (status === 429 || status === 418) this.pause(status, headerNumber(header, 'retry-after'))
+        if (status < 200 || status >= 300) throw new Error(`HTTP ${status} ${text}`)
+
+        try {
+          return JSON.parse(text)
+        } catch {
+          throw new Error('Invalid JSON response')
+        }
+      })
+      .then(item.resolve, item.reject)
+      .finally(() => {
+        if (this.queue.length > 0) this.pump()
+      })
+  }
+
+  applyHeaders(header) {
+    this.rollWindows(this.now())
+    const usedWeight = headerNumber(header, 'x-mbx-used-weight-1m')
+    if (usedWeight !== null) this.usedWeight = usedWeight
+    const orders10s = headerNumber(header, 'x-mbx-order-count-10s')
+    if (orders10s !== null) this.orderCount10s = orders10s
+    const orders1m = headerNumber(header, 'x-mbx-order-count-1m')
+    if (orders1m !== null) this.orderCount1m = orders1m
+  }
+
+  pause(status, retryAfter) {
+    const now = this.now()
+    // 418 means the IP is already banned for repeating 429s; Binance always sends Retry-After with both.
+    const seconds = Math.max(1, retryAfter ?? (status === 418 ? 120 : 60))
+    this.pausedUntil = Math.max(this.pausedUntil, now + seconds * 1000)
+    this.pauseReason = status === 418 ? 'IP banned (418)' : 'rate limited (429)'
+
+    const error = this.pausedError(now)
+    for (const item of this.queue.filter((queued) => queued.isOrder)) item.reject(error)
+    this.queue = this.queue.filter((queued) => !queued.isOrder)
+  }
+
+  statusText(now = this.now()) {
+    this.rollWindows(now)
+    const parts = [
+      `weight ${this.usedWeight}/${this.weightLimit} (${Math.round((this.usedWeight / this.weightLimit) * 100)}%)`,
+      `orders ${this.orderCount10s}/${this.orderLimit10s} per 10s, ${this.orderCount1m}/${this.orderLimit1m} per 1m`,
+    ]
+    if (this.queue.length > 0) parts.push(`queued ${this.queue.length}`)
+    if (now < this.pausedUntil) parts.push(`PAUSED ${Math.ceil((this.pausedUntil - now) / 1000)}s, ${this.pauseReason}`)
+    return parts.join(' | ')
+  }
+}
+
+// Shared by the market-data client and LiveTrader so both count against the same limits.
+const sharedRestGovernor = new RestGovernor()
+
+module.exports = {
+  PRIORITY,
+  RestGovernor,
+  classifyRequest,
+  sharedRestGovernor,
+}
@@ -0,0 +1,181 @@
+'use strict'
+
+const fs = require('fs')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const KILL_SWITCH_CHECK_MS = 1_000
+
+function toNumber(value, fallback) {
+  const next = Number(value)
+  return Number.isFinite(next) ? next : fallback
+}
+
+function dayKey(ts) {
+  return Math.floor(ts / DAY_MS)
+}
+
+function createLedger() {
+  return {
+    pnlByDay: new Map(),
+    seenKeys: new Map(), // key -> day of the row
+    latestDay: -Infinity,
+    consecutiveLosses: 0,
+    cooldownUntil: 0,
+    cooldownLosses: 0,
+  }
+}
+
+// Account-level gate in front of every new entry (sim and live), across all symbols. A limit of 0
+// disables that check. PnL comes in as it is realized: sim closes, or live income rows (realized PnL,
+// commission, funding). Sim and live keep separate PnL and loss streaks ('sim' | 'live' mode), so
+// simulated losses never put live trading into cooldown. The daily loss limit uses UTC days.
+class RiskManager {
+  constructor(options = {}) {
+    this.maxOpenPositions = Math.max(0, Math.floor(toNumber(options.maxOpenPositions, 3)))
+    this.maxSameSidePositions = Math.max(0, Math.floor(toNumber(options.maxSameSidePositions, 2)))
+    this.dailyLossLimitUsd = Math.max(0, toNumber(options.dailyLossLimitUsd, 0))
+    this.maxConsecutiveLosses = Math.max(0, Math.floor(toNumber(options.maxConsecutiveLosses, 0)))
+    this.cooldownMs = Math.max(0, toNumber(options.cooldownMs, 30 * 60 * 1000))
+    this.killSwitchFile = options.killSwitchFile || null
+    this.fundingExtremePct = Math.max(0, toNumber(options.fundingExtremePct, 0))
+    this.fundingBlockMs = Math.max(0, toNumber(options.fundingBlockMs, 0))
+
+    this.ledgers = { sim: createLedger(), live: createLedger() }
+
+    this.manualKill = null
+    this.fileKill = false
+    this.nextKillSwitchCheckAt = 0
+  }
+
+  // key: optional dedupe key (live income rows are re-read after a restart). Only today and yesterday
+  // are ever asked for, so older days and their keys are dropped, and a keyed row from before them is
+  // ignored rather than counted again.
+  recordPnl(mode, t, pnlUsd, key = null) {
+    const ledger = this.ledgers[mode]
+    const day = dayKey(t)
+    if (key) {
+      if (ledger.seenKeys.has(key) || day < ledger.latestDay - 1) return false
+      ledger.seenKeys.set(key, day)
+    }
+    ledger.pnlByDay.set(day, (ledger.pnlByDay.get(day) ?? 0) + toNumber(pnlUsd, 0))
+
+    if (day > ledger.latestDay) {
+      ledger.latestDay = day
+      for (const storedDay of ledger.pnlByDay.keys()) if (storedDay < day - 1) ledger.pnlByDay.delete(storedDay)
+      for (const [storedKey, storedDay] of ledger.seenKeys) if (storedDay < day - 1) ledger.seenKeys.delete(storedKey)
+    }
+    return true
+  }
+
+  recordTradeResult(mode, t, pnlUsd, key = null) {
+    if (this.recordPnl(mode, t, pnlUsd, key)) this.recordTradeOutcome(mode, t, pnlUsd)
+  }
+
+  // Loss streak only, for a trade whose PnL already went through recordPnl (live fills, one row each).
+  recordTradeOutcome(mode, t, pnlUsd) {
+    const ledger = this.ledgers[mode]
+    if (pnlUsd >= 0) {
+      ledger.consecutiveLosses = 0
+      return
+    }
+
+    ledger.consecutiveLosses += 1
+    if (this.maxConsecutiveLosses > 0 && ledger.consecutiveLosses >= this.maxConsecutiveLosses) {
+      ledger.cooldownUntil = Math.max(ledger.cooldownUntil, t + this.cooldownMs)
+      ledger.cooldownLosses = ledger.consecutiveLosses
+      ledger.consecutiveLosses = 0
+    }
+  }
+
+  dailyPnl(mode, now) {
+    return this.ledgers[mode].pnlByDay.get(dayKey(now)) ?? 0
+  }
+
+  // { dailyPnlUsd, consecutiveLosses, cooldownUntil } of one mode, for the API.
+  ledgerStatus(mode, now) {
+    const ledger = this.ledgers[mode]
+    return {
+      dailyPnlUsd: this.dailyPnl(mode, now),
+      consecutiveLosses: ledger.consecutiveLosses,
+      cooldownUntil: ledger.cooldownUntil > now ? ledger.cooldownUntil : null,
+    }
+  }
+
+  setKillSwitch(on, reason = 'manual') {
+    this.manualKill = on ? reason : null
+  }
+
+  isKilled(now) {
+    if (this.killSwitchFile && now >= this.nextKillSwitchCheckAt) {
+      this.nextKillSwitchCheckAt = now + KILL_SWITCH_CHECK_MS
+      this.fileKill = fs.existsSync(this.killSwitchFile)
+    }
+    return Boolean(this.manualKill) || this.fileKill
+  }
+
+  // mode: 'sim' | 'live', whose PnL and loss streak apply to this entry.
+  // positions: [{ symbol, side }] currently open or pending across all symbols.
+  // market: optional { fundingRate, nextFundingTime } of the symbol being entered (rate as a fraction).
+  // Returns null when the entry may go ahead, otherwise a short block reason for the NOTE column.
+  checkEntry(mode, side, positions, now, market = null) {
+    if (this.isKilled(now)) return 'KILL SWITCH'
+
+    const ledger = this.ledgers[mode]
+    const dailyPnl = this.dailyPnl(mode, now)
+    if (this.dailyLossLimitUsd > 0 && dailyPnl <= -this.dailyLossLimitUsd) {
+      return `DAILY LOSS -$${Math.abs(dailyPnl).toFixed(2)} (max $${this.dailyLossLimitUsd})`
+    }
+
+    if (now < ledger.cooldownUntil) {
+      return `COOLDOWN ${Math.ceil((ledger.cooldownUntil - now) / 60_000)}m (${ledger.cooldownLosses} losses)`
+    }
+
+    if (this.maxOpenPositions > 0 && positions.length >= this.maxOpenPositions) {
+      return `MAX POS ${positions.length}/${this.maxOpenPositions}`
+    }
+
+    const sameSide = positions.filter((position) => position.side === side).length
+    if (this.maxSameSidePositions > 0 && sameSide >= this.maxSameSidePositions) {
+      return `MAX ${side.toUpperCase()} ${sameSide}/${this.maxSameSidePositions}`
+    }
+
+    return this.checkFunding(side, market, now)
+  }
+
+  checkFunding(side, market, now) {
+    const nextFundingTime = toNumber(market?.nextFundingTime, null)
+    if (this.fundingBlockMs > 0 && nextFundingTime !== null && nextFundingTime > now && nextFundingTime - now <= this.fundingBlockMs) {
+      return `FUNDING IN ${Math.ceil((nextFundingTime - now) / 60_000)}m`
+    }
+
+    const fundingPct = toNumber(market?.fundingRate, 0) * 100
+    const paying = (side === 'long' && fundingPct > 0) || (side === 'short' && fundingPct < 0)
+    if (this.fundingExtremePct > 0 && paying && Math.abs(fundingPct) >= this.fundingExtremePct) {
+      return `FUNDING ${fundingPct >= 0 ? '+' : ''}${fundingPct.toFixed(4)}% ${side === 'long' ? 'longs' : 'shorts'} pay`
+    }
+
+    return null
+  }
+
+  // modes: the ledgers in use, e.g. ['live', 'sim'] while live trading is on.
+  statusText(positions, now, modes = ['sim']) {
+    const longs = positions.filter((position) => position.side === 'long').length
+    const parts = [`open ${positions.length}/${this.maxOpenPositions || '-'} (L${longs} S${positions.length - longs}, max/side ${this.maxSameSidePositions || '-'})`]
+    for (const mode of modes) {
+      const ledger = this.ledgers[mode]
+      const dailyPnl = this.dailyPnl(mode, now)
+      const prefix = modes.length > 1 ? `${mode} ` : ''
+      parts.push(
+        `${prefix}day ${dailyPnl >= 0 ? '+' : '-'}$${Math.abs(dailyPnl).toFixed(2)}${this.dailyLossLimitUsd > 0 ? ` / -$${this.dailyLossLimitUsd}` : ''}` +
+          `, loss streak ${ledger.consecutiveLosses}/${this.maxConsecutiveLosses || '-'}` +
+          (now < ledger.cooldownUntil ? `, cooldown ${Math.ceil((ledger.cooldownUntil - now) / 60_000)}m` : ''),
+      )
+    }
+    if (this.isKilled(now)) parts.push(`KILL SWITCH ON (${this.manualKill ?? this.killSwitchFile})`)
+    return parts.join(' | ')
+  }
+}
+
+module.exports = {
+  RiskManager,
+}
@@ -0,0 +1,241 @@
+'use strict'
+
+const { checkLiquidation, closeTrade, createSymbolSimState, getOpenTradeMetrics, maybeOpenTrade, updateOpenTrade } = require('./simulator')
+
+const PAIR_HISTORY = 30
+
+function toNumber(value, fallback) {
+  const next = Number(value)
+  return Number.isFinite(next) ? next : fallback
+}
+
+function isValidPrice(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0
+}
+
+// Why a live entry never filled, from LiveTrader's last error.
+function classifyMiss(errorText) {
+  const text = String(errorText || '')
+  if (/spread/i.test(text)) return 'spread'
+  if (/not filled/i.test(text)) return 'gtx'
+  return 'error'
+}
+
+function createSymbolShadow() {
+  return {
+    sim: createSymbolSimState(),
+    pair: null,
+    pairs: [],
+    stats: {
+      pairs: 0,
+      liveMissed: { spread: 0, gtx: 0, error: 0 },
+      shadowMissed: 0,
+      entryDeltaBpsSum: 0,
+      entryDeltaCount: 0,
+      exitDelayMsSum: 0,
+      exitDelayCount: 0,
+      pnlDeltaUsdSum: 0,
+    },
+  }
+}
+
+// Paper trades the simulator takes on the live engine's own entry decisions, paired with what live
+// execution got for the same decision: entry price, missed entries, exit timing and PnL. Live PnL is
+// estimated from the fill prices and fee rates and scaled to the simulator's margin, so a pair compares
+// execution rather than position size. Completed pairs are journaled as k: 'shadow' records.
+class ShadowTracker {
+  constructor(options = {}) {
+    this.journal = options.journal ?? null
+    this.bySymbol = new Map()
+  }
+
+  ensure(symbol) {
+    if (!this.bySymbol.has(symbol)) this.bySymbol.set(symbol, createSymbolShadow())
+    return this.bySymbol.get(symbol)
+  }
+
+  // The live engine just decided to enter on decisionPlan at livePrice; the shadow enters the same way.
+  // The plan is copied so the live trigger flag does not stop the shadow and vice versa.
+  openEntry(symbol, side, decisionPlan, livePrice, now, simConfig, market) {
+    const shadow = this.ensure(symbol)
+    // Still busy with the previous decision (its other side has not closed yet): leave this one unpaired.
+    if (shadow.pair || shadow.sim.activeTrade) return
+
+    const trade = maybeOpenTrade(shadow.sim, { ...decisionPlan, hasTriggered: false }, livePrice, now, simConfig, market)
+    shadow.pair = {
+      symbol,
+      cycleId: decisionPlan?.cycleId ?? null,
+      side,
+      signalPrice: livePrice,
+      decidedAt: now,
+      // Missed: the simulated GTX order did not fill and there is no market fallback.
+      shadow: trade ? { status: 'open', entryPrice: trade.entryPrice, entryTime: now, route: trade.meta?.route ?? null } : { status: 'missed' },
+      live: { status: 'pending', lastFailure: null },
+    }
+  }
+
+  liveEntryFilled(symbol, fill) {
+    const pair = this.bySymbol.get(symbol)?.pair
+    if (!pair || pair.live.status !== 'pending' || !isValidPrice(fill.price)) return
+    pair.live = {
+      status: 'open',
+      entryPrice: fill.price,
+      entryTime: fill.time,
+      route: fill.route ?? null,
+      quantity: toNumber(fill.quantity, 0),
+      marginUsd: toNumber(fill.marginUsd, 0),
+      entryFeeRatePct: toNumber(fill.feeRatePct, 0),
+    }
+  }
+
+  liveEntryFailed(symbol, errorText) {
+    const pair = this.bySymbol.get(symbol)?.pair
+    if (pair && pair.live.status === 'pending') pair.live.lastFailure = errorText ?? null
+  }
+
+  // The live engine gave up on the entry (next candle or intent timeout) without a fill.
+  liveEntryDropped(symbol, now) {
+    const pair = this.bySymbol.get(symbol)?.pair
+    if (!pair || pair.live.status !== 'pending') return
+    pair.live = { status: 'missed', reason: classifyMiss(pair.live.lastFailure) }
+    this.maybeComplete(symbol, now)
+  }
+
+  liveExit(symbol, exit) {
+    const pair = this.bySymbol.get(symbol)?.pair
+    if (!pair || pair.live.status !== 'open' || !isValidPrice(exit.price)) return
+
+    const live = pair.live
+    const direction = pair.side === 'long' ? 1 : -1
+    const grossUsd = direction * (exit.price - live.entryPrice) * live.quantity
+    const feesUsd = (live.entryPrice * live.quantity * live.entryFeeRatePct + exit.price * live.quantity * toNumber(exit.feeRatePct, 0)) / 100
+    const netUsd = grossUsd - feesUsd
+    Object.assign(live, {
+      status: 'closed',
+      exitPrice: exit.price,
+      exitTime: exit.time,
+      exitReason: exit.reason ?? null,
+      pnlUsd: netUsd,
+      roiPct: live.marginUsd > 0 ? (netUsd / live.marginUsd) * 100 : null,
+    })
+    this.maybeComplete(symbol, exit.time)
+  }
+
+  recordShadowExit(symbol, closed) {
+    const pair = this.bySymbol.get(symbol)?.pair
+    if (!closed || !pair || pair.shadow.status !== 'open') return
+    Object.assign(pair.shadow, {
+      status: 'closed',
+      exitPrice: closed.exitPrice,
+      exitTime: closed.exitTime,
+      exitReason: closed.exitReason,
+      pnlUsd: closed.pnlUsd,
+      marginUsd: closed.marginUsd,
+    })
+    this.maybeComplete(symbol, closed.exitTime)
+  }
+
+  update(symbol, livePrice, now, market) {
+    const shadow = this.bySymbol.get(symbol)
+    if (shadow) this.recordShadowExit(symbol, updateOpenTrade(shadow.sim, livePrice, now, market))
+  }
+
+  checkLiquidation(symbol, markPrice, now) {
+    const shadow = this.bySymbol.get(symbol)
+    if (shadow) this.recordShadowExit(symbol, checkLiquidation(shadow.sim, markPrice, now))
+  }
+
+  flatten(symbol, price, now, market) {
+    const shadow = this.bySymbol.get(symbol)
+    if (shadow?.sim.activeTrade) this.recordShadowExit(symbol, closeTrade(shadow.sim, price, now, 'KILL_SWITCH', market))
+  }
+
+  maybeComplete(symbol, now) {
+    const shadow = this.bySymbol.get(symbol)
+    const pair = shadow?.pair
+    if (!pair) return
+    const shadowDone = pair.shadow.status === 'closed' || pair.shadow.status === 'missed'
+    const liveDone = pair.live.status === 'closed' || pair.live.status === 'missed'
+    if (!shadowDone || !liveDone) return
+
+    const direction = pair.side === 'long' ? 1 : -1
+    const bothEntered = pair.shadow.status === 'closed' && pair.live.status === 'closed'
+    // Positive: live paid more than the simulator to get in.
+    const entryDeltaBps = bothEntered ? ((direction * (pair.live.entryPrice - pair.shadow.entryPrice)) / pair.shadow.entryPrice) * 10_000 : null
+    // Positive: live got out later than the simulator.
+    const exitDelayMs = bothEntered ? pair.live.exitTime - pair.shadow.exitTime : null
+    const shadowPnlUsd = pair.shadow.status === 'closed' ? pair.shadow.pnlUsd : 0
+    const shadowMarginUsd = pair.shadow.marginUsd ?? pair.live.marginUsd ?? 0
+    const livePnlUsd = pair.live.status === 'closed' && Number.isFinite(pair.live.roiPct) ? (pair.live.roiPct / 100) * shadowMarginUsd : 0
+    const result = {
+      ...pair,
+      completedAt: now,
+      entryDeltaBps,
+      exitDelayMs,
+      pnlDeltaUsd: livePnlUsd - shadowPnlUsd,
+    }
+
+    const stats = shadow.stats
+    stats.pairs += 1
+    if (pair.live.status === 'missed') stats.liveMissed[pair.live.reason] = (stats.liveMissed[pair.live.reason] ?? 0) + 1
+    if (pair.shadow.status === 'missed') stats.shadowMissed += 1
+    if (Number.isFinite(entryDeltaBps)) {
+      stats.entryDeltaBpsSum += entryDeltaBps
+      stats.entryDeltaCount += 1
+    }
+    if (Number.isFinite(exitDelayMs)) {
+      stats.exitDelayMsSum += exitDelayMs
+      stats.exitDelayCount += 1
+    }
+    stats.pnlDeltaUsdSum += result.pnlDeltaUsd
+
+    shadow.pairs.push(result)
+    if (shadow.pairs.length > PAIR_HISTORY) shadow.pairs.shift()
+    shadow.pair = null
+
+    if (this.journal) {
+      this.journal.append({
+        t: now,
+        k: 'shadow',
+        symbol,
+        side: pair.side,
+        cycleId: pair.cycleId,
+        signalPrice: pair.signalPrice,
+        shadow: pair.shadow,
+        live: pair.live,
+        entryDeltaBps,
+        exitDelayMs,
+        pnlDeltaUsd: result.pnlDeltaUsd,
+      })
+    }
+  }
+
+  statusText(symbol, livePrice) {
+    const shadow = this.bySymbol.get(symbol)
+    if (!shadow) return `${symbol} SHADOW | no live entries yet`
+
+    const { stats, pair } = shadow
+    const missed = stats.liveMissed
+    const avgEntry = stats.entryDeltaCount > 0 ? stats.entryDeltaBpsSum / stats.entryDeltaCount : null
+    const avgExitDelay = stats.exitDelayCount > 0 ? stats.exitDelayMsSum / stats.exitDelayCount : null
+    const parts = [
+      `${symbol} SHADOW`,
+      `pairs ${stats.pairs}`,
+      `live missed ${missed.spread + missed.gtx + missed.error} (spread ${missed.spread}, gtx ${missed.gtx}, error ${missed.error})`,
+      `sim missed ${stats.shadowMissed}`,
+      `entry live-sim ${avgEntry === null ? '-' : `${avgEntry >= 0 ? '+' : ''}${avgEntry.toFixed(2)}bps`}`,
+      `exit delay ${avgExitDelay === null ? '-' : `${avgExitDelay >= 0 ? '+' : ''}${(avgExitDelay / 1000).toFixed(1)}s`}`,
+      `PnL live-sim ${stats.pnlDeltaUsdSum >= 0 ? '+' : '-'}$${Math.abs(stats.pnlDeltaUsdSum).toFixed(4)}`,
+    ]
+    if (pair) {
+      const metrics = getOpenTradeMetrics(shadow.sim, livePrice)
+      const simText = pair.shadow.status === 'open' && metrics ? `sim ${metrics.roiPct.toFixed(2)}%` : `sim ${pair.shadow.status}`
+      parts.push(`now ${pair.side.toUpperCase()} ${simText} / live ${pair.live.status}`)
+    }
+    return parts.join(' | ')
+  }
+}
+
+module.exports = {
+  ShadowTracker,
+}
@@ -1,5 +1,8 @@
 'use strict'
 
+const { getEntryLevels, resolveEntrySide } = require('./decisionPlan')
+const { DEFAULT_LEVERAGE_BRACKETS, isolatedLiquidationPrice } = require('./leverageBrackets')
+
 function toNumber(value, fallback) {
   const next = Number(value)
   return Number.isFinite(next) ? next : fallback
@@ -34,6 +37,17 @@ function createDefaults(simConfig) {
     trailDdRoiMaxPct: trailDdMax,
     minNetProfitUsd: Math.max(0, toNumber(simConfig.minNetProfitUsd, 0.03)),
     feeRatePct: Math.max(0, toNumber(simConfig.feeRatePct, 0.05)),
+    liquidationFeeRatePct: Math.max(0, toNumber(simConfig.liquidationFeeRatePct, 1)),
+    leverageBrackets: Array.isArray(simConfig.leverageBrackets) && simConfig.leverageBrackets.length > 0 ? simConfig.leverageBrackets : DEFAULT_LEVERAGE_BRACKETS,
+
+    executionModel: simConfig.executionModel === 'ideal' ? 'ideal' : 'live',
+    makerFeeRatePct: Math.max(0, toNumber(simConfig.makerFeeRatePct, 0.02)),
+    entryMode: String(simConfig.entryMode || 'LIMIT_GTX').toUpperCase() === 'MARKET' ? 'MARKET' : 'LIMIT_GTX',
+    gtxTimeoutMs: Math.max(0, toNumber(simConfig.gtxTimeoutMs, 4000)),
+    gtxFillHalfLifeMs: Math.max(1, toNumber(simConfig.gtxFillHalfLifeMs, 4000)),
+    gtxFallbackMarket: simConfig.gtxFallbackMarket !== false,
+    spreadBpsDefault: Math.max(0, toNumber(simConfig.spreadBpsDefault, 2)),
+    slippageBpsPer1kUsd: Math.max(0, toNumber(simConfig.slippageBpsPer1kUsd, 1)),
   }
 }
 
@@ -46,6 +60,7 @@ function createSymbolSimState() {
       wins: 0,
       losses: 0,
       realizedPnlUsd: 0,
+      missedEntries: 0, // GTX entries that would not have filled, with no market fallback
     },
     lastClosed: null,
   }
@@ -64,7 +79,86 @@ function interpolateByTrigger(min, max, triggerPct) {
   return min + (max - min) * t
 }
 
-function createTrade(side, entryPrice, now, config, meta = {}) {
+// Deterministic draw in [0, 1) (FNV-1a), so replays and backtests take the same GTX fills every run.
+function unitHash(key) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < key.length; i += 1) {
+    hash ^= key.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return (hash >>> 0) / 2 ** 32
+}
+
+// market: optional { bidPrice, askPrice, bids, asks } from the streamed book (depth levels as
+// [price, qty], best first) or from the latest trade prints. Without it the spread is spreadBpsDefault
+// around price.
+function quoteFor(price, market, spreadBpsDefault) {
+  if (isValidPrice(market?.bidPrice) && isValidPrice(market?.askPrice) && market.askPrice >= market.bidPrice) {
+    return { bidPrice: market.bidPrice, askPrice: market.askPrice }
+  }
+  const halfSpread = (price * spreadBpsDefault) / 20_000
+  return { bidPrice: price - halfSpread, askPrice: price + halfSpread }
+}
+
+// Average price of a taker order for notionalUsd: walks the depth levels on the far side, and whatever
+// is left beyond them (everything without depth) fills slippageBpsPer1kUsd worse per $1k past the touch.
+function takerFillPrice(isBuy, notionalUsd, quote, levels, slippageBpsPer1kUsd) {
+  const direction = isBuy ? 1 : -1
+  let lastPrice = isBuy ? quote.askPrice : quote.bidPrice
+  let remainingUsd = notionalUsd
+  let quantity = 0
+
+  for (const [price, levelQty] of Array.isArray(levels) ? levels : []) {
+    if (remainingUsd <= 0) break
+    if (!isValidPrice(price) || !(levelQty > 0)) continue
+    const takeUsd = Math.min(remainingUsd, price * levelQty)
+    quantity += takeUsd / price
+    remainingUsd -= takeUsd
+    lastPrice = price
+  }
+
+  if (remainingUsd > 0) {
+    const impactPrice = lastPrice * (1 + (direction * slippageBpsPer1kUsd * (remainingUsd / 1000)) / 10_000)
+    quantity += remainingUsd / impactPrice
+  }
+  return quantity > 0 ? notionalUsd / quantity : lastPrice
+}
+
+// How live would have entered: LIMIT_GTX rests at the own side of the book and fills within
+// gtxTimeoutMs with the half-life probability, otherwise (or with entryMode MARKET) a taker order
+// crosses the spread and walks the book. Returns { price, feeRatePct, route, spreadBps }, or null
+// when the GTX order would not have filled and there is no market fallback.
+function simulateEntryFill(side, price, notionalUsd, config, market, drawKey) {
+  if (config.executionModel === 'ideal') return { price, feeRatePct: config.feeRatePct, route: null, spreadBps: null }
+
+  const quote = quoteFor(price, market, config.spreadBpsDefault)
+  const mid = (quote.bidPrice + quote.askPrice) / 2
+  const spreadBps = ((quote.askPrice - quote.bidPrice) / mid) * 10_000
+
+  let route = 'MKT'
+  if (config.entryMode === 'LIMIT_GTX') {
+    const fillProbability = 1 - 0.5 ** (config.gtxTimeoutMs / config.gtxFillHalfLifeMs)
+    if (unitHash(drawKey) < fillProbability) {
+      return { price: side === 'long' ? quote.bidPrice : quote.askPrice, feeRatePct: config.makerFeeRatePct, route: 'GTX', spreadBps }
+    }
+    if (!config.gtxFallbackMarket) return null
+    route = 'GTX->MKT'
+  }
+
+  const levels = side === 'long' ? market?.asks : market?.bids
+  return { price: takerFillPrice(side === 'long', notionalUsd, quote, levels, config.slippageBpsPer1kUsd), feeRatePct: config.feeRatePct, route, spreadBps }
+}
+
+// Exits are market orders, like live closes; liquidations happen at the liquidation price.
+function simulateExitFill(trade, price, reason, market) {
+  if (reason === 'LIQUIDATED' || trade.executionModel !== 'live') return price
+  const quote = quoteFor(price, market, trade.spreadBpsDefault ?? 0)
+  const levels = trade.side === 'long' ? market?.bids : market?.asks
+  return takerFillPrice(trade.side !== 'long', Math.abs(trade.quantity * price), quote, levels, trade.slippageBpsPer1kUsd ?? 0)
+}
+
+// entryFeeRatePct: maker or taker rate the entry filled at; exits always pay config.feeRatePct (taker).
+function createTrade(side, entryPrice, now, config, meta = {}, entryFeeRatePct = config.feeRatePct) {
   if (!isValidPrice(entryPrice)) return null
 
   const stopLossRoiPct = interpolateByTrigger(config.stopLossRoiMinPct, config.stopLossRoiMaxPct, meta.setupTriggerPct)
@@ -75,10 +169,12 @@ function createTrade(side, entryPrice, now, config, meta = {}) {
   const quantity = positionValueUsd / entryPrice
   if (!Number.isFinite(quantity) || quantity <= 0) return null
 
-  const entryFeeUsd = (positionValueUsd * config.feeRatePct) / 100
+  const entryFeeUsd = (positionValueUsd * entryFeeRatePct) / 100
   const estimatedExitFeeUsd = (positionValueUsd * config.feeRatePct) / 100
   const netAtEntryUsd = -(entryFeeUsd + estimatedExitFeeUsd)
   const minNetProfitUsd = Math.max(config.minNetProfitUsd, (entryFeeUsd + estimatedExitFeeUsd) * 1.25)
+  // Isolated margin: the whole margin is the wallet balance the exchange liquidates against.
+  const liquidationPrice = isolatedLiquidationPrice({ side, entryPrice, quantity, marginUsd: config.marginUsd, brackets: config.leverageBrackets })
 
   return {
     side,
@@ -94,9 +190,17 @@ function createTrade(side, entryPrice, now, config, meta = {}) {
     trailDdRoiPct,
     minNetProfitUsd,
     feeRatePct: config.feeRatePct,
+    entryFeeRatePct,
+    executionModel: config.executionModel,
+    spreadBpsDefault: config.spreadBpsDefault,
+    slippageBpsPer1kUsd: config.slippageBpsPer1kUsd,
+    liquidationPrice,
+    liquidationFeeRatePct: config.liquidationFeeRatePct,
 
     entryFeeUsd,
     estimatedExitFeeUsd,
+    fundingUsd: 0, // signed, negative when the position paid funding
+    lastFundingTime: null,
 
     trailingArmed: false,
     peakNetPnlUsd: netAtEntryUsd,
@@ -112,12 +216,16 @@ function calculateGrossPnl(trade, price) {
   return (trade.entryPrice - price) * trade.quantity
 }
 
-function calculateNetPnl(trade, price) {
+// liquidated: the exchange closes the position and charges the liquidation clearance fee instead of
+// the taker fee, at most the margin that is left at the liquidation price.
+function calculateNetPnl(trade, price, liquidated = false) {
   const grossPnlUsd = calculateGrossPnl(trade, price)
   const exitNotionalUsd = Math.abs((trade.quantity || 0) * price)
-  const exitFeeUsd = (exitNotionalUsd * (trade.feeRatePct || 0)) / 100
+  const exitFeeUsd = liquidated
+    ? clamp((exitNotionalUsd * (trade.liquidationFeeRatePct || 0)) / 100, 0, Math.max(0, (trade.marginUsd || 0) + grossPnlUsd))
+    : (exitNotionalUsd * (trade.feeRatePct || 0)) / 100
   const totalFeesUsd = (trade.entryFeeUsd || 0) + exitFeeUsd
-  const netPnlUsd = grossPnlUsd - totalFeesUsd
+  const netPnlUsd = grossPnlUsd - totalFeesUsd + (trade.fundingUsd || 0)
 
   return {
     grossPnlUsd,
@@ -126,11 +234,13 @@ function calculateNetPnl(trade, price) {
   }
 }
 
-function closeTrade(simState, price, now, reason) {
+// price is where the exit was decided; the trade closes at the modelled market fill from it.
+function closeTrade(simState, price, now, reason, market = null) {
   const trade = simState.activeTrade
-  if (!trade) return null
+  if (!trade || !isValidPrice(price)) return null
 
-  const calc = calculateNetPnl(trade, price)
+  const exitPrice = simulateExitFill(trade, price, reason, market)
+  const calc = calculateNetPnl(trade, exitPrice, reason === 'LIQUIDATED')
   if (!Number.isFinite(calc.netPnlUsd)) return null
 
   const roiPct = calculateRoiPct(calc.netPnlUsd, trade.marginUsd)
@@ -138,7 +248,8 @@ function closeTrade(simState, price, now, reason) {
 
   const closed = {
     ...trade,
-    exitPrice: price,
+    exitPrice,
+    exitSignalPrice: price,
     exitTime: now,
     exitReason: reason,
     grossPnlUsd: calc.grossPnlUsd,
@@ -162,13 +273,39 @@ function closeTrade(simState, price, now, reason) {
   return closed
 }
 
-function maybeOpenTrade(simState, decisionPlan, livePrice, now, simConfig) {
+// Settles one funding payment on the open trade if it was held over fundingTime: notional at the mark
+// price x the funding rate (a fraction, as Binance sends it), paid by longs when positive and by
+// shorts when negative. Returns the signed amount booked.
+function applyFunding(simState, fundingRate, fundingTime, markPrice) {
+  const trade = simState.activeTrade
+  if (!trade || !Number.isFinite(fundingRate) || !Number.isFinite(fundingTime) || !isValidPrice(markPrice)) return 0
+  if (trade.entryTime >= fundingTime || (Number.isFinite(trade.lastFundingTime) && trade.lastFundingTime >= fundingTime)) return 0
+
+  const fundingUsd = trade.quantity * markPrice * fundingRate * (trade.side === 'long' ? -1 : 1)
+  trade.fundingUsd = (trade.fundingUsd || 0) + fundingUsd
+  trade.lastFundingTime = fundingTime
+  return fundingUsd
+}
+
+function isLiquidatedAt(trade, price) {
+  if (!trade || !isValidPrice(trade.liquidationPrice) || !isValidPrice(price)) return false
+  return trade.side === 'long' ? price <= trade.liquidationPrice : price >= trade.liquidationPrice
+}
+
+// Closes the open trade at its liquidation price once price has reached it. The engine calls it on
+// every mark price event, so a wick between ticks liquidates before SL_ROI gets a chance to fire.
+function checkLiquidation(simState, price, now) {
+  const trade = simState.activeTrade
+  if (!isLiquidatedAt(trade, price)) return null
+  return closeTrade(simState, trade.liquidationPrice, now, 'LIQUIDATED')
+}
+
+function maybeOpenTrade(simState, decisionPlan, livePrice, now, simConfig, market = null) {
   if (simState.activeTrade) return null
   if (!decisionPlan || decisionPlan.status !== 'SETUP' || decisionPlan.hasTriggered) return null
   if (!isValidPrice(livePrice)) return null
-  if (!isValidPrice(decisionPlan.longAbove) || !isValidPrice(decisionPlan.shortBelow)) return null
 
-  const side = livePrice >= decisionPlan.longAbove ? 'long' : livePrice <= decisionPlan.shortBelow ? 'short' : null
+  const side = resolveEntrySide(decisionPlan, livePrice)
   if (!side) return null
 
   if (Number.isFinite(decisionPlan.flowImbalance) && Number.isFinite(decisionPlan.flowSamples) && decisionPlan.flowSamples >= 20) {
@@ -177,12 +314,32 @@ function maybeOpenTrade(simState, decisionPlan, livePrice, now, simConfig) {
   }
 
   const config = createDefaults(simConfig)
-  const nextTrade = createTrade(side, livePrice, now, config, {
-    cycleId: decisionPlan.cycleId,
-    triggerLongAbove: decisionPlan.longAbove,
-    triggerShortBelow: decisionPlan.shortBelow,
-    setupTriggerPct: decisionPlan.triggerPct,
-  })
+  const fill = simulateEntryFill(side, livePrice, config.marginUsd * config.leverage, config, market, `${decisionPlan.cycleId}:${side}:${livePrice}`)
+  if (!fill) {
+    // The GTX order would have expired unfilled; like live without fallback, this cycle is done.
+    decisionPlan.hasTriggered = true
+    simState.stats.missedEntries = (simState.stats.missedEntries ?? 0) + 1
+    return null
+  }
+
+  const levels = getEntryLevels(decisionPlan)
+  const nextTrade = createTrade(
+    side,
+    fill.price,
+    now,
+    config,
+    {
+      cycleId: decisionPlan.cycleId,
+      entryStyle: decisionPlan.entryStyle ?? 'breakout',
+      triggerLong: levels.long,
+      triggerShort: levels.short,
+      setupTriggerPct: decisionPlan.triggerPct,
+      signalPrice: livePrice,
+      route: fill.route,
+      spreadBps: fill.spreadBps,
+    },
+    fill.feeRatePct,
+  )
   if (!nextTrade) return null
 
   simState.activeTrade = nextTrade
@@ -191,15 +348,16 @@ function maybeOpenTrade(simState, decisionPlan, livePrice, now, simConfig) {
   return simState.activeTrade
 }
 
-function updateOpenTrade(simState, livePrice, now) {
+function updateOpenTrade(simState, livePrice, now, market = null) {
   const trade = simState.activeTrade
   if (!trade) return null
   if (!isValidPrice(livePrice)) return null
+  if (isLiquidatedAt(trade, livePrice)) return checkLiquidation(simState, livePrice, now)
 
   const calc = calculateNetPnl(trade, livePrice)
   const roiPct = calculateRoiPct(calc.netPnlUsd, trade.marginUsd)
 
-  if (roiPct <= -trade.stopLossRoiPct) return closeTrade(simState, livePrice, now, 'SL_ROI')
+  if (roiPct <= -trade.stopLossRoiPct) return closeTrade(simState, livePrice, now, 'SL_ROI', market)
 
   if (calc.netPnlUsd > trade.peakNetPnlUsd) {
     trade.peakNetPnlUsd = calc.netPnlUsd
@@ -214,11 +372,11 @@ function updateOpenTrade(simState, livePrice, now) {
     const drawdownRoiPct = trade.peakRoiPct - roiPct
 
     if (drawdownRoiPct >= trade.trailDdRoiPct && calc.netPnlUsd >= trade.minNetProfitUsd) {
-      return closeTrade(simState, livePrice, now, 'TRAIL_ROI')
+      return closeTrade(simState, livePrice, now, 'TRAIL_ROI', market)
     }
 
     if (trade.peakNetPnlUsd >= trade.minNetProfitUsd && calc.netPnlUsd <= trade.minNetProfitUsd) {
-      return closeTrade(simState, livePrice, now, 'LOCK_PROFIT')
+      return closeTrade(simState, livePrice, now, 'LOCK_PROFIT', market)
     }
   }
 
@@ -238,10 +396,14 @@ function getOpenTradeMetrics(simState, livePrice) {
     feesUsd: calc.totalFeesUsd,
     roiPct,
     peakRoiPct: trade.peakRoiPct,
+    liquidationPrice: trade.liquidationPrice ?? null,
   }
 }
 
 module.exports = {
+  applyFunding,
+  checkLiquidation,
+  closeTrade,
   createDefaults,
   createSymbolSimState,
   getOpenTradeMetrics,
@@ -0,0 +1,93 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+const STATE_VERSION = 1
+
+// JSON has no Infinity, and live control peaks start at -Infinity; keep them as tagged strings.
+function encodeValue(key, value) {
+  if (value === Number.POSITIVE_INFINITY) return '+Infinity'
+  if (value === Number.NEGATIVE_INFINITY) return '-Infinity'
+  return value
+}
+
+function decodeValue(key, value) {
+  if (value === '+Infinity') return Number.POSITIVE_INFINITY
+  if (value === '-Infinity') return Number.NEGATIVE_INFINITY
+  return value
+}
+
+// Durable engine state as one JSON file. Writes go to a temp file that is renamed over the target,
+// so a crash mid-write leaves the previous snapshot intact. update() is cheap to call every tick:
+// unchanged snapshots are skipped and changed ones are written at most once per minIntervalMs
+// unless forced (shutdown).
+class StateStore {
+  constructor(options = {}) {
+    this.file = options.file || path.join('data', 'state', 'engine-state.json')
+    this.minIntervalMs = Math.max(0, Number(options.minIntervalMs) || 1000)
+
+    this.lastWritten = null
+    this.lastWriteAt = 0
+    this.lastError = null
+  }
+
+  load() {
+    let raw
+    try {
+      raw = fs.readFileSync(this.file, 'utf8')
+    } catch (error) {
+      if (error.code !== 'ENOENT') this.lastError = `State load failed: ${error.message}`
+      return null
+    }
+
+    try {
+      const state = JSON.parse(raw, decodeValue)
+      if (state?.version !== STATE_VERSION) {
+        this.lastError = `Ignored state file with version ${state?.version}`
+        return null
+      }
+      this.lastWritten = raw
+      return state
+    } catch (error) {
+      // Keep the unreadable file for inspection instead of overwriting it on the next save.
+      const aside = `${this.file}.corrupt-${Date.now()}`
+      try {
+        fs.renameSync(this.file, aside)
+      } catch {
+        // ignore, the next save overwrites it
+      }
+      this.lastError = `State file unreadable (${error.message}), moved to ${aside}`
+      return null
+    }
+  }
+
+  write(raw, now) {
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true })
+      const tmp = `${this.file}.tmp`
+      fs.writeFileSync(tmp, raw)
+      fs.renameSync(tmp, this.file)
+      this.lastWritten = raw
+      this.lastWriteAt = now
+      this.lastError = null
+    } catch (error) {
+      this.lastError = `State save failed: ${error.message}`
+    }
+  }
+
+  update(snapshot, now, force = false) {
+    const raw = JSON.stringify({ version: STATE_VERSION, savedAt: now, ...snapshot }, encodeValue)
+    // savedAt alone changing is not worth a write.
+    const comparable = raw.replace(/"savedAt":\d+/, '')
+    if (this.lastWritten !== null && comparable === this.lastWritten.replace(/"savedAt":\d+/, '')) return
+    if (!force && now - this.lastWriteAt < this.minIntervalMs) return
+
+    this.write(raw, now)
+  }
+}
+
+module.exports = {
+  STATE_VERSION,
+  StateStore,
+}
@@ -0,0 +1,208 @@
+'use strict'
+
+const {
+  ANALYSIS_MIN_CANDLES,
+  BREAKOUT_PARAMS,
+  FLOW_MIN_SAMPLES,
+  HISTORY_CANDLES,
+  TRIGGER_MAX_PCT,
+  TRIGGER_MIN_PCT,
+} = require('../config')
+const { average, clamp, ema, stdDev } = require('../utils')
+
+// EMA-9/21 trend + ATR/stddev breakout: go long above / short below a volatility-scaled trigger.
+// flowContext: { imbalance, samples, book } where book is the streamed order book (engine's
+// getBookMetrics) or null; book imbalance confirms like trade flow and the trigger never sits inside
+// twice the rolling spread.
+// With params.htfInterval set, htfCandles are that timeframe's closed candles and the trend must agree
+// with the side of its last close vs EMA(htfEmaPeriod). Entries are only decided within decisionWindowMs
+// of the candle close.
+function analyzeDecision(candles, lastPrice, msToNextCandle, flowContext = null, params = BREAKOUT_PARAMS, htfCandles = null, decisionWindowMs = Infinity) {
+  const { triggerAtrWeight, triggerVolWeight, flowConfirmThreshold, bookConfirmThreshold, htfInterval, htfEmaPeriod } = { ...BREAKOUT_PARAMS, ...params }
+
+  if (typeof lastPrice !== 'number' || Number.isNaN(lastPrice)) {
+    return {
+      status: 'WAIT',
+      reason: 'No live price',
+      longAbove: null,
+      shortBelow: null,
+      triggerPct: 0,
+    }
+  }
+
+  if (!Array.isArray(candles) || candles.length < ANALYSIS_MIN_CANDLES) {
+    return {
+      status: 'WAIT',
+      reason: `Need >=${ANALYSIS_MIN_CANDLES} candles (target ${HISTORY_CANDLES}, got ${candles?.length ?? 0})`,
+      longAbove: null,
+      shortBelow: null,
+      triggerPct: 0,
+    }
+  }
+
+  if (htfInterval && (!Array.isArray(htfCandles) || htfCandles.length < htfEmaPeriod)) {
+    return {
+      status: 'WAIT',
+      reason: `Need >=${htfEmaPeriod} ${htfInterval} candles (got ${htfCandles?.length ?? 0})`,
+      longAbove: null,
+      shortBelow: null,
+      triggerPct: 0,
+    }
+  }
+
+  if (!Number.isFinite(msToNextCandle) || msToNextCandle > decisionWindowMs) {
+    return {
+      status: 'WAIT',
+      reason: 'Outside decision window',
+      longAbove: null,
+      shortBelow: null,
+      triggerPct: 0,
+    }
+  }
+
+  const closes = candles.map((c) => c.close)
+  const returns = []
+  for (let i = 1; i < closes.length; i += 1) {
+    const prev = closes[i - 1]
+    const cur = closes[i]
+    if (prev > 0 && cur > 0) returns.push((cur - prev) / prev)
+  }
+
+  const rangesPct = candles.slice(-14).map((c) => {
+    if (!c.close) return 0
+    return (Math.abs(c.high - c.low) / c.close) * 100
+  })
+
+  const atrPct = average(rangesPct)
+  const volPct = stdDev(returns) * 100
+
+  const fast = ema(closes.slice(-30), 9)
+  const slow = ema(closes.slice(-40), 21)
+  const trendPct = fast && slow ? ((fast - slow) / slow) * 100 : 0
+
+  const volumes = candles.slice(-20).map((c) => c.volume)
+  const lastVolume = candles[candles.length - 1]?.volume ?? 0
+  const avgVolume = average(volumes)
+  const volumeRatio = avgVolume > 0 ? lastVolume / avgVolume : 0
+
+  const flowImbalanceRaw = Number(flowContext?.imbalance)
+  const flowSamplesRaw = Number(flowContext?.samples)
+  const hasFlow = Number.isFinite(flowImbalanceRaw) && Number.isFinite(flowSamplesRaw) && flowSamplesRaw >= FLOW_MIN_SAMPLES
+  const flowImbalance = hasFlow ? flowImbalanceRaw : 0
+  const flowSamples = hasFlow ? flowSamplesRaw : 0
+
+  const flowConflict = hasFlow && ((trendPct > 0 && flowImbalance < -flowConfirmThreshold) || (trendPct < 0 && flowImbalance > flowConfirmThreshold))
+  const flowSupport = hasFlow && ((trendPct > 0 && flowImbalance > flowConfirmThreshold) || (trendPct < 0 && flowImbalance < -flowConfirmThreshold))
+
+  const book = flowContext?.book ?? null
+  const bookImbalance = Number.isFinite(book?.imbalance) ? book.imbalance : 0
+  const bookConflict = Boolean(book) && ((trendPct > 0 && bookImbalance < -bookConfirmThreshold) || (trendPct < 0 && bookImbalance > bookConfirmThreshold))
+  const bookSupport = Boolean(book) && ((trendPct > 0 && bookImbalance > bookConfirmThreshold) || (trendPct < 0 && bookImbalance < -bookConfirmThreshold))
+  const spreadFloorPct = Number.isFinite(book?.avgSpreadBps) ? (book.avgSpreadBps / 100) * 2 : 0
+
+  const triggerBasePct = atrPct * triggerAtrWeight + volPct * triggerVolWeight
+
+  let priceScale = 1
+  // Cheap meme coins often need tighter triggers, otherwise setup can idle too long.
+  if (lastPrice < 0.001) priceScale = 0.72
+  else if (lastPrice < 0.01) priceScale = 0.82
+  else if (lastPrice < 0.1) priceScale = 0.9
+
+  let liquidityScale = 1
+  if (volumeRatio >= 1.4) liquidityScale = 0.9
+  else if (volumeRatio <= 0.7) liquidityScale = 1.1
+
+  const flowScale = flowConflict ? 1.22 : flowSupport ? 0.86 : 1
+  const bookScale = bookConflict ? 1.1 : bookSupport ? 0.94 : 1
+  const triggerPct = clamp(Math.max(triggerBasePct * priceScale * liquidityScale * flowScale * bookScale, spreadFloorPct), TRIGGER_MIN_PCT, TRIGGER_MAX_PCT)
+
+  const longAbove = lastPrice * (1 + triggerPct / 100)
+  const shortBelow = lastPrice * (1 - triggerPct / 100)
+
+  const weakTrend = Math.abs(trendPct) < 0.08
+  const weakVolume = volumeRatio < 0.75
+
+  if (weakTrend && weakVolume) {
+    return {
+      status: 'SIDEWAYS',
+      reason: `Weak trend ${trendPct.toFixed(3)}% + weak volume x${volumeRatio.toFixed(2)}`,
+      longAbove,
+      shortBelow,
+      triggerPct,
+      flowImbalance,
+      flowSamples,
+      bookImbalance,
+    }
+  }
+
+  const bias = trendPct >= 0 ? 'LONG_BIAS' : 'SHORT_BIAS'
+  if (flowConflict) {
+    return {
+      status: 'SIDEWAYS',
+      reason: `${bias} conflict flow ${flowImbalance.toFixed(2)} (${flowSamples})`,
+      longAbove,
+      shortBelow,
+      triggerPct,
+      flowImbalance,
+      flowSamples,
+      bookImbalance,
+    }
+  }
+
+  if (htfInterval) {
+    const htfCloses = htfCandles.map((c) => c.close)
+    const htfEma = ema(htfCloses, htfEmaPeriod)
+    const htfClose = htfCloses[htfCloses.length - 1]
+    const htfBias = htfEma && htfClose !== htfEma ? (htfClose > htfEma ? 'LONG_BIAS' : 'SHORT_BIAS') : null
+    if (htfBias && htfBias !== bias) {
+      return {
+        status: 'SIDEWAYS',
+        reason: `${bias} conflict ${htfInterval} ${htfBias} (EMA${htfEmaPeriod})`,
+        longAbove,
+        shortBelow,
+        triggerPct,
+        flowImbalance,
+        flowSamples,
+      }
+    }
+  }
+
+  return {
+    status: 'SETUP',
+    reason: `${bias} | trigger ${triggerPct.toFixed(3)}% | vol x${volumeRatio.toFixed(2)} | flow ${flowImbalance.toFixed(2)}${book ? ` | book ${bookImbalance.toFixed(2)}` : ''}`,
+    longAbove,
+    shortBelow,
+    triggerPct,
+    flowImbalance,
+    flowSamples,
+    bookImbalance,
+    microprice: book?.microprice ?? null,
+    spreadBps: book?.spreadBps ?? null,
+  }
+}
+
+function create(params = {}) {
+  const merged = { ...BREAKOUT_PARAMS, ...params }
+
+  return {
+    name: 'breakout',
+    requiredHistory: HISTORY_CANDLES,
+    streams: ['aggTrade'],
+    higherTimeframes: merged.htfInterval ? { [merged.htfInterval]: merged.htfEmaPeriod * 2 } : {},
+    evaluate: (ctx) => ({
+      entryStyle: 'breakout',
+      ...analyzeDecision(ctx.candles, ctx.livePrice, ctx.msToNextCandle, ctx.flow, merged, ctx.higherTimeframes?.[merged.htfInterval], ctx.decisionWindowMs),
+    }),
+  }
+}
+
+module.exports = {
+  analyzeDecision,
+  create,
+  defaultParams: BREAKOUT_PARAMS,
+  name: 'breakout',
+  paramSpace: {
+    triggerAtrWeight: { min: 0.25, max: 0.75, step: 0.1 },
+    triggerVolWeight: { min: 0.35, max: 0.95, step: 0.15 },
+  },
+}
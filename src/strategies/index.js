@@ -0,0 +1,50 @@
+'use strict'
+
+const { STRATEGY_BY_SYMBOL, STRATEGY_DEFAULT } = require('../config')
+const breakout = require('./breakout')
+const meanReversion = require('./meanReversion')
+
+// Strategy plugin contract. Each module exports { name, defaultParams, paramSpace, create(params) },
+// where paramSpace holds the optimizer's default min:max:step ranges. create() returns one instance
+// per symbol, so strategies may keep per-symbol state:
+//   name                        shown in the UI and reports
+//   requiredHistory             closed candles needed; history is loaded and kept to at least this many
+//   streams                     stream types needed per market symbol ('aggTrade', ...); the symbol's
+//                               candle interval kline stream is always subscribed by the engine
+//   higherTimeframes            optional { interval: closed candles needed }, e.g. { '1h': 42 }; each is
+//                               loaded and streamed on its own and passed as ctx.higherTimeframes[interval]
+//   onCandleClose(candle, ctx)  optional; each closed stream candle, ctx = { symbol, candles }
+//   onTrade(trade, ctx)         optional; each aggTrade { ts, price, qty, side }, ctx = { symbol, candles }
+//   evaluate(ctx)               every tick; ctx = { symbol, candles, higherTimeframes, livePrice, msToNextCandle,
+//                               decisionWindowMs, flow, now }; decisionWindowMs is how close to the candle
+//                               close entries may be decided (config decisionWindowMs); flow = { imbalance, samples, book } with book the streamed
+//                               { bidPrice, askPrice, spreadBps, avgSpreadBps, microprice, imbalance, levels,
+//                               ageMs } or null
+// evaluate returns { status: 'WAIT' | 'SIDEWAYS' | 'SETUP', reason, entryStyle, triggerPct, flowImbalance,
+// flowSamples } plus the entry levels: longAbove/shortBelow for entryStyle 'breakout' (enter with the
+// move) or longBelow/shortAbove for 'fade' (enter against it). See decisionPlan.js for how plans use them.
+const STRATEGIES = {
+  [breakout.name]: breakout,
+  [meanReversion.name]: meanReversion,
+}
+
+function getStrategyDefinition(name) {
+  const definition = STRATEGIES[name]
+  if (!definition) throw new Error(`Unknown strategy "${name}" (available: ${Object.keys(STRATEGIES).join(', ')})`)
+  return definition
+}
+
+function createStrategy(name, params) {
+  return getStrategyDefinition(name).create(params)
+}
+
+function strategyNameForSymbol(symbol) {
+  return STRATEGY_BY_SYMBOL[symbol] ?? STRATEGY_DEFAULT
+}
+
+module.exports = {
+  STRATEGIES,
+  createStrategy,
+  getStrategyDefinition,
+  strategyNameForSymbol,
+}
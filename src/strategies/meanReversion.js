@@ -0,0 +1,104 @@
+'use strict'
+
+const { FLOW_MIN_SAMPLES, MEAN_REVERSION_PARAMS, TRIGGER_MAX_PCT, TRIGGER_MIN_PCT } = require('../config')
+const { average, clamp, ema, formatPrice, stdDev } = require('../utils')
+
+const TREND_HISTORY_CANDLES = 40
+
+function wait(reason) {
+  return {
+    status: 'WAIT',
+    entryStyle: 'fade',
+    reason,
+    longBelow: null,
+    shortAbove: null,
+    triggerPct: 0,
+  }
+}
+
+function computeBands(candles, lookback, bandStdDev) {
+  const closes = candles.map((c) => c.close)
+  const recent = closes.slice(-lookback)
+  const mean = average(recent)
+  const spread = stdDev(recent) * bandStdDev
+
+  const fast = ema(closes.slice(-30), 9)
+  const slow = ema(closes.slice(-TREND_HISTORY_CANDLES), 21)
+
+  return {
+    openTime: candles[candles.length - 1].openTime,
+    mean,
+    upper: mean + spread,
+    lower: mean - spread,
+    trendPct: fast && slow ? ((fast - slow) / slow) * 100 : 0,
+  }
+}
+
+// Bollinger-style fade: long below / short above mean +- bandStdDev * stdev of the last lookbackCandles
+// closes. Bands only move on candle close; fading is skipped while the EMA-9/21 trend is stronger
+// than maxTrendPct, since that is exactly when price keeps walking the band.
+function create(params = {}) {
+  const merged = { ...MEAN_REVERSION_PARAMS, ...params }
+  const lookback = Math.max(5, Math.floor(merged.lookbackCandles))
+  const requiredHistory = Math.max(lookback, TREND_HISTORY_CANDLES)
+  let bands = null
+
+  return {
+    name: 'meanReversion',
+    requiredHistory,
+    streams: ['aggTrade'],
+
+    onCandleClose(candle, ctx) {
+      bands = ctx.candles.length >= requiredHistory ? computeBands(ctx.candles, lookback, merged.bandStdDev) : null
+    },
+
+    evaluate(ctx) {
+      const { candles, livePrice, msToNextCandle, decisionWindowMs = Infinity, flow } = ctx
+
+      if (typeof livePrice !== 'number' || Number.isNaN(livePrice)) return wait('No live price')
+      if (!Array.isArray(candles) || candles.length < requiredHistory) return wait(`Need >=${requiredHistory} candles (got ${candles?.length ?? 0})`)
+      if (!Number.isFinite(msToNextCandle) || msToNextCandle > decisionWindowMs) return wait('Outside decision window')
+
+      // History loads do not go through onCandleClose, so recompute whenever the last candle changed.
+      if (!bands || bands.openTime !== candles[candles.length - 1].openTime) bands = computeBands(candles, lookback, merged.bandStdDev)
+      if (!(bands.mean > 0) || !(bands.upper > bands.lower)) return wait('Flat band')
+
+      const flowImbalanceRaw = Number(flow?.imbalance)
+      const flowSamplesRaw = Number(flow?.samples)
+      const hasFlow = Number.isFinite(flowImbalanceRaw) && Number.isFinite(flowSamplesRaw) && flowSamplesRaw >= FLOW_MIN_SAMPLES
+      const flowImbalance = hasFlow ? flowImbalanceRaw : 0
+      const flowSamples = hasFlow ? flowSamplesRaw : 0
+
+      const triggerPct = clamp(((bands.upper - bands.mean) / bands.mean) * 100, TRIGGER_MIN_PCT, TRIGGER_MAX_PCT)
+      const result = {
+        entryStyle: 'fade',
+        longBelow: bands.lower,
+        shortAbove: bands.upper,
+        triggerPct,
+        flowImbalance,
+        flowSamples,
+      }
+
+      if (Math.abs(bands.trendPct) > merged.maxTrendPct) {
+        return { status: 'SIDEWAYS', reason: `Trend ${bands.trendPct.toFixed(3)}% too strong to fade`, ...result }
+      }
+
+      return {
+        status: 'SETUP',
+        reason: `FADE ${merged.bandStdDev}sd | mean ${formatPrice(bands.mean)} | band ${triggerPct.toFixed(3)}%`,
+        ...result,
+      }
+    },
+  }
+}
+
+module.exports = {
+  create,
+  defaultParams: MEAN_REVERSION_PARAMS,
+  name: 'meanReversion',
+  paramSpace: {
+    lookbackCandles: { min: 14, max: 30, step: 4 },
+    bandStdDev: { min: 1.5, max: 2.5, step: 0.25 },
+    maxTrendPct: { min: 0.08, max: 0.24, step: 0.04 },
+  },
+}
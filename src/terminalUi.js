@@ -0,0 +1,356 @@
+'use strict'
+
+const readline = require('readline')
+const { getEntryLevels, isFinitePrice } = require('./decisionPlan')
+const { compactNumber, formatLiquidation, formatMsToClock, formatNumber, formatPrice, formatSignedPct } = require('./utils')
+
+const SPARK_CHARS = '▁▂▃▄▅▆▇█'
+const MESSAGE_TTL_MS = 10_000
+const TRADE_ROWS = 30
+const COLUMN_GAP = ' '
+const ANSI = {
+  enterScreen: '\x1b[?1049h\x1b[?25l',
+  leaveScreen: '\x1b[?25h\x1b[?1049l',
+  home: '\x1b[H',
+  clearLine: '\x1b[K',
+  clearBelow: '\x1b[J',
+  inverse: '\x1b[7m',
+  dim: '\x1b[2m',
+  reset: '\x1b[0m',
+}
+
+function fit(text, width) {
+  const value = String(text ?? '')
+  if (width <= 0) return ''
+  return value.length > width ? `${value.slice(0, Math.max(0, width - 1))}…` : value
+}
+
+function pad(text, width, alignRight = false) {
+  const value = fit(text, width)
+  return alignRight ? value.padStart(width) : value.padEnd(width)
+}
+
+function signedUsd(value) {
+  return `${value >= 0 ? '+' : '-'}$${Math.abs(value).toFixed(4)}`
+}
+
+function sparkline(values, width) {
+  const points = values.slice(-width)
+  if (points.length === 0) return ''
+  const min = Math.min(...points)
+  const max = Math.max(...points)
+  const range = max - min
+  return points.map((value) => SPARK_CHARS[range > 0 ? Math.round(((value - min) / range) * (SPARK_CHARS.length - 1)) : 0]).join('')
+}
+
+function positionTag(row) {
+  if (row.live) return row.livePosition ? row.livePosition.side.toUpperCase() : row.liveEntryIntent ? 'PEND' : 'IDLE'
+  return row.sim.activeTrade ? row.sim.activeTrade.side.toUpperCase() : 'IDLE'
+}
+
+function openMetrics(row) {
+  return row.live ? row.liveOpenMetrics : row.simOpenMetrics
+}
+
+// Table columns, dropped from the highest `drop` down until the table fits the terminal; NOTE takes
+// whatever width is left.
+const COLUMNS = [
+  { title: 'SYMBOL', width: 9, drop: 0, value: (row) => row.symbol },
+  { title: 'MODE', width: 6, drop: 2, value: (row) => `${row.live ? 'LIVE' : 'SIM'}${row.entriesPaused ? '/P' : ''}` },
+  { title: 'PRICE', width: 11, drop: 0, right: true, value: (row) => formatPrice(row.livePrice) },
+  { title: 'MARK', width: 11, drop: 7, right: true, value: (row) => formatPrice(row.state.markPrice) },
+  { title: 'VOLUME', width: 8, drop: 9, right: true, value: (row) => compactNumber(row.state.lastVolume) },
+  { title: 'NEXT', width: 5, drop: 5, value: (row) => formatMsToClock(row.msToNext) },
+  { title: 'FUNDING', width: 9, drop: 8, right: true, value: (row) => formatSignedPct(Number.isFinite(row.state.fundingRate) ? row.state.fundingRate * 100 : null, 4) },
+  { title: 'OI 1H', width: 7, drop: 10, right: true, value: (row) => formatSignedPct(row.state.openInterest?.changePct, 2) },
+  { title: 'PLAN', width: 8, drop: 3, value: (row) => row.decisionPlan?.status ?? row.analysis.status },
+  {
+    title: 'LONG IF',
+    width: 12,
+    drop: 4,
+    value: (row) => {
+      const level = getEntryLevels(row.decisionPlan).long
+      return isFinitePrice(level) ? `${row.decisionPlan.entryStyle === 'fade' ? '<' : '>'} ${formatPrice(level)}` : '-'
+    },
+  },
+  {
+    title: 'SHORT IF',
+    width: 12,
+    drop: 4,
+    value: (row) => {
+      const level = getEntryLevels(row.decisionPlan).short
+      return isFinitePrice(level) ? `${row.decisionPlan.entryStyle === 'fade' ? '>' : '<'} ${formatPrice(level)}` : '-'
+    },
+  },
+  { title: 'POS', width: 5, drop: 0, value: positionTag },
+  {
+    title: 'OPEN PNL',
+    width: 17,
+    drop: 1,
+    right: true,
+    value: (row) => {
+      const metrics = openMetrics(row)
+      return metrics ? `${signedUsd(metrics.netPnlUsd)} ${formatSignedPct(metrics.roiPct, 1)}` : '-'
+    },
+  },
+]
+
+function noteText(row) {
+  if (row.state.error) return `ERR: ${row.state.error}`
+  if (row.riskBlock) return `BLOCKED: ${row.riskBlock}`
+  return row.decisionPlan?.reason ?? row.analysis.reason ?? '-'
+}
+
+function layoutColumns(width) {
+  const columns = [...COLUMNS]
+  const used = () => columns.reduce((sum, column) => sum + column.width + COLUMN_GAP.length, 0)
+  const minNote = 12
+  while (used() + minNote > width) {
+    const candidates = columns.filter((column) => column.drop > 0)
+    if (candidates.length === 0) break
+    const dropped = candidates.reduce((worst, column) => (column.drop > worst.drop ? column : worst))
+    columns.splice(columns.indexOf(dropped), 1)
+  }
+  return { columns, noteWidth: Math.max(0, width - used()) }
+}
+
+// Keyboard-driven replacement for Engine.render() on an interactive terminal: a symbol table sized to
+// the terminal, a detail pane for the selected symbol and per-symbol actions that go through the
+// engine's control methods (setEntriesPaused, closeSymbolPosition, setSymbolLive).
+class TerminalUi {
+  constructor(options = {}) {
+    this.input = options.input ?? process.stdin
+    this.output = options.output ?? process.stdout
+    this.onQuit = options.onQuit ?? (() => process.emit('SIGINT'))
+    this.engine = null
+    this.rows = []
+    this.selected = 0
+    this.showDetail = true
+    this.confirm = null // { prompt, run }
+    this.message = null // { text, at }
+    this.started = false
+
+    this.handleKeypress = (text, key) => this.onKeypress(text, key)
+    this.handleResize = () => this.draw()
+    this.restoreTerminal = () => this.stop()
+  }
+
+  start(engine) {
+    if (this.started) return
+    this.engine = engine
+    this.started = true
+
+    readline.emitKeypressEvents(this.input)
+    if (typeof this.input.setRawMode === 'function') this.input.setRawMode(true)
+    this.input.on('keypress', this.handleKeypress)
+    this.input.resume()
+    this.output.on('resize', this.handleResize)
+    // Never leave the terminal in raw mode on the alternate screen, however the process ends.
+    process.once('exit', this.restoreTerminal)
+    this.output.write(ANSI.enterScreen)
+  }
+
+  stop() {
+    if (!this.started) return
+    this.started = false
+    this.input.off('keypress', this.handleKeypress)
+    if (typeof this.input.setRawMode === 'function') this.input.setRawMode(false)
+    this.input.pause()
+    this.output.off('resize', this.handleResize)
+    process.off('exit', this.restoreTerminal)
+    this.output.write(ANSI.leaveScreen)
+  }
+
+  render(rows) {
+    this.rows = rows
+    this.draw()
+  }
+
+  selectedRow() {
+    if (this.rows.length === 0) return null
+    this.selected = Math.min(Math.max(0, this.selected), this.rows.length - 1)
+    return this.rows[this.selected]
+  }
+
+  setMessage(text) {
+    this.message = { text, at: Date.now() }
+  }
+
+  onKeypress(text, key = {}) {
+    if (key.ctrl && key.name === 'c') {
+      this.onQuit()
+      return
+    }
+
+    if (this.confirm) {
+      const { run } = this.confirm
+      this.confirm = null
+      if (key.name === 'y') this.setMessage(run().message)
+      else this.setMessage('Cancelled')
+      this.draw()
+      return
+    }
+
+    const row = this.selectedRow()
+    switch (key.name) {
+      case 'up':
+      case 'k':
+        this.selected = Math.max(0, this.selected - 1)
+        break
+      case 'down':
+      case 'j':
+        this.selected = Math.min(this.rows.length - 1, this.selected + 1)
+        break
+      case 'return':
+      case 'd':
+        this.showDetail = !this.showDetail
+        break
+      case 'p':
+        // The engine's own flags, not the row's: those only catch up on the next tick.
+        if (row) this.setMessage(this.engine.setEntriesPaused(row.symbol, !this.engine.entriesPausedSymbols.has(row.symbol)).message)
+        break
+      case 'c':
+        if (row) {
+          this.confirm = {
+            prompt: `Close the ${row.symbol} ${this.engine.isLiveSymbol(row.symbol) ? 'LIVE' : 'SIM'} position${this.engine.isLiveSymbol(row.symbol) && row.liveEntryIntent ? ' and its pending entry' : ''} at market? (y/n)`,
+            run: () => this.engine.closeSymbolPosition(row.symbol),
+          }
+        }
+        break
+      case 'l':
+        if (!row) break
+        // Going live places real orders, so only that direction asks first.
+        if (this.engine.isLiveSymbol(row.symbol)) this.setMessage(this.engine.setSymbolLive(row.symbol, false).message)
+        else this.confirm = { prompt: `Switch ${row.symbol} to LIVE trading with real orders? (y/n)`, run: () => this.engine.setSymbolLive(row.symbol, true) }
+        break
+      case 'q':
+        this.onQuit()
+        return
+      default:
+        return
+    }
+    this.draw()
+  }
+
+  tableLines(width) {
+    const { columns, noteWidth } = layoutColumns(width)
+    const header = columns.map((column) => pad(column.title, column.width, column.right)).join(COLUMN_GAP) + COLUMN_GAP + fit('NOTE', noteWidth)
+    const lines = [header, '─'.repeat(Math.min(width, header.length + noteWidth))]
+    this.rows.forEach((row, index) => {
+      const text = fit(columns.map((column) => pad(column.value(row), column.width, column.right)).join(COLUMN_GAP) + COLUMN_GAP + fit(noteText(row), noteWidth), width)
+      lines.push(index === this.selected ? `${ANSI.inverse}${text.padEnd(width)}${ANSI.reset}` : text)
+    })
+    return lines
+  }
+
+  positionLine(row) {
+    if (row.live && row.livePosition) {
+      const position = row.livePosition
+      const metrics = row.liveOpenMetrics
+      const control = row.liveControl
+      return (
+        `Live ${position.side.toUpperCase()} ${formatNumber(position.quantity, 4)} @ ${formatPrice(position.entryPrice)} | ${formatLiquidation(position.liquidationPrice, position.markPrice)}` +
+        `${metrics ? ` | net ${signedUsd(metrics.netPnlUsd)} (${formatSignedPct(metrics.roiPct, 2)})` : ''}` +
+        `${control ? ` | sl -${control.stopLossRoiPct.toFixed(2)}% trail ${control.trailingArmed ? 'ON' : 'OFF'} peak ${formatSignedPct(control.peakRoiPct, 2)}` : ''}` +
+        ` | ${row.liveLastAction}`
+      )
+    }
+    if (row.live) return `Live ${row.liveEntryIntent ? `pending ${row.liveEntryIntent.side.toUpperCase()}` : 'flat'} | realized ${signedUsd(row.liveIncome.netUsd || 0)} | ${row.liveLastAction}`
+
+    const trade = row.sim.activeTrade
+    if (!trade) return 'Sim flat'
+    const metrics = row.simOpenMetrics
+    return (
+      `Sim ${trade.side.toUpperCase()} @ ${formatPrice(trade.entryPrice)}${trade.meta?.route ? ` ${trade.meta.route}` : ''} | ${formatLiquidation(trade.liquidationPrice, row.livePrice)}` +
+      ` | sl -${trade.stopLossRoiPct}% trail ${trade.trailingArmed ? 'ON' : 'OFF'}` +
+      `${metrics ? ` | net ${signedUsd(metrics.netPnlUsd)} (${formatSignedPct(metrics.roiPct, 2)}) peak ${formatSignedPct(metrics.peakRoiPct, 2)}` : ''}`
+    )
+  }
+
+  detailLines(row, width, height) {
+    if (!row || height <= 0) return []
+    const { state, flowMetrics: flow, bookMetrics: book, decisionPlan: plan, sim } = row
+    const lines = [`── ${row.symbol} (${state.marketSymbol}, ${state.interval}) ${'─'.repeat(Math.max(0, width - row.symbol.length - 20))}`]
+
+    // The label takes at most ~36 columns; the sparkline gets the rest, one candle per column.
+    const closes = state.candles
+      .map((candle) => candle.close)
+      .filter(Number.isFinite)
+      .slice(-Math.max(1, width - 36))
+    const sparkLabel = `${closes.length} x ${state.interval} ${formatPrice(Math.min(...closes))}-${formatPrice(Math.max(...closes))} `
+    lines.push(closes.length > 0 ? `${sparkLabel}${sparkline(closes, width - sparkLabel.length)}` : 'No candles yet')
+
+    lines.push(
+      `Flow: imbalance ${formatNumber(flow.imbalance, 2)} (buy ${compactNumber(flow.buyQty)} / sell ${compactNumber(flow.sellQty)}, ${flow.samples} trades)` +
+        (book
+          ? ` | Book: spread ${formatNumber(book.spreadBps, 2)}bps (avg ${formatNumber(book.avgSpreadBps, 2)}), imbalance ${formatNumber(book.imbalance, 2)}, micro ${formatPrice(book.microprice)}, ${book.levels} lvl, ${book.ageMs}ms old`
+          : ' | Book: -'),
+    )
+
+    if (plan) {
+      const levels = getEntryLevels(plan)
+      const fade = plan.entryStyle === 'fade'
+      lines.push(
+        `Plan: ${plan.status} ${plan.entryStyle} cycle ${plan.cycleId} | long ${fade ? '<' : '>'} ${formatPrice(levels.long)} short ${fade ? '>' : '<'} ${formatPrice(levels.short)} | ` +
+          `trigger ${formatNumber(plan.triggerPct, 2)}% | flow ${formatNumber(plan.flowImbalance, 2)} book ${formatNumber(plan.bookImbalance, 2)} | ${plan.hasTriggered ? 'triggered' : 'waiting'} | ${plan.reason}`,
+      )
+    } else {
+      lines.push(`Plan: none | ${row.analysis.status} ${row.analysis.reason ?? ''}`)
+    }
+    lines.push(this.positionLine(row))
+
+    const stats = sim.stats
+    lines.push(
+      `Sim trades ${stats.total} | win ${stats.wins}/${stats.total} | realized ${signedUsd(stats.realizedPnlUsd)}${stats.missedEntries > 0 ? ` | GTX missed ${stats.missedEntries}` : ''}`,
+    )
+    const room = height - lines.length - 1
+    const trades = sim.history.slice(-TRADE_ROWS).reverse()
+    if (trades.length > 0 && room > 0) {
+      lines.push(`${ANSI.dim}${fit('EXIT TIME  SIDE   ENTRY        EXIT         REASON       NET          ROI      HELD', width)}${ANSI.reset}`)
+      const shown = trades.slice(0, room)
+      for (const trade of shown) {
+        lines.push(
+          `${new Date(trade.exitTime).toISOString().slice(11, 19)}   ${pad(trade.side.toUpperCase(), 6)} ${pad(formatPrice(trade.entryPrice), 12)} ${pad(formatPrice(trade.exitPrice), 12)} ` +
+            `${pad(trade.exitReason, 12)} ${pad(signedUsd(trade.pnlUsd), 12)} ${pad(formatSignedPct(trade.roiPct, 2), 8)} ${formatMsToClock(trade.exitTime - trade.entryTime)}`,
+        )
+      }
+      if (shown.length < trades.length) lines.push(`${ANSI.dim}+${trades.length - shown.length} older (enlarge the terminal)${ANSI.reset}`)
+    }
+    return lines.map((line) => (line.startsWith('\x1b') ? line : fit(line, width)))
+  }
+
+  footerLines(width) {
+    const now = Date.now()
+    const message = this.confirm ? this.confirm.prompt : this.message && now - this.message.at < MESSAGE_TTL_MS ? this.message.text : ''
+    const help = '↑/↓ select  enter detail  p pause entries  c close position  l live/sim  q quit   (/P = entries paused)'
+    return [fit(message, width), `${ANSI.dim}${fit(help, width)}${ANSI.reset}`]
+  }
+
+  draw() {
+    if (!this.started) return
+    const width = Math.max(40, this.output.columns || 120)
+    const height = Math.max(10, this.output.rows || 40)
+    const engine = this.engine
+
+    const title = `Binance Futures Monitor | ${engine.liveTrader.isEnabled() ? 'LIVE' : 'SIM'} | ${new Date(engine.clock.now()).toISOString().slice(0, 19).replace('T', ' ')} UTC`
+    const header = [title, ...engine.statusLines()].map((line) => fit(line, width))
+    const table = this.tableLines(width)
+    const footer = this.footerLines(width)
+
+    const detailHeight = height - header.length - table.length - footer.length - 2
+    const detail = this.showDetail ? this.detailLines(this.selectedRow(), width, detailHeight) : []
+    const lines = [...header, '', ...table, '', ...detail]
+    // Keep the footer on the last lines; on a short terminal the header gives way first.
+    const body = lines.length + footer.length > height ? lines.slice(lines.length + footer.length - height) : lines
+    const filler = Array(Math.max(0, height - body.length - footer.length)).fill('')
+    const frame = [...body, ...filler, ...footer]
+
+    this.output.write(ANSI.home + frame.join(`${ANSI.clearLine}\n`) + ANSI.clearLine + ANSI.clearBelow)
+  }
+}
+
+module.exports = {
+  TerminalUi,
+  layoutColumns,
+  sparkline,
+}
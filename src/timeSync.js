@@ -0,0 +1,121 @@
+'use strict'
+
+const crypto = require('crypto')
+
+const TIME_SYNC_SAMPLES = 3
+const TIME_RESYNC_MS = 30 * 60 * 1000
+const TIME_SYNC_RETRY_MS = 60 * 1000
+const TIMESTAMP_OUTSIDE_RECV_WINDOW = -1021
+
+function toNumber(value, fallback) {
+  const n = Number(value)
+  return Number.isFinite(n) ? n : fallback
+}
+
+function parseBinanceErrorCode(error) {
+  const message = String(error?.message || '')
+  const match = message.match(/"code"\s*:\s*(-?\d+)/)
+  if (!match) return null
+  const code = Number(match[1])
+  return Number.isFinite(code) ? code : null
+}
+
+function buildSignedQuery(params, secret) {
+  const query = new URLSearchParams(params).toString()
+  const signature = crypto.createHmac('sha256', secret).update(query).digest('hex')
+  return `${query}&signature=${signature}`
+}
+
+// Offset between the local clock and Binance server time. Each sync samples /fapi/v1/time a few
+// times and keeps the sample with the lowest round trip, taking the server stamp as halfway through
+// it. Synced lazily before signed requests once the last sync is older than resyncMs.
+class TimeSync {
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl
+    this.governor = options.governor
+    this.now = options.now || (() => Date.now())
+    this.resyncMs = Math.max(60_000, toNumber(options.resyncMs, TIME_RESYNC_MS))
+
+    this.offsetMs = 0
+    this.rttMs = null
+    this.nextSyncAt = 0
+    this.lastError = null
+    this.pending = null
+  }
+
+  serverNow() {
+    return Math.round(this.now() + this.offsetMs)
+  }
+
+  sync() {
+    if (!this.pending) {
+      this.pending = this.sample().finally(() => {
+        this.pending = null
+      })
+    }
+    return this.pending
+  }
+
+  async sample() {
+    let best = null
+    for (let i = 0; i < TIME_SYNC_SAMPLES; i += 1) {
+      const sentAt = this.now()
+      try {
+        const payload = await this.governor.request(`${this.baseUrl}/fapi/v1/time`)
+        const rtt = this.now() - sentAt
+        const serverTime = toNumber(payload?.serverTime, null)
+        if (serverTime !== null && (!best || rtt < best.rtt)) best = { rtt, offset: serverTime - (sentAt + rtt / 2) }
+      } catch (error) {
+        this.lastError = `Time sync failed: ${error.message}`
+      }
+    }
+
+    if (!best) {
+      this.nextSyncAt = this.now() + TIME_SYNC_RETRY_MS
+      return
+    }
+    this.offsetMs = Math.round(best.offset)
+    this.rttMs = best.rtt
+    this.nextSyncAt = this.now() + this.resyncMs
+    this.lastError = null
+  }
+
+  async ensureSynced() {
+    if (this.now() >= this.nextSyncAt) await this.sync()
+  }
+
+  statusText() {
+    if (this.rttMs === null) return this.lastError ?? 'clock not synced'
+    return `clock ${this.offsetMs >= 0 ? '+' : ''}${this.offsetMs}ms (rtt ${this.rttMs}ms)`
+  }
+}
+
+// The one signing path for every Binance signed REST call: server-adjusted timestamp, recvWindow and
+// HMAC-SHA256 signature. The governor signs right before the send, so time spent queued (weight window,
+// 429 pause) never eats into recvWindow. A -1021 (timestamp outside recvWindow) resyncs the clock and
+// retries once.
+async function sendSignedRequest({ governor, timeSync, baseUrl, apiKey, apiSecret, recvWindow = 5000, method = 'GET', path, params = {} }) {
+  await timeSync.ensureSynced()
+
+  const send = () =>
+    governor.request(`${baseUrl}${path}?${new URLSearchParams(params)}`, {
+      method,
+      headers: { 'X-MBX-APIKEY': apiKey },
+      buildUrl: () => `${baseUrl}${path}?${buildSignedQuery({ ...params, timestamp: timeSync.serverNow(), recvWindow }, apiSecret)}`,
+    })
+
+  try {
+    return await send()
+  } catch (error) {
+    if (parseBinanceErrorCode(error) !== TIMESTAMP_OUTSIDE_RECV_WINDOW) throw error
+    await timeSync.sync()
+    return send()
+  }
+}
+
+module.exports = {
+  TimeSync,
+  buildSignedQuery,
+  parseBinanceErrorCode,
+  sendSignedRequest,
+}
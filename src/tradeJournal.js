@@ -0,0 +1,378 @@
+/* eslint-disable no-console */
+
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const { parseArgs } = require('util')
+
+const DEFAULT_JOURNAL_DIR = path.join('logs', 'trades')
+const HOUR_MS = 60 * 60 * 1000
+const INCOME_KEY_KEEP_MS = 7 * 24 * HOUR_MS
+
+const EXPORT_COLUMNS = [
+  'id',
+  'mode',
+  'symbol',
+  'side',
+  'entryStyle',
+  'entryTime',
+  'entryPrice',
+  'entrySignalPrice',
+  'entrySlippageBps',
+  'exitTime',
+  'exitPrice',
+  'exitSignalPrice',
+  'exitSlippageBps',
+  'quantity',
+  'route',
+  'spreadBps',
+  'exitReason',
+  'feesUsd',
+  'fundingUsd',
+  'pnlUsd',
+  'triggerPct',
+  'flowImbalance',
+  'bookImbalance',
+  'cycleId',
+]
+
+function toNumber(value, fallback) {
+  const next = Number(value)
+  return Number.isFinite(next) ? next : fallback
+}
+
+function dayForFile(ts) {
+  return new Date(ts).toISOString().slice(0, 10).replace(/-/g, '')
+}
+
+// Append-only, one JSON record per line, one file per UTC day (trades-YYYYMMDD.jsonl):
+//   { t, k: 'entry', id, mode, symbol, marketSymbol, side, price, signalPrice, quantity, route, spreadBps, feesUsd, triggerPct, flowImbalance, bookImbalance, cycleId, entryStyle }
+//   { t, k: 'exit', id, mode, symbol, side, price, signalPrice, reason, feesUsd, fundingUsd, pnlUsd }
+//   { t, k: 'income', mode: 'live', marketSymbol, incomeType, incomeUsd, key }   raw Binance income rows
+// Records are written as things happen and never rewritten; the export joins them into one row per trade.
+// Binance re-delivers the income rows of the last incomeLookbackMs on every start, so an income key
+// already in the journal is not written again.
+class TradeJournal {
+  constructor(options = {}) {
+    this.dir = options.dir || DEFAULT_JOURNAL_DIR
+    this.now = options.now ?? (() => Date.now())
+    this.incomeLookbackMs = Math.max(0, toNumber(options.incomeLookbackMs, 24 * HOUR_MS))
+    this.lastError = null
+    this.builder = null // trade rows joined from the files on the first tradeRows(), then kept up to date by append
+    this.incomeKeys = null // key -> t of the income rows within the lookback, read from disk on the first one
+    this.nextIncomeKeyPruneAt = 0
+  }
+
+  // False when the income row was already written; keys older than the lookback can not come again.
+  claimIncomeKey(key, t) {
+    const now = this.now()
+    if (!this.incomeKeys) {
+      this.incomeKeys = new Map()
+      for (const record of readJournal(this.dir, now - this.incomeLookbackMs)) if (record.k === 'income' && record.key) this.incomeKeys.set(record.key, record.t)
+    }
+    if (this.incomeKeys.has(key)) return false
+    this.incomeKeys.set(key, t)
+
+    if (now >= this.nextIncomeKeyPruneAt) {
+      this.nextIncomeKeyPruneAt = now + HOUR_MS
+      for (const [storedKey, storedT] of this.incomeKeys) if (storedT < now - this.incomeLookbackMs) this.incomeKeys.delete(storedKey)
+    }
+    return true
+  }
+
+  append(record) {
+    if (record.k === 'income' && record.key && !this.claimIncomeKey(record.key, record.t)) return
+    try {
+      fs.mkdirSync(this.dir, { recursive: true })
+      fs.appendFileSync(path.join(this.dir, `trades-${dayForFile(record.t)}.jsonl`), `${JSON.stringify(record)}\n`)
+    } catch (error) {
+      this.lastError = `Journal write failed: ${error.message}`
+      return
+    }
+    this.builder?.add(record)
+  }
+
+  // Joined trade rows; the files are read once, later records are added as they are appended.
+  tradeRows() {
+    if (!this.builder) {
+      this.builder = new TradeRowsBuilder()
+      for (const record of readJournal(this.dir)) this.builder.add(record)
+    }
+    return this.builder.rows()
+  }
+}
+
+// fromTs: only the day files from that day on.
+function readJournal(dir, fromTs = null) {
+  if (!fs.existsSync(dir)) return []
+
+  const firstFile = fromTs === null ? '' : `trades-${dayForFile(fromTs)}.jsonl`
+  const records = []
+  const files = fs
+    .readdirSync(dir)
+    .filter((name) => /^trades-\d{8}\.jsonl$/.test(name) && name >= firstFile)
+    .sort()
+  for (const name of files) {
+    for (const line of fs.readFileSync(path.join(dir, name), 'utf8').split('\n')) {
+      if (!line.trim()) continue
+      try {
+        records.push(JSON.parse(line))
+      } catch {
+        // a torn last line from a crash; skip it
+      }
+    }
+  }
+  return records.sort((a, b) => a.t - b.t)
+}
+
+// Fill vs the price the decision was made at, in bps; positive is a cost (bought higher / sold lower).
+function slippageBps(isBuy, fillPrice, signalPrice) {
+  if (!(fillPrice > 0) || !(signalPrice > 0)) return null
+  return ((isBuy ? fillPrice - signalPrice : signalPrice - fillPrice) / signalPrice) * 10_000
+}
+
+// Joins journal records into one row per trade, a record at a time, so a running process can keep the
+// rows up to date without keeping the records. Live fees, funding and realized PnL come from the exchange
+// income history: each income row belongs to the latest live trade of that market symbol entered at or
+// before it (one position per symbol).
+class TradeRowsBuilder {
+  constructor() {
+    this.trades = new Map()
+    this.liveTradesByMarket = new Map()
+    // Journals from before income rows were written once hold repeats, always close in time to the first.
+    this.incomeKeys = new Map() // key -> t
+    this.nextIncomeKeyPruneAt = -Infinity
+    this.orphanExits = 0
+    this.rowsCache = null
+  }
+
+  add(record) {
+    this.rowsCache = null
+    if (record.k === 'entry') {
+      const trade = {
+        id: record.id,
+        mode: record.mode,
+        symbol: record.symbol,
+        side: record.side,
+        entryStyle: record.entryStyle ?? null,
+        entryTime: record.t,
+        entryPrice: record.price ?? null,
+        entrySignalPrice: record.signalPrice ?? null,
+        exitTime: null,
+        exitPrice: null,
+        exitSignalPrice: null,
+        quantity: record.quantity ?? null,
+        route: record.route ?? null,
+        spreadBps: record.spreadBps ?? null,
+        exitReason: null,
+        feesUsd: record.mode === 'live' ? 0 : (record.feesUsd ?? null),
+        fundingUsd: record.mode === 'live' ? 0 : null,
+        pnlUsd: null,
+        triggerPct: record.triggerPct ?? null,
+        flowImbalance: record.flowImbalance ?? null,
+        bookImbalance: record.bookImbalance ?? null,
+        cycleId: record.cycleId ?? null,
+        realizedUsd: null,
+      }
+      this.trades.set(record.id, trade)
+      if (record.mode === 'live') {
+        const list = this.liveTradesByMarket.get(record.marketSymbol) ?? []
+        list.push(trade)
+        this.liveTradesByMarket.set(record.marketSymbol, list)
+      }
+    } else if (record.k === 'exit') {
+      let trade = record.id ? this.trades.get(record.id) : null
+      if (!trade) {
+        // Position opened before the journal existed (or its entry record was lost).
+        this.orphanExits += 1
+        trade = { id: record.id ?? `${record.mode}-${record.symbol}-orphan-${record.t}`, mode: record.mode, symbol: record.symbol, side: record.side, entryTime: null }
+        this.trades.set(trade.id, trade)
+      }
+      trade.exitTime = record.t
+      trade.exitPrice = record.price ?? null
+      trade.exitSignalPrice = record.signalPrice ?? null
+      trade.exitReason = record.reason ?? null
+      if (record.mode !== 'live') {
+        trade.feesUsd = record.feesUsd ?? trade.feesUsd
+        trade.fundingUsd = record.fundingUsd ?? null
+        trade.pnlUsd = record.pnlUsd ?? null
+      }
+    } else if (record.k === 'income') {
+      if (record.key && !this.claimIncomeKey(record.key, record.t)) return
+
+      const list = this.liveTradesByMarket.get(record.marketSymbol) ?? []
+      let owner = null
+      for (let i = list.length - 1; i >= 0 && !owner; i -= 1) if (list[i].entryTime <= record.t) owner = list[i]
+      if (!owner) return
+
+      const incomeUsd = toNumber(record.incomeUsd, 0)
+      if (record.incomeType === 'COMMISSION') owner.feesUsd -= incomeUsd
+      else if (record.incomeType === 'FUNDING_FEE') owner.fundingUsd += incomeUsd
+      else if (record.incomeType === 'REALIZED_PNL') owner.realizedUsd = (owner.realizedUsd ?? 0) + incomeUsd
+    }
+  }
+
+  claimIncomeKey(key, t) {
+    if (this.incomeKeys.has(key)) return false
+    this.incomeKeys.set(key, t)
+    if (t >= this.nextIncomeKeyPruneAt) {
+      this.nextIncomeKeyPruneAt = t + HOUR_MS
+      for (const [storedKey, storedT] of this.incomeKeys) if (storedT < t - INCOME_KEY_KEEP_MS) this.incomeKeys.delete(storedKey)
+    }
+    return true
+  }
+
+  // Export rows, rebuilt only after an add.
+  rows() {
+    if (this.rowsCache) return this.rowsCache
+    this.rowsCache = [...this.trades.values()].map((trade) => {
+      const { realizedUsd, ...row } = trade
+      if (row.mode === 'live' && realizedUsd !== null && realizedUsd !== undefined) {
+        row.pnlUsd = realizedUsd - (row.feesUsd ?? 0) + (row.fundingUsd ?? 0)
+      }
+      row.entrySlippageBps = slippageBps(row.side === 'long', row.entryPrice, row.entrySignalPrice)
+      row.exitSlippageBps = slippageBps(row.side !== 'long', row.exitPrice, row.exitSignalPrice)
+      return row
+    })
+    return this.rowsCache
+  }
+}
+
+function buildTradeRows(records) {
+  const builder = new TradeRowsBuilder()
+  for (const record of records) builder.add(record)
+  return { rows: builder.rows(), orphanExits: builder.orphanExits }
+}
+
+function filterTradeRows(rows, { from = -Infinity, to = Infinity, symbols = null, mode = null } = {}) {
+  return rows.filter((row) => {
+    const ts = row.entryTime ?? row.exitTime
+    if (ts < from || ts > to) return false
+    if (symbols && !symbols.includes(row.symbol)) return false
+    if (mode && row.mode !== mode) return false
+    return true
+  })
+}
+
+function average(values) {
+  const finite = values.filter((value) => Number.isFinite(value))
+  return finite.length > 0 ? finite.reduce((acc, value) => acc + value, 0) / finite.length : null
+}
+
+// Per symbol and mode: how often entries filled as maker, average entry/exit slippage against the
+// signal price and round-trip fees in bps of the entry notional. Comparing the sim and live rows of a
+// symbol shows how far the simulator's execution model is from what the exchange actually gave.
+function summarizeExecution(rows) {
+  const groups = new Map()
+  for (const row of rows) {
+    if (!row.symbol || !row.mode) continue
+    const key = `${row.symbol}\t${row.mode}`
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(row)
+  }
+
+  return [...groups]
+    .map(([key, trades]) => {
+      const [symbol, mode] = key.split('\t')
+      const routed = trades.filter((trade) => trade.route)
+      return {
+        symbol,
+        mode,
+        trades: trades.length,
+        makerPct: routed.length > 0 ? (routed.filter((trade) => trade.route === 'GTX').length / routed.length) * 100 : null,
+        entrySlippageBps: average(trades.map((trade) => trade.entrySlippageBps)),
+        exitSlippageBps: average(trades.map((trade) => trade.exitSlippageBps)),
+        feesBps: average(trades.map((trade) => (trade.quantity > 0 && trade.entryPrice > 0 && trade.exitTime ? (trade.feesUsd / (trade.quantity * trade.entryPrice)) * 10_000 : null))),
+      }
+    })
+    .sort((a, b) => a.symbol.localeCompare(b.symbol) || a.mode.localeCompare(b.mode))
+}
+
+function formatExecutionSummary(summary) {
+  const cell = (value, decimals) => (Number.isFinite(value) ? value.toFixed(decimals) : '-').padStart(9)
+  const lines = [`${'SYMBOL'.padEnd(10)} | MODE | TRADES | ${'MAKER %'.padStart(9)} | ${'ENTRY BPS'.padStart(9)} | ${'EXIT BPS'.padStart(9)} | ${'FEES BPS'.padStart(9)}`]
+  for (const row of summary) {
+    lines.push(`${row.symbol.padEnd(10)} | ${row.mode.padEnd(4)} | ${String(row.trades).padStart(6)} | ${cell(row.makerPct, 1)} | ${cell(row.entrySlippageBps, 2)} | ${cell(row.exitSlippageBps, 2)} | ${cell(row.feesBps, 2)}`)
+  }
+  return `${lines.join('\n')}\n`
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return ''
+  const text = String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+function formatTradeRows(rows, format) {
+  const timeFields = new Set(['entryTime', 'exitTime'])
+  const withIsoTimes = rows.map((row) =>
+    Object.fromEntries(EXPORT_COLUMNS.map((column) => [column, timeFields.has(column) && Number.isFinite(row[column]) ? new Date(row[column]).toISOString() : (row[column] ?? null)])),
+  )
+
+  if (format === 'jsonl') return withIsoTimes.map((row) => JSON.stringify(row)).join('\n') + (rows.length ? '\n' : '')
+  return [EXPORT_COLUMNS.join(','), ...withIsoTimes.map((row) => EXPORT_COLUMNS.map((column) => csvCell(row[column])).join(','))].join('\n') + '\n'
+}
+
+function parseTime(value, fallback) {
+  if (value === undefined) return fallback
+  const ts = /^\d+$/.test(value) ? Number(value) : Date.parse(value)
+  if (!Number.isFinite(ts)) throw new Error(`Invalid time: ${value}`)
+  return ts
+}
+
+async function runExportCli(argv = process.argv.slice(2)) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      dir: { type: 'string', default: process.env.TRADE_JOURNAL_DIR || DEFAULT_JOURNAL_DIR },
+      format: { type: 'string', default: 'csv' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      symbols: { type: 'string' },
+      mode: { type: 'string' },
+      out: { type: 'string' },
+      execution: { type: 'boolean', default: false },
+    },
+  })
+
+  const format = values.format.toLowerCase()
+  if (format !== 'csv' && format !== 'jsonl') throw new Error(`Unknown --format ${values.format} (csv or jsonl)`)
+  if (values.mode && values.mode !== 'sim' && values.mode !== 'live') throw new Error(`Unknown --mode ${values.mode} (sim or live)`)
+
+  const symbols = values.symbols
+    ? values.symbols
+        .split(',')
+        .map((s) => s.trim().toUpperCase())
+        .filter(Boolean)
+    : null
+
+  const { rows, orphanExits } = buildTradeRows(readJournal(values.dir))
+  const selected = filterTradeRows(rows, {
+    from: parseTime(values.from, -Infinity),
+    to: parseTime(values.to, Infinity),
+    symbols,
+    mode: values.mode ?? null,
+  })
+  // --execution prints the per-symbol sim vs live fill comparison instead of the trade rows.
+  const output = values.execution ? formatExecutionSummary(summarizeExecution(selected)) : formatTradeRows(selected, format)
+
+  if (values.out) {
+    fs.writeFileSync(values.out, output)
+    console.error(`Exported ${values.execution ? 'execution summary of ' : ''}${selected.length} trade(s) to ${values.out}${orphanExits ? ` (${orphanExits} exit(s) without a journaled entry)` : ''}`)
+  } else {
+    process.stdout.write(output)
+  }
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  TradeJournal,
+  buildTradeRows,
+  filterTradeRows,
+  formatExecutionSummary,
+  formatTradeRows,
+  readJournal,
+  runExportCli,
+  summarizeExecution,
+}
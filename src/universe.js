@@ -0,0 +1,157 @@
+'use strict'
+
+const { createBinanceRestClient } = require('./binance')
+const { compactNumber } = require('./utils')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const RANKING_LINES = 20
+
+function toNumber(value, fallback) {
+  const next = Number(value)
+  return Number.isFinite(next) ? next : fallback
+}
+
+// '1000*,DOGE' -> whether a coin name matches one of the patterns (* is any run of characters). No pattern matches every coin.
+function coinMatcher(filter) {
+  const patterns = String(filter || '')
+    .split(',')
+    .map((pattern) => pattern.trim().toUpperCase())
+    .filter(Boolean)
+  if (patterns.length === 0) return () => true
+
+  const regexes = patterns.map((pattern) => new RegExp(`^${pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`))
+  return (coin) => regexes.some((regex) => regex.test(coin))
+}
+
+// 0 for the lowest value up to 1 for the highest; equal values share a rank.
+function percentileRanks(values) {
+  if (values.length < 2) return values.map(() => 1)
+  const sorted = [...values].sort((a, b) => a - b)
+  return values.map((value) => sorted.indexOf(value) / (values.length - 1))
+}
+
+// Ranks the USDT-M perpetuals that are trading, match the filter and clear the minimums. The score is
+// the weighted mean of each metric's percentile rank among them: 24h quote volume, 24h high-low range
+// (as % of the last price), spread (tighter is better) and listing age (older is better).
+// Returns { candidates: [{ marketSymbol, coin, quoteVolumeUsd, volatilityPct, spreadBps, listingDays, score }] best first, scanned }.
+function rankUniverse({ contracts, tickers, books, now, filter = '', minQuoteVolumeUsd = 0, maxSpreadBps = 0, minListingDays = 0, weights = {} }) {
+  const matches = coinMatcher(filter)
+  const tickerBySymbol = new Map(tickers.map((ticker) => [ticker.marketSymbol, ticker]))
+  const bookBySymbol = new Map(books.map((book) => [book.marketSymbol, book]))
+
+  const perpetuals = contracts.filter((contract) => contract.status === 'TRADING' && contract.contractType === 'PERPETUAL' && contract.quoteAsset === 'USDT' && contract.marketSymbol.endsWith('USDT'))
+  const eligible = []
+  for (const contract of perpetuals) {
+    const coin = contract.marketSymbol.slice(0, -'USDT'.length)
+    const ticker = tickerBySymbol.get(contract.marketSymbol)
+    const book = bookBySymbol.get(contract.marketSymbol)
+    if (!matches(coin) || !ticker || !book || !(ticker.lastPrice > 0) || !(book.bidPrice > 0) || !(book.askPrice >= book.bidPrice)) continue
+
+    const listingDays = Number.isFinite(contract.onboardDate) ? (now - contract.onboardDate) / DAY_MS : 0
+    const spreadBps = ((book.askPrice - book.bidPrice) / ((book.askPrice + book.bidPrice) / 2)) * 10_000
+    const quoteVolumeUsd = toNumber(ticker.quoteVolume, 0)
+    if (quoteVolumeUsd < minQuoteVolumeUsd || listingDays < minListingDays || (maxSpreadBps > 0 && spreadBps > maxSpreadBps)) continue
+
+    eligible.push({
+      marketSymbol: contract.marketSymbol,
+      coin,
+      quoteVolumeUsd,
+      volatilityPct: ((toNumber(ticker.highPrice, 0) - toNumber(ticker.lowPrice, 0)) / ticker.lastPrice) * 100,
+      spreadBps,
+      listingDays,
+      score: 0,
+    })
+  }
+
+  const metrics = [
+    [toNumber(weights.volume, 1), percentileRanks(eligible.map((candidate) => candidate.quoteVolumeUsd))],
+    [toNumber(weights.volatility, 1), percentileRanks(eligible.map((candidate) => candidate.volatilityPct))],
+    [toNumber(weights.spread, 0), percentileRanks(eligible.map((candidate) => -candidate.spreadBps))],
+    [toNumber(weights.age, 0), percentileRanks(eligible.map((candidate) => candidate.listingDays))],
+  ]
+  const weightSum = metrics.reduce((sum, [weight]) => sum + weight, 0)
+  eligible.forEach((candidate, index) => {
+    candidate.score = weightSum > 0 ? metrics.reduce((sum, [weight, ranks]) => sum + weight * ranks[index], 0) / weightSum : 0
+  })
+
+  const candidates = eligible.sort((a, b) => b.score - a.score || b.quoteVolumeUsd - a.quoteVolumeUsd)
+  return { candidates, scanned: perpetuals.length }
+}
+
+// Picks the symbols the engine trades from exchange-wide public data: exchangeInfo (status, listing
+// date), the 24h ticker statistics and the top of book of every symbol. The engine calls select() every
+// refreshMs and adds or removes symbols to match; see Engine.refreshUniverse.
+class UniverseSelector {
+  constructor(options = {}) {
+    this.rest = options.rest ?? createBinanceRestClient()
+    this.topN = Math.max(1, Math.floor(toNumber(options.topN, 5)))
+    this.filter = String(options.filter || '')
+    this.minQuoteVolumeUsd = Math.max(0, toNumber(options.minQuoteVolumeUsd, 0))
+    this.maxSpreadBps = Math.max(0, toNumber(options.maxSpreadBps, 0))
+    this.minListingDays = Math.max(0, toNumber(options.minListingDays, 0))
+    this.weights = { volume: 1, volatility: 1, spread: 0.5, age: 0, ...options.weights }
+    this.refreshMs = Math.max(60_000, toNumber(options.refreshMs, 60 * 60 * 1000))
+
+    this.candidates = []
+    this.scanned = 0
+    this.rankedAt = 0
+    this.lastError = null
+  }
+
+  // The top N market symbols (upper case), best first, or null when the exchange data could not be loaded.
+  async select(now) {
+    try {
+      const [contracts, tickers, books] = await Promise.all([this.rest.fetchExchangeSymbols(), this.rest.fetch24hrTickers(), this.rest.fetchBookTickers()])
+      const { candidates, scanned } = rankUniverse({
+        contracts,
+        tickers,
+        books,
+        now,
+        filter: this.filter,
+        minQuoteVolumeUsd: this.minQuoteVolumeUsd,
+        maxSpreadBps: this.maxSpreadBps,
+        minListingDays: this.minListingDays,
+        weights: this.weights,
+      })
+      this.candidates = candidates
+      this.scanned = scanned
+      this.rankedAt = now
+      this.lastError = candidates.length === 0 ? `no perpetual matches ${this.filter || 'the minimums'}, keeping the current symbols` : null
+      return candidates.length > 0 ? candidates.slice(0, this.topN).map((candidate) => candidate.marketSymbol) : null
+    } catch (error) {
+      this.lastError = `Ranking failed: ${error.message}`
+      return null
+    }
+  }
+
+  statusText(now) {
+    if (!this.rankedAt) return this.lastError ?? 'ranking...'
+    const filterText = this.filter ? ` matching ${this.filter}` : ''
+    const parts = [
+      `top ${this.topN} of ${this.candidates.length} eligible / ${this.scanned} perpetuals${filterText}`,
+      `ranked ${Math.round((now - this.rankedAt) / 60_000)}m ago, next in ${Math.max(0, Math.ceil((this.rankedAt + this.refreshMs - now) / 60_000))}m`,
+    ]
+    if (this.lastError) parts.push(this.lastError)
+    return parts.join(' | ')
+  }
+
+  // The last ranking, one line per candidate; `tracked` (market symbols) are marked with *.
+  rankingLines(tracked = []) {
+    if (this.candidates.length === 0) return [this.lastError ?? 'Not ranked yet']
+    const trackedSet = new Set(tracked.map((marketSymbol) => String(marketSymbol).toUpperCase()))
+    return this.candidates.slice(0, Math.max(RANKING_LINES, this.topN)).map((candidate, index) => {
+      const mark = trackedSet.has(candidate.marketSymbol) ? '*' : ' '
+      return (
+        `${mark}${String(index + 1).padStart(3)} ${candidate.coin.padEnd(12)} score ${candidate.score.toFixed(2)}  ` +
+        `vol $${compactNumber(candidate.quoteVolumeUsd).padEnd(8)} range ${candidate.volatilityPct.toFixed(1).padStart(5)}%  ` +
+        `spread ${candidate.spreadBps.toFixed(1).padStart(5)}bps  listed ${Math.floor(candidate.listingDays)}d`
+      )
+    })
+  }
+}
+
+module.exports = {
+  UniverseSelector,
+  coinMatcher,
+  rankUniverse,
+}
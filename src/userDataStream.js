@@ -0,0 +1,172 @@
+'use strict'
+
+const { parseRawSocketMessage } = require('./binance')
+
+const LISTEN_KEY_KEEPALIVE_MS = 30 * 60 * 1000
+const RECONNECT_BASE_MS = 1_000
+const RECONNECT_MAX_MS = 30_000
+
+let WebSocketImpl = globalThis.WebSocket
+if (typeof WebSocketImpl !== 'function') {
+  try {
+    // eslint-disable-next-line global-require
+    WebSocketImpl = require('ws')
+  } catch {
+    WebSocketImpl = null
+  }
+}
+
+function defaultWebSocketFactory(url) {
+  if (typeof WebSocketImpl !== 'function') return null
+  return new WebSocketImpl(url)
+}
+
+function onSocketEvent(socket, eventName, handler) {
+  if (typeof socket.addEventListener === 'function') return socket.addEventListener(eventName, handler)
+  if (typeof socket.on === 'function') return socket.on(eventName, handler)
+  return null
+}
+
+// Binance futures user data stream: a listenKey from REST, kept alive every 30 minutes, and a raw
+// websocket at `${wsBase}${listenKey}` pushing ORDER_TRADE_UPDATE / ACCOUNT_UPDATE / MARGIN_CALL.
+// Reconnects with backoff and starts over with a fresh listenKey when the old one expires.
+// `api` provides createListenKey(), keepAliveListenKey(), closeListenKey() (LiveTrader does).
+class UserDataStream {
+  constructor(options = {}) {
+    this.api = options.api
+    this.wsBase = options.wsBase
+    this.clock = options.clock || { now: () => Date.now(), setTimeout, clearTimeout, setInterval, clearInterval }
+    this.createWebSocket = options.createWebSocket || defaultWebSocketFactory
+    this.onEvent = typeof options.onEvent === 'function' ? options.onEvent : () => {}
+
+    this.listenKey = null
+    this.ws = null
+    this.connected = false
+    this.lastEventAt = 0
+    this.lastError = null
+    this.stopped = true
+    this.reconnectAttempt = 0
+    this.reconnectTimer = null
+    this.keepaliveTimer = null
+  }
+
+  async start() {
+    this.stopped = false
+    await this.connect()
+  }
+
+  async connect() {
+    this.closeSocket()
+    try {
+      const result = await this.api.createListenKey()
+      this.listenKey = result?.listenKey ?? null
+      if (!this.listenKey) throw new Error('No listenKey in response')
+    } catch (error) {
+      this.lastError = `listenKey failed: ${error.message}`
+      this.scheduleReconnect()
+      return
+    }
+    if (this.stopped) return
+
+    const ws = this.createWebSocket(`${this.wsBase}${this.listenKey}`)
+    if (!ws) {
+      this.lastError = 'WebSocket implementation unavailable (install `ws`)'
+      return
+    }
+    this.ws = ws
+
+    onSocketEvent(ws, 'open', () => {
+      this.connected = true
+      this.lastError = null
+      this.reconnectAttempt = 0
+      this.startKeepalive()
+    })
+
+    onSocketEvent(ws, 'message', (messageArg) => {
+      const raw = parseRawSocketMessage(messageArg)
+      let event
+      try {
+        event = JSON.parse(raw)
+      } catch {
+        return
+      }
+      this.lastEventAt = this.clock.now()
+
+      if (event?.e === 'listenKeyExpired') {
+        this.lastError = 'listenKey expired'
+        void this.connect()
+        return
+      }
+      this.onEvent(event)
+    })
+
+    onSocketEvent(ws, 'error', () => {
+      this.lastError = 'User stream error'
+    })
+
+    onSocketEvent(ws, 'close', () => {
+      if (this.ws !== ws) return
+      this.connected = false
+      this.ws = null
+      this.scheduleReconnect()
+    })
+  }
+
+  startKeepalive() {
+    if (this.keepaliveTimer) return
+    this.keepaliveTimer = this.clock.setInterval(() => {
+      this.api.keepAliveListenKey().catch((error) => {
+        this.lastError = `listenKey keepalive failed: ${error.message}`
+        void this.connect()
+      })
+    }, LISTEN_KEY_KEEPALIVE_MS)
+  }
+
+  scheduleReconnect() {
+    if (this.reconnectTimer || this.stopped) return
+
+    const delay = Math.min(RECONNECT_BASE_MS * 2 ** this.reconnectAttempt, RECONNECT_MAX_MS)
+    this.reconnectAttempt += 1
+
+    this.reconnectTimer = this.clock.setTimeout(() => {
+      this.reconnectTimer = null
+      void this.connect()
+    }, delay)
+  }
+
+  closeSocket() {
+    this.connected = false
+    const ws = this.ws
+    this.ws = null
+    try {
+      if (ws) ws.close(1000, 'shutdown')
+    } catch {
+      // ignore close errors
+    }
+  }
+
+  async stop() {
+    this.stopped = true
+    if (this.reconnectTimer) {
+      this.clock.clearTimeout(this.reconnectTimer)
+      this.reconnectTimer = null
+    }
+    if (this.keepaliveTimer) {
+      this.clock.clearInterval(this.keepaliveTimer)
+      this.keepaliveTimer = null
+    }
+    this.closeSocket()
+
+    if (!this.listenKey) return
+    try {
+      await this.api.closeListenKey()
+    } catch {
+      // the key expires on its own after 60 minutes
+    }
+    this.listenKey = null
+  }
+}
+
+module.exports = {
+  UserDataStream,
+}
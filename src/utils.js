@@ -19,6 +19,42 @@ function formatPrice(value) {
   return value.toFixed(8)
 }
 
+function formatSignedPct(value, decimals) {
+  if (!Number.isFinite(value)) return '-'
+  return `${value >= 0 ? '+' : ''}${value.toFixed(decimals)}%`
+}
+
+function formatLiquidation(liquidationPrice, price) {
+  if (!(liquidationPrice > 0) || !(price > 0) || !Number.isFinite(liquidationPrice) || !Number.isFinite(price)) return 'liq -'
+  return `liq ${formatPrice(liquidationPrice)} (${((Math.abs(price - liquidationPrice) / price) * 100).toFixed(2)}% away)`
+}
+
+function compactNumber(value) {
+  if (typeof value !== 'number' || Number.isNaN(value)) return 'N/A'
+  if (value >= 1_000_000_000) return `${(value / 1_000_000_000).toFixed(2)}B`
+  if (value >= 1_000_000) return `${(value / 1_000_000).toFixed(2)}M`
+  if (value >= 1_000) return `${(value / 1_000).toFixed(2)}K`
+  return formatNumber(value, 2)
+}
+
+function average(values) {
+  if (!Array.isArray(values) || values.length === 0) return 0
+  return values.reduce((acc, v) => acc + v, 0) / values.length
+}
+
+function ema(values, period) {
+  if (!Array.isArray(values) || values.length === 0) return null
+
+  const alpha = 2 / (period + 1)
+  let value = values[0]
+
+  for (let i = 1; i < values.length; i += 1) {
+    value = alpha * values[i] + (1 - alpha) * value
+  }
+
+  return value
+}
+
 function stdDev(values) {
   if (!Array.isArray(values) || values.length < 2) return 0
   const mean = values.reduce((acc, v) => acc + v, 0) / values.length
@@ -26,6 +62,17 @@ function stdDev(values) {
   return Math.sqrt(variance)
 }
 
+// Small deterministic PRNG (mulberry32): the same seed always yields the same sequence in [0, 1).
+function createSeededRandom(seed) {
+  let a = seed >>> 0
+  return () => {
+    a = (a + 0x6d2b79f5) | 0
+    let t = Math.imul(a ^ (a >>> 15), 1 | a)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
 function safeClearConsole() {
   if (!DISABLE_CONSOLE_CLEAR) console.clear()
 }
@@ -38,11 +85,51 @@ function formatMsToClock(ms) {
   return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`
 }
 
+const INTERVAL_UNIT_MS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+}
+
+function intervalToMs(interval) {
+  const match = String(interval || '').match(/^(\d+)([mhdw])$/)
+  if (!match) return null
+  return Number(match[1]) * INTERVAL_UNIT_MS[match[2]]
+}
+
+// Rolls candles up into intervalMs buckets (aligned to the epoch, like Binance). The last bucket may
+// still be incomplete; its closeTime is where it would end.
+function aggregateCandles(candles, intervalMs) {
+  const out = []
+  for (const c of candles) {
+    const openTime = Math.floor(c.openTime / intervalMs) * intervalMs
+    const last = out[out.length - 1]
+    if (!last || last.openTime !== openTime) {
+      out.push({ openTime, open: c.open, high: c.high, low: c.low, close: c.close, volume: c.volume, closeTime: openTime + intervalMs - 1 })
+      continue
+    }
+    last.high = Math.max(last.high, c.high)
+    last.low = Math.min(last.low, c.low)
+    last.close = c.close
+    last.volume += c.volume
+  }
+  return out
+}
+
 module.exports = {
+  aggregateCandles,
+  average,
   clamp,
+  compactNumber,
+  createSeededRandom,
+  ema,
+  formatLiquidation,
   formatMsToClock,
   formatNumber,
   formatPrice,
+  formatSignedPct,
+  intervalToMs,
   safeClearConsole,
   stdDev,
 }
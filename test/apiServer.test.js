@@ -0,0 +1,16 @@
+'use strict'
+
+const assert = require('node:assert')
+const { test } = require('node:test')
+
+const { ApiServer } = require('../src/apiServer')
+
+test('a malformed escape in the path is a 400, not a 500', async (t) => {
+  const api = new ApiServer({ port: 0 })
+  await api.listen({ clock: { now: () => Date.now() }, journal: null })
+  t.after(() => api.close())
+
+  const response = await fetch(`http://127.0.0.1:${api.port}/symbols/%E0`)
+  assert.strictEqual(response.status, 400)
+  assert.match((await response.json()).error, /Invalid escape/)
+})
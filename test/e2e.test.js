@@ -0,0 +1,86 @@
+'use strict'
+
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { test } = require('node:test')
+
+const { createBinanceRestClient } = require('../src/binance')
+const { createVirtualClock } = require('../src/clock')
+const { Engine } = require('../src/engine')
+const { LeverageBracketCache } = require('../src/leverageBrackets')
+const { startMockBinance } = require('../src/mockBinance')
+const { RestGovernor } = require('../src/restGovernor')
+const { TradeJournal, readJournal } = require('../src/tradeJournal')
+
+// Moves the virtual clock on in small steps until `done()` holds, giving the mock's HTTP and
+// websocket replies a moment of real time between steps.
+async function advanceUntil(clock, done, stepMs = 200, limitMs = 60_000) {
+  const endAt = clock.now() + limitMs
+  while (!done()) {
+    if (clock.now() > endAt) throw new Error(`still waiting after ${limitMs}ms of virtual time`)
+    await new Promise((resolve) => setTimeout(resolve, 10))
+    clock.advance(stepMs)
+  }
+}
+
+test('the engine opens and closes a live position on the mock exchange', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'e2e-'))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+
+  const clock = createVirtualClock(Date.now())
+  // The price walk only moves when the test calls tick(), so a resting GTX order never fills.
+  const mock = await startMockBinance({ port: 0, tickMs: 3_600_000, apiSecret: 's', symbols: ['BTCUSDT'], now: clock.now })
+  t.after(() => mock.close())
+
+  const governor = new RestGovernor({ now: clock.now })
+  const journal = new TradeJournal({ dir, now: clock.now })
+  const engine = new Engine({
+    symbols: ['BTC'],
+    marketSymbols: { BTC: 'BTCUSDT' },
+    clock,
+    restGovernor: governor,
+    rest: createBinanceRestClient({ baseUrl: mock.restBase, now: clock.now, governor }),
+    wsUrl: `${mock.wsBase}btcusdt@aggTrade`,
+    renderIntervalMs: 24 * 60 * 60 * 1000,
+    journal,
+    leverageBrackets: new LeverageBracketCache({ file: path.join(dir, 'leverage-brackets.json') }),
+    liveTrading: {
+      enable: true,
+      apiKey: 'k',
+      apiSecret: 's',
+      baseUrl: mock.restBase,
+      userWsBase: mock.userWsBase,
+      entryMode: 'LIMIT_GTX',
+      gtxTimeoutMs: 10_000,
+      gtxPollMs: 500,
+    },
+  })
+  engine.render = () => {}
+  t.after(() => engine.stop())
+
+  await engine.boot()
+  const trader = engine.liveTrader
+  assert.strictEqual(trader.ready, true, trader.lastError)
+
+  engine.openLivePosition('BTC', engine.ensureState('BTC'), 'long', mock.markets.get('BTCUSDT').price, null)
+  await advanceUntil(clock, () => trader.getPosition('BTCUSDT') && engine.liveJournalIdBySymbol.get('BTC'))
+
+  // The GTX order timed out on the virtual clock, was cancelled and the rest went at market.
+  assert.strictEqual(mock.positions.get('BTCUSDT').amt > 0, true)
+  assert.match(trader.lastActionBySymbol.get('BTCUSDT'), /OPEN LONG ok .*MKT/)
+
+  assert.strictEqual(engine.closeSymbolPosition('BTC').ok, true)
+  await advanceUntil(clock, () => !trader.getPosition('BTCUSDT') && !engine.liveClosingSymbols.has('BTC'))
+
+  assert.strictEqual(mock.positions.get('BTCUSDT').amt, 0)
+  const records = readJournal(dir).filter((record) => record.k === 'entry' || record.k === 'exit')
+  assert.deepStrictEqual(
+    records.map((record) => [record.k, record.mode, record.symbol]),
+    [
+      ['entry', 'live', 'BTC'],
+      ['exit', 'live', 'BTC'],
+    ],
+  )
+})
@@ -0,0 +1,89 @@
+'use strict'
+
+const assert = require('node:assert')
+const { test } = require('node:test')
+
+const { LiveTrader } = require('../src/liveTrader')
+
+function order(clientOrderId, side, executedQty, updateTime) {
+  return { clientOrderId, side, executedQty: String(executedQty), updateTime, orderId: updateTime }
+}
+
+// A LiveTrader whose signed REST calls are answered from `orders` and recorded in `sent`.
+function createTrader(orders, options = {}) {
+  const trader = new LiveTrader({ enable: false, ...options })
+  trader.symbolMeta.set('BTCUSDT', { stepSize: '0.001', minQty: 0.001 })
+  trader.sent = []
+  trader.requestSigned = async (method, path, params) => {
+    trader.sent.push({ method, path, params })
+    if (path === '/fapi/v1/allOrders') return orders
+    if (method === 'POST') return { orderId: 99, executedQty: params.quantity, status: 'FILLED' }
+    return []
+  }
+  trader.syncPositions = async () => {}
+  return trader
+}
+
+test('after a restart the attempt number continues from the exchange', async () => {
+  const trader = createTrader([order('ent-9-1g', 'BUY', 0, 1), order('ent-9-2m', 'BUY', 1, 2), order('ext-5-1m', 'SELL', 1, 0)])
+
+  assert.deepStrictEqual(await trader.nextClientOrderIds('BTCUSDT', 'ent-', 9), { gtx: 'ent-9-3g', market: 'ent-9-3m' })
+  assert.deepStrictEqual(await trader.nextClientOrderIds('BTCUSDT', 'ent-', 10), { gtx: 'ent-10-1g', market: 'ent-10-1m' })
+  assert.strictEqual(trader.sent.filter((request) => request.path === '/fapi/v1/allOrders').length, 1)
+})
+
+test('a position doubled up by a retry is trimmed at bootstrap', async () => {
+  const orders = [order('ent-9-1g', 'BUY', 0.4, 1), order('ent-9-1m', 'BUY', 0.6, 2), order('ent-9-2m', 'BUY', 1, 3)]
+  const trader = createTrader(orders)
+  trader.positionSnapshot.set('BTCUSDT', { side: 'long', quantity: 2, entryPrice: 100 })
+
+  await trader.reconcileEntryOrders([])
+
+  const trims = trader.sent.filter((request) => request.method === 'POST')
+  assert.strictEqual(trims.length, 1)
+  assert.strictEqual(trims[0].params.side, 'SELL')
+  assert.strictEqual(trims[0].params.quantity, 1)
+  assert.strictEqual(trims[0].params.reduceOnly, 'true')
+  assert.strictEqual(trims[0].params.newClientOrderId, 'ext-9-1m')
+})
+
+test('earlier round trips and a same-cycle re-entry are not duplicates', async () => {
+  const orders = [
+    order('ent-1-1m', 'BUY', 1, 1),
+    order('ext-1-1m', 'SELL', 1, 2),
+    order('ent-9-1m', 'BUY', 1, 3),
+    order('ext-9-1m', 'SELL', 1, 4),
+    order('ent-9-2m', 'BUY', 1, 5),
+  ]
+  const trader = createTrader(orders)
+  trader.positionSnapshot.set('BTCUSDT', { side: 'long', quantity: 1, entryPrice: 100 })
+
+  await trader.reconcileEntryOrders([])
+
+  assert.strictEqual(trader.sent.filter((request) => request.method === 'POST').length, 0)
+  assert.strictEqual(trader.lastError, null)
+})
+
+test('with trimming off a duplicate is only reported', async () => {
+  const orders = [order('ent-9-1m', 'BUY', 1, 1), order('ent-9-2m', 'BUY', 1, 2)]
+  const trader = createTrader(orders, { trimDuplicateEntries: false })
+  trader.positionSnapshot.set('BTCUSDT', { side: 'long', quantity: 2, entryPrice: 100 })
+
+  await trader.reconcileEntryOrders([])
+
+  assert.strictEqual(trader.sent.filter((request) => request.method === 'POST').length, 0)
+  assert.match(trader.lastError, /may be doubled, trim 1\.0000 manually/)
+})
+
+test('protection that can not be built backs off instead of retrying every tick', async () => {
+  const trader = createTrader([])
+  trader.enable = true
+  trader.ready = true
+  // No symbol meta, e.g. prepareSymbols failed for a symbol the universe added.
+  trader.positionSnapshot.set('ETHUSDT', { side: 'long', quantity: 1, entryPrice: 100 })
+
+  for (let tick = 0; tick < 3; tick += 1) await trader.ensureProtection('ETHUSDT', { stopLossRoiPct: 10 })
+
+  assert.strictEqual(trader.sent.length, 0)
+  assert.match(trader.lastError, /No protection ETHUSDT/)
+})
@@ -0,0 +1,40 @@
+'use strict'
+
+const assert = require('node:assert')
+const { test } = require('node:test')
+
+const { RiskManager } = require('../src/riskManager')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const NOW = Date.UTC(2026, 0, 10, 12)
+
+test('sim losses never cool down or stop live entries', () => {
+  const risk = new RiskManager({ maxConsecutiveLosses: 2, dailyLossLimitUsd: 2 })
+  for (let i = 0; i < 3; i += 1) risk.recordTradeResult('sim', NOW + i, -1)
+
+  assert.match(risk.checkEntry('sim', 'long', [], NOW + 10), /DAILY LOSS|COOLDOWN/)
+  assert.strictEqual(risk.checkEntry('live', 'long', [], NOW + 10), null)
+  assert.strictEqual(risk.dailyPnl('live', NOW), 0)
+})
+
+test('position limits are on by default', () => {
+  const risk = new RiskManager()
+  const positions = [
+    { symbol: 'A', side: 'long' },
+    { symbol: 'B', side: 'long' },
+  ]
+  assert.match(risk.checkEntry('live', 'long', positions, NOW), /MAX LONG 2\/2/)
+  assert.match(risk.checkEntry('live', 'short', [...positions, { symbol: 'C', side: 'short' }], NOW), /MAX POS 3\/3/)
+})
+
+test('income keys older than yesterday are dropped and not counted again', () => {
+  const risk = new RiskManager()
+  assert.strictEqual(risk.recordPnl('live', NOW - 3 * DAY_MS, -1, 'old'), true)
+  assert.strictEqual(risk.recordPnl('live', NOW, -1, 'today'), true)
+  assert.deepStrictEqual([...risk.ledgers.live.seenKeys.keys()], ['today'])
+
+  // Re-delivered after a restart: the old row is outside the window, today's is a duplicate.
+  assert.strictEqual(risk.recordPnl('live', NOW - 3 * DAY_MS, -1, 'old'), false)
+  assert.strictEqual(risk.recordPnl('live', NOW, -1, 'today'), false)
+  assert.strictEqual(risk.dailyPnl('live', NOW), -1)
+})
@@ -0,0 +1,25 @@
+'use strict'
+
+const assert = require('node:assert')
+const { test } = require('node:test')
+
+const { decisionWindowMs } = require('../src/config')
+const breakout = require('../src/strategies/breakout')
+
+const HOUR_MS = 60 * 60 * 1000
+
+function hourlyCandles(count) {
+  return Array.from({ length: count }, (_, i) => {
+    const close = 100 + Math.sin(i / 3)
+    return { openTime: i * HOUR_MS, closeTime: (i + 1) * HOUR_MS - 1, open: close - 0.2, high: close + 0.5, low: close - 0.5, close, volume: 1000 }
+  })
+}
+
+test('the decision window follows the candle interval', () => {
+  const strategy = breakout.create()
+  const ctx = { symbol: 'BTC', candles: hourlyCandles(80), higherTimeframes: {}, livePrice: 100, msToNextCandle: 30 * 60 * 1000, flow: null, now: 0 }
+
+  // Half an hour before the close of a 1h candle is inside the default window (the whole candle).
+  assert.notStrictEqual(strategy.evaluate({ ...ctx, decisionWindowMs: decisionWindowMs(HOUR_MS) }).reason, 'Outside decision window')
+  assert.strictEqual(strategy.evaluate({ ...ctx, decisionWindowMs: 5 * 60 * 1000 }).reason, 'Outside decision window')
+})
@@ -0,0 +1,59 @@
+'use strict'
+
+const assert = require('node:assert')
+const { test } = require('node:test')
+
+const { RestGovernor } = require('../src/restGovernor')
+const { TimeSync, sendSignedRequest } = require('../src/timeSync')
+
+const RECV_WINDOW_MS = 5000
+
+// Answers like Binance: -1021 once the request's timestamp is outside recvWindow of the (fake) server time.
+function createFakeBinance(clock) {
+  const sent = []
+  const fetchImpl = async (url) => {
+    const timestamp = Number(new URL(url).searchParams.get('timestamp'))
+    sent.push({ at: clock.now, timestamp })
+    const stale = Math.abs(clock.now - timestamp) > RECV_WINDOW_MS
+    return {
+      status: stale ? 400 : 200,
+      headers: { get: () => null },
+      text: async () => (stale ? '{"code":-1021,"msg":"Timestamp for this request is outside of the recvWindow."}' : '[]'),
+    }
+  }
+  return { sent, fetchImpl }
+}
+
+test('a signed request held in the queue past recvWindow is signed when it is sent', async () => {
+  const clock = { now: 1_700_000_000_000 }
+  const binance = createFakeBinance(clock)
+  const governor = new RestGovernor({ fetchImpl: binance.fetchImpl, now: () => clock.now })
+  const timeSync = new TimeSync({ governor, baseUrl: 'http://binance.test', now: () => clock.now })
+  timeSync.nextSyncAt = Infinity
+
+  // A 429 a moment ago: everything but orders waits out the pause in the queue.
+  governor.pausedUntil = clock.now + 30_000
+  governor.pauseReason = 'rate limited (429)'
+
+  const pending = sendSignedRequest({
+    governor,
+    timeSync,
+    baseUrl: 'http://binance.test',
+    apiKey: 'k',
+    apiSecret: 's',
+    recvWindow: RECV_WINDOW_MS,
+    path: '/fapi/v2/positionRisk',
+  })
+  await new Promise((resolve) => setImmediate(resolve))
+  assert.strictEqual(binance.sent.length, 0)
+  assert.strictEqual(governor.queue.length, 1)
+
+  clock.now += 31_000
+  clearTimeout(governor.wakeTimer)
+  governor.wakeTimer = null
+  governor.pump()
+
+  assert.deepStrictEqual(await pending, [])
+  assert.strictEqual(binance.sent.length, 1)
+  assert.strictEqual(binance.sent[0].timestamp, binance.sent[0].at)
+})
@@ -0,0 +1,58 @@
+'use strict'
+
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { test } = require('node:test')
+
+const { TradeJournal, readJournal } = require('../src/tradeJournal')
+
+const NOW = Date.UTC(2026, 0, 10, 12)
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  return dir
+}
+
+function income(key, t) {
+  return { t, k: 'income', mode: 'live', marketSymbol: 'BTCUSDT', incomeType: 'COMMISSION', incomeUsd: -0.01, key }
+}
+
+test('income rows re-delivered after a restart are written once', (t) => {
+  const dir = tempDir(t)
+  const first = new TradeJournal({ dir, now: () => NOW })
+  first.append(income('a', NOW - 60_000))
+  first.append(income('a', NOW - 60_000))
+  first.append(income('b', NOW - 30_000))
+
+  // The income backfill after a restart sends the same rows plus a new one.
+  const restarted = new TradeJournal({ dir, now: () => NOW + 1000 })
+  for (const key of ['a', 'b', 'c']) restarted.append(income(key, NOW - 1000))
+
+  assert.deepStrictEqual(
+    readJournal(dir).map((record) => record.key),
+    ['a', 'b', 'c'],
+  )
+})
+
+test('trade rows kept up to date by append match a fresh read of the files', (t) => {
+  const dir = tempDir(t)
+  const journal = new TradeJournal({ dir, now: () => NOW })
+  journal.append({ t: NOW - 5000, k: 'entry', id: 'sim-1', mode: 'sim', symbol: 'BTC', side: 'long', price: 100, signalPrice: 100 })
+  assert.strictEqual(journal.tradeRows().length, 1)
+
+  journal.append({ t: NOW - 4000, k: 'exit', id: 'sim-1', mode: 'sim', symbol: 'BTC', side: 'long', price: 101, pnlUsd: 1 })
+  journal.append({ t: NOW - 3000, k: 'entry', id: 'live-1', mode: 'live', symbol: 'ETH', marketSymbol: 'ETHUSDT', side: 'short', price: 10 })
+  journal.append({ t: NOW - 1000, k: 'income', mode: 'live', marketSymbol: 'ETHUSDT', incomeType: 'REALIZED_PNL', incomeUsd: 0.5, key: 'r1' })
+  // Exchange time a little behind the last record.
+  journal.append({ t: NOW - 2000, k: 'income', mode: 'live', marketSymbol: 'ETHUSDT', incomeType: 'COMMISSION', incomeUsd: -0.1, key: 'c1' })
+  journal.append({ t: NOW - 500, k: 'exit', id: 'live-1', mode: 'live', symbol: 'ETH', side: 'short', price: 9.9 })
+
+  const fresh = new TradeJournal({ dir })
+  assert.deepStrictEqual(journal.tradeRows(), fresh.tradeRows())
+  const live = journal.tradeRows().find((row) => row.id === 'live-1')
+  assert.strictEqual(live.feesUsd, 0.1)
+  assert.strictEqual(live.pnlUsd, 0.4)
+})